@@ -0,0 +1,53 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var EclairJSError = require('./EclairJSError.js');
+
+/**
+ * @classdesc
+ * Error a Spark call is rejected with when it was cancelled, timed out or aborted through an AbortSignal.
+ *
+ * @example
+ * rdd.count().withTimeout(5000).catch(function(e) {
+ *   if (e instanceof eclairjs.CancellationError && e.reason == 'timeout') {
+ *     // took too long
+ *   }
+ * });
+ *
+ * @param {string} message
+ * @param {string} reason 'cancelled', 'timeout' or 'aborted'
+ * @param {object} [details] Same as {@link module:eclairjs.EclairJSError}
+ * @constructor
+ * @memberof module:eclairjs
+ * @augments module:eclairjs.EclairJSError
+ */
+function CancellationError(message, reason, details) {
+  EclairJSError.call(this, message, details);
+
+  this.name = 'CancellationError';
+
+  /** @member {string} 'cancelled', 'timeout' or 'aborted' */
+  this.reason = reason;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, CancellationError);
+  }
+}
+
+CancellationError.prototype = Object.create(EclairJSError.prototype);
+CancellationError.prototype.constructor = CancellationError;
+
+module.exports = CancellationError;
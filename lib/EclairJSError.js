@@ -0,0 +1,143 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Matches a leading "some.package.SomeException: " in a remote error value
+var EXCEPTION_PREFIX = /^\s*((?:[A-Za-z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error|Throwable))(?::\s*|\s*$)/;
+
+/**
+ * Works out the most specific Java exception class from a remote error.  Nashorn and Toree wrap the original
+ * exception, so "javax.script.ScriptException: org.apache.spark.sql.AnalysisException: cannot resolve..."
+ * gives org.apache.spark.sql.AnalysisException and the message "cannot resolve...".
+ *
+ * @param {string} ename
+ * @param {string} evalue
+ * @returns {object} {exceptionClass, message}
+ * @ignore
+ */
+function parseRemoteError(ename, evalue) {
+  var message = evalue || '';
+  var exceptionClass = null;
+
+  var match;
+  while ((match = EXCEPTION_PREFIX.exec(message))) {
+    exceptionClass = match[1];
+    message = message.substr(match[0].length);
+  }
+
+  if (!exceptionClass && ename && EXCEPTION_PREFIX.test(ename)) {
+    exceptionClass = ename;
+  }
+
+  return {exceptionClass: exceptionClass || ename || null, message: message || evalue || ''};
+}
+
+/**
+ * @classdesc
+ * Error raised when Spark, or the generated code that drives it, fails.
+ *
+ * @example
+ * df.select("nope").collect().catch(function(e) {
+ *   if (e instanceof eclairjs.EclairJSError && e.exceptionName == 'AnalysisException') {
+ *     // bad column
+ *   }
+ * });
+ *
+ * @param {string} message
+ * @param {object} [details]
+ * @param {string} [details.exceptionClass] Fully qualified Java exception class, for example org.apache.spark.SparkException
+ * @param {string[]} [details.remoteStack] The remote stack trace
+ * @param {string} [details.code] The generated code that failed
+ * @param {string} [details.className] The wrapper class that generated the code
+ * @param {string} [details.method] The wrapper method that generated the code
+ * @param {string} [details.refId] The kernel variable being assigned, if any
+ * @constructor
+ * @memberof module:eclairjs
+ */
+function EclairJSError(message, details) {
+  var d = details || {};
+
+  this.name = 'EclairJSError';
+  this.message = message;
+
+  /** @member {string} */
+  this.exceptionClass = d.exceptionClass || null;
+
+  /** @member {string} Simple name of exceptionClass, for example AnalysisException */
+  this.exceptionName = this.exceptionClass ? this.exceptionClass.substr(this.exceptionClass.lastIndexOf('.') + 1) : null;
+
+  /** @member {string[]} */
+  this.remoteStack = d.remoteStack || [];
+
+  /** @member {string} */
+  this.code = d.code || null;
+
+  /** @member {string} */
+  this.className = d.className || null;
+
+  /** @member {string} */
+  this.method = d.method || null;
+
+  /** @member {string} */
+  this.refId = d.refId || null;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, EclairJSError);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+EclairJSError.prototype = Object.create(Error.prototype);
+EclairJSError.prototype.constructor = EclairJSError;
+
+/**
+ * Creates an EclairJSError from an error reply sent by the kernel.
+ *
+ * @param {object} content The reply content: {ename, evalue, traceback}
+ * @param {object} [callInfo] {code, className, method, refId}
+ * @returns {module:eclairjs.EclairJSError}
+ * @ignore
+ */
+EclairJSError.fromReply = function(content, callInfo) {
+  var info = callInfo || {};
+  var parsed = parseRemoteError(content.ename, content.evalue);
+
+  var message = parsed.message;
+  if (info.className || info.method) {
+    message = (info.className || '') + (info.method ? '.' + info.method : '') + ': ' + message;
+  }
+
+  return new EclairJSError(message, {
+    exceptionClass: parsed.exceptionClass,
+    remoteStack: content.traceback || [],
+    code: info.code,
+    className: info.className,
+    method: info.method,
+    refId: info.refId
+  });
+};
+
+EclairJSError.prototype.toString = function() {
+  var str = this.name + ': ' + this.message;
+
+  if (this.exceptionClass) {
+    str += ' (' + this.exceptionClass + ')';
+  }
+
+  return str;
+};
+
+module.exports = EclairJSError;
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var Utils = require('./utils.js');
+
+/**
+ * @classdesc A handle to an object in the kernel that EclairJS has no wrapper class for, returned by invoke() and
+ * invokeStatic() unless a returnType is given.  Its methods are called with invoke(), and it can be passed as an
+ * argument to any other call.
+ *
+ * @example
+ * var tracker = sc.invoke('statusTracker');
+ * tracker.invoke('getActiveJobIds', [], {returnType: [Number]}).then(...);
+ *
+ * @constructor
+ * @memberof module:eclairjs
+ * @param {Promise} kernelP
+ * @param {Promise} refIdP
+ */
+function RemoteObject(kernelP, refIdP) {
+  this.kernelP = kernelP;
+  this.refIdP = refIdP;
+}
+
+/**
+ * Calls a method of the object in the kernel.
+ *
+ * @function
+ * @name module:eclairjs.RemoteObject#invoke
+ * @param {string} method
+ * @param {Array} [args]
+ * @param {object} [options] {returnType, timeout, signal}, see Utils.invoke.
+ * @returns {module:eclairjs.RemoteObject|Promise|object}
+ */
+RemoteObject.prototype.invoke = Utils.invoke;
+
+module.exports = RemoteObject;
@@ -0,0 +1,477 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var Utils = require('./utils.js');
+var logger = require('./logger.js').kernel;
+
+// options used by the pool itself, everything else goes to each EclairJS instance
+var POOL_OPTIONS = ['size', 'master', 'appName', 'idleTimeout', 'acquireTimeout', 'healthInterval',
+  'healthTimeout', 'retryDelay'];
+
+/**
+ * What a lease hands out: one session with a SparkContext that is already running.
+ *
+ * @constructor
+ * @memberof module:eclairjs
+ * @param {module:eclairjs.SessionPool} pool
+ * @param {object} session
+ */
+function SessionLease(pool, session) {
+  this.pool = pool;
+  this.session = session;
+
+  /**
+   * Id of the pooled session, stable for as long as a tenant keeps it.
+   */
+  this.id = session.id;
+
+  /**
+   * The tenant the session belongs to, or null for a one-off lease.
+   */
+  this.tenant = session.tenant;
+
+  /**
+   * The EclairJS instance of the session ({SparkContext, sql, ml, ...}).
+   */
+  this.spark = session.spark;
+
+  /**
+   * @type {module:eclairjs.SparkContext}
+   */
+  this.sparkContext = session.sc;
+
+  this.released = false;
+}
+
+/**
+ * The SparkSession of the leased session, created the first time it is asked for.
+ *
+ * @returns {module:eclairjs/sql.SparkSession}
+ */
+SessionLease.prototype.sparkSession = function() {
+  if (!this.session.sparkSession) {
+    this.session.sparkSession = this.spark.sql.SparkSession.builder().appName(this.session.appName).getOrCreate();
+  }
+
+  return this.session.sparkSession;
+};
+
+/**
+ * Hands the session back to the pool.  A tenant's session keeps its state until it has been idle for the pool's
+ * idleTimeout, a one-off lease's session is recycled right away.
+ */
+SessionLease.prototype.release = function() {
+  if (!this.released) {
+    this.released = true;
+    this.pool._release(this.session);
+  }
+};
+
+/**
+ * Pre-starts a number of kernel sessions, each with its own Spark driver, and leases them out so that every request
+ * or tenant of a multi-tenant service gets isolated Spark state.  Idle sessions are health-checked with
+ * kernelInfo() and dead ones are replaced.
+ *
+ * Emits 'ready' (session), 'recycled' (session, reason) and 'sessionFailed' (session, error).
+ *
+ * @example
+ * var pool = new eclairjs.SessionPool({size: 4, master: 'local[*]', appName: 'reports', idleTimeout: 600000});
+ *
+ * app.get('/count', function(req, res) {
+ *   pool.lease(req.user.tenant).then(function(lease) {
+ *     return lease.sparkContext.parallelize([1, 2, 3]).count().then(function(count) {
+ *       lease.release();
+ *       res.json(count);
+ *     });
+ *   });
+ * });
+ *
+ * @constructor
+ * @memberof module:eclairjs
+ * @param {object} [options] Options for the pool, plus the options each EclairJS instance is created with (host,
+ * token, transport...).  A custom transport is given as a function returning a new transport object for each
+ * session.
+ * @param {number} [options.size=2] Number of sessions kept running.
+ * @param {string} [options.master=local[*]] Master each SparkContext is created with.
+ * @param {string} [options.appName=eclairjs-pool] Sessions are named appName-1, appName-2...
+ * @param {number} [options.idleTimeout=300000] Ms a released tenant session keeps its state before it is recycled.
+ * @param {number} [options.acquireTimeout] Ms lease() waits for a free session before it rejects.  Waits forever
+ * by default.
+ * @param {number} [options.healthInterval=30000] Ms between health checks of idle sessions, 0 to disable them.
+ * @param {number} [options.healthTimeout=10000] Ms a session has to answer a health check.
+ * @param {number} [options.retryDelay=5000] Ms to wait before starting a session again after a failed start.
+ */
+function SessionPool(options) {
+  EventEmitter.call(this);
+
+  this.options = options || {};
+
+  this.size = this.options.size || 2;
+  this.master = this.options.master || 'local[*]';
+  this.appName = this.options.appName || 'eclairjs-pool';
+  this.idleTimeout = this.options.idleTimeout !== undefined ? this.options.idleTimeout : 300000;
+  this.healthInterval = this.options.healthInterval !== undefined ? this.options.healthInterval : 30000;
+  this.healthTimeout = this.options.healthTimeout || 10000;
+  this.retryDelay = this.options.retryDelay !== undefined ? this.options.retryDelay : 5000;
+
+  this.sessions = [];
+  this.waiters = [];
+  this.counter = 0;
+  this.started = false;
+  this.closed = false;
+
+  this._healthTimer = null;
+}
+
+util.inherits(SessionPool, EventEmitter);
+
+/**
+ * Starts the sessions.  Called by the first lease() if needed.
+ *
+ * @returns {Promise} Resolves once every session has its SparkContext.
+ */
+SessionPool.prototype.start = function() {
+  var scope = this;
+
+  if (!this.started) {
+    this.started = true;
+
+    while (this.sessions.length < this.size) {
+      this._add();
+    }
+
+    if (this.healthInterval > 0) {
+      this._healthTimer = setInterval(function() {
+        scope.checkHealth();
+      }, this.healthInterval);
+
+      // the pool should not keep the process alive on its own
+      if (this._healthTimer.unref) {
+        this._healthTimer.unref();
+      }
+    }
+  }
+
+  return Promise.all(this.sessions.map(function(session) {
+    return session.readyP;
+  }));
+};
+
+/**
+ * Leases a session.  With a tenant, the same session (and its Spark state) is handed out again until it has been
+ * idle for idleTimeout; a tenant only holds one lease at a time, so further leases wait for the release.
+ * Without a tenant, the session is recycled once released.
+ *
+ * @param {string} [tenant]
+ * @returns {Promise.<module:eclairjs.SessionLease>}
+ */
+SessionPool.prototype.lease = function(tenant) {
+  var scope = this;
+
+  if (this.closed) {
+    return Promise.reject(new Error('SessionPool has been shut down'));
+  }
+
+  this.start();
+
+  return new Promise(function(resolve, reject) {
+    var waiter = {tenant: tenant || null, resolve: resolve, reject: reject, timer: null};
+
+    if (scope.options.acquireTimeout) {
+      waiter.timer = setTimeout(function() {
+        scope.waiters.splice(scope.waiters.indexOf(waiter), 1);
+        reject(new Error('Timed out waiting for a session after ' + scope.options.acquireTimeout + 'ms'));
+      }, scope.options.acquireTimeout);
+    }
+
+    scope.waiters.push(waiter);
+    scope._dispatch();
+  });
+};
+
+/**
+ * Sessions in the pool.
+ *
+ * @returns {object[]} {id, state, tenant, lastUsed} for each session, state is starting, idle or leased.
+ */
+SessionPool.prototype.stats = function() {
+  return this.sessions.map(function(session) {
+    return {id: session.id, state: session.state, tenant: session.tenant, lastUsed: session.lastUsed};
+  });
+};
+
+/**
+ * Health-checks the idle sessions now, recycling the ones that do not answer.
+ *
+ * @returns {Promise}
+ */
+SessionPool.prototype.checkHealth = function() {
+  var scope = this;
+
+  return Promise.all(this.sessions.filter(function(session) {
+    return session.state == 'idle' && !session.checking;
+  }).map(function(session) {
+    session.checking = true;
+
+    return scope._ping(session).then(function() {
+      session.checking = false;
+    }, function(e) {
+      session.checking = false;
+
+      if (session.state == 'idle') {
+        scope._recycle(session, 'unhealthy: ' + e.message);
+      } else {
+        // leased in the meantime, recycle it once it comes back
+        session.unhealthy = true;
+      }
+    });
+  }));
+};
+
+/**
+ * Stops every session and rejects the leases still waiting.
+ *
+ * @returns {Promise}
+ */
+SessionPool.prototype.shutdown = function() {
+  var scope = this;
+
+  this.closed = true;
+
+  if (this._healthTimer) {
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+  }
+
+  this.waiters.splice(0).forEach(function(waiter) {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error('SessionPool has been shut down'));
+  });
+
+  return Promise.all(this.sessions.splice(0).map(function(session) {
+    return scope._stop(session);
+  }));
+};
+
+SessionPool.prototype._add = function() {
+  // index.js requires this file
+  var EclairJS = require('./index.js');
+
+  var scope = this;
+  var options = {};
+
+  Object.keys(this.options).forEach(function(key) {
+    if (POOL_OPTIONS.indexOf(key) < 0) {
+      options[key] = scope.options[key];
+    }
+  });
+
+  this.counter++;
+
+  if (typeof options.transport == 'function') {
+    options.transport = options.transport(this.counter);
+  }
+
+  var session = {
+    id: this.counter,
+    appName: this.appName + '-' + this.counter,
+    state: 'starting',
+    tenant: null,
+    lastUsed: Date.now(),
+    idleTimer: null,
+    sparkSession: null
+  };
+
+  session.spark = new EclairJS(options);
+  session.sc = new session.spark.SparkContext(this.master, session.appName);
+
+  // a failed connection only rejects the server's promise
+  var kernelP = session.spark.server.getKernelPromise();
+
+  session.readyP = Promise.all([kernelP, session.sc.kernelP]).then(function() {
+    if (session.state == 'starting') {
+      session.state = 'idle';
+      scope.emit('ready', session);
+      scope._dispatch();
+    }
+  }, function(e) {
+    logger.warn('Session ' + session.appName + ' failed to start', {session: session.appName, error: e});
+
+    scope._remove(session);
+    scope.emit('sessionFailed', session, e);
+
+    if (!scope.closed) {
+      setTimeout(function() {
+        if (!scope.closed) {
+          scope._add();
+        }
+      }, scope.retryDelay);
+    }
+  });
+
+  this.sessions.push(session);
+
+  return session;
+};
+
+SessionPool.prototype._remove = function(session) {
+  var i = this.sessions.indexOf(session);
+
+  if (i >= 0) {
+    this.sessions.splice(i, 1);
+  }
+};
+
+// hands out free sessions to the waiting leases, in order
+SessionPool.prototype._dispatch = function() {
+  var scope = this;
+
+  this.waiters.slice().forEach(function(waiter) {
+    var session = scope._find(waiter.tenant);
+
+    if (session) {
+      scope.waiters.splice(scope.waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+
+      clearTimeout(session.idleTimer);
+      session.state = 'leased';
+      session.tenant = waiter.tenant;
+      session.lastUsed = Date.now();
+
+      waiter.resolve(new SessionLease(scope, session));
+    }
+  });
+
+  // nothing free for the rest: make room by recycling the least recently used tenant session
+  var blocked = this.waiters.filter(function(waiter) {
+    return !waiter.tenant || !scope._owned(waiter.tenant);
+  }).length;
+
+  var starting = this.sessions.filter(function(session) {
+    return session.state == 'starting';
+  }).length;
+
+  var evictable = this.sessions.filter(function(session) {
+    return session.state == 'idle' && session.tenant;
+  }).sort(function(a, b) {
+    return a.lastUsed - b.lastUsed;
+  });
+
+  evictable.slice(0, Math.max(0, blocked - starting)).forEach(function(session) {
+    scope._recycle(session, 'evicted');
+  });
+};
+
+SessionPool.prototype._find = function(tenant) {
+  var owned = tenant ? this._owned(tenant) : null;
+
+  if (owned) {
+    return owned.state == 'idle' ? owned : null;
+  }
+
+  return this.sessions.filter(function(session) {
+    return session.state == 'idle' && !session.tenant;
+  })[0];
+};
+
+SessionPool.prototype._owned = function(tenant) {
+  return this.sessions.filter(function(session) {
+    return session.tenant == tenant;
+  })[0];
+};
+
+SessionPool.prototype._release = function(session) {
+  var scope = this;
+
+  if (this.sessions.indexOf(session) < 0) {
+    // recycled or shut down while leased
+    return;
+  }
+
+  session.state = 'idle';
+  session.lastUsed = Date.now();
+
+  if (!session.tenant) {
+    this._recycle(session, 'released');
+  } else if (session.unhealthy) {
+    this._recycle(session, 'unhealthy');
+  } else {
+    session.idleTimer = setTimeout(function() {
+      if (session.state == 'idle') {
+        scope._recycle(session, 'idle');
+      }
+    }, this.idleTimeout);
+
+    if (session.idleTimer.unref) {
+      session.idleTimer.unref();
+    }
+
+    this._dispatch();
+  }
+};
+
+// replaces a session with a fresh one, so the next lease starts from a clean Spark state
+SessionPool.prototype._recycle = function(session, reason) {
+  logger.info('Recycling session ' + session.appName + ' (' + reason + ')', {session: session.appName, reason: reason});
+
+  this._remove(session);
+  this._stop(session);
+  this.emit('recycled', session, reason);
+
+  if (!this.closed) {
+    this._add();
+  }
+};
+
+SessionPool.prototype._stop = function(session) {
+  clearTimeout(session.idleTimer);
+  session.state = 'stopped';
+
+  return session.sc.stop().catch(function(e) {
+    // it may well be dead already
+    logger.debug('Failed to stop session ' + session.appName, {session: session.appName, error: e});
+  });
+};
+
+SessionPool.prototype._ping = function(session) {
+  var timeout = this.healthTimeout;
+
+  return session.spark.server.getKernelPromise().then(function(kernel) {
+    return new Promise(function(resolve, reject) {
+      var timer = setTimeout(function() {
+        reject(new Error('no answer in ' + timeout + 'ms'));
+      }, timeout);
+
+      var infoP = typeof kernel.kernelInfo == 'function' ? kernel.kernelInfo() :
+        Utils.generate({target: session.sc, method: 'version', returnType: String});
+
+      infoP.then(function(info) {
+        clearTimeout(timer);
+        resolve(info);
+      }, function(e) {
+        clearTimeout(timer);
+        reject(e);
+      });
+    });
+  });
+};
+
+SessionPool.SessionLease = SessionLease;
+
+module.exports = SessionPool;
@@ -17,6 +17,7 @@
 module.exports = function(kernelP, server) {
   return (function() {
     var Utils = require('./utils.js');
+    var protocol = require('./kernel.js');
 
     var RDD = require('./rdd/RDD.js');
     var PairRDD = require('./rdd/PairRDD.js');
@@ -31,6 +32,8 @@ module.exports = function(kernelP, server) {
      * @classdesc A JavaScript-friendly version of SparkContext that returns RDDs
      * Only one SparkContext may be active per JVM. You must stop() the active SparkContext before creating a new one.
      * This limitation may eventually be removed; see SPARK-2243 for more details.
+     * When EclairJS was created with the attach option and a running session was found, the session's existing
+     * SparkContext is used and master is ignored.
      * @param {string} master - Cluster URL to connect to
      * @param {string} name - A name for your application, to display on the cluster web UI
      */
@@ -66,7 +69,10 @@ module.exports = function(kernelP, server) {
               kernelP: gKernelP
             };
 
-            Utils.generateConstructor(args).then(function(refId) {
+            // a session we attached to already has its SparkContext
+            var refIdP = server.attached ? Promise.resolve('jsc') : Utils.generateConstructor(args);
+
+            refIdP.then(function(refId) {
               var args = {
                 target: {kernelP: gKernelP, refIdP: Promise.resolve(refId)},
                 method: 'version',
@@ -87,6 +93,9 @@ module.exports = function(kernelP, server) {
           });
         });
 
+        // our kernel promise belongs to the same EclairJS instance as the one we were given
+        protocol.shareNamespace(this.kernelP, gKernelP);
+
         this.refIdP = new Promise(function(resolve, reject) {
           this.kernelP.then(function() {
             resolve('jsc');
@@ -428,18 +437,13 @@ module.exports = function(kernelP, server) {
     };
 
     /**
-     * @returns {SparkStatusTracker}
+     * There is no SparkStatusTracker wrapper, call its methods with invoke().
+     * @example
+     * sc.statusTracker().invoke('getActiveJobIds', [], {returnType: [Number]}).then(...);
+     * @returns {module:eclairjs.RemoteObject}
      */
     SparkContext.prototype.statusTracker = function() {
-      throw "not implemented by ElairJS";
-    //   var args ={
-    //     target: this, 
-    //     method: 'statusTracker', 
-    //     returnType: SparkStatusTracker
-    // 
-    //   };
-    // 
-    //   return Utils.generate(args);
+      return this.invoke('statusTracker');
     };
 
     /**
@@ -631,6 +635,17 @@ module.exports = function(kernelP, server) {
       return Utils.generate(args);
     };
 
+    /**
+     * Calls any method of the SparkContext, including those without a wrapper.
+     * @function
+     * @name module:eclairjs.SparkContext#invoke
+     * @param {string} method
+     * @param {Array} [args]
+     * @param {object} [options] {returnType, timeout, signal}, see Utils.invoke.
+     * @returns {module:eclairjs.RemoteObject|Promise|object}
+     */
+    SparkContext.prototype.invoke = Utils.invoke;
+
     SparkContext.moduleLocation = '/SparkContext';
 
     return SparkContext;
@@ -0,0 +1,278 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var CancellationError = require('./CancellationError.js');
+var codegen = require('./codegen.js');
+
+// The active SparkContext, whichever way the application created it
+var SPARK_CONTEXT = codegen.raw('org.apache.spark.SparkContext.getOrCreate()');
+
+// holds the result of a wrapped call until the job group is cleared
+var RESULT = 'eclairjsCancellableResult';
+
+/**
+ * Cancellation state of one Spark call.  The call is "armed" once a timeout, AbortSignal or cancel() has been
+ * requested before it is sent; armed calls run in their own Spark job group so their jobs can be cancelled.  Any
+ * call can be cancelled once sent, see watch().
+ *
+ * @constructor
+ * @ignore
+ */
+function Cancellation() {
+  this.armed = false;
+  this.error = null;
+  this.groupId = null;
+
+  this._listeners = [];
+  this._timer = null;
+  this._signal = null;
+  this._onAbort = null;
+}
+
+/**
+ * @param {string} reason 'cancelled', 'timeout' or 'aborted'
+ * @param {string} message
+ */
+Cancellation.prototype.cancel = function(reason, message) {
+  this.armed = true;
+
+  if (this.error) {
+    return;
+  }
+
+  this.error = new CancellationError(message, reason);
+
+  var error = this.error;
+  var listeners = this._listeners;
+
+  this.dispose();
+
+  listeners.forEach(function(listener) {
+    listener(error);
+  });
+};
+
+/**
+ * @param {function} listener Called with the CancellationError, right away if already cancelled.
+ */
+Cancellation.prototype.onCancel = function(listener) {
+  if (this.error) {
+    listener(this.error);
+  } else {
+    this._listeners.push(listener);
+  }
+};
+
+/**
+ * @param {number} ms
+ */
+Cancellation.prototype.setTimeout = function(ms) {
+  var scope = this;
+
+  this.armed = true;
+
+  if (this._timer) {
+    clearTimeout(this._timer);
+  }
+
+  this._timer = setTimeout(function() {
+    scope.cancel('timeout', 'Spark call timed out after ' + ms + 'ms');
+  }, ms);
+};
+
+/**
+ * @param {AbortSignal} signal
+ */
+Cancellation.prototype.setSignal = function(signal) {
+  var scope = this;
+
+  this.armed = true;
+
+  if (signal.aborted) {
+    this.cancel('aborted', 'Spark call was aborted');
+    return;
+  }
+
+  this._signal = signal;
+  this._onAbort = function() {
+    scope.cancel('aborted', 'Spark call was aborted');
+  };
+
+  signal.addEventListener('abort', this._onAbort);
+};
+
+/**
+ * Stops the timer and stops listening to the signal, once the call is done.
+ */
+Cancellation.prototype.dispose = function() {
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  if (this._signal) {
+    this._signal.removeEventListener('abort', this._onAbort);
+    this._signal = null;
+  }
+
+  this._listeners = [];
+};
+
+/**
+ * Wraps a generated call so it runs in its own Spark job group.
+ *
+ * @param {object} callStatement The Var or Expression statement of the call, see codegen.js
+ * @param {string} description Shown in the Spark UI
+ * @param {boolean} returnsResult Whether the value of the call is the result of the execute.
+ * @returns {object[]} The statements that replace callStatement.
+ */
+Cancellation.prototype.wrap = function(callStatement, description, returnsResult) {
+  var statements = [
+    codegen.statement(codegen.call(codegen.member(SPARK_CONTEXT, 'setJobGroup'), [
+      codegen.value(this.groupId), codegen.value(description), codegen.value(true)
+    ]))
+  ];
+
+  var clear = codegen.statement(codegen.call(codegen.member(SPARK_CONTEXT, 'clearJobGroup')));
+
+  if (returnsResult) {
+    statements.push(codegen.tryFinally([codegen.declare(RESULT, callStatement.expression)], [clear]));
+    statements.push(codegen.statement(codegen.raw(RESULT)));
+  } else {
+    statements.push(codegen.tryFinally([callStatement], [clear]));
+  }
+
+  return statements;
+};
+
+// the kernel publishes execute_input (and goes busy) once it starts running a cell
+function isStart(msg) {
+  var type = msg.header ? msg.header.msg_type : msg.msg_type;
+
+  return type == 'execute_input' || (type == 'status' && msg.content && msg.content.execution_state == 'busy');
+}
+
+/**
+ * Stops the cell that runs the call once it is cancelled.  The kernel only interrupts whatever cell is running, so
+ * we only interrupt while ours is: right away if it is running, once it starts if it still waits behind other
+ * cells, not at all if it is done.  An armed call then has its job group cancelled, which the interrupt lets
+ * through.
+ *
+ * @param {KernelFuture} future The future of the call, with its callbacks already set.
+ * @param {object} kernel
+ * @param {string} description For the logs.
+ */
+Cancellation.prototype.watch = function(future, kernel, description) {
+  var protocol = require('./kernel.js');
+  var logger = require('./logger.js').kernel;
+
+  var scope = this;
+  var running = false;
+  var finished = false;
+  var stopped = false;
+
+  var onIOPub = future.onIOPub;
+  var onDone = future.onDone;
+
+  function stop() {
+    if (stopped) {
+      return;
+    }
+
+    stopped = true;
+
+    logger.info('Cancelling ' + description, {groupId: scope.groupId});
+
+    if (kernel.interrupt) {
+      kernel.interrupt().catch(function(e) {
+        logger.warn('Failed to interrupt kernel', {error: e});
+      });
+    }
+
+    if (scope.groupId) {
+      protocol.verifyKernelExecution(kernel.execute({code: scope.cancelJobGroupCode()}), function() {}, function(e) {
+        logger.warn('Failed to cancel job group ' + scope.groupId, {error: e});
+      });
+    }
+  }
+
+  future.onIOPub = function(msg) {
+    if (!running && !finished && isStart(msg)) {
+      running = true;
+
+      if (scope.error) {
+        // cancelled while it was waiting
+        stop();
+      }
+    }
+
+    if (onIOPub) {
+      onIOPub(msg);
+    }
+  };
+
+  future.onDone = function(msg) {
+    finished = true;
+
+    if (onDone) {
+      onDone(msg);
+    }
+  };
+
+  this.onCancel(function() {
+    if (running && !finished) {
+      stop();
+    }
+  });
+};
+
+/**
+ * @returns {string} Code that cancels the jobs of this call.
+ */
+Cancellation.prototype.cancelJobGroupCode = function() {
+  return codegen.print(codegen.statement(codegen.call(codegen.member(SPARK_CONTEXT, 'cancelJobGroup'), [
+    codegen.value(this.groupId)
+  ])));
+};
+
+/**
+ * Adds cancel(), withTimeout(ms) and withSignal(signal) to a promise returned for a Spark call.  Each returns
+ * the promise so they can be chained.
+ *
+ * @param {Promise} promise
+ * @param {Cancellation} cancellation
+ * @returns {Promise}
+ */
+Cancellation.decorate = function(promise, cancellation) {
+  promise.cancel = function() {
+    cancellation.cancel('cancelled', 'Spark call was cancelled');
+    return promise;
+  };
+
+  promise.withTimeout = function(ms) {
+    cancellation.setTimeout(ms);
+    return promise;
+  };
+
+  promise.withSignal = function(signal) {
+    cancellation.setSignal(signal);
+    return promise;
+  };
+
+  return promise;
+};
+
+module.exports = Cancellation;
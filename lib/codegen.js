@@ -0,0 +1,240 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var literal = require('./literal.js');
+
+/*
+ * The code we send to the kernel, as a tree rather than a string.  Utils.generate and the constructors describe
+ * what to run with the node functions below and print() is the only place that turns them into source, so a new
+ * kind of call is a new node (or a new combination of them) instead of another round of string concatenation.
+ *
+ *   Program      body: [statement]
+ *   Require      var Name = require(EclairJS_Globals.NAMESPACE + '/location')[.Export];
+ *   Var          var name = init;
+ *   Expression   expression;
+ *   Try          try { block } finally { finalizer }
+ *
+ *   Raw          code that is already source: an encoded argument (see literal.js) or a kernel variable
+ *   Call         callee(args)
+ *   New          new callee(args)
+ *   Member       object.property
+ *   Stringify    JSON.stringify(expression), or (encoder)(expression, target) with an encoder
+ */
+
+var INDENT = '  ';
+
+/**
+ * @param {string} code Source, used as is.
+ * @returns {object}
+ */
+function raw(code) {
+  return {type: 'Raw', code: String(code)};
+}
+
+/**
+ * @param {*} data
+ * @returns {object} The value as a literal.
+ */
+function value(data) {
+  return raw(literal(data));
+}
+
+/**
+ * @param {object} object
+ * @param {string} property
+ * @returns {object}
+ */
+function member(object, property) {
+  return {type: 'Member', object: object, property: property};
+}
+
+/**
+ * @param {object} callee
+ * @param {object[]} [args]
+ * @returns {object}
+ */
+function call(callee, args) {
+  return {type: 'Call', callee: callee, args: args || []};
+}
+
+/**
+ * @param {object} callee
+ * @param {object[]} [args]
+ * @returns {object}
+ */
+function construct(callee, args) {
+  return {type: 'New', callee: callee, args: args || []};
+}
+
+/**
+ * @param {object} expression
+ * @param {string} [encoder] Source of a function(result, target) that returns the string instead of JSON.stringify.
+ * @param {object} [target] Passed to the encoder.
+ * @returns {object}
+ */
+function stringify(expression, encoder, target) {
+  return {type: 'Stringify', expression: expression, encoder: encoder, target: target};
+}
+
+/**
+ * @param {string} name
+ * @param {string} moduleLocation '/sql/Dataset', or '/sql/functions#col' for one export of a module.
+ * @returns {object}
+ */
+function requireModule(name, moduleLocation) {
+  return {type: 'Require', name: name, moduleLocation: moduleLocation};
+}
+
+/**
+ * @param {string} name
+ * @param {object} init
+ * @returns {object}
+ */
+function declare(name, init) {
+  return {type: 'Var', name: name, init: init};
+}
+
+/**
+ * @param {object} expression
+ * @returns {object}
+ */
+function statement(expression) {
+  return {type: 'Expression', expression: expression};
+}
+
+/**
+ * @param {object[]} block
+ * @param {object[]} finalizer
+ * @returns {object}
+ */
+function tryFinally(block, finalizer) {
+  return {type: 'Try', block: block, finalizer: finalizer};
+}
+
+/**
+ * @param {object[]} body
+ * @returns {object}
+ */
+function program(body) {
+  return {type: 'Program', body: body};
+}
+
+/**
+ * The Require statements for the modules in requires that the namespace has not required yet.  Marks them as
+ * required.
+ *
+ * @param {object[]} requires [{name, moduleLocation}]
+ * @param {Namespace} namespace
+ * @returns {object[]}
+ */
+function requires(requires, namespace) {
+  var statements = [];
+
+  requires.forEach(function(r) {
+    if (!namespace.requireCache[r.moduleLocation]) {
+      namespace.requireCache[r.moduleLocation] = true;
+
+      statements.push(requireModule(r.name, r.moduleLocation));
+    }
+  });
+
+  return statements;
+}
+
+function printArgs(args) {
+  return '(' + args.map(printExpression).join(', ') + ')';
+}
+
+function printExpression(node) {
+  switch (node.type) {
+    case 'Raw':
+      return node.code;
+    case 'Member':
+      return printExpression(node.object) + '.' + node.property;
+    case 'Call':
+      return printExpression(node.callee) + printArgs(node.args);
+    case 'New':
+      return 'new ' + printExpression(node.callee) + printArgs(node.args);
+    case 'Stringify':
+      if (node.encoder) {
+        return '(' + node.encoder + ')(' + printExpression(node.expression) + ', ' + printExpression(node.target) + ')';
+      }
+
+      return 'JSON.stringify(' + printExpression(node.expression) + ')';
+    default:
+      throw new Error('Not an expression: ' + node.type);
+  }
+}
+
+function printBlock(statements, indent) {
+  return statements.map(function(s) {
+    return printStatement(s, indent + INDENT);
+  }).join('\n');
+}
+
+function printStatement(node, indent) {
+  switch (node.type) {
+    case 'Require':
+      // A file can export multiple modules, denoted by Foo/Bar#Baz
+      var parts = node.moduleLocation.split('#');
+
+      return indent + 'var ' + node.name + ' = require(EclairJS_Globals.NAMESPACE + \'' + parts[0] + '\')' +
+        (parts.length > 1 ? '.' + parts[1] : '') + ';';
+    case 'Var':
+      return indent + 'var ' + node.name + ' = ' + printExpression(node.init) + ';';
+    case 'Expression':
+      return indent + printExpression(node.expression) + ';';
+    case 'Try':
+      return indent + 'try {\n' + printBlock(node.block, indent) + '\n' + indent + '} finally {\n' +
+        printBlock(node.finalizer, indent) + '\n' + indent + '}';
+    default:
+      throw new Error('Not a statement: ' + node.type);
+  }
+}
+
+/**
+ * Renders a program, statement or expression as source.
+ *
+ * @param {object} node
+ * @returns {string}
+ */
+function print(node) {
+  if (node.type == 'Program') {
+    return node.body.map(function(s) {
+      return printStatement(s, '');
+    }).join('\n');
+  } else if (['Require', 'Var', 'Expression', 'Try'].indexOf(node.type) >= 0) {
+    return printStatement(node, '');
+  }
+
+  return printExpression(node);
+}
+
+module.exports = {
+  raw: raw,
+  value: value,
+  member: member,
+  call: call,
+  construct: construct,
+  stringify: stringify,
+  requireModule: requireModule,
+  declare: declare,
+  statement: statement,
+  tryFinally: tryFinally,
+  program: program,
+  requires: requires,
+  print: print
+};
@@ -0,0 +1,345 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var protocol = require('./kernel.js');
+var logger = require('./logger.js');
+var literal = require('./literal.js');
+
+// the comm target chunks come back on, the kernel side finds the comm with commMap.get('collect:' + id)
+var COMM_TARGET = 'collect';
+
+var NO_COMM = 'The kernel has no "' + COMM_TARGET + '" comm target, which collect({chunkSize}) needs';
+
+var DEFAULT_CHUNK_SIZE = 10000;
+var DEFAULT_HIGH_WATER_MARK = 2;
+
+/**
+ * The result of collect({chunkSize}): the elements of an RDD or Dataset, transferred a chunk at a time over a
+ * comm instead of as a single result.  It is both a promise of the whole array and an async iterator of the
+ * elements, so large results can be processed without holding them (or their JSON) in memory at once:
+ *
+ * @example
+ * rdd.collect({chunkSize: 5000}).then(function(all) {...});
+ *
+ * for await (var row of dataset.collect({chunkSize: 5000})) {...}
+ *
+ * The elements are read on the driver with toLocalIterator(), so it holds no more than a partition of them at a
+ * time, and chunks are only requested as they are consumed, at most highWaterMark of them ahead.  A collect can
+ * be consumed once, either way.
+ *
+ * This needs a kernel that registers a "collect" comm target and gives the code it runs the open comms in commMap,
+ * as EclairJS-nashorn does.  On other kernels (a plain Toree kernel among them) the collect fails with an error
+ * saying so.
+ *
+ * @constructor
+ * @memberof module:eclairjs
+ * @param {object} target The RDD or Dataset.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=10000] Elements per chunk.
+ * @param {number} [options.highWaterMark=2] Chunks requested ahead of the one being consumed.
+ * @param {function} [options.resolveValue] Turns each element of a chunk into what is returned.
+ */
+function ChunkedCollect(target, options) {
+  var opts = options || {};
+
+  this.target = target;
+  this.chunkSize = opts.chunkSize || DEFAULT_CHUNK_SIZE;
+  this.highWaterMark = opts.highWaterMark !== undefined ? opts.highWaterMark : DEFAULT_HIGH_WATER_MARK;
+  this.resolveValue = opts.resolveValue || null;
+
+  this._startP = null;
+  this._arrayP = null;
+  this._chunks = {};
+  this._last = null;
+  this._waiting = {};
+  this._arrived = {};
+  this._consumed = false;
+  this._closed = false;
+}
+
+/**
+ * Opens the comm, and an iterator over the elements on the driver, in a variable of its own.
+ *
+ * @returns {Promise} Resolves to {kernel, variable, comm}.
+ * @private
+ */
+ChunkedCollect.prototype._start = function() {
+  var scope = this;
+
+  if (!this._startP) {
+    this._startP = Promise.all([this.target.kernelP, this.target.refIdP]).then(function(values) {
+      var kernel = values[0];
+      var refId = values[1];
+      var variable = protocol.namespaceFor(scope.target.kernelP).genVariable('eclairjsCollect');
+      var comm = kernel.connectToComm(COMM_TARGET, variable);
+
+      comm.onMsg = function(msg) {
+        scope._onChunk(msg.content.data);
+      };
+
+      comm.open('');
+
+      // the kernel opens the comm before it runs the code, unless it has no such target
+      var code = 'if (typeof commMap == "undefined" || !commMap.get(' + literal.quote(COMM_TARGET + ':' + variable) +
+        ')) {\n  throw new Error(' + literal.quote(NO_COMM) + ');\n}\n' +
+        'var ' + variable + ' = ' + refId + '.toLocalIterator();';
+
+      return scope._execute(kernel, code, 'collect').then(function() {
+        return {
+          kernel: kernel,
+          variable: variable,
+          comm: comm
+        };
+      }, function(e) {
+        comm.close();
+        throw e;
+      });
+    });
+  }
+
+  return this._startP;
+};
+
+ChunkedCollect.prototype._execute = function(kernel, code, method) {
+  var callInfo = {code: code, className: 'ChunkedCollect', method: method};
+
+  logger.codegen.debug('Executing: ' + code, {className: callInfo.className, method: method});
+
+  return new Promise(function(resolve, reject) {
+    protocol.verifyKernelExecution(kernel.execute({code: code, silent: false}), resolve, reject, null, callInfo);
+  });
+};
+
+ChunkedCollect.prototype._onChunk = function(data) {
+  var message = typeof data == 'string' ? JSON.parse(data) : data;
+  var index = message.chunk;
+
+  if (this._waiting[index]) {
+    this._waiting[index](message);
+    delete this._waiting[index];
+  } else {
+    this._arrived[index] = message;
+  }
+};
+
+// the kernel sends the next chunkSize elements of the iterator over the comm as chunk index, and whether they were
+// the last, the execute only tells whether that failed
+ChunkedCollect.prototype._fetch = function(state, index) {
+  var scope = this;
+
+  var arrived = false;
+
+  var arrivedP = new Promise(function(resolve) {
+    function receive(message) {
+      arrived = true;
+      resolve(message);
+    }
+
+    if (scope._arrived[index]) {
+      receive(scope._arrived[index]);
+      delete scope._arrived[index];
+    } else {
+      scope._waiting[index] = receive;
+    }
+  });
+
+  // in a function, so the chunk is no variable of the kernel
+  var code = '(function(it) {\n' +
+    '  var values = [];\n' +
+    '  while (values.length < ' + this.chunkSize + ' && it.hasNext()) {\n' +
+    '    values.push(it.next());\n' +
+    '  }\n' +
+    '  commMap.get(' + literal.quote(COMM_TARGET + ':' + state.variable) + ').send(' + literal.quote(COMM_TARGET) +
+    ', JSON.stringify({chunk: ' + index + ', values: values, done: !it.hasNext()}));\n' +
+    '})(' + state.variable + ');';
+
+  return this._execute(state.kernel, code, 'chunk').then(function() {
+    if (!arrived) {
+      // the kernel sends the chunk before it finishes the request, unless it only replays a transcript (or the
+      // collect was closed meanwhile)
+      delete scope._waiting[index];
+      throw new Error('Chunk ' + index + ' of the collect never arrived');
+    }
+
+    return arrivedP;
+  }, function(e) {
+    delete scope._waiting[index];
+    throw e;
+  }).then(function(message) {
+    if (message.done && (scope._last === null || index < scope._last)) {
+      scope._last = index;
+    }
+
+    return {
+      values: scope.resolveValue ? message.values.map(scope.resolveValue) : message.values,
+      done: message.done
+    };
+  });
+};
+
+/**
+ * @param {number} index
+ * @returns {Promise} Resolves to {values, done}, the elements of chunk index and whether it is the last one,
+ * after requesting the chunks up to highWaterMark ahead.
+ * @private
+ */
+ChunkedCollect.prototype._chunk = function(index) {
+  var scope = this;
+
+  return this._start().then(function(state) {
+    // until the last chunk is known, the ones requested past it come back empty
+    for (var i = index; i <= index + scope.highWaterMark && (scope._last === null || i <= scope._last); i++) {
+      if (!scope._chunks[i]) {
+        scope._chunks[i] = scope._fetch(state, i);
+
+        // a chunk fetched ahead may never be consumed, its failure is reported by the one that is
+        scope._chunks[i].catch(function() {});
+      }
+    }
+
+    var chunkP = scope._chunks[index];
+    delete scope._chunks[index];
+
+    return chunkP;
+  });
+};
+
+/**
+ * Releases the collected array on the driver and the comm.
+ *
+ * @returns {Promise}
+ */
+ChunkedCollect.prototype.close = function() {
+  var scope = this;
+
+  if (this._closed || !this._startP) {
+    this._closed = true;
+    return Promise.resolve();
+  }
+
+  this._closed = true;
+  this._chunks = {};
+  this._waiting = {};
+  this._arrived = {};
+
+  return this._startP.then(function(state) {
+    state.comm.close();
+
+    return scope._execute(state.kernel, state.variable + ' = null;', 'close');
+  }, function() {
+    // nothing was collected
+  });
+};
+
+ChunkedCollect.prototype._claim = function() {
+  if (this._consumed) {
+    throw new Error('A chunked collect can only be consumed once');
+  }
+
+  this._consumed = true;
+};
+
+/**
+ * @returns {Promise.<Array>} All the elements.
+ */
+ChunkedCollect.prototype.toArray = function() {
+  var scope = this;
+
+  if (this._arrayP) {
+    return this._arrayP;
+  }
+
+  this._claim();
+
+  var result = [];
+
+  function next(index) {
+    return scope._chunk(index).then(function(chunk) {
+      chunk.values.forEach(function(value) {
+        result.push(value);
+      });
+
+      return chunk.done ? result : next(index + 1);
+    });
+  }
+
+  this._arrayP = next(0).then(function(all) {
+    return scope.close().then(function() {
+      return all;
+    });
+  }, function(e) {
+    return scope.close().then(function() {
+      throw e;
+    });
+  });
+
+  return this._arrayP;
+};
+
+ChunkedCollect.prototype.then = function(onFulfilled, onRejected) {
+  return this.toArray().then(onFulfilled, onRejected);
+};
+
+ChunkedCollect.prototype.catch = function(onRejected) {
+  return this.toArray().catch(onRejected);
+};
+
+ChunkedCollect.prototype[Symbol.asyncIterator] = function() {
+  var scope = this;
+  var chunkIndex = 0;
+  var buffer = [];
+  var position = 0;
+  var done = false;
+
+  this._claim();
+
+  function finish() {
+    return scope.close().then(function() {
+      return {value: undefined, done: true};
+    });
+  }
+
+  function next() {
+    if (position < buffer.length) {
+      return Promise.resolve({value: buffer[position++], done: false});
+    }
+
+    if (scope._closed || done) {
+      return finish();
+    }
+
+    return scope._chunk(chunkIndex++).then(function(chunk) {
+      buffer = chunk.values;
+      position = 0;
+      done = chunk.done;
+
+      return next();
+    }).catch(function(e) {
+      return scope.close().then(function() {
+        throw e;
+      });
+    });
+  }
+
+  return {
+    next: next,
+    return: finish
+  };
+};
+
+ChunkedCollect.COMM_TARGET = COMM_TARGET;
+
+module.exports = ChunkedCollect;
@@ -0,0 +1,417 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var os = require('os');
+
+var values = require('./sql/values.js');
+
+var FORMAT = 'eclairjs-columnar';
+var VERSION = 1;
+
+var TYPED_ARRAYS = {
+  int32: Int32Array,
+  float32: Float32Array,
+  float64: Float64Array,
+  uint8: Uint8Array
+};
+
+/*
+ * The columnar result format, a JSON document holding each column once:
+ *
+ *   {
+ *     format: 'eclairjs-columnar',
+ *     version: 1,
+ *     length: 3,
+ *     littleEndian: true,
+ *     fields: [{name: 'name', dataType: 'string', nullable: true}, {name: 'age', dataType: 'integer', nullable: true}],
+ *     columns: [
+ *       {type: 'json', nulls: null, data: ['ann', 'bob', null]},
+ *       {type: 'int32', nulls: 'BA==', data: 'HwAAABEAAAAAAAAA'}
+ *     ]
+ *   }
+ *
+ * Integer, short and byte columns are int32, double float64, float float32 and boolean uint8, with data the
+ * base64 of the values in the byte order given by littleEndian.  Dates and timestamps are float64 too, in ms since
+ * the epoch.  Long columns are int64 and decimals decimal, both a JSON array of the decimal strings so no digit is
+ * lost, and binary columns are binary, a JSON array of the base64 of each value.  Other types (strings, nested
+ * types...) are a JSON array.  nulls is the base64 of a bitmap with bit i set when row i is null, or null when no
+ * row is.
+ */
+
+/**
+ * Runs in the kernel (EclairJS-nashorn or the local backend), so it is plain ES5 with no Node APIs: turns what
+ * collect(), take() or head() returned into the columnar format.
+ *
+ * @param {Array} rows
+ * @param {object} ds The Dataset, for the schema.
+ * @returns {string}
+ * @ignore
+ */
+function encodeColumnar(rows, ds) {
+  var ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  var KINDS = {integer: 'int32', short: 'int32', byte: 'int32', long: 'int64', double: 'float64', float: 'float32',
+    boolean: 'uint8', date: 'float64', timestamp: 'float64', binary: 'binary'};
+  var ARRAYS = {int32: Int32Array, float32: Float32Array, float64: Float64Array, uint8: Uint8Array};
+  var JSON_KINDS = {json: true, int64: true, decimal: true, binary: true};
+
+  function base64(bytes) {
+    var parts = [];
+
+    for (var i = 0; i < bytes.length; i += 3) {
+      var b0 = bytes[i], b1 = i + 1 < bytes.length ? bytes[i + 1] : 0, b2 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+
+      parts.push(ALPHABET.charAt(b0 >> 2) + ALPHABET.charAt(((b0 & 3) << 4) | (b1 >> 4)) +
+        (i + 1 < bytes.length ? ALPHABET.charAt(((b1 & 15) << 2) | (b2 >> 6)) : '=') +
+        (i + 2 < bytes.length ? ALPHABET.charAt(b2 & 63) : '='));
+    }
+
+    return parts.join('');
+  }
+
+  var fields = JSON.parse(JSON.stringify(ds.schema())).fields;
+  var first = rows.length ? rows[0] : null;
+  var isRow = first !== null && typeof first == 'object' && 'isNullAt' in first;
+
+  function valueOf(row, c) {
+    if (isRow) {
+      return row.get(c);
+    }
+
+    return fields.length == 1 || row === null || typeof row != 'object' ? row : row[fields[c].name];
+  }
+
+  // a SqlDate or SqlTimestamp, or what its toJSON() gave
+  function timeOf(value) {
+    if (typeof value == 'number') {
+      return value;
+    }
+
+    return typeof value.getTime == 'function' ? value.getTime() : new Date(String(value).replace(' ', 'T')).getTime();
+  }
+
+  function encode(kind, value) {
+    if (kind == 'int64') {
+      return String(value);
+    } else if (kind == 'decimal') {
+      return typeof value.toPlainString == 'function' ? String(value.toPlainString()) : String(value);
+    } else if (kind == 'binary') {
+      var bytes = new Uint8Array(value.length);
+
+      for (var b = 0; b < value.length; b++) {
+        bytes[b] = value[b] & 255;
+      }
+
+      return base64(bytes);
+    }
+
+    return value;
+  }
+
+  var columns = fields.map(function(field, c) {
+    var type = typeof field.dataType == 'string' ? field.dataType : null;
+    var kind = type && KINDS.hasOwnProperty(type) ? KINDS[type] : type && type.indexOf('decimal') === 0 ? 'decimal' : 'json';
+    var data = JSON_KINDS[kind] ? [] : new ARRAYS[kind](rows.length);
+    var isTime = type == 'date' || type == 'timestamp';
+    var nulls = null;
+
+    for (var i = 0; i < rows.length; i++) {
+      var value = valueOf(rows[i], c);
+
+      if (value === null || value === undefined) {
+        nulls = nulls || new Uint8Array(Math.ceil(rows.length / 8));
+        nulls[i >> 3] |= 1 << (i & 7);
+
+        if (JSON_KINDS[kind]) {
+          data.push(null);
+        }
+      } else if (JSON_KINDS[kind]) {
+        data.push(encode(kind, value));
+      } else if (isTime) {
+        data[i] = timeOf(value);
+      } else {
+        data[i] = kind == 'uint8' ? (value ? 1 : 0) : Number(value);
+      }
+    }
+
+    return {
+      type: kind,
+      nulls: nulls ? base64(nulls) : null,
+      data: JSON_KINDS[kind] ? data : base64(new Uint8Array(data.buffer))
+    };
+  });
+
+  return JSON.stringify({
+    format: 'eclairjs-columnar',
+    version: 1,
+    length: rows.length,
+    littleEndian: new Uint8Array(new Uint16Array([1]).buffer)[0] === 1,
+    fields: fields,
+    columns: columns
+  });
+}
+
+function decodeTyped(type, data, littleEndian) {
+  var bytes = Buffer.from(data, 'base64');
+  var TypedArray = TYPED_ARRAYS[type];
+
+  // copied, a typed array needs its offset aligned to the element size
+  var buffer = new ArrayBuffer(bytes.length);
+  var view = new Uint8Array(buffer);
+  view.set(bytes);
+
+  if (littleEndian !== (os.endianness() == 'LE') && TypedArray.BYTES_PER_ELEMENT > 1) {
+    for (var i = 0; i < view.length; i += TypedArray.BYTES_PER_ELEMENT) {
+      view.subarray(i, i + TypedArray.BYTES_PER_ELEMENT).reverse();
+    }
+  }
+
+  return new TypedArray(buffer);
+}
+
+function decodeColumn(column, littleEndian, options) {
+  if (column.type == 'int64') {
+    var TypedArray = options.bigint ? BigInt64Array : Float64Array;
+
+    return TypedArray.from(column.data, function(value) {
+      if (value === null) {
+        return options.bigint ? BigInt(0) : 0;
+      }
+
+      return options.bigint ? BigInt(value) : Number(value);
+    });
+  } else if (column.type == 'decimal' || column.type == 'binary') {
+    var dataType = column.type;
+
+    return column.data.map(function(value) {
+      return values.fromKernel(value, dataType);
+    });
+  } else if (column.type == 'json') {
+    return column.data;
+  }
+
+  return decodeTyped(column.type, column.data, littleEndian);
+}
+
+/**
+ * A Dataset result in columnar form, as returned by collect({format: 'columnar', columns: true}) and the like:
+ * each column is a typed array (Int32Array for integer columns, Float64Array for double and for dates and
+ * timestamps, in ms, Float32Array for float, Uint8Array for boolean, and for long Float64Array or, with
+ * EclairJS({bigint: true}), BigInt64Array) or, for other types, an array (of Decimals for decimal columns and
+ * Buffers for binary ones).  The typed arrays hold 0 for null values, use isNull() to tell them apart.
+ *
+ * @constructor
+ * @memberof module:eclairjs/sql
+ * @param {object} payload The decoded JSON of the format.
+ * @param {object} [options]
+ * @param {boolean} [options.bigint] Decode long columns to BigInt64Arrays.
+ */
+function ColumnarResult(payload, options) {
+  var opts = options || {};
+
+  /**
+   * @type {number}
+   */
+  this.length = payload.length;
+
+  /**
+   * The fields of the schema, {name, dataType, nullable}.
+   * @type {object[]}
+   */
+  this.fields = payload.fields;
+
+  /**
+   * @type {Array.<TypedArray|Array>}
+   */
+  this.columns = payload.columns.map(function(column) {
+    return decodeColumn(column, payload.littleEndian, opts);
+  });
+
+  // what Rows hold, the form a value has in the JSON format
+  this._wire = payload.columns.map(function(column) {
+    return column.type == 'int64' || column.type == 'binary' ? column.data : null;
+  });
+
+  this._nulls = payload.columns.map(function(column) {
+    return column.nulls ? new Uint8Array(Buffer.from(column.nulls, 'base64')) : null;
+  });
+}
+
+/**
+ * @param {string} name
+ * @returns {number} The index of the column, -1 if there is none with that name.
+ */
+ColumnarResult.prototype.fieldIndex = function(name) {
+  for (var i = 0; i < this.fields.length; i++) {
+    if (this.fields[i].name == name) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+ColumnarResult.prototype._index = function(column) {
+  var index = typeof column == 'string' ? this.fieldIndex(column) : column;
+
+  if (index < 0 || index >= this.columns.length) {
+    throw new Error('No column ' + column);
+  }
+
+  return index;
+};
+
+/**
+ * @param {string|number} column A name or index.
+ * @returns {TypedArray|Array}
+ */
+ColumnarResult.prototype.column = function(column) {
+  return this.columns[this._index(column)];
+};
+
+/**
+ * @param {string|number} column A name or index.
+ * @param {number} row
+ * @returns {boolean}
+ */
+ColumnarResult.prototype.isNull = function(column, row) {
+  var nulls = this._nulls[this._index(column)];
+
+  return nulls !== null && (nulls[row >> 3] & (1 << (row & 7))) !== 0;
+};
+
+/**
+ * @param {number} row
+ * @param {string|number} column A name or index.
+ * @returns {*} The value, null for nulls.
+ */
+ColumnarResult.prototype.get = function(row, column) {
+  var index = this._index(column);
+
+  if (this.isNull(index, row)) {
+    return null;
+  }
+
+  var value = this.columns[index][row];
+  var dataType = this.fields[index].dataType;
+
+  if (dataType == 'boolean') {
+    return value === 1;
+  }
+
+  return dataType == 'date' || dataType == 'timestamp' ? new Date(value) : value;
+};
+
+/**
+ * @param {number} row
+ * @returns {Array} The values of a row.
+ */
+ColumnarResult.prototype.values = function(row) {
+  var values = [];
+
+  for (var c = 0; c < this.columns.length; c++) {
+    values.push(this.get(row, c));
+  }
+
+  return values;
+};
+
+/**
+ * @param {module:eclairjs/sql.RowFactory} RowFactory
+ * @returns {module:eclairjs/sql.Row[]}
+ */
+ColumnarResult.prototype.toRows = function(RowFactory) {
+  var schema = {fields: this.fields};
+  var rows = [];
+
+  for (var i = 0; i < this.length; i++) {
+    var rowValues = this.values(i);
+
+    for (var c = 0; c < rowValues.length; c++) {
+      var wire = this._wire[c];
+
+      if (rowValues[c] === null) {
+        continue;
+      } else if (wire) {
+        // longs beyond 2^53 stay strings, Row turns them into numbers or BigInts
+        var n = Number(wire[i]);
+        rowValues[c] = this.fields[c].dataType == 'long' && Number.isSafeInteger(n) ? n : wire[i];
+      } else if (rowValues[c] instanceof Date) {
+        rowValues[c] = rowValues[c].getTime();
+      } else if (rowValues[c] instanceof values.Decimal) {
+        rowValues[c] = rowValues[c].toString();
+      }
+    }
+
+    rows.push(RowFactory.createLocal(rowValues, schema));
+  }
+
+  return rows;
+};
+
+/**
+ * @param {string} text What encodeColumnar returned.
+ * @param {object} [options] See ColumnarResult.
+ * @returns {module:eclairjs/sql.ColumnarResult}
+ */
+function decode(text, options) {
+  var payload = typeof text == 'string' ? JSON.parse(text) : text;
+
+  if (!payload || payload.format != FORMAT) {
+    throw new Error('Not a columnar result');
+  } else if (payload.version != VERSION) {
+    throw new Error('Unsupported columnar result version ' + payload.version);
+  }
+
+  return new ColumnarResult(payload, options);
+}
+
+/**
+ * The Utils.generate resolver for a columnar result.
+ *
+ * @param {module:eclairjs/sql.RowFactory} RowFactory
+ * @param {object} options
+ * @param {boolean} [options.columns] Resolve to the ColumnarResult instead of Rows.
+ * @param {boolean} [options.single] Resolve to the first Row only, as head() does.
+ * @param {boolean} [options.bigint]
+ * @returns {function}
+ */
+function resolver(RowFactory, options) {
+  return function(result, resolve, reject) {
+    var table;
+
+    try {
+      table = decode(result, options);
+    } catch (e) {
+      reject(new Error('Parse Error: ' + e.message));
+      return;
+    }
+
+    if (options.columns) {
+      resolve(table);
+    } else {
+      var rows = table.toRows(RowFactory);
+
+      resolve(options.single ? (rows.length ? rows[0] : null) : rows);
+    }
+  };
+}
+
+module.exports = {
+  ENCODER: encodeColumnar.toString(),
+  ColumnarResult: ColumnarResult,
+  decode: decode,
+  resolver: resolver
+};
@@ -15,22 +15,80 @@
  */
 
 global.XMLHttpRequest = require('xmlhttprequest').XMLHttpRequest;
-global.WebSocket = require('ws');
+global.WebSocket = require('./transports/JupyterTransport.js').WebSocket;
 
 var Utils = require('./utils.js');
 var Server = require('./server');
+var EclairJSError = require('./EclairJSError.js');
+var CancellationError = require('./CancellationError.js');
+var RemoteObject = require('./RemoteObject.js');
+var lambda = require('./lambda.js');
+var logger = require('./logger.js');
+var SessionPool = require('./SessionPool.js');
 
 /**
  * eclairjs module.
  * @example
  * var eclairjs = require('eclairjs');
+ * var spark = new eclairjs({host: 'sparkhost', port: 443, secure: true, token: process.env.SPARK_TOKEN});
  * @module eclairjs
+ * @param {object} [options]
+ * @param {string|object} [options.transport] 'jupyter' (default), 'websocket', 'record', 'local' or a custom
+ * transport object.
+ * @param {string} [options.host] Host of the Jupyter notebook server (or EclairJS server), defaults to the
+ * JUPYTER_HOST environment variable or 127.0.0.1.
+ * @param {number} [options.port] Defaults to JUPYTER_PORT or 8888.
+ * @param {string} [options.basePath] Path the server is served under, for example /jupyter.
+ * @param {boolean} [options.secure] Connect over https/wss.
+ * @param {string} [options.token] Auth token, sent as an "Authorization: token ..." header.
+ * @param {string} [options.kernelName=eclair] Jupyter kernel to start.
+ * @param {object} [options.headers] Extra headers sent with every request and WebSocket upgrade.
+ * @param {string} [options.url] WebSocket url of the EclairJS server, used by the websocket transport.
+ * @param {boolean} [options.batch] Queue generated statements and send them as one script when an action needs
+ * a result (or flush() is called), instead of one round trip per method call.
+ * @param {boolean} [options.autoDispose] Release the kernel variable behind a Spark object once the object has
+ * been garbage collected (requires FinalizationRegistry).  Objects can always be released with dispose().
+ * @param {boolean} [options.reconnect] Reconnect automatically if the kernel dies or restarts.
+ * @param {boolean} [options.replay] After reconnecting, replay the statements that created existing objects so
+ * they are valid again.  Listen on spark.server for 'disconnected', 'reconnected', 'replayed', 'stateLost'...
+ * @param {boolean|object} [options.attach] Attach to a running session instead of starting a new Spark driver:
+ * {sessionId: id}, {path: path}, or true for the session named after the application.  If no session has the path,
+ * one is started.  Spark objects left by earlier processes can be wrapped with
+ * new Class(spark.server.getKernelPromise(), Promise.resolve(variableName)).
+ * @param {string} [options.mode] 'record' runs without any kernel: the generated statements are captured in order
+ * and can be exported as a standalone EclairJS-nashorn script for spark-submit.  Actions resolve to placeholders
+ * (0 or []) in this mode.  'local' runs without any kernel either: a pure JavaScript implementation of the core of
+ * SparkContext, RDD, PairRDD and Dataset evaluates the calls in process, so application logic can be unit tested
+ * without a JVM.  Methods it does not implement fail with a "not supported by the EclairJS local backend" error.
+ * @param {string} [options.output] In record mode, file the script is written to when the SparkContext is stopped.
+ * @param {object} [options.transcript] {mode: 'record', path} saves every statement sent to the kernel and its
+ * reply (results or error) to a JSON fixture when the SparkContext is stopped.  {mode: 'replay', path} serves those
+ * replies without a kernel, failing any call whose generated code is not in the fixture; stopping the SparkContext
+ * fails if the code diverged or recorded statements were never generated.  Add strict: true to also require the
+ * recorded order.
+ * @param {function|object} [options.tracer] Receives a span ({name, className, method, refId, target, start, end,
+ * duration, phases, bytes, success, error}) for every remote call: a function called when the call completes, or
+ * an object with onStart(span) and onEnd(span).  Aggregates are available from spark.server.metrics().
+ * @param {boolean} [options.bigint] Return LongType values of Rows as BigInt rather than number, which can not hold
+ * longs beyond 2^53.  BigInt arguments are always sent as longs.
+ * @param {boolean} [options.lazy] Keep a plan of how every Dataset, RDD and Column was made: building the same
+ * chain again (df.filter(f).select("a") twice, or session.sql(query) from every request handler) gives back the
+ * object made the first time and reuses its kernel variable, and no object is made in the kernel until an action (or
+ * an object made from it) needs it.  Calls that return nothing, such as createOrReplaceTempView(), start a new plan
+ * for the objects made from sessions, readers and other stateful objects.
+ * @param {number} [options.heartbeat] Ping the kernel every this many ms.  spark.server emits 'heartbeat' ({latency})
+ * for every reply and 'heartbeatMissed' ({error, missed}) when none comes within heartbeatTimeout ms (defaults to
+ * the interval).  Whatever the options, spark.server emits 'status' (status, previous) as the kernel goes 'starting',
+ * 'idle', 'busy', 'restarting' or 'dead', and 'socketClosed' ({reconnecting}) / 'socketOpened' as its WebSocket
+ * drops and comes back.  spark.server.health() sums it up for a health check: {status, connected, latency,
+ * lastHeartbeat, missedHeartbeats}.
+ * @param {number} [options.heartbeatTimeout]
  */
-function EclairJS() {
-  var server = new Server();
+function EclairJS(options) {
+  var server = new Server(options);
   var kernelP = server.getKernelPromise();
 
-  return {
+  var spark = {
     Accumulable: require('./Accumulable.js')(kernelP),
     AccumulableParam: require('./AccumulableParam.js')(kernelP),
     List: require('./List.js')(kernelP),
@@ -48,8 +106,102 @@ function EclairJS() {
     storage: require('./storage/module.js')(kernelP),
     streaming: require('./streaming/module.js')(kernelP),
 
-    forceFloat: Utils.forceFloat
-  }
+    forceFloat: Utils.forceFloat,
+    lambda: lambda.lambda,
+    RemoteObject: RemoteObject,
+
+    /**
+     * Calls a static method of any EclairJS-nashorn module, including those without a wrapper.
+     * @example
+     * spark.invokeStatic('/sql/functions', 'soundex', [col]).then(...);
+     * @param {string} modulePath Path of the module, like '/sql/functions'.
+     * @param {string} method
+     * @param {Array} [args]
+     * @param {object} [options] {returnType, timeout, signal}: returnType defaults to a RemoteObject handle to the
+     * result, see obj.invoke().
+     * @returns {module:eclairjs.RemoteObject|Promise|object}
+     */
+    invokeStatic: function(modulePath, method, args, options) {
+      return Utils.invokeStatic(kernelP, modulePath, method, args, options);
+    },
+
+    EclairJSError: EclairJSError,
+    CancellationError: CancellationError,
+
+    /**
+     * The connection to Spark, an EventEmitter.
+     */
+    server: server,
+
+    /**
+     * Sends any statements queued by batching to Spark.
+     * @returns {Promise}
+     */
+    flush: function() {
+      return server.flush();
+    },
+
+    /**
+     * Reports the Spark objects whose variables are still alive in the kernel.
+     * @returns {Promise.<object[]>}
+     */
+    liveObjects: function() {
+      return server.liveObjects();
+    },
+
+    /**
+     * Lists the running sessions that can be attached to with the attach option.
+     * @returns {Promise.<object[]>} {id, path, kernelId, kernelName} for each session.
+     */
+    listSessions: function() {
+      return server.listSessions();
+    },
+
+    /**
+     * Disconnects from Spark but leaves the session, and its Spark driver, running for the next process to attach
+     * to.  Use sc.stop() to shut it down instead.
+     * @returns {Promise}
+     */
+    detach: function() {
+      return server.detach();
+    },
+
+    /**
+     * In record mode, returns the generated script, or writes it to path.
+     * @param {string} [path]
+     * @returns {Promise.<string>}
+     */
+    exportScript: function(path) {
+      return server.exportScript(path);
+    }
+  };
+
+  // every Spark class gets dispose() and invoke(), whether or not an instance is ever tracked
+  Utils.addRemoteMethodsToModule({
+    Accumulable: spark.Accumulable,
+    AccumulableParam: spark.AccumulableParam,
+    List: spark.List,
+    Tuple: spark.Tuple,
+    Tuple2: spark.Tuple2,
+    Tuple3: spark.Tuple3,
+    Tuple4: spark.Tuple4,
+    SparkConf: spark.SparkConf,
+    SparkContext: spark.SparkContext,
+    ml: spark.ml,
+    mllib: spark.mllib,
+    rdd: spark.rdd,
+    sql: spark.sql,
+    storage: spark.storage,
+    streaming: spark.streaming
+  });
+
+  return spark;
 }
 
+EclairJS.EclairJSError = EclairJSError;
+EclairJS.CancellationError = CancellationError;
+EclairJS.lambda = lambda.lambda;
+EclairJS.SessionPool = SessionPool;
+EclairJS.logger = logger;
+
 module.exports = EclairJS;
\ No newline at end of file
@@ -14,9 +14,8 @@
  * limitations under the License.
  */
 
-var jjs = require('jupyter-js-services');
-var request = require('request');
-var Utils = require('./utils.js');
+var logger = require('./logger.js').kernel;
+var EclairJSError = require('./EclairJSError.js');
 
 var Kernel = {};
 
@@ -29,20 +28,42 @@ var Kernel = {};
  * @param {Promise.resolve} resolve
  * @param {Promise.reject} reject
  * @param {object[]} [extraArgs] Optional extra arguments to be passed to the resolve.
+ * @param {object} [callInfo] What produced the code: {code, className, method, refId, span}.  Used to describe errors
+ * and to trace the call.
  *
  * @ignore
  */
-Kernel.verifyKernelExecution = function(future, resolve, reject, extraArgs) {
+Kernel.verifyKernelExecution = function(future, resolve, reject, extraArgs, callInfo) {
   var error = null;
   var args = [];
 
-  var code;
+  var code = callInfo ? callInfo.code : undefined;
+  var info = callInfo || {};
+  var started = Date.now();
 
   future.onReply = function(msg) {
     //console.log("onReply,", msg);
 
     if (msg.content.status === 'error') {
-      error = [msg.content.evalue].concat(msg.content.traceback).join('\n');
+      var content = msg.content;
+      var info = callInfo || {};
+
+      if (content.batch) {
+        // a statement queued by BatchKernel failed before we got to run
+        info = content.batch.callInfo || {code: content.batch.code};
+        content = {
+          ename: content.ename,
+          evalue: 'Batched statement ' + content.batch.step + ' failed: ' + content.evalue,
+          traceback: content.traceback
+        };
+      }
+
+      error = EclairJSError.fromReply(content, {
+        code: info.code || code,
+        className: info.className,
+        method: info.method,
+        refId: info.refId
+      });
     }
   };
 
@@ -53,7 +74,15 @@ Kernel.verifyKernelExecution = function(future, resolve, reject, extraArgs) {
       args.push(msg.content.data['text/plain']);
     }
 
-    if (msg.content.code) {
+    if (info.span) {
+      if (msg.content.execution_state == 'busy') {
+        info.span.mark('started');
+      } else if (msg.content.data) {
+        info.span.addResult(msg.content.data['text/plain']);
+      }
+    }
+
+    if (msg.content.code && !code) {
       code = msg.content.code;
     }
   };
@@ -63,7 +92,14 @@ Kernel.verifyKernelExecution = function(future, resolve, reject, extraArgs) {
 
     if (error) {
       if (reject) {
-        Utils.error('Error on executing:\n'+code+'\nError was:\n'+error);
+        // the caller gets the error through the rejection, and may well expect it
+        logger.debug('Error on executing:\n'+(error.code || code)+'\nError was:\n'+error+'\n'+error.remoteStack.join('\n'), {
+          refId: info.refId,
+          className: info.className,
+          method: info.method,
+          duration: Date.now() - started,
+          error: error
+        });
         reject(error);
       }
     } else if (resolve) {
@@ -71,101 +107,115 @@ Kernel.verifyKernelExecution = function(future, resolve, reject, extraArgs) {
         args = args.concat(extraArgs)
       }
 
-      Utils.log('Successfully executed:\n'+code+'\nResult was:\n'+args);
+      logger.debug('Successfully executed:\n'+code+'\nResult was:\n'+args, {
+        refId: info.refId,
+        className: info.className,
+        method: info.method,
+        duration: Date.now() - started
+      });
 
       resolve.apply(this, args);
     }
   };
 };
 
-var variableCounter = {};
+/**
+ * Executes an assignment statement, a statement that creates or changes kernel state rather than returning a
+ * result.  Kernel decorators can tell these apart by implementing executeAssignment(content, callInfo): a
+ * BatchKernel queues them until a result is needed, a ReconnectingKernel records them for replay.
+ *
+ * @param {object} kernel
+ * @param {string} code
+ * @param {object} [callInfo] {className, method, refId}, used to attribute a failure within a batch.
+ * @returns {KernelFuture}
+ *
+ * @ignore
+ */
+Kernel.executeAssignment = function(kernel, code, callInfo) {
+  if (kernel.executeAssignment) {
+    return kernel.executeAssignment({code: code, silent: false}, callInfo);
+  } else {
+    return kernel.execute({code: code, silent: false});
+  }
+};
 
-Kernel.genVariable = function(name) {
-  if (!variableCounter[name]) {
-    variableCounter[name] = 1;
+/**
+ * The naming state of one EclairJS instance: the counters used to name kernel variables and the modules we
+ * have already required in its kernel.
+ *
+ * @constructor
+ * @ignore
+ */
+function Namespace() {
+  this.variableCounter = {};
+  this.requireCache = {};
+
+  // put in front of every variable, so clients sharing a kernel do not overwrite each other's variables
+  this.prefix = '';
+}
+
+Namespace.prototype.genVariable = function(name) {
+  if (!this.variableCounter[name]) {
+    this.variableCounter[name] = 1;
   } else {
-    variableCounter[name]++;
+    this.variableCounter[name]++;
   }
 
-  return name + variableCounter[name];
+  return this.prefix + name + this.variableCounter[name];
 };
 
-Kernel.resetVariables = function() {
-  variableCounter = {};
+Namespace.prototype.reset = function() {
+  this.variableCounter = {};
+  this.requireCache = {};
 };
 
-function _getURL() {
-  // special processing for eclairjs.cloudet.xyz to follow redirect
-  //  to spawned kernel
-  var JUPYTER_HOST = process.env.JUPYTER_HOST || "127.0.0.1";
-  var JUPYTER_PORT = process.env.JUPYTER_PORT || 8888;
-
-  // used for remote urls where we need to handle redirects
-  var ELAIRJS_HOST = process.env.ECLAIRJS_HOST || "";
-
-  return new Promise(function(resolve, reject) {
-    if (JUPYTER_HOST != ELAIRJS_HOST) {
-      resolve(JUPYTER_HOST + ":" + JUPYTER_PORT);
-    } else {
-      request({
-        followAllRedirects: true,
-        url: "http://" + ELAIRJS_HOST + "/spawn"
-      }, function(error, response, body) {
-        if (!error) {
-          // console.log(response.request.path);
-          var userPath = response.request.path.split('/').slice(0, 3).join('/');
-          var hostURL = ELAIRJS_HOST + userPath;
-          // console.log(hostURL)
-          resolve(hostURL);
-        }
-        else
-          reject(error);
-      });
-    }
-  });
-}
+Kernel.Namespace = Namespace;
 
-Kernel.createKernelSession = function(jobName) {
-  return new Promise(function(resolve, reject) {
-    // We build our Spark Kernel connection here and share it when any classes that need it
-    _getURL().then(function(hostURL) {
-      //start the kernel
-      /*
-       jjs.startNewKernel({
-       baseUrl: "http://" + hostURL,
-       wsUrl: "ws://" + hostURL,
-       name: "eclair"
-       }).then(function(k) {
-       console.log("got kernel");
-       //when we have kernel info we know the spark kernel is ready.
-       k.kernelInfo().then(function(info) {
-       kernelPResolve(k);
-       });
-       });
-       */
-
-      jjs.startNewSession({
-        baseUrl: "http://" + hostURL,
-        wsUrl: "ws://" + hostURL,
-        kernelName: "eclair",
-        path: jobName
-      }).then(function(session) {
-        //when we have kernel info we know the spark kernel is ready.
-        session.kernel.kernelInfo().then(function(info) {
-          if (process.env.ECLAIRJS_VERBOSE) {
-            Utils.remoteLog(session.kernel);
-          }
-          resolve(session);
-        });
-      }).catch(function(e) {
-        console.error('Failed to start Jupyter session', e);
-        reject(err);
-      });
-    }).catch(function(e) {
-      console.error('Failed to connect to Jupyter instance', e);
-      reject(e);
-    })
-  });
+// Used for kernel promises that were never bound to a namespace
+var defaultNamespace = new Namespace();
+
+// kernel promise -> Namespace
+var namespaces = new WeakMap();
+
+/**
+ * Binds a kernel promise to a namespace.  Every Spark object carries the kernel promise of the instance
+ * that created it, which is how code generation finds the right namespace.
+ *
+ * @param {Promise} kernelP
+ * @param {Namespace} namespace
+ * @ignore
+ */
+Kernel.bindNamespace = function(kernelP, namespace) {
+  namespaces.set(kernelP, namespace);
+};
+
+/**
+ * Makes a kernel promise derived from another one (SparkContext creates its own, for example) use the same
+ * namespace.
+ *
+ * @param {Promise} derivedKernelP
+ * @param {Promise} kernelP
+ * @ignore
+ */
+Kernel.shareNamespace = function(derivedKernelP, kernelP) {
+  namespaces.set(derivedKernelP, Kernel.namespaceFor(kernelP));
+};
+
+/**
+ * @param {Promise} kernelP
+ * @returns {Namespace}
+ * @ignore
+ */
+Kernel.namespaceFor = function(kernelP) {
+  return (kernelP && namespaces.get(kernelP)) || defaultNamespace;
+};
+
+Kernel.genVariable = function(name) {
+  return defaultNamespace.genVariable(name);
+};
+
+Kernel.resetVariables = function() {
+  defaultNamespace.reset();
 };
 
 module.exports = Kernel;
@@ -0,0 +1,530 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var acorn = require('acorn');
+var fs = require('fs');
+var path = require('path');
+var Module = require('module');
+
+var transpile = require('./transpile.js');
+var literal = require('./literal.js');
+
+/*
+ * Lambdas (the functions passed to RDD.map, Dataset.flatMap...) are shipped as source and run inside
+ * EclairJS-nashorn, so nothing from their Node closure comes along.  Before shipping one we look for the
+ * identifiers it uses without defining them:
+ *
+ *   - globals that exist in Nashorn are fine
+ *   - require('module') calls that resolve locally are bundled, as long as the module is pure JS
+ *   - names declared with lambda(func, {name: value}) are bundled: functions by source, required modules as a
+ *     bundle and JSON data as a literal
+ *
+ * Anything else fails right away, instead of as a ReferenceError on the executors.
+ */
+
+// Globals available to lambdas in EclairJS-nashorn
+var GLOBALS = {};
+
+[
+  'Array', 'ArrayBuffer', 'Boolean', 'DataView', 'Date', 'Error', 'EvalError', 'Float32Array', 'Float64Array',
+  'Function', 'Infinity', 'Int16Array', 'Int32Array', 'Int8Array', 'JSON', 'Math', 'NaN', 'Number', 'Object',
+  'RangeError', 'ReferenceError', 'RegExp', 'String', 'SyntaxError', 'TypeError', 'URIError', 'Uint16Array',
+  'Uint32Array', 'Uint8Array', 'Uint8ClampedArray', 'decodeURI', 'decodeURIComponent', 'encodeURI',
+  'encodeURIComponent', 'escape', 'eval', 'isFinite', 'isNaN', 'parseFloat', 'parseInt', 'undefined', 'unescape',
+  // Nashorn
+  'Java', 'JavaImporter', 'Packages', 'java', 'javax', 'javafx', 'com', 'org', 'edu', 'net', 'print', 'load',
+  'loadWithNewGlobal', '__FILE__', '__DIR__', '__LINE__',
+  // EclairJS-nashorn
+  'EclairJS_Globals', 'require'
+].forEach(function(name) {
+  GLOBALS[name] = true;
+});
+
+// Name of the function the bundled modules are loaded through inside the lambda
+var REQUIRE = '__eclairjsRequire';
+
+var scopes = new WeakMap();
+var cache = new WeakMap();
+
+/**
+ * Declares the values a lambda uses from its enclosing scope so they are shipped with it.
+ *
+ * @example
+ * var _ = require('lodash');
+ *
+ * function clean(word) {
+ *   return _.trim(word).toLowerCase();
+ * }
+ *
+ * rdd.map(eclairjs.lambda(function(word) {
+ *   return clean(word);
+ * }, {clean: clean, _: _}));
+ *
+ * @param {function} func
+ * @param {object} scope name -> value for each identifier func (or a function in scope) uses from its closure.
+ * Values can be functions, required pure JS modules or JSON data.  Spark objects have to go through bindArgs.
+ * @returns {function} func
+ * @memberof module:eclairjs
+ */
+function lambda(func, scope) {
+  scopes.set(func, scope || {});
+  cache.delete(func);
+
+  return func;
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+/**
+ * Parses the (transpiled) source of a function.
+ *
+ * @returns {{text: string, node: object}}
+ * @ignore
+ */
+function parseFunction(source) {
+  var ast = acorn.parse('(' + source + '\n)', {ecmaVersion: 'latest'});
+
+  return {text: source, node: ast.body[0].expression};
+}
+
+function isFunction(node) {
+  return node.type == 'FunctionDeclaration' || node.type == 'FunctionExpression' ||
+    node.type == 'ArrowFunctionExpression';
+}
+
+function forEachChild(node, callback) {
+  Object.keys(node).forEach(function(key) {
+    var child = node[key];
+
+    if (Array.isArray(child)) {
+      child.forEach(function(c) {
+        if (c && typeof c.type == 'string') {
+          callback(c);
+        }
+      });
+    } else if (child && typeof child.type == 'string' && key != 'loc') {
+      callback(child);
+    }
+  });
+}
+
+function declarePattern(pattern, names) {
+  if (!pattern) {
+    return;
+  }
+
+  if (pattern.type == 'Identifier') {
+    names[pattern.name] = true;
+  } else if (pattern.type == 'ObjectPattern') {
+    pattern.properties.forEach(function(p) {
+      declarePattern(p.type == 'RestElement' ? p.argument : p.value, names);
+    });
+  } else if (pattern.type == 'ArrayPattern') {
+    pattern.elements.forEach(function(e) {
+      declarePattern(e, names);
+    });
+  } else if (pattern.type == 'AssignmentPattern') {
+    declarePattern(pattern.left, names);
+  } else if (pattern.type == 'RestElement') {
+    declarePattern(pattern.argument, names);
+  }
+}
+
+/**
+ * Names declared by a function: its params, its own name and everything declared in its body.  Block scoping is
+ * ignored, which is close enough to tell what comes from outside.
+ */
+function declaredNames(fn) {
+  var names = {};
+
+  if (fn.type != 'ArrowFunctionExpression') {
+    names['arguments'] = true;
+  }
+
+  if (fn.type == 'FunctionExpression' && fn.id) {
+    names[fn.id.name] = true;
+  }
+
+  fn.params.forEach(function(p) {
+    declarePattern(p, names);
+  });
+
+  (function collect(node) {
+    if (node.type == 'VariableDeclaration') {
+      node.declarations.forEach(function(d) {
+        declarePattern(d.id, names);
+      });
+    } else if ((node.type == 'FunctionDeclaration' || node.type == 'ClassDeclaration') && node.id) {
+      names[node.id.name] = true;
+    } else if (node.type == 'CatchClause') {
+      declarePattern(node.param, names);
+    }
+
+    if (!isFunction(node)) {
+      forEachChild(node, collect);
+    }
+  })(fn.body);
+
+  return names;
+}
+
+/**
+ * Finds the identifiers a function uses without declaring them, and its require('...') calls.
+ *
+ * @returns {{free: string[], requires: object[]}}
+ * @ignore
+ */
+function analyze(fn) {
+  var free = [];
+  var requires = [];
+
+  function resolves(name, scope) {
+    for (var s = scope; s; s = s.parent) {
+      if (s.names[name]) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  function visit(node, scope) {
+    if (isFunction(node)) {
+      var inner = {names: declaredNames(node), parent: scope};
+
+      node.params.forEach(function(p) {
+        visit(p, inner);
+      });
+      visit(node.body, inner);
+    } else if (node.type == 'Identifier') {
+      if (!resolves(node.name, scope) && free.indexOf(node.name) < 0) {
+        free.push(node.name);
+      }
+    } else if (node.type == 'MemberExpression') {
+      visit(node.object, scope);
+
+      if (node.computed) {
+        visit(node.property, scope);
+      }
+    } else if (node.type == 'Property' || node.type == 'MethodDefinition' || node.type == 'PropertyDefinition') {
+      if (node.computed) {
+        visit(node.key, scope);
+      }
+
+      if (node.value) {
+        visit(node.value, scope);
+      }
+    } else if (node.type == 'AssignmentExpression' && node.operator == '=' && node.left.type == 'Identifier') {
+      // assigning to an undeclared name creates a global on the executor, nothing needs shipping
+      if (!resolves(node.left.name, scope)) {
+        scope.names[node.left.name] = true;
+      }
+
+      visit(node.right, scope);
+    } else if (node.type == 'LabeledStatement') {
+      visit(node.body, scope);
+    } else if (node.type == 'UnaryExpression' && node.operator == 'typeof' && node.argument.type == 'Identifier') {
+      // typeof is how code checks whether something exists
+    } else if (node.type == 'CallExpression' && node.callee.type == 'Identifier' && node.callee.name == 'require' &&
+      !resolves('require', scope) && node.arguments.length == 1 && node.arguments[0].type == 'Literal' &&
+      typeof node.arguments[0].value == 'string') {
+      requires.push({node: node, spec: node.arguments[0].value});
+    } else if (node.type != 'BreakStatement' && node.type != 'ContinueStatement' && node.type != 'MetaProperty') {
+      forEachChild(node, function(child) {
+        visit(child, scope);
+      });
+    }
+  }
+
+  visit(fn, null);
+
+  return {free: free, requires: requires};
+}
+
+/**
+ * Collects what a lambda needs shipped with it.
+ *
+ * @param {object} scope Values declared with lambda()
+ * @param {string} baseDir Directory require() calls in the lambda are resolved from
+ * @constructor
+ * @ignore
+ */
+function Bundle(scope, baseDir) {
+  this.scope = scope;
+  this.baseDir = baseDir;
+  this.declared = {};
+  this.statements = [];
+  this.modules = {};
+  this.moduleIds = [];
+}
+
+/**
+ * Rewrites a function so its require() calls go through the bundle, adding whatever it uses from the scope.
+ *
+ * @returns {{text: string}}
+ */
+Bundle.prototype.addFunction = function(source, fromDir) {
+  var scope = this;
+  var parsed = parseFunction(transpile.transpileFunction(source));
+  var result = analyze(parsed.node);
+
+  result.free.forEach(function(name) {
+    if (GLOBALS[name]) {
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(scope.scope, name)) {
+      fail('Lambda uses "' + name + '", which is not defined inside it.  Values from the enclosing scope are not ' +
+        'shipped to Spark: pass "' + name + '" through bindArgs, or declare it with eclairjs.lambda(func, {' +
+        name + ': ' + name + '})');
+    }
+
+    scope.addValue(name, scope.scope[name]);
+  });
+
+  // replace the require() calls we can resolve here, from the end so offsets stay valid
+  var text = parsed.text;
+
+  result.requires.slice().reverse().forEach(function(r) {
+    var filename = resolveModule(r.spec, fromDir);
+
+    if (filename) {
+      var id = scope.addModule(filename);
+
+      text = text.substr(0, r.node.start - 1) + REQUIRE + '(' + literal.quote(id) + ')' + text.substr(r.node.end - 1);
+    }
+  });
+
+  return {text: text};
+};
+
+Bundle.prototype.addValue = function(name, value) {
+  if (this.declared[name]) {
+    return;
+  }
+
+  this.declared[name] = true;
+
+  var filename = (value && (typeof value == 'object' || typeof value == 'function')) ? findModule(value) : null;
+
+  if (filename) {
+    this.statements.push('var ' + name + ' = ' + REQUIRE + '(' + literal.quote(this.addModule(filename)) + ');');
+  } else if (typeof value == 'function') {
+    var source = value.toString();
+
+    if (/\{\s*\[native code\]\s*\}$/.test(source)) {
+      fail('"' + name + '" is a native or bound function and cannot be shipped to Spark');
+    }
+
+    var fn = this.addFunction(source, this.baseDir);
+
+    this.statements.push('var ' + name + ' = ' + fn.text + ';');
+  } else if (value && value.refIdP) {
+    fail('"' + name + '" is a Spark object: pass it to the lambda through bindArgs instead');
+  } else if (typeof value == 'undefined') {
+    this.statements.push('var ' + name + ';');
+  } else if (isJSON(value)) {
+    this.statements.push('var ' + name + ' = ' + literal(value) + ';');
+  } else {
+    fail('"' + name + '" cannot be shipped to Spark: only functions, pure JS modules and JSON data can be declared ' +
+      'with eclairjs.lambda(), pass other values through bindArgs');
+  }
+};
+
+/**
+ * @param {string} filename
+ * @returns {string} The id of the module inside the bundle
+ */
+Bundle.prototype.addModule = function(filename) {
+  var id = path.relative(this.baseDir, filename).split(path.sep).join('/');
+
+  if (this.modules[id]) {
+    return id;
+  }
+
+  var def = this.modules[id] = {source: null, requires: {}};
+  this.moduleIds.push(id);
+
+  var ext = path.extname(filename);
+  var content = fs.readFileSync(filename, 'utf8');
+
+  if (ext == '.json') {
+    def.source = 'module.exports = ' + content.trim() + ';';
+  } else if (ext == '.js' || ext == '.cjs' || ext === '') {
+    var ast;
+
+    try {
+      def.source = transpile.transpileScript(content.replace(/^#!.*/, ''));
+      ast = acorn.parse(def.source, {ecmaVersion: 5, allowReturnOutsideFunction: true});
+    } catch (e) {
+      fail('Module ' + id + ' cannot be shipped to Spark: ' + e.message);
+    }
+
+    var scope = this;
+
+    (function findRequires(node) {
+      if (node.type == 'CallExpression' && node.callee.type == 'Identifier' && node.callee.name == 'require' &&
+        node.arguments.length == 1 && node.arguments[0].type == 'Literal' && typeof node.arguments[0].value == 'string') {
+        var spec = node.arguments[0].value;
+        var required = resolveModule(spec, path.dirname(filename));
+
+        if (!required) {
+          fail('Module ' + id + ' requires "' + spec + '", which cannot be found');
+        }
+
+        def.requires[spec] = scope.addModule(required);
+      }
+
+      forEachChild(node, findRequires);
+    })(ast);
+  } else {
+    fail('Module ' + id + ' cannot be shipped to Spark, only pure JS modules can');
+  }
+
+  return id;
+};
+
+/**
+ * @returns {string} The statements to run at the top of the lambda.
+ */
+Bundle.prototype.prelude = function() {
+  var scope = this;
+  var code = '';
+
+  if (this.moduleIds.length > 0) {
+    var defs = this.moduleIds.map(function(id) {
+      var def = scope.modules[id];
+
+      return literal.quote(id) + ': [function(module, exports, require) {\n' + def.source + '\n}, ' +
+        literal(def.requires) + ']';
+    });
+
+    // modules are loaded once per executor and kept on the global object
+    code += 'var ' + REQUIRE + ' = (function() {\n' +
+      'var g = Function("return this")();\n' +
+      'var loaded = g.' + REQUIRE + 'Modules || (g.' + REQUIRE + 'Modules = {});\n' +
+      'var defs = {\n' + defs.join(',\n') + '\n};\n' +
+      'function load(id) {\n' +
+      '  if (!loaded[id]) {\n' +
+      '    var module = loaded[id] = {exports: {}};\n' +
+      '    defs[id][0].call(module.exports, module, module.exports, function(spec) { return load(defs[id][1][spec]); });\n' +
+      '  }\n' +
+      '  return loaded[id].exports;\n' +
+      '}\n' +
+      'return load;\n' +
+      '})();\n';
+  }
+
+  if (this.statements.length > 0) {
+    code += this.statements.join('\n') + '\n';
+  }
+
+  return code;
+};
+
+function isJSON(value) {
+  if (value === null || typeof value == 'string' || typeof value == 'number' || typeof value == 'boolean') {
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    return value.every(isJSON);
+  }
+
+  if (typeof value == 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).every(function(key) {
+      return isJSON(value[key]);
+    });
+  }
+
+  return false;
+}
+
+/**
+ * @returns {string} The file of a loaded module whose exports are value.
+ */
+function findModule(value) {
+  var files = Object.keys(require.cache);
+
+  for (var i = 0; i < files.length; i++) {
+    if (require.cache[files[i]] && require.cache[files[i]].exports === value) {
+      return files[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @returns {string} The file spec resolves to from dir, null if it does not resolve.
+ */
+function resolveModule(spec, dir) {
+  if (Module.builtinModules.indexOf(spec.replace(/^node:/, '')) >= 0) {
+    fail('Node module "' + spec + '" cannot be shipped to Spark');
+  }
+
+  try {
+    return require.resolve(spec, {paths: [dir]});
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Inserts the prelude at the top of the body of a function.
+ */
+function insertPrelude(text, prelude) {
+  var body = parseFunction(text).node.body;
+
+  return text.substr(0, body.start) + '\n' + prelude + text.substr(body.start);
+}
+
+/**
+ * Returns the source to ship for a lambda, bundling what it needs.  Throws if it uses something that cannot be
+ * shipped.
+ *
+ * @param {function} func
+ * @param {object} [options]
+ * @param {string} [options.baseDir] Where require() calls in the lambda are resolved from, defaults to the
+ * current directory.
+ * @returns {string}
+ * @ignore
+ */
+function serialize(func, options) {
+  if (cache.has(func)) {
+    return cache.get(func);
+  }
+
+  var source = func.toString();
+  var baseDir = (options && options.baseDir) || process.cwd();
+  var bundle = new Bundle(scopes.get(func) || {}, baseDir);
+
+  var fn = bundle.addFunction(source, baseDir);
+  var prelude = bundle.prelude();
+
+  var result = prelude ? insertPrelude(fn.text, prelude) : fn.text;
+
+  cache.set(func, result);
+
+  return result;
+}
+
+module.exports = {
+  lambda: lambda,
+  serialize: serialize
+};
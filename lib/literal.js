@@ -0,0 +1,138 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * The one place values become source code for the kernel.  Whatever the value, literal() returns a single ES5
+ * expression that evaluates to it and nothing else: strings are JSON strings (with the line terminators ES5 does
+ * not allow in them escaped), map keys are always quoted, and anything that can not be written as a literal
+ * (functions, symbols, Spark objects inside maps, cycles) is refused rather than stringified.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string} A double quoted string literal.
+ */
+function quote(text) {
+  // U+2028 and U+2029 end the line inside an ES5 string literal, JSON.stringify leaves them as they are
+  return JSON.stringify(String(text)).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function number(value) {
+  if (isNaN(value)) {
+    return 'NaN';
+  } else if (value === Infinity) {
+    return 'Infinity';
+  } else if (value === -Infinity) {
+    return '-Infinity';
+  } else if (value === 0 && 1 / value < 0) {
+    return '-0';
+  }
+
+  return String(value);
+}
+
+function isPlainObject(value) {
+  var proto = Object.getPrototypeOf(value);
+
+  return proto === Object.prototype || proto === null;
+}
+
+function encode(value, seen) {
+  var values = require('./sql/values.js');
+
+  if (value === undefined) {
+    return 'undefined';
+  } else if (value === null) {
+    return 'null';
+  } else if (typeof value == 'boolean') {
+    return value ? 'true' : 'false';
+  } else if (typeof value == 'number') {
+    return number(value);
+  } else if (typeof value == 'string') {
+    return quote(value);
+  } else if (values.isTyped(value)) {
+    // BigInt, Decimal, Date and Buffer
+    return values.literal(value);
+  } else if (typeof value == 'function' || typeof value == 'symbol') {
+    throw new TypeError('A ' + typeof value + ' can not be sent to Spark as a value');
+  } else if (value.refIdP) {
+    throw new TypeError('Spark objects can only be sent as arguments or array elements, not inside a map');
+  }
+
+  if (seen.indexOf(value) >= 0) {
+    throw new TypeError('A circular structure can not be sent to Spark');
+  }
+
+  seen.push(value);
+
+  var code;
+
+  if (Array.isArray(value)) {
+    var items = [];
+
+    // holes become undefined
+    for (var i = 0; i < value.length; i++) {
+      items.push(encode(value[i], seen));
+    }
+
+    code = '[' + items.join(',') + ']';
+  } else if (typeof value.toJSON == 'function' && !isPlainObject(value)) {
+    code = encode(value.toJSON(), seen);
+  } else {
+    var protoValue;
+    var hasProto = false;
+
+    var properties = Object.keys(value).filter(function(key) {
+      if (key == '__proto__') {
+        // a "__proto__" property in a literal sets the prototype instead
+        hasProto = true;
+        protoValue = encode(value[key], seen);
+        return false;
+      }
+
+      return true;
+    }).map(function(key) {
+      return quote(key) + ':' + encode(value[key], seen);
+    });
+
+    code = '{' + properties.join(',') + '}';
+
+    if (hasProto) {
+      code = 'Object.defineProperty(' + code + ', "__proto__", {value: ' + protoValue +
+        ', enumerable: true, writable: true, configurable: true})';
+    }
+  }
+
+  seen.pop();
+
+  return code;
+}
+
+/**
+ * Encodes a value as the source of a JavaScript expression that evaluates to the same value in the kernel.
+ *
+ * @param {*} value undefined, null, a boolean, number (NaN and Infinity included), string, BigInt, Decimal,
+ * Date, Buffer, or an array or map of those.
+ * @returns {string}
+ * @throws {TypeError} For functions, symbols, Spark objects inside maps and circular structures.
+ */
+function literal(value) {
+  return encode(value, []);
+}
+
+literal.quote = quote;
+
+module.exports = literal;
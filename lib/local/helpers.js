@@ -0,0 +1,137 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// properties looked up by JSON.stringify, util.inspect, promises and the like, never Spark methods
+var IGNORED = ['toJSON', 'then', 'inspect', 'constructor', 'valueOf', 'toString', 'length', 'prototype'];
+
+/**
+ * Wraps an object of the local backend so that calling a Spark method it does not implement fails with a clear
+ * message instead of "undefined is not a function".
+ *
+ * @param {object} obj
+ * @param {string} className
+ * @returns {object}
+ */
+function guard(obj, className) {
+  return new Proxy(obj, {
+    get: function(target, prop) {
+      if (prop in target || typeof prop != 'string' || IGNORED.indexOf(prop) >= 0 || prop.charAt(0) == '_') {
+        return target[prop];
+      }
+
+      return function() {
+        throw new Error(className + '.' + prop + '() is not supported by the EclairJS local backend');
+      };
+    }
+  });
+}
+
+/**
+ * Calls a lambda the way EclairJS-nashorn does: the bound arguments come after the regular ones.
+ *
+ * @param {function} func
+ * @param {Array} args
+ * @param {Array} [bindArgs]
+ * @returns {*}
+ */
+function call(func, args, bindArgs) {
+  return func.apply(null, bindArgs ? args.concat(bindArgs) : args);
+}
+
+/**
+ * @param {*} value
+ * @returns {string} A string equal for keys Spark considers equal.
+ */
+function keyOf(value) {
+  return typeof value + ':' + JSON.stringify(value);
+}
+
+/**
+ * Orders values like Spark does, nulls first.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compare(a, b) {
+  if (a === b) {
+    return 0;
+  } else if (a === null || a === undefined) {
+    return -1;
+  } else if (b === null || b === undefined) {
+    return 1;
+  } else if (typeof a == 'object' && typeof b == 'object' && a.length !== undefined && b.length !== undefined) {
+    // tuples and arrays, element by element
+    for (var i = 0; i < Math.min(a.length, b.length); i++) {
+      var c = compare(a[i], b[i]);
+
+      if (c !== 0) {
+        return c;
+      }
+    }
+
+    return a.length - b.length;
+  } else {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+}
+
+/**
+ * @param {*} value An array, or anything iterable a flatMap lambda may return.
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  } else if (value === null || value === undefined) {
+    return [];
+  } else if (typeof value[Symbol.iterator] == 'function' && typeof value != 'string') {
+    return Array.from(value);
+  } else {
+    throw new Error('Expected an array, got ' + JSON.stringify(value));
+  }
+}
+
+/**
+ * @param {Array} elements
+ * @returns {object} An iterator with hasNext() and next(), like the java.util.Iterator of toLocalIterator().
+ */
+function iterator(elements) {
+  var position = 0;
+
+  return {
+    hasNext: function() {
+      return position < elements.length;
+    },
+
+    next: function() {
+      if (position >= elements.length) {
+        throw new Error('No more elements');
+      }
+
+      return elements[position++];
+    }
+  };
+}
+
+module.exports = {
+  guard: guard,
+  call: call,
+  keyOf: keyOf,
+  compare: compare,
+  toArray: toArray,
+  iterator: iterator
+};
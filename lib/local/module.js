@@ -0,0 +1,188 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The local backend: a pure JavaScript stand-in for the EclairJS-nashorn modules, for running (and unit testing)
+ * programs without a JVM.  It covers SparkContext, RDD and PairRDD, and the core of Dataset (select, filter, where,
+ * groupBy/agg, orderBy, join on columns, collect...) with functions, DataTypes, RowFactory and Encoders.  Calling
+ * anything else fails with "<Class>.<method>() is not supported by the EclairJS local backend".
+ *
+ * @ignore
+ */
+
+var helpers = require('./helpers.js');
+var rdd = require('./rdd.js');
+var sql = require('./sql.js');
+
+/**
+ * @constructor
+ * @ignore
+ */
+function SparkConf() {
+  this._settings = {};
+
+  return helpers.guard(this, 'SparkConf');
+}
+
+SparkConf.prototype.set = function(key, value) {
+  this._settings[key] = value;
+  return this;
+};
+
+SparkConf.prototype.setAppName = function(name) {
+  return this.set('spark.app.name', name);
+};
+
+SparkConf.prototype.setMaster = function(master) {
+  return this.set('spark.master', master);
+};
+
+SparkConf.prototype.get = function(key, defaultValue) {
+  return this._settings[key] !== undefined ? this._settings[key] : defaultValue;
+};
+
+// persist(StorageLevel.MEMORY_ONLY()) and the like: there is only memory here
+var StorageLevel = new Proxy({}, {
+  get: function(target, prop) {
+    return function() {
+      return prop;
+    };
+  }
+});
+
+/**
+ * @constructor
+ * @ignore
+ */
+function BigDecimal(value) {
+  this._value = String(value);
+
+  return helpers.guard(this, 'BigDecimal');
+}
+
+BigDecimal.prototype.toPlainString = function() {
+  return this._value;
+};
+
+BigDecimal.prototype.toString = BigDecimal.prototype.toPlainString;
+BigDecimal.prototype.toJSON = BigDecimal.prototype.toPlainString;
+
+BigDecimal.prototype.valueOf = function() {
+  return parseFloat(this._value);
+};
+
+/*
+ * The Java classes generated code uses for values that have no JavaScript type of their own (see
+ * lib/sql/values.js).  Longs are numbers here, like every other number of the local backend.
+ */
+var java = {
+  lang: {
+    Long: {
+      valueOf: function(text) {
+        return Number(text);
+      }
+    }
+  },
+  math: {
+    BigDecimal: BigDecimal
+  }
+};
+
+// Java.to(bytes, "byte[]"): arrays stand in for Java arrays
+var Java = {
+  to: function(array) {
+    return array;
+  }
+};
+
+/**
+ * The state of one local kernel: its SparkContext and SparkSession, and the modules its code requires.
+ *
+ * @constructor
+ * @ignore
+ */
+function Runtime() {
+  var scope = this;
+
+  this.sc = null;
+  this.session = null;
+
+  function SparkContext(masterOrConf, appName) {
+    var conf = masterOrConf instanceof SparkConf ? masterOrConf : null;
+
+    scope.sc = new rdd.SparkContext(conf ? conf.get('spark.master', 'local[*]') : masterOrConf,
+      conf ? conf.get('spark.app.name') : appName);
+
+    return scope.sc;
+  }
+
+  this.modules = {
+    '/SparkConf': SparkConf,
+    '/SparkContext': SparkContext,
+    '/Tuple2': rdd.Tuple2,
+    '/Tuple3': rdd.Tuple3,
+    '/storage/StorageLevel': StorageLevel,
+    '/sql/SparkSession': {
+      builder: function() {
+        return new sql.Builder(scope);
+      }
+    },
+    '/sql/functions': helpers.guard(sql.functions, 'functions'),
+    '/sql/Encoders': helpers.guard(sql.Encoders, 'Encoders'),
+    '/sql/Row': sql.Row,
+    '/sql/RowFactory': sql.RowFactory,
+    '/sql/SqlDate': sql.SqlDate,
+    '/sql/SqlTimestamp': sql.SqlTimestamp,
+    '/sql/types/DataTypes': sql.DataTypes,
+    '/sql/types/StructField': sql.StructField,
+    '/sql/types/StructType': sql.StructType
+  };
+}
+
+/**
+ * The require() generated code calls, with EclairJS_Globals.NAMESPACE + the path of an EclairJS-nashorn module.
+ *
+ * @param {string} namespace
+ * @param {string} modulePath
+ * @returns {*}
+ */
+Runtime.prototype.require = function(namespace, modulePath) {
+  var name = modulePath.indexOf(namespace) === 0 ? modulePath.slice(namespace.length) : modulePath;
+
+  if (!this.modules.hasOwnProperty(name)) {
+    throw new Error('Module ' + name + ' is not supported by the EclairJS local backend');
+  }
+
+  return this.modules[name];
+};
+
+/**
+ * What org.apache.spark.SparkContext.getOrCreate() gives generated code, which only uses it for job groups.
+ *
+ * @returns {object}
+ */
+Runtime.prototype.activeContext = function() {
+  return this.sc || new rdd.SparkContext('local[*]', 'EclairJS local');
+};
+
+module.exports = {
+  Runtime: Runtime,
+  SparkConf: SparkConf,
+  java: java,
+  Java: Java,
+  rdd: rdd,
+  sql: sql
+};
@@ -0,0 +1,606 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+
+var helpers = require('./helpers.js');
+
+var guard = helpers.guard;
+var call = helpers.call;
+var keyOf = helpers.keyOf;
+var compare = helpers.compare;
+var toArray = helpers.toArray;
+
+/**
+ * @constructor
+ * @ignore
+ */
+function Tuple2(a, b) {
+  this[0] = a;
+  this[1] = b;
+  this.length = 2;
+}
+
+Tuple2.prototype._1 = function() {
+  return this[0];
+};
+
+Tuple2.prototype._2 = function() {
+  return this[1];
+};
+
+Tuple2.prototype.swap = function() {
+  return new Tuple2(this[1], this[0]);
+};
+
+Tuple2.prototype.toString = function() {
+  return '(' + this[0] + ',' + this[1] + ')';
+};
+
+Tuple2.prototype.toJSON = function() {
+  return {0: this[0], 1: this[1], length: 2};
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function Tuple3(a, b, c) {
+  this[0] = a;
+  this[1] = b;
+  this[2] = c;
+  this.length = 3;
+}
+
+Tuple3.prototype._1 = Tuple2.prototype._1;
+Tuple3.prototype._2 = Tuple2.prototype._2;
+
+Tuple3.prototype._3 = function() {
+  return this[2];
+};
+
+Tuple3.prototype.toJSON = function() {
+  return {0: this[0], 1: this[1], 2: this[2], length: 3};
+};
+
+// mapToPair lambdas may return a Tuple2 or a [key, value] array
+function toPair(value) {
+  if (value instanceof Tuple2) {
+    return value;
+  } else if (value && value.length == 2) {
+    return new Tuple2(value[0], value[1]);
+  } else {
+    throw new Error('Expected a Tuple2, got ' + JSON.stringify(value));
+  }
+}
+
+// key -> values, in the order keys are first seen
+function groupPairs(elements) {
+  var groups = new Map();
+
+  elements.map(toPair).forEach(function(pair) {
+    var key = keyOf(pair[0]);
+
+    if (!groups.has(key)) {
+      groups.set(key, {key: pair[0], values: []});
+    }
+
+    groups.get(key).values.push(pair[1]);
+  });
+
+  return Array.from(groups.values());
+}
+
+// optional arguments left out of the generated call shift the bind arguments forward
+function bindArgsIn(args, from) {
+  for (var i = from; i < args.length; i++) {
+    if (Array.isArray(args[i])) {
+      return args[i];
+    }
+  }
+
+  return undefined;
+}
+
+// a seeded generator, so sample() and friends are repeatable
+function random(seed) {
+  var state = (typeof seed == 'number' ? seed : Date.now()) % 2147483647;
+
+  if (state <= 0) {
+    state += 2147483646;
+  }
+
+  return function() {
+    state = state * 16807 % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+/**
+ * An RDD of the local backend: a function computing its elements, run again by every action.  There is a single
+ * partition.  As in the Node API, the pair methods (reduceByKey, join...) work on any RDD of Tuple2s.
+ *
+ * @constructor
+ * @ignore
+ */
+function RDD(sc, compute) {
+  this._sc = sc;
+  this._compute = compute;
+
+  return guard(this, 'RDD');
+}
+
+RDD.prototype._create = function(compute) {
+  return new RDD(this._sc, compute);
+};
+
+RDD.prototype._createPair = function(compute) {
+  return new PairRDD(this._sc, compute);
+};
+
+// for transformations that keep the elements, a pair RDD stays a pair RDD
+RDD.prototype._createSame = function(compute) {
+  return this instanceof PairRDD ? this._createPair(compute) : this._create(compute);
+};
+
+RDD.prototype._elements = function() {
+  return this._compute().slice();
+};
+
+RDD.prototype.map = function(func, bindArgs) {
+  var scope = this;
+
+  return this._create(function() {
+    return scope._elements().map(function(e) {
+      return call(func, [e], bindArgs);
+    });
+  });
+};
+
+RDD.prototype.mapToFloat = function(func, bindArgs) {
+  var scope = this;
+
+  return this._create(function() {
+    return scope._elements().map(function(e) {
+      return parseFloat(call(func, [e], bindArgs));
+    });
+  });
+};
+
+RDD.prototype.flatMap = function(func, bindArgs) {
+  var scope = this;
+
+  return this._create(function() {
+    return [].concat.apply([], scope._elements().map(function(e) {
+      return toArray(call(func, [e], bindArgs));
+    }));
+  });
+};
+
+RDD.prototype.filter = function(func, bindArgs) {
+  var scope = this;
+
+  return this._createSame(function() {
+    return scope._elements().filter(function(e) {
+      return call(func, [e], bindArgs);
+    });
+  });
+};
+
+RDD.prototype.mapToPair = function(func, bindArgs) {
+  var scope = this;
+
+  return this._createPair(function() {
+    return scope._elements().map(function(e) {
+      return toPair(call(func, [e], bindArgs));
+    });
+  });
+};
+
+RDD.prototype.groupBy = function(func) {
+  var scope = this;
+  var bindArgs = bindArgsIn(arguments, 1);
+
+  return this._createPair(function() {
+    return groupPairs(scope._elements().map(function(e) {
+      return new Tuple2(call(func, [e], bindArgs), e);
+    })).map(function(group) {
+      return new Tuple2(group.key, group.values);
+    });
+  });
+};
+
+RDD.prototype.union = function(other) {
+  var scope = this;
+
+  return this._createSame(function() {
+    return scope._elements().concat(other._elements());
+  });
+};
+
+RDD.prototype.subtract = function(other) {
+  var scope = this;
+
+  return this._createSame(function() {
+    var remove = {};
+
+    other._elements().forEach(function(e) {
+      remove[keyOf(e)] = true;
+    });
+
+    return scope._elements().filter(function(e) {
+      return !remove[keyOf(e)];
+    });
+  });
+};
+
+RDD.prototype.sample = function(withReplacement, fraction, seed) {
+  var scope = this;
+
+  return this._createSame(function() {
+    var next = random(seed);
+
+    return scope._elements().filter(function() {
+      return next() < fraction;
+    });
+  });
+};
+
+RDD.prototype.randomSplit = function(weights, seed) {
+  var scope = this;
+  var splitSeed = typeof seed == 'number' ? seed : Date.now();
+  var total = weights.reduce(function(a, b) {
+    return a + b;
+  }, 0);
+
+  // every split draws the same numbers, so each element lands in exactly one of them
+  return weights.map(function(weight, i) {
+    var lower = weights.slice(0, i).reduce(function(a, b) {
+      return a + b;
+    }, 0) / total;
+    var upper = lower + weight / total;
+
+    return scope._createSame(function() {
+      var next = random(splitSeed);
+
+      return scope._elements().filter(function() {
+        var r = next();
+        return r >= lower && r < upper;
+      });
+    });
+  });
+};
+
+RDD.prototype.zipWithIndex = function() {
+  var scope = this;
+
+  return this._createPair(function() {
+    return scope._elements().map(function(e, i) {
+      return new Tuple2(e, i);
+    });
+  });
+};
+
+RDD.prototype.cache = function() {
+  return this;
+};
+
+RDD.prototype.persist = function() {
+  return this;
+};
+
+RDD.prototype.unpersist = function() {
+  return this;
+};
+
+RDD.prototype.collect = function() {
+  return this._elements();
+};
+
+RDD.prototype.toArray = function() {
+  return this._elements();
+};
+
+RDD.prototype.toLocalIterator = function() {
+  return helpers.iterator(this._elements());
+};
+
+RDD.prototype.count = function() {
+  return this._elements().length;
+};
+
+RDD.prototype.take = function(num) {
+  return this._elements().slice(0, num);
+};
+
+RDD.prototype.takeOrdered = function(num, func) {
+  var bindArgs = bindArgsIn(arguments, 2);
+
+  return this._elements().sort(func ? function(a, b) {
+    return call(func, [a, b], bindArgs);
+  } : compare).slice(0, num);
+};
+
+RDD.prototype.takeSample = function(withReplacement, num, seed) {
+  var elements = this._elements();
+  var next = random(seed);
+  var result = [];
+
+  while (result.length < num && elements.length > 0) {
+    var i = Math.floor(next() * elements.length);
+
+    result.push(withReplacement ? elements[i] : elements.splice(i, 1)[0]);
+  }
+
+  return result;
+};
+
+RDD.prototype.reduce = function(func, bindArgs) {
+  var elements = this._elements();
+
+  if (elements.length === 0) {
+    throw new Error('empty collection');
+  }
+
+  return elements.reduce(function(acc, e) {
+    return call(func, [acc, e], bindArgs);
+  });
+};
+
+RDD.prototype.aggregate = function(zeroValue, seqOp, combOp, bindArgs1, bindArgs2) {
+  // one partition, which combOp merges into the zero value
+  var partition = this._elements().reduce(function(acc, e) {
+    return call(seqOp, [acc, e], bindArgs1);
+  }, JSON.parse(JSON.stringify(zeroValue)));
+
+  return call(combOp, [zeroValue, partition], bindArgs2);
+};
+
+RDD.prototype.foreach = function(func, bindArgs) {
+  this._elements().forEach(function(e) {
+    call(func, [e], bindArgs);
+  });
+};
+
+RDD.prototype.saveAsTextFile = function(path) {
+  fs.mkdirSync(path);
+  fs.writeFileSync(path + '/part-00000', this._elements().map(String).join('\n') + '\n');
+  fs.writeFileSync(path + '/_SUCCESS', '');
+};
+
+RDD.prototype.toString = function() {
+  return 'RDD (local)';
+};
+
+// pair methods
+
+RDD.prototype.values = function() {
+  var scope = this;
+
+  return this._create(function() {
+    return scope._elements().map(function(e) {
+      return toPair(e)[1];
+    });
+  });
+};
+
+RDD.prototype.mapValues = function(func, bindArgs) {
+  var scope = this;
+
+  return this._createPair(function() {
+    return scope._elements().map(toPair).map(function(pair) {
+      return new Tuple2(pair[0], call(func, [pair[1]], bindArgs));
+    });
+  });
+};
+
+RDD.prototype.groupByKey = function() {
+  var scope = this;
+
+  return this._createPair(function() {
+    return groupPairs(scope._elements()).map(function(group) {
+      return new Tuple2(group.key, group.values);
+    });
+  });
+};
+
+RDD.prototype.reduceByKey = function(func) {
+  var scope = this;
+  var bindArgs = bindArgsIn(arguments, 1);
+
+  return this._createPair(function() {
+    return groupPairs(scope._elements()).map(function(group) {
+      return new Tuple2(group.key, group.values.reduce(function(acc, v) {
+        return call(func, [acc, v], bindArgs);
+      }));
+    });
+  });
+};
+
+RDD.prototype.sortByKey = function(ascending) {
+  var scope = this;
+
+  return this._createPair(function() {
+    return scope._elements().map(toPair).sort(function(a, b) {
+      var c = compare(a[0], b[0]);
+      return ascending === false ? -c : c;
+    });
+  });
+};
+
+RDD.prototype.join = function(other) {
+  var scope = this;
+
+  return this._createPair(function() {
+    var right = groupPairs(other._elements());
+    var result = [];
+
+    scope._elements().map(toPair).forEach(function(pair) {
+      right.forEach(function(group) {
+        if (keyOf(group.key) == keyOf(pair[0])) {
+          group.values.forEach(function(value) {
+            result.push(new Tuple2(pair[0], new Tuple2(pair[1], value)));
+          });
+        }
+      });
+    });
+
+    return result;
+  });
+};
+
+/**
+ * An RDD of Tuple2s.
+ *
+ * @constructor
+ * @ignore
+ */
+function PairRDD(sc, compute) {
+  RDD.call(this, sc, compute);
+
+  return guard(this, 'PairRDD');
+}
+
+PairRDD.prototype = Object.create(RDD.prototype);
+PairRDD.prototype.constructor = PairRDD;
+
+PairRDD.fromRDD = function(rdd) {
+  return rdd._createPair(function() {
+    return rdd._elements().map(toPair);
+  });
+};
+
+PairRDD.prototype.rdd = function() {
+  return this._create(this._compute);
+};
+
+PairRDD.prototype.toString = function() {
+  return 'PairRDD (local)';
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function Broadcast(value) {
+  this._value = value;
+}
+
+Broadcast.prototype.value = function() {
+  return this._value;
+};
+
+Broadcast.prototype.unpersist = function() {
+};
+
+Broadcast.prototype.destroy = function() {
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function SparkContext(master, appName) {
+  this._master = master;
+  this._appName = appName;
+  this._stopped = false;
+
+  return guard(this, 'SparkContext');
+}
+
+SparkContext.prototype.version = function() {
+  return 'EclairJS local';
+};
+
+SparkContext.prototype.appName = function() {
+  return this._appName;
+};
+
+SparkContext.prototype.master = function() {
+  return this._master;
+};
+
+SparkContext.prototype.defaultParallelism = function() {
+  return 1;
+};
+
+SparkContext.prototype.parallelize = function(list) {
+  var elements = toArray(list).slice();
+
+  return new RDD(this, function() {
+    return elements;
+  });
+};
+
+SparkContext.prototype.parallelizePairs = function(list) {
+  var elements = toArray(list).map(toPair);
+
+  return new PairRDD(this, function() {
+    return elements;
+  });
+};
+
+SparkContext.prototype.textFile = function(path) {
+  return new RDD(this, function() {
+    var lines = fs.readFileSync(path, 'utf8').split(/\r?\n/);
+
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    return lines;
+  });
+};
+
+SparkContext.prototype.emptyRDD = function() {
+  return this.parallelize([]);
+};
+
+SparkContext.prototype.union = function(rdds) {
+  return rdds.slice(1).reduce(function(acc, rdd) {
+    return acc.union(rdd);
+  }, rdds[0]);
+};
+
+SparkContext.prototype.broadcast = function(value) {
+  return new Broadcast(value);
+};
+
+// Spark jobs run synchronously here, so there is never anything to cancel
+SparkContext.prototype.setJobGroup = function() {
+};
+
+SparkContext.prototype.clearJobGroup = function() {
+};
+
+SparkContext.prototype.cancelJobGroup = function() {
+};
+
+SparkContext.prototype.setLogLevel = function() {
+};
+
+SparkContext.prototype.stop = function() {
+  this._stopped = true;
+};
+
+module.exports = {
+  Tuple2: Tuple2,
+  Tuple3: Tuple3,
+  RDD: RDD,
+  PairRDD: PairRDD,
+  Broadcast: Broadcast,
+  SparkContext: SparkContext
+};
@@ -0,0 +1,2030 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var helpers = require('./helpers.js');
+var rdd = require('./rdd.js');
+
+var guard = helpers.guard;
+var call = helpers.call;
+var keyOf = helpers.keyOf;
+var compare = helpers.compare;
+var toArray = helpers.toArray;
+
+/**
+ * @constructor
+ * @ignore
+ */
+function DataType(name, simpleString, display) {
+  this._name = name;
+  this._simpleString = simpleString;
+  this._display = display;
+}
+
+DataType.prototype.simpleString = function() {
+  return this._simpleString;
+};
+
+DataType.prototype.typeName = function() {
+  return this._name;
+};
+
+DataType.prototype.toString = function() {
+  return this._display;
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function StructField(name, dataType, nullable) {
+  this._name = name;
+  this._dataType = dataType;
+  this._nullable = nullable !== false;
+}
+
+StructField.prototype.name = function() {
+  return this._name;
+};
+
+StructField.prototype.dataType = function() {
+  return this._dataType;
+};
+
+StructField.prototype.nullable = function() {
+  return this._nullable;
+};
+
+StructField.prototype.toString = function() {
+  return 'StructField(' + this._name + ',' + this._dataType + ',' + this._nullable + ')';
+};
+
+// what the Node Row expects: {name, dataType: 'string'|'integer'|..., nullable}
+StructField.prototype.toJSON = function() {
+  return {name: this._name, dataType: this._dataType._name, nullable: this._nullable};
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function StructType(fields) {
+  this._fields = fields || [];
+
+  return guard(this, 'StructType');
+}
+
+StructType.prototype.fields = function() {
+  return this._fields.slice();
+};
+
+StructType.prototype.fieldNames = function() {
+  return this._fields.map(function(field) {
+    return field._name;
+  });
+};
+
+StructType.prototype.length = function() {
+  return this._fields.length;
+};
+
+StructType.prototype.fieldIndex = function(name) {
+  var index = this.fieldNames().indexOf(name);
+
+  if (index < 0) {
+    throw new Error('Cannot resolve column name "' + name + '" among (' + this.fieldNames().join(', ') + ')');
+  }
+
+  return index;
+};
+
+StructType.prototype.apply = function(name) {
+  return this._fields[this.fieldIndex(name)];
+};
+
+StructType.prototype.add = function(name, dataType, nullable) {
+  return new StructType(this._fields.concat([new StructField(name, dataType, nullable)]));
+};
+
+StructType.prototype.simpleString = function() {
+  return 'struct<' + this._fields.map(function(field) {
+    return field._name + ':' + field._dataType.simpleString();
+  }).join(',') + '>';
+};
+
+StructType.prototype.toString = function() {
+  return 'StructType(' + this._fields.join(', ') + ')';
+};
+
+StructType.prototype.toJSON = function() {
+  return {fields: this._fields.map(function(field) {
+    return field.toJSON();
+  })};
+};
+
+var DataTypes = {
+  StringType: new DataType('string', 'string', 'StringType'),
+  IntegerType: new DataType('integer', 'int', 'IntegerType'),
+  LongType: new DataType('long', 'bigint', 'LongType'),
+  DoubleType: new DataType('double', 'double', 'DoubleType'),
+  FloatType: new DataType('float', 'float', 'FloatType'),
+  BooleanType: new DataType('boolean', 'boolean', 'BooleanType'),
+  DateType: new DataType('date', 'date', 'DateType'),
+  TimestampType: new DataType('timestamp', 'timestamp', 'TimestampType'),
+  ShortType: new DataType('short', 'smallint', 'ShortType'),
+  ByteType: new DataType('byte', 'tinyint', 'ByteType'),
+  BinaryType: new DataType('binary', 'binary', 'BinaryType'),
+  NullType: new DataType('null', 'null', 'NullType'),
+
+  createDecimalType: function(precision, scale) {
+    var args = precision === undefined ? '10,0' : precision + ',' + (scale === undefined ? 0 : scale);
+
+    return new DataType('decimal(' + args + ')', 'decimal(' + args + ')', 'DecimalType(' + args + ')');
+  },
+
+  createStructField: function(name, dataType, nullable) {
+    return new StructField(name, dataType, nullable);
+  },
+
+  createStructType: function(fields) {
+    return new StructType(toArray(fields));
+  }
+};
+
+// names cast() and the csv reader accept
+var TYPE_NAMES = {
+  string: DataTypes.StringType,
+  int: DataTypes.IntegerType,
+  integer: DataTypes.IntegerType,
+  long: DataTypes.LongType,
+  bigint: DataTypes.LongType,
+  double: DataTypes.DoubleType,
+  float: DataTypes.FloatType,
+  boolean: DataTypes.BooleanType,
+  date: DataTypes.DateType,
+  timestamp: DataTypes.TimestampType
+};
+
+var NUMERIC = ['integer', 'long', 'float', 'double'];
+
+function isNumeric(type) {
+  return NUMERIC.indexOf(type._name) >= 0;
+}
+
+// the type of a + b, a * b...
+function widen(a, b) {
+  if (a._name == 'double' || b._name == 'double' || a._name == 'float' || b._name == 'float') {
+    return DataTypes.DoubleType;
+  } else if (a._name == 'long' || b._name == 'long') {
+    return DataTypes.LongType;
+  } else {
+    return DataTypes.IntegerType;
+  }
+}
+
+function typeOfValue(value) {
+  if (value === null || value === undefined) {
+    return DataTypes.NullType;
+  } else if (typeof value == 'number') {
+    return Number.isInteger(value) && Math.abs(value) <= 2147483647 ? DataTypes.IntegerType : DataTypes.DoubleType;
+  } else if (typeof value == 'boolean') {
+    return DataTypes.BooleanType;
+  } else {
+    return DataTypes.StringType;
+  }
+}
+
+function castValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type._name) {
+    case 'string':
+      return String(value);
+    case 'integer':
+    case 'long':
+      var integer = parseInt(value, 10);
+      return isNaN(integer) ? null : integer;
+    case 'double':
+    case 'float':
+      var number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    case 'boolean':
+      return typeof value == 'string' ? (value == 'true' ? true : (value == 'false' ? false : null)) : !!value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * @constructor
+ * @ignore
+ */
+function Row(values, schema) {
+  this._values = values;
+  this._schema = schema || null;
+
+  return guard(this, 'Row');
+}
+
+Row.prototype.get = function(i) {
+  return this._values[i];
+};
+
+Row.prototype.getString = Row.prototype.get;
+Row.prototype.getInt = Row.prototype.get;
+Row.prototype.getLong = Row.prototype.get;
+Row.prototype.getDouble = Row.prototype.get;
+Row.prototype.getFloat = Row.prototype.get;
+Row.prototype.getBoolean = Row.prototype.get;
+Row.prototype.getDate = Row.prototype.get;
+Row.prototype.getTimestamp = Row.prototype.get;
+
+Row.prototype.getAs = function(nameOrIndex) {
+  return this._values[typeof nameOrIndex == 'string' ? this.fieldIndex(nameOrIndex) : nameOrIndex];
+};
+
+Row.prototype.isNullAt = function(i) {
+  return this._values[i] === null || this._values[i] === undefined;
+};
+
+Row.prototype.anyNull = function() {
+  return this._values.some(function(value) {
+    return value === null || value === undefined;
+  });
+};
+
+Row.prototype.size = function() {
+  return this._values.length;
+};
+
+Row.prototype.length = Row.prototype.size;
+
+Row.prototype.schema = function() {
+  return this._schema;
+};
+
+Row.prototype.fieldIndex = function(name) {
+  if (!this._schema) {
+    throw new Error('fieldIndex on a Row without a schema is undefined');
+  }
+
+  return this._schema.fieldIndex(name);
+};
+
+Row.prototype.copy = function() {
+  return new Row(this._values.slice(), this._schema);
+};
+
+Row.prototype.equals = function(other) {
+  return other instanceof Row && keyOf(this._values) == keyOf(other._values);
+};
+
+Row.prototype.mkString = function(separator) {
+  return this._values.join(separator || '');
+};
+
+Row.prototype.toString = function() {
+  return '[' + this._values.join(',') + ']';
+};
+
+// what the Node Dataset expects from collect(), take()...
+Row.prototype.toJSON = function() {
+  return {values: this._values, schema: this._schema ? this._schema.toJSON() : null};
+};
+
+function pad(n, width) {
+  var text = String(n);
+
+  while (text.length < width) {
+    text = '0' + text;
+  }
+
+  return text;
+}
+
+/**
+ * @constructor
+ * @ignore
+ */
+function SqlDate(time) {
+  this._time = time instanceof Date ? time.getTime() : typeof time == 'string' ? new Date(time).getTime() : time;
+
+  return guard(this, 'SqlDate');
+}
+
+SqlDate.prototype.getTime = function() {
+  return this._time;
+};
+
+// yyyy-mm-dd, like java.sql.Date
+SqlDate.prototype.toString = function() {
+  var date = new Date(this._time);
+
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1, 2) + '-' + pad(date.getDate(), 2);
+};
+
+SqlDate.prototype.toJSON = SqlDate.prototype.toString;
+
+/**
+ * @constructor
+ * @ignore
+ */
+function SqlTimestamp(time) {
+  this._time = time instanceof Date ? time.getTime() : typeof time == 'string' ? new Date(time).getTime() : time;
+
+  return guard(this, 'SqlTimestamp');
+}
+
+SqlTimestamp.prototype.getTime = function() {
+  return this._time;
+};
+
+// yyyy-mm-dd hh:mm:ss.fff, like java.sql.Timestamp
+SqlTimestamp.prototype.toString = function() {
+  var date = new Date(this._time);
+
+  return SqlDate.prototype.toString.call({_time: this._time}) + ' ' + pad(date.getHours(), 2) + ':' +
+    pad(date.getMinutes(), 2) + ':' + pad(date.getSeconds(), 2) + '.' + pad(date.getMilliseconds(), 3);
+};
+
+SqlTimestamp.prototype.toJSON = SqlTimestamp.prototype.toString;
+
+var RowFactory = {
+  create: function(values) {
+    return new Row(arguments.length == 1 && Array.isArray(values) ? values.slice() : Array.prototype.slice.call(arguments));
+  }
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function Encoder(type) {
+  this._type = type;
+}
+
+Encoder.prototype.schema = function() {
+  return new StructType([new StructField('value', this._type, true)]);
+};
+
+Encoder.prototype.toString = function() {
+  return 'Encoder[value: ' + this._type.simpleString() + ']';
+};
+
+var Encoders = {
+  STRING: function() {
+    return new Encoder(DataTypes.StringType);
+  },
+  INT: function() {
+    return new Encoder(DataTypes.IntegerType);
+  },
+  LONG: function() {
+    return new Encoder(DataTypes.LongType);
+  },
+  DOUBLE: function() {
+    return new Encoder(DataTypes.DoubleType);
+  },
+  FLOAT: function() {
+    return new Encoder(DataTypes.FloatType);
+  },
+  BOOLEAN: function() {
+    return new Encoder(DataTypes.BooleanType);
+  },
+  DATE: function() {
+    return new Encoder(DataTypes.DateType);
+  },
+  TIMESTAMP: function() {
+    return new Encoder(DataTypes.TimestampType);
+  }
+};
+
+/**
+ * An expression over the rows of a Dataset.  evaluate(values, schema, group) computes it for one row (values, an
+ * array in schema order); aggregates compute it over group, the rows of the current group.
+ *
+ * @constructor
+ * @ignore
+ */
+function Column(name, evaluate, typeOf, options) {
+  var opts = options || {};
+
+  this._name = name;
+  this._evaluate = evaluate;
+  this._typeOf = typeOf;
+  this._isAgg = !!opts.isAgg;
+  this._order = opts.order || null;
+  this._cases = opts.cases || null;
+
+  return guard(this, 'Column');
+}
+
+function col(name) {
+  return new Column(name, function(values, schema) {
+    return values[schema.fieldIndex(name)];
+  }, function(schema) {
+    return schema.apply(name)._dataType;
+  });
+}
+
+function lit(value) {
+  if (value instanceof Column) {
+    return value;
+  }
+
+  return new Column(value === null ? 'NULL' : String(value), function() {
+    return value;
+  }, function() {
+    return typeOfValue(value);
+  });
+}
+
+function toColumn(value) {
+  return value instanceof Column ? value : col(value);
+}
+
+// the arguments of f(col1, col2...) or f([col1, col2...])
+function columnArgs(args) {
+  var list = Array.prototype.slice.call(args);
+
+  return list.length == 1 && Array.isArray(list[0]) ? list[0] : list;
+}
+
+// a function of other columns, null if any of them is null
+function derive(name, columns, func, typeOf) {
+  return new Column(name, function(values, schema, group) {
+    var inputs = columns.map(function(column) {
+      return column._evaluate(values, schema, group);
+    });
+
+    if (inputs.some(function(input) {
+      return input === null || input === undefined;
+    })) {
+      return null;
+    }
+
+    return func.apply(null, inputs);
+  }, function(schema) {
+    return typeof typeOf == 'function' ? typeOf.apply(null, columns.map(function(column) {
+      return column._typeOf(schema);
+    })) : typeOf;
+  }, {
+    isAgg: columns.some(function(column) {
+      return column._isAgg;
+    })
+  });
+}
+
+function binary(symbol, func, typeOf) {
+  return function(other) {
+    var right = lit(other);
+
+    return derive('(' + this._name + ' ' + symbol + ' ' + right._name + ')', [this, right], func, typeOf);
+  };
+}
+
+function aggregate(name, column, func, typeOf) {
+  return new Column(name + '(' + column._name + ')', function(values, schema, group) {
+    var inputs = (group || [values]).map(function(row) {
+      return column._evaluate(row, schema);
+    }).filter(function(input) {
+      return input !== null && input !== undefined;
+    });
+
+    return func(inputs, group || [values]);
+  }, function(schema) {
+    return typeof typeOf == 'function' ? typeOf(column._typeOf(schema)) : typeOf;
+  }, {isAgg: true});
+}
+
+Column.prototype.plus = binary('+', function(a, b) {
+  return a + b;
+}, widen);
+
+Column.prototype.minus = binary('-', function(a, b) {
+  return a - b;
+}, widen);
+
+Column.prototype.multiply = binary('*', function(a, b) {
+  return a * b;
+}, widen);
+
+Column.prototype.divide = binary('/', function(a, b) {
+  return b === 0 ? null : a / b;
+}, DataTypes.DoubleType);
+
+Column.prototype.mod = binary('%', function(a, b) {
+  return b === 0 ? null : a % b;
+}, widen);
+
+Column.prototype.equalTo = binary('=', function(a, b) {
+  return keyOf(a) == keyOf(b);
+}, DataTypes.BooleanType);
+
+Column.prototype.notEqual = binary('!=', function(a, b) {
+  return keyOf(a) != keyOf(b);
+}, DataTypes.BooleanType);
+
+Column.prototype.gt = binary('>', function(a, b) {
+  return compare(a, b) > 0;
+}, DataTypes.BooleanType);
+
+Column.prototype.lt = binary('<', function(a, b) {
+  return compare(a, b) < 0;
+}, DataTypes.BooleanType);
+
+Column.prototype.geq = binary('>=', function(a, b) {
+  return compare(a, b) >= 0;
+}, DataTypes.BooleanType);
+
+Column.prototype.leq = binary('<=', function(a, b) {
+  return compare(a, b) <= 0;
+}, DataTypes.BooleanType);
+
+Column.prototype.and = function(other) {
+  var left = this;
+  var right = lit(other);
+
+  // three valued: false wins over null
+  return new Column('(' + left._name + ' AND ' + right._name + ')', function(values, schema, group) {
+    var a = left._evaluate(values, schema, group);
+    var b = right._evaluate(values, schema, group);
+
+    return a === false || b === false ? false : (a === null || b === null ? null : !!(a && b));
+  }, function() {
+    return DataTypes.BooleanType;
+  }, {isAgg: left._isAgg || right._isAgg});
+};
+
+Column.prototype.or = function(other) {
+  var left = this;
+  var right = lit(other);
+
+  return new Column('(' + left._name + ' OR ' + right._name + ')', function(values, schema, group) {
+    var a = left._evaluate(values, schema, group);
+    var b = right._evaluate(values, schema, group);
+
+    return a === true || b === true ? true : (a === null || b === null ? null : !!(a || b));
+  }, function() {
+    return DataTypes.BooleanType;
+  }, {isAgg: left._isAgg || right._isAgg});
+};
+
+Column.prototype.not = function() {
+  return derive('(NOT ' + this._name + ')', [this], function(a) {
+    return !a;
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.isNull = function() {
+  var column = this;
+
+  return new Column('(' + this._name + ' IS NULL)', function(values, schema, group) {
+    var value = column._evaluate(values, schema, group);
+    return value === null || value === undefined;
+  }, function() {
+    return DataTypes.BooleanType;
+  }, {isAgg: this._isAgg});
+};
+
+Column.prototype.isNotNull = function() {
+  var column = this;
+
+  return new Column('(' + this._name + ' IS NOT NULL)', function(values, schema, group) {
+    var value = column._evaluate(values, schema, group);
+    return value !== null && value !== undefined;
+  }, function() {
+    return DataTypes.BooleanType;
+  }, {isAgg: this._isAgg});
+};
+
+Column.prototype.contains = function(other) {
+  return derive('contains(' + this._name + ', ' + lit(other)._name + ')', [this, lit(other)], function(a, b) {
+    return String(a).indexOf(String(b)) >= 0;
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.startsWith = function(other) {
+  return derive('startswith(' + this._name + ', ' + lit(other)._name + ')', [this, lit(other)], function(a, b) {
+    return String(a).indexOf(String(b)) === 0;
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.endsWith = function(other) {
+  return derive('endswith(' + this._name + ', ' + lit(other)._name + ')', [this, lit(other)], function(a, b) {
+    var suffix = String(b);
+    return String(a).slice(-suffix.length) === suffix || suffix === '';
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.like = function(pattern) {
+  var regExp = new RegExp('^' + pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$');
+
+  return derive(this._name + ' LIKE ' + pattern, [this], function(a) {
+    return regExp.test(String(a));
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.isin = function() {
+  var list = columnArgs(arguments);
+  var keys = list.map(keyOf);
+
+  return derive('(' + this._name + ' IN (' + list.join(', ') + '))', [this], function(a) {
+    return keys.indexOf(keyOf(a)) >= 0;
+  }, DataTypes.BooleanType);
+};
+
+Column.prototype.between = function(lowerBound, upperBound) {
+  return this.geq(lowerBound).and(this.leq(upperBound));
+};
+
+Column.prototype.cast = function(to) {
+  var type = typeof to == 'string' ? TYPE_NAMES[to.toLowerCase()] : to;
+
+  if (!type) {
+    throw new Error('Cannot cast to ' + to + ' in the EclairJS local backend');
+  }
+
+  return derive('CAST(' + this._name + ' AS ' + type.simpleString().toUpperCase() + ')', [this], function(a) {
+    return castValue(a, type);
+  }, type);
+};
+
+Column.prototype.as = function(alias) {
+  return new Column(alias, this._evaluate, this._typeOf, {isAgg: this._isAgg, order: this._order});
+};
+
+Column.prototype.alias = Column.prototype.as;
+Column.prototype.name = Column.prototype.as;
+
+Column.prototype.asc = function() {
+  return new Column(this._name + ' ASC NULLS FIRST', this._evaluate, this._typeOf, {isAgg: this._isAgg, order: 'asc'});
+};
+
+Column.prototype.desc = function() {
+  return new Column(this._name + ' DESC NULLS LAST', this._evaluate, this._typeOf, {isAgg: this._isAgg, order: 'desc'});
+};
+
+Column.prototype.when = function(condition, value) {
+  return when(condition, value, this._cases);
+};
+
+Column.prototype.otherwise = function(value) {
+  if (!this._cases) {
+    throw new Error('otherwise() can only be applied on a Column previously generated by when()');
+  }
+
+  return when(null, value, this._cases);
+};
+
+function when(condition, value, cases) {
+  var all = (cases || []).concat([{condition: condition, value: lit(value)}]);
+  var name = 'CASE' + all.map(function(c) {
+    return c.condition ? ' WHEN ' + c.condition._name + ' THEN ' + c.value._name : ' ELSE ' + c.value._name;
+  }).join('') + ' END';
+
+  return new Column(name, function(values, schema, group) {
+    for (var i = 0; i < all.length; i++) {
+      if (!all[i].condition || all[i].condition._evaluate(values, schema, group) === true) {
+        return all[i].value._evaluate(values, schema, group);
+      }
+    }
+
+    return null;
+  }, function(schema) {
+    return all[0].value._typeOf(schema);
+  }, {
+    isAgg: all.some(function(c) {
+      return c.value._isAgg || (c.condition && c.condition._isAgg);
+    }),
+    cases: all
+  });
+}
+
+Column.prototype.equals = function(other) {
+  return other instanceof Column && other._name == this._name;
+};
+
+Column.prototype.toString = function() {
+  return this._name;
+};
+
+// count(*)
+var ALL_ROWS = lit(1);
+
+function sumType(type) {
+  return type._name == 'integer' || type._name == 'long' ? DataTypes.LongType : DataTypes.DoubleType;
+}
+
+function sum(values) {
+  return values.length ? values.reduce(function(a, b) {
+    return a + b;
+  }) : null;
+}
+
+var functions = {
+  col: col,
+  column: col,
+  lit: lit,
+
+  asc: function(columnName) {
+    return toColumn(columnName).asc();
+  },
+
+  desc: function(columnName) {
+    return toColumn(columnName).desc();
+  },
+
+  count: function(column) {
+    return aggregate('count', column === '*' ? ALL_ROWS : toColumn(column), function(values) {
+      return values.length;
+    }, DataTypes.LongType);
+  },
+
+  sum: function(column) {
+    return aggregate('sum', toColumn(column), sum, sumType);
+  },
+
+  sumDistinct: function(column) {
+    return aggregate('sum', toColumn(column), function(values) {
+      var seen = {};
+
+      return sum(values.filter(function(value) {
+        return seen[keyOf(value)] ? false : (seen[keyOf(value)] = true);
+      }));
+    }, sumType);
+  },
+
+  avg: function(column) {
+    return aggregate('avg', toColumn(column), function(values) {
+      return values.length ? sum(values) / values.length : null;
+    }, DataTypes.DoubleType);
+  },
+
+  max: function(column) {
+    return aggregate('max', toColumn(column), function(values) {
+      return values.length ? values.reduce(function(a, b) {
+        return compare(a, b) >= 0 ? a : b;
+      }) : null;
+    }, function(type) {
+      return type;
+    });
+  },
+
+  min: function(column) {
+    return aggregate('min', toColumn(column), function(values) {
+      return values.length ? values.reduce(function(a, b) {
+        return compare(a, b) <= 0 ? a : b;
+      }) : null;
+    }, function(type) {
+      return type;
+    });
+  },
+
+  first: function(column) {
+    return aggregate('first', toColumn(column), function(values) {
+      return values.length ? values[0] : null;
+    }, function(type) {
+      return type;
+    });
+  },
+
+  last: function(column) {
+    return aggregate('last', toColumn(column), function(values) {
+      return values.length ? values[values.length - 1] : null;
+    }, function(type) {
+      return type;
+    });
+  },
+
+  abs: function(column) {
+    var c = toColumn(column);
+
+    return derive('abs(' + c._name + ')', [c], Math.abs, function(type) {
+      return type;
+    });
+  },
+
+  sqrt: function(column) {
+    var c = toColumn(column);
+
+    return derive('SQRT(' + c._name + ')', [c], Math.sqrt, DataTypes.DoubleType);
+  },
+
+  negate: function(column) {
+    var c = toColumn(column);
+
+    return derive('(- ' + c._name + ')', [c], function(a) {
+      return -a;
+    }, function(type) {
+      return type;
+    });
+  },
+
+  not: function(column) {
+    return toColumn(column).not();
+  },
+
+  upper: function(column) {
+    var c = toColumn(column);
+
+    return derive('upper(' + c._name + ')', [c], function(a) {
+      return String(a).toUpperCase();
+    }, DataTypes.StringType);
+  },
+
+  lower: function(column) {
+    var c = toColumn(column);
+
+    return derive('lower(' + c._name + ')', [c], function(a) {
+      return String(a).toLowerCase();
+    }, DataTypes.StringType);
+  },
+
+  trim: function(column) {
+    var c = toColumn(column);
+
+    return derive('trim(' + c._name + ')', [c], function(a) {
+      return String(a).trim();
+    }, DataTypes.StringType);
+  },
+
+  getLength: function(column) {
+    var c = toColumn(column);
+
+    return derive('length(' + c._name + ')', [c], function(a) {
+      return String(a).length;
+    }, DataTypes.IntegerType);
+  },
+
+  concat: function() {
+    var columns = columnArgs(arguments).map(toColumn);
+
+    return derive('concat(' + columns.join(', ') + ')', columns, function() {
+      return Array.prototype.join.call(arguments, '');
+    }, DataTypes.StringType);
+  },
+
+  when: function(condition, value) {
+    return when(condition, value, null);
+  }
+};
+
+functions.mean = functions.avg;
+
+/*
+ * The conditions filter() and where() accept as a string: comparisons of columns and literals combined with AND, OR,
+ * NOT and parentheses, and IS [NOT] NULL.  Anything else needs a Column or a lambda.
+ */
+
+var TOKEN = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|"([^"]*)"|(<=|>=|<>|!=|==|=|<|>|\(|\))|`([^`]+)`|([A-Za-z_][\w.]*))/y;
+
+function unparsable(text) {
+  return new Error('Cannot parse condition "' + text + '" in the EclairJS local backend, use a Column instead');
+}
+
+function tokenize(text) {
+  var tokens = [];
+  var position = 0;
+  var match;
+
+  while (position < text.length) {
+    TOKEN.lastIndex = position;
+    match = TOKEN.exec(text);
+
+    if (match === null) {
+      break;
+    }
+
+    position = TOKEN.lastIndex;
+
+    if (match[1] !== undefined) {
+      tokens.push({type: 'literal', value: match[1].indexOf('.') >= 0 ? parseFloat(match[1]) : parseInt(match[1], 10)});
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({type: 'literal', value: match[2] !== undefined ? match[2].replace(/''/g, "'") : match[3]});
+    } else if (match[4] !== undefined) {
+      tokens.push({type: 'symbol', value: match[4]});
+    } else if (match[5] !== undefined) {
+      tokens.push({type: 'name', value: match[5]});
+    } else {
+      var word = match[6].toUpperCase();
+
+      if (['AND', 'OR', 'NOT', 'IS', 'NULL'].indexOf(word) >= 0) {
+        tokens.push({type: 'keyword', value: word});
+      } else if (word == 'TRUE' || word == 'FALSE') {
+        tokens.push({type: 'literal', value: word == 'TRUE'});
+      } else {
+        tokens.push({type: 'name', value: match[6]});
+      }
+    }
+  }
+
+  if (text.slice(position).trim() !== '') {
+    throw unparsable(text);
+  }
+
+  return tokens;
+}
+
+var COMPARISONS = {
+  '=': 'equalTo',
+  '==': 'equalTo',
+  '!=': 'notEqual',
+  '<>': 'notEqual',
+  '<': 'lt',
+  '<=': 'leq',
+  '>': 'gt',
+  '>=': 'geq'
+};
+
+function parseCondition(text) {
+  var tokens = tokenize(text);
+  var position = 0;
+
+  function peek(type, value) {
+    var token = tokens[position];
+    return token && token.type == type && (value === undefined || token.value == value);
+  }
+
+  function expect(type, value) {
+    if (!peek(type, value)) {
+      throw unparsable(text);
+    }
+
+    return tokens[position++];
+  }
+
+  function operand() {
+    if (peek('symbol', '(')) {
+      position++;
+      var inner = or();
+      expect('symbol', ')');
+      return inner;
+    } else if (peek('keyword', 'NULL')) {
+      position++;
+      return lit(null);
+    } else if (peek('literal')) {
+      return lit(tokens[position++].value);
+    } else {
+      return col(expect('name').value);
+    }
+  }
+
+  function comparison() {
+    var left = operand();
+
+    if (peek('keyword', 'IS')) {
+      position++;
+      var negated = peek('keyword', 'NOT');
+
+      if (negated) {
+        position++;
+      }
+
+      expect('keyword', 'NULL');
+      return negated ? left.isNotNull() : left.isNull();
+    } else if (peek('symbol') && COMPARISONS[tokens[position].value]) {
+      var method = COMPARISONS[tokens[position++].value];
+      return left[method](operand());
+    } else {
+      return left;
+    }
+  }
+
+  function not() {
+    if (peek('keyword', 'NOT')) {
+      position++;
+      return not().not();
+    }
+
+    return comparison();
+  }
+
+  function and() {
+    var left = not();
+
+    while (peek('keyword', 'AND')) {
+      position++;
+      left = left.and(not());
+    }
+
+    return left;
+  }
+
+  function or() {
+    var left = and();
+
+    while (peek('keyword', 'OR')) {
+      position++;
+      left = left.or(and());
+    }
+
+    return left;
+  }
+
+  var condition = or();
+
+  if (position < tokens.length) {
+    throw unparsable(text);
+  }
+
+  return condition;
+}
+
+/**
+ * A Dataset of the local backend.  compute() returns its {schema, rows}, rows being arrays of values in schema
+ * order; like RDDs, it runs again for every action.  Datasets made with an encoder (map, createDataset, toJSON...)
+ * have a single value column and return the plain values instead of Rows.
+ *
+ * @constructor
+ * @ignore
+ */
+function Dataset(session, compute, encoder) {
+  this._session = session;
+  this._compute = compute;
+  this._encoder = encoder || null;
+
+  return guard(this, 'Dataset');
+}
+
+Dataset.prototype._data = function() {
+  return this._compute();
+};
+
+Dataset.prototype._derive = function(compute, encoder) {
+  return new Dataset(this._session, compute, encoder);
+};
+
+// keeps the encoder, for operations that only drop, reorder or add rows
+Dataset.prototype._deriveRows = function(func) {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    return {schema: data.schema, rows: func(data.rows, data.schema)};
+  }, this._encoder);
+};
+
+Dataset.prototype._value = function(values, schema) {
+  return this._encoder ? values[0] : new Row(values, schema);
+};
+
+Dataset.prototype._values = function() {
+  var scope = this;
+  var data = this._data();
+
+  return data.rows.map(function(values) {
+    return scope._value(values, data.schema);
+  });
+};
+
+Dataset.prototype._expand = function(columns, schema) {
+  return [].concat.apply([], columns.map(function(column) {
+    if (column === '*') {
+      return schema.fieldNames().map(col);
+    } else {
+      return [toColumn(column)];
+    }
+  }));
+};
+
+Dataset.prototype.schema = function() {
+  return this._data().schema;
+};
+
+Dataset.prototype.columns = function() {
+  return this.schema().fieldNames();
+};
+
+Dataset.prototype.dtypes = function() {
+  return this.schema()._fields.map(function(field) {
+    return new rdd.Tuple2(field._name, field._dataType.toString());
+  });
+};
+
+Dataset.prototype.col = function(name) {
+  return col(name);
+};
+
+Dataset.prototype.apply = Dataset.prototype.col;
+
+Dataset.prototype.select = function() {
+  var columns = columnArgs(arguments);
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    var selected = scope._expand(columns, data.schema);
+    var schema = new StructType(selected.map(function(column) {
+      return new StructField(column._name, column._typeOf(data.schema), true);
+    }));
+
+    var isAgg = selected.some(function(column) {
+      return column._isAgg;
+    });
+
+    if (isAgg) {
+      // aggregates without groupBy: a single group of all rows
+      return {schema: schema, rows: [selected.map(function(column) {
+        return column._evaluate(data.rows[0] || [], data.schema, data.rows);
+      })]};
+    }
+
+    return {schema: schema, rows: data.rows.map(function(values) {
+      return selected.map(function(column) {
+        return column._evaluate(values, data.schema);
+      });
+    })};
+  });
+};
+
+Dataset.prototype.filter = function(condition, bindArgs) {
+  var scope = this;
+
+  if (typeof condition == 'function') {
+    return this._deriveRows(function(rows, schema) {
+      return rows.filter(function(values) {
+        return call(condition, [scope._value(values, schema)], bindArgs);
+      });
+    });
+  }
+
+  var column = typeof condition == 'string' ? parseCondition(condition) : condition;
+
+  return this._deriveRows(function(rows, schema) {
+    return rows.filter(function(values) {
+      return column._evaluate(values, schema) === true;
+    });
+  });
+};
+
+Dataset.prototype.where = Dataset.prototype.filter;
+
+Dataset.prototype.groupBy = function() {
+  return new RelationalGroupedDataset(this, columnArgs(arguments).map(toColumn));
+};
+
+Dataset.prototype.agg = function() {
+  var grouped = this.groupBy();
+
+  return grouped.agg.apply(grouped, arguments);
+};
+
+Dataset.prototype.orderBy = function() {
+  var columns = columnArgs(arguments).map(toColumn);
+
+  return this._deriveRows(function(rows, schema) {
+    var keyed = rows.map(function(values, i) {
+      return {values: values, index: i, keys: columns.map(function(column) {
+        return column._evaluate(values, schema);
+      })};
+    });
+
+    keyed.sort(function(a, b) {
+      for (var i = 0; i < columns.length; i++) {
+        var c = compare(a.keys[i], b.keys[i]);
+
+        if (c !== 0) {
+          return columns[i]._order == 'desc' ? -c : c;
+        }
+      }
+
+      return a.index - b.index;
+    });
+
+    return keyed.map(function(entry) {
+      return entry.values;
+    });
+  });
+};
+
+Dataset.prototype.sort = Dataset.prototype.orderBy;
+
+Dataset.prototype.limit = function(n) {
+  return this._deriveRows(function(rows) {
+    return rows.slice(0, n);
+  });
+};
+
+Dataset.prototype.distinct = function() {
+  return this.dropDuplicates();
+};
+
+Dataset.prototype.dropDuplicates = function() {
+  var names = columnArgs(arguments);
+
+  return this._deriveRows(function(rows, schema) {
+    var indexes = names.length ? names.map(function(name) {
+      return schema.fieldIndex(name);
+    }) : null;
+    var seen = {};
+
+    return rows.filter(function(values) {
+      var key = keyOf(indexes ? indexes.map(function(i) {
+        return values[i];
+      }) : values);
+
+      return seen[key] ? false : (seen[key] = true);
+    });
+  });
+};
+
+Dataset.prototype.withColumn = function(name, column) {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    var names = data.schema.fieldNames();
+    var index = names.indexOf(name);
+    var field = new StructField(name, column._typeOf(data.schema), true);
+    var fields = data.schema._fields.slice();
+
+    if (index < 0) {
+      fields.push(field);
+    } else {
+      fields[index] = field;
+    }
+
+    return {schema: new StructType(fields), rows: data.rows.map(function(values) {
+      var result = values.slice();
+      result[index < 0 ? values.length : index] = column._evaluate(values, data.schema);
+      return result;
+    })};
+  });
+};
+
+Dataset.prototype.withColumnRenamed = function(existingName, newName) {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+
+    return {schema: new StructType(data.schema._fields.map(function(field) {
+      return field._name == existingName ? new StructField(newName, field._dataType, field._nullable) : field;
+    })), rows: data.rows};
+  });
+};
+
+Dataset.prototype.drop = function() {
+  var names = columnArgs(arguments).map(function(column) {
+    return String(column);
+  });
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    var keep = [];
+
+    data.schema._fields.forEach(function(field, i) {
+      if (names.indexOf(field._name) < 0) {
+        keep.push(i);
+      }
+    });
+
+    return {schema: new StructType(keep.map(function(i) {
+      return data.schema._fields[i];
+    })), rows: data.rows.map(function(values) {
+      return keep.map(function(i) {
+        return values[i];
+      });
+    })};
+  });
+};
+
+Dataset.prototype.toDF = function() {
+  var names = columnArgs(arguments);
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+
+    if (names.length && names.length != data.schema._fields.length) {
+      throw new Error('The number of columns doesn\'t match.  Old column names (' + data.schema._fields.length +
+        '): ' + data.schema.fieldNames().join(', ') + '  New column names (' + names.length + '): ' + names.join(', '));
+    }
+
+    return {schema: names.length ? new StructType(data.schema._fields.map(function(field, i) {
+      return new StructField(names[i], field._dataType, field._nullable);
+    })) : data.schema, rows: data.rows};
+  });
+};
+
+Dataset.prototype.union = function(other) {
+  return this._deriveRows(function(rows) {
+    return rows.concat(other._data().rows);
+  });
+};
+
+Dataset.prototype.unionAll = Dataset.prototype.union;
+
+Dataset.prototype.intersect = function(other) {
+  return this._deriveRows(function(rows) {
+    var keep = {};
+
+    other._data().rows.forEach(function(values) {
+      keep[keyOf(values)] = true;
+    });
+
+    return rows.filter(function(values) {
+      return keep[keyOf(values)];
+    });
+  }).distinct();
+};
+
+Dataset.prototype.except = function(other) {
+  return this._deriveRows(function(rows) {
+    var remove = {};
+
+    other._data().rows.forEach(function(values) {
+      remove[keyOf(values)] = true;
+    });
+
+    return rows.filter(function(values) {
+      return !remove[keyOf(values)];
+    });
+  }).distinct();
+};
+
+Dataset.prototype.join = function(right, usingColumns, joinType) {
+  if (usingColumns instanceof Column) {
+    throw new Error('Dataset.join() with a join expression is not supported by the EclairJS local backend, ' +
+      'join on column names instead');
+  }
+
+  if (joinType && joinType != 'inner') {
+    throw new Error('Dataset.join() of type ' + joinType + ' is not supported by the EclairJS local backend');
+  }
+
+  var names = usingColumns === undefined ? [] : toArray(typeof usingColumns == 'string' ? [usingColumns] : usingColumns);
+  var scope = this;
+
+  return this._derive(function() {
+    var left = scope._data();
+    var other = right._data();
+
+    var leftKeys = names.map(function(name) {
+      return left.schema.fieldIndex(name);
+    });
+    var rightKeys = names.map(function(name) {
+      return other.schema.fieldIndex(name);
+    });
+
+    // the join columns once, then the other columns of each side
+    var leftRest = [];
+    var rightRest = [];
+
+    left.schema._fields.forEach(function(field, i) {
+      if (leftKeys.indexOf(i) < 0) {
+        leftRest.push(i);
+      }
+    });
+
+    other.schema._fields.forEach(function(field, i) {
+      if (rightKeys.indexOf(i) < 0) {
+        rightRest.push(i);
+      }
+    });
+
+    var fields = leftKeys.concat(leftRest).map(function(i) {
+      return left.schema._fields[i];
+    }).concat(rightRest.map(function(i) {
+      return other.schema._fields[i];
+    }));
+
+    var rows = [];
+
+    left.rows.forEach(function(l) {
+      var key = keyOf(leftKeys.map(function(i) {
+        return l[i];
+      }));
+
+      other.rows.forEach(function(r) {
+        if (keyOf(rightKeys.map(function(i) {
+          return r[i];
+        })) == key) {
+          rows.push(leftKeys.concat(leftRest).map(function(i) {
+            return l[i];
+          }).concat(rightRest.map(function(i) {
+            return r[i];
+          })));
+        }
+      });
+    });
+
+    return {schema: new StructType(fields), rows: rows};
+  });
+};
+
+Dataset.prototype.map = function(func, encoder, bindArgs) {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+
+    return {schema: encoder.schema(), rows: data.rows.map(function(values) {
+      return [call(func, [scope._value(values, data.schema)], bindArgs)];
+    })};
+  }, encoder);
+};
+
+Dataset.prototype.flatMap = function(func, encoder, bindArgs) {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    var rows = [];
+
+    data.rows.forEach(function(values) {
+      toArray(call(func, [scope._value(values, data.schema)], bindArgs)).forEach(function(value) {
+        rows.push([value]);
+      });
+    });
+
+    return {schema: encoder.schema(), rows: rows};
+  }, encoder);
+};
+
+Dataset.prototype.foreach = function(func, bindArgs) {
+  this._values().forEach(function(value) {
+    call(func, [value], bindArgs);
+  });
+};
+
+Dataset.prototype.toJSON = function() {
+  var scope = this;
+
+  return this._derive(function() {
+    var data = scope._data();
+    var names = data.schema.fieldNames();
+
+    return {schema: Encoders.STRING().schema(), rows: data.rows.map(function(values) {
+      var object = {};
+
+      names.forEach(function(name, i) {
+        if (values[i] !== null && values[i] !== undefined) {
+          object[name] = values[i];
+        }
+      });
+
+      return [JSON.stringify(object)];
+    })};
+  }, Encoders.STRING());
+};
+
+Dataset.prototype.count = function() {
+  return this._data().rows.length;
+};
+
+Dataset.prototype.collect = function() {
+  return this._values();
+};
+
+Dataset.prototype.collectAsList = Dataset.prototype.collect;
+
+Dataset.prototype.toLocalIterator = function() {
+  return helpers.iterator(this._values());
+};
+
+Dataset.prototype.take = function(n) {
+  return this._values().slice(0, n);
+};
+
+Dataset.prototype.takeAsList = Dataset.prototype.take;
+
+Dataset.prototype.head = function(n) {
+  if (n === undefined) {
+    var first = this._values()[0];
+
+    if (first === undefined) {
+      throw new Error('next on empty iterator');
+    }
+
+    return first;
+  }
+
+  return this.take(n);
+};
+
+Dataset.prototype.first = function() {
+  return this.head();
+};
+
+Dataset.prototype.isLocal = function() {
+  return true;
+};
+
+Dataset.prototype.cache = function() {
+  return this;
+};
+
+Dataset.prototype.persist = function() {
+  return this;
+};
+
+Dataset.prototype.unpersist = function() {
+  return this;
+};
+
+Dataset.prototype.createOrReplaceTempView = function(name) {
+  this._session._tables[name] = this;
+};
+
+Dataset.prototype.registerTempTable = Dataset.prototype.createOrReplaceTempView;
+
+Dataset.prototype.createTempView = function(name) {
+  if (this._session._tables[name]) {
+    throw new Error('Temporary table \'' + name + '\' already exists');
+  }
+
+  this.createOrReplaceTempView(name);
+};
+
+Dataset.prototype.rdd = function() {
+  var scope = this;
+
+  return new rdd.RDD(this._session._sc, function() {
+    return scope._values();
+  });
+};
+
+Dataset.prototype.toRDD = Dataset.prototype.rdd;
+Dataset.prototype.javaRDD = Dataset.prototype.rdd;
+
+Dataset.prototype.sparkSession = function() {
+  return this._session;
+};
+
+Dataset.prototype.toString = function() {
+  var data = this._data();
+
+  return '[' + data.schema._fields.map(function(field) {
+    return field._name + ': ' + field._dataType.simpleString();
+  }).join(', ') + ']';
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function RelationalGroupedDataset(dataset, columns) {
+  this._dataset = dataset;
+  this._columns = columns;
+
+  return guard(this, 'RelationalGroupedDataset');
+}
+
+RelationalGroupedDataset.prototype.agg = function() {
+  var aggs = columnArgs(arguments);
+  var groupColumns = this._columns;
+  var dataset = this._dataset;
+
+  if (aggs.length == 1 && !(aggs[0] instanceof Column) && typeof aggs[0] == 'object') {
+    // {columnName: 'max'...}
+    var exprs = aggs[0];
+
+    aggs = Object.keys(exprs).map(function(name) {
+      var func = functions[exprs[name] == 'average' ? 'avg' : exprs[name]];
+
+      if (!func) {
+        throw new Error('Unsupported aggregate function ' + exprs[name] + ' in the EclairJS local backend');
+      }
+
+      return func(name);
+    });
+  }
+
+  return dataset._derive(function() {
+    var data = dataset._data();
+    var columns = groupColumns.concat(aggs);
+    var groups = new Map();
+
+    data.rows.forEach(function(values) {
+      var key = keyOf(groupColumns.map(function(column) {
+        return column._evaluate(values, data.schema);
+      }));
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+
+      groups.get(key).push(values);
+    });
+
+    // aggregating without grouping columns gives a row even for no rows
+    if (groupColumns.length === 0 && groups.size === 0) {
+      groups.set('', []);
+    }
+
+    return {
+      schema: new StructType(columns.map(function(column) {
+        return new StructField(column._name, column._typeOf(data.schema), true);
+      })),
+      rows: Array.from(groups.values()).map(function(group) {
+        return columns.map(function(column) {
+          return column._evaluate(group[0] || [], data.schema, group);
+        });
+      })
+    };
+  });
+};
+
+RelationalGroupedDataset.prototype.count = function() {
+  return this.agg(functions.count('*').as('count'));
+};
+
+function aggregateColumns(func) {
+  return function() {
+    var grouped = this;
+    var names = columnArgs(arguments);
+    var dataset = this._dataset;
+
+    if (names.length === 0) {
+      // every numeric column
+      names = dataset.schema()._fields.filter(function(field) {
+        return isNumeric(field._dataType);
+      }).map(function(field) {
+        return field._name;
+      });
+    }
+
+    return grouped.agg(names.map(function(name) {
+      return functions[func](name);
+    }));
+  };
+}
+
+RelationalGroupedDataset.prototype.sum = aggregateColumns('sum');
+RelationalGroupedDataset.prototype.avg = aggregateColumns('avg');
+RelationalGroupedDataset.prototype.mean = aggregateColumns('avg');
+RelationalGroupedDataset.prototype.max = aggregateColumns('max');
+RelationalGroupedDataset.prototype.min = aggregateColumns('min');
+
+// json records -> schema with the fields sorted by name, as Spark infers it
+function inferSchema(objects) {
+  var types = {};
+
+  objects.forEach(function(object) {
+    Object.keys(object).forEach(function(name) {
+      var value = object[name];
+      var type;
+
+      if (value === null || value === undefined) {
+        type = null;
+      } else if (typeof value == 'number') {
+        type = Number.isInteger(value) ? DataTypes.LongType : DataTypes.DoubleType;
+      } else if (typeof value == 'boolean') {
+        type = DataTypes.BooleanType;
+      } else {
+        type = DataTypes.StringType;
+      }
+
+      if (!types[name] || types[name] === DataTypes.NullType) {
+        types[name] = type || DataTypes.NullType;
+      } else if (type && type !== types[name]) {
+        types[name] = isNumeric(type) && isNumeric(types[name]) ? widen(type, types[name]) : DataTypes.StringType;
+      }
+    });
+  });
+
+  return new StructType(Object.keys(types).sort().map(function(name) {
+    return new StructField(name, types[name] === DataTypes.NullType ? DataTypes.StringType : types[name], true);
+  }));
+}
+
+// values of element in schema order: element is a Row, an array or an object keyed by field name
+function toValues(element, schema) {
+  if (element instanceof Row) {
+    return element._values;
+  } else if (Array.isArray(element)) {
+    return element;
+  } else if (element && typeof element == 'object') {
+    return schema.fieldNames().map(function(name) {
+      return element[name] === undefined ? null : element[name];
+    });
+  } else {
+    return [element];
+  }
+}
+
+// the lines of a file, or of the part files of a directory written by Spark
+function readLines(location) {
+  var files = fs.statSync(location).isDirectory() ? fs.readdirSync(location).filter(function(name) {
+    return name.charAt(0) != '_' && name.charAt(0) != '.';
+  }).sort().map(function(name) {
+    return path.join(location, name);
+  }) : [location];
+
+  return [].concat.apply([], files.map(function(file) {
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  })).filter(function(line) {
+    return line !== '';
+  });
+}
+
+/**
+ * @constructor
+ * @ignore
+ */
+function DataFrameReader(session) {
+  this._session = session;
+  this._format = 'parquet';
+  this._options = {};
+  this._schema = null;
+
+  return guard(this, 'DataFrameReader');
+}
+
+DataFrameReader.prototype.format = function(source) {
+  this._format = source;
+  return this;
+};
+
+DataFrameReader.prototype.option = function(key, value) {
+  this._options[key] = value;
+  return this;
+};
+
+DataFrameReader.prototype.options = function(options) {
+  var scope = this;
+
+  Object.keys(options).forEach(function(key) {
+    scope._options[key] = options[key];
+  });
+
+  return this;
+};
+
+DataFrameReader.prototype.schema = function(schema) {
+  this._schema = schema;
+  return this;
+};
+
+DataFrameReader.prototype.load = function(location) {
+  if (['json', 'text', 'csv'].indexOf(this._format) < 0) {
+    throw new Error('Data source ' + this._format + ' is not supported by the EclairJS local backend');
+  }
+
+  return this[this._format](location);
+};
+
+DataFrameReader.prototype.json = function(location) {
+  var schema = this._schema;
+
+  return new Dataset(this._session, function() {
+    var objects = readLines(location).map(function(line) {
+      return JSON.parse(line);
+    });
+    var readSchema = schema || inferSchema(objects);
+
+    return {schema: readSchema, rows: objects.map(function(object) {
+      return toValues(object, readSchema);
+    })};
+  });
+};
+
+DataFrameReader.prototype.csv = function(location) {
+  var options = this._options;
+  var schema = this._schema;
+
+  return new Dataset(this._session, function() {
+    var separator = options.sep || options.delimiter || ',';
+    var lines = readLines(location).map(function(line) {
+      return line.split(separator);
+    });
+    var header = String(options.header) == 'true' ? lines.shift() : null;
+    var readSchema = schema;
+
+    if (!readSchema) {
+      readSchema = new StructType((header || (lines[0] || []).map(function(value, i) {
+        return '_c' + i;
+      })).map(function(name, i) {
+        var type = DataTypes.StringType;
+
+        if (String(options.inferSchema) == 'true' && lines.length) {
+          var column = lines.map(function(values) {
+            return values[i];
+          });
+
+          if (column.every(function(value) {
+            return /^-?\d+$/.test(value);
+          })) {
+            type = DataTypes.IntegerType;
+          } else if (column.every(function(value) {
+            return !isNaN(parseFloat(value)) && isFinite(value);
+          })) {
+            type = DataTypes.DoubleType;
+          }
+        }
+
+        return new StructField(name, type, true);
+      }));
+    }
+
+    return {schema: readSchema, rows: lines.map(function(values) {
+      return readSchema._fields.map(function(field, i) {
+        return castValue(values[i] === '' ? null : values[i], field._dataType);
+      });
+    })};
+  });
+};
+
+DataFrameReader.prototype.text = function(location) {
+  return new Dataset(this._session, function() {
+    return {schema: Encoders.STRING().schema(), rows: readLines(location).map(function(line) {
+      return [line];
+    })};
+  });
+};
+
+DataFrameReader.prototype.textFile = function(location) {
+  var encoder = Encoders.STRING();
+
+  return new Dataset(this._session, function() {
+    return {schema: encoder.schema(), rows: readLines(location).map(function(line) {
+      return [line];
+    })};
+  }, encoder);
+};
+
+/**
+ * @constructor
+ * @ignore
+ */
+function SparkSession(sc) {
+  this._sc = sc;
+  this._tables = {};
+
+  return guard(this, 'SparkSession');
+}
+
+SparkSession.prototype.sparkContext = function() {
+  return this._sc;
+};
+
+SparkSession.prototype.version = function() {
+  return this._sc.version();
+};
+
+SparkSession.prototype.createDataFrame = function(data, schema) {
+  var elements = data && typeof data._elements == 'function' ? function() {
+    return data._elements();
+  } : function() {
+    return toArray(data);
+  };
+
+  return new Dataset(this, function() {
+    var list = elements();
+    var dataSchema = schema;
+
+    if (!dataSchema) {
+      if (list[0] instanceof Row && list[0]._schema) {
+        dataSchema = list[0]._schema;
+      } else if (list.length && !Array.isArray(list[0]) && !(list[0] instanceof Row) && typeof list[0] == 'object') {
+        dataSchema = inferSchema(list);
+      } else {
+        throw new Error('SparkSession.createDataFrame() needs a schema in the EclairJS local backend');
+      }
+    }
+
+    return {schema: dataSchema, rows: list.map(function(element) {
+      return toValues(element, dataSchema);
+    })};
+  });
+};
+
+SparkSession.prototype.createDataset = function(data, encoder) {
+  var elements = data && typeof data._elements == 'function' ? function() {
+    return data._elements();
+  } : function() {
+    return toArray(data);
+  };
+
+  return new Dataset(this, function() {
+    return {schema: encoder.schema(), rows: elements().map(function(value) {
+      return [value];
+    })};
+  }, encoder);
+};
+
+SparkSession.prototype.emptyDataFrame = function() {
+  return this.createDataFrame([], new StructType([]));
+};
+
+SparkSession.prototype.range = function(start, end, step) {
+  var from = end === undefined ? 0 : start;
+  var to = end === undefined ? start : end;
+  var by = step || 1;
+
+  return new Dataset(this, function() {
+    var rows = [];
+
+    for (var i = from; by > 0 ? i < to : i > to; i += by) {
+      rows.push([i]);
+    }
+
+    return {schema: new StructType([new StructField('id', DataTypes.LongType, false)]), rows: rows};
+  });
+};
+
+SparkSession.prototype.table = function(name) {
+  if (!this._tables[name]) {
+    throw new Error('Table or view not found: ' + name);
+  }
+
+  return this._tables[name];
+};
+
+SparkSession.prototype.read = function() {
+  return new DataFrameReader(this);
+};
+
+SparkSession.prototype.stop = function() {
+  this._sc.stop();
+};
+
+SparkSession.prototype.close = SparkSession.prototype.stop;
+
+/**
+ * SparkSession.builder() of one local runtime: getOrCreate() returns its session, creating it (and its
+ * SparkContext, if the program has not made one) the first time.
+ *
+ * @param {object} runtime {sc, session}
+ * @constructor
+ * @ignore
+ */
+function Builder(runtime) {
+  this._runtime = runtime;
+  this._appName = null;
+  this._master = null;
+
+  return guard(this, 'Builder');
+}
+
+Builder.prototype.appName = function(name) {
+  this._appName = name;
+  return this;
+};
+
+Builder.prototype.master = function(master) {
+  this._master = master;
+  return this;
+};
+
+Builder.prototype.config = function() {
+  return this;
+};
+
+Builder.prototype.enableHiveSupport = function() {
+  return this;
+};
+
+Builder.prototype.getOrCreate = function() {
+  var runtime = this._runtime;
+
+  if (!runtime.session) {
+    if (!runtime.sc) {
+      runtime.sc = new rdd.SparkContext(this._master || 'local[*]', this._appName || 'EclairJS local');
+    }
+
+    runtime.session = new SparkSession(runtime.sc);
+  }
+
+  return runtime.session;
+};
+
+module.exports = {
+  DataType: DataType,
+  DataTypes: DataTypes,
+  StructField: StructField,
+  StructType: StructType,
+  Row: Row,
+  RowFactory: RowFactory,
+  SqlDate: SqlDate,
+  SqlTimestamp: SqlTimestamp,
+  Encoder: Encoder,
+  Encoders: Encoders,
+  Column: Column,
+  functions: functions,
+  parseCondition: parseCondition,
+  Dataset: Dataset,
+  RelationalGroupedDataset: RelationalGroupedDataset,
+  DataFrameReader: DataFrameReader,
+  SparkSession: SparkSession,
+  Builder: Builder
+};
@@ -0,0 +1,268 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Logging for EclairJS.  Every entry has a level and a category:
+ *
+ *   codegen   the JavaScript generated for each call, with className, method and refId
+ *   kernel    executions and their results (with duration), connections, sessions, reconnects
+ *   remote    the Spark driver's own log, forwarded by the kernel over the logger comm
+ *
+ * Entries go to console by default.  Apps route them to their own logger with a sink:
+ *
+ * @example
+ * eclairjs.logger.configure({
+ *   level: 'info',
+ *   categories: {codegen: 'debug', remote: 'warn'},
+ *   sink: function(entry) {
+ *     appLogger[entry.level](entry, entry.message);
+ *   }
+ * });
+ *
+ * @module eclairjs/logger
+ */
+
+var LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+
+// log4j and java.util.logging levels the driver may use
+var REMOTE_LEVELS = {
+  FATAL: 'error',
+  SEVERE: 'error',
+  ERROR: 'error',
+  WARN: 'warn',
+  WARNING: 'warn',
+  INFO: 'info',
+  CONFIG: 'info',
+  DEBUG: 'debug',
+  FINE: 'debug',
+  TRACE: 'trace',
+  FINER: 'trace',
+  FINEST: 'trace'
+};
+
+// "16/10/19 10:00:00 INFO SparkContext: message" and "[WARN] org.apache.spark.Foo - message"
+var REMOTE_PATTERN = new RegExp('^(.*?)\\[?\\b(' + Object.keys(REMOTE_LEVELS).join('|') + ')\\b\\]?\\s+' +
+  '([\\w.$]+)\\s*(?::|-)\\s?([\\s\\S]*)$');
+
+var config;
+
+/**
+ * The default sink: writes to the console.
+ *
+ * @param {object} entry
+ */
+function consoleSink(entry) {
+  var text = '\n[' + entry.category + (entry.logger ? ' ' + entry.logger : '') + '] ' + entry.message;
+
+  if (entry.level == 'error' || entry.level == 'warn') {
+    if (entry.error) {
+      console.error(text, entry.error);
+    } else {
+      console.error(text);
+    }
+  } else {
+    console.log(text);
+  }
+}
+
+/**
+ * Sets the levels and the sink.  Options not given keep their current value.
+ *
+ * @param {object} options
+ * @param {string} [options.level] Level for categories without their own: silent, error, warn, info, debug or
+ * trace.  Defaults to ECLAIRJS_LOG_LEVEL, or to debug when ECLAIRJS_VERBOSE is set and warn otherwise.
+ * @param {object} [options.categories] Level per category, for example {codegen: 'debug'}.  The remote category
+ * is silent unless given a level (or ECLAIRJS_VERBOSE is set), since forwarding the driver log costs a comm; it
+ * must be set before Spark is connected to.
+ * @param {function} [options.sink] Called with each entry: {time, level, category, message} plus the entry's
+ * fields (refId, target, className, method, duration, error, logger...).
+ */
+function configure(options) {
+  var opts = options || {};
+
+  [opts.level].concat(Object.keys(opts.categories || {}).map(function(category) {
+    return opts.categories[category];
+  })).forEach(function(level) {
+    if (level && LEVELS.indexOf(level) < 0) {
+      throw new Error('Unknown log level: ' + level);
+    }
+  });
+
+  if (opts.level) {
+    config.level = opts.level;
+  }
+
+  if (opts.categories) {
+    Object.keys(opts.categories).forEach(function(category) {
+      config.categories[category] = opts.categories[category];
+    });
+  }
+
+  if (opts.sink) {
+    config.sink = opts.sink;
+  }
+}
+
+/**
+ * Restores the defaults, from the environment.
+ */
+function reset() {
+  var verbose = !!process.env.ECLAIRJS_VERBOSE;
+
+  config = {
+    level: process.env.ECLAIRJS_LOG_LEVEL || (verbose ? 'debug' : 'warn'),
+    categories: {
+      remote: verbose ? 'trace' : 'silent'
+    },
+    sink: consoleSink
+  };
+}
+
+/**
+ * @param {string} category
+ * @returns {string} The level entries of category are logged at.
+ */
+function levelOf(category) {
+  return config.categories[category] || config.level;
+}
+
+/**
+ * @param {string} category
+ * @param {string} level
+ * @returns {boolean} Whether an entry at level in category would be logged.
+ */
+function isEnabled(category, level) {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(levelOf(category)) && level != 'silent';
+}
+
+/**
+ * Logs an entry.
+ *
+ * @param {string} category
+ * @param {string} level
+ * @param {string} message
+ * @param {object} [fields]
+ */
+function log(category, level, message, fields) {
+  if (!isEnabled(category, level)) {
+    return;
+  }
+
+  var entry = {time: new Date(), level: level, category: category, message: message};
+
+  Object.keys(fields || {}).forEach(function(name) {
+    if (fields[name] !== undefined) {
+      entry[name] = fields[name];
+    }
+  });
+
+  try {
+    config.sink(entry);
+  } catch (e) {
+    // logging must never break a Spark call
+    consoleSink({level: 'error', category: 'eclairjs', message: 'Log sink failed', error: e});
+  }
+}
+
+/**
+ * A logger for one category, with a method per level taking (message, fields).
+ *
+ * @param {string} category
+ * @returns {object}
+ */
+function forCategory(category) {
+  var logger = {
+    category: category,
+    isEnabled: function(level) {
+      return isEnabled(category, level);
+    }
+  };
+
+  LEVELS.slice(1).forEach(function(level) {
+    logger[level] = function(message, fields) {
+      log(category, level, message, fields);
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * Parses a line of the Spark driver's log.
+ *
+ * @param {string|object} data What the kernel sent over the logger comm, a formatted line or
+ * {level, logger, message}.
+ * @returns {object} {level, logger, message}, level being one of ours.
+ */
+function parseRemote(data) {
+  if (data && typeof data == 'object') {
+    return {
+      level: REMOTE_LEVELS[String(data.level).toUpperCase()] || 'info',
+      logger: data.logger || null,
+      message: String(data.message)
+    };
+  }
+
+  var text = String(data).replace(/\s+$/, '');
+  var match = REMOTE_PATTERN.exec(text);
+
+  if (match) {
+    return {level: REMOTE_LEVELS[match[2]], logger: match[3], message: match[4]};
+  } else {
+    return {level: 'info', logger: null, message: text};
+  }
+}
+
+/**
+ * Forwards the Spark driver's log from kernel to the remote category, if it is enabled.  ECLAIRJS_LOG is handed to
+ * the kernel to set the driver's log levels.
+ *
+ * @param {object} kernel
+ */
+function forwardRemote(kernel) {
+  if (levelOf('remote') == 'silent' || typeof kernel.connectToComm != 'function') {
+    return;
+  }
+
+  var comm = kernel.connectToComm('logger', 'ID1');
+
+  comm.onMsg = function(msg) {
+    var data = msg.content.data;
+    var parsed = parseRemote(data && data.log !== undefined ? data.log : data);
+
+    log('remote', parsed.level, parsed.message, {logger: parsed.logger});
+  };
+
+  comm.open(process.env.ECLAIRJS_LOG || '');
+}
+
+reset();
+
+module.exports = {
+  LEVELS: LEVELS,
+  configure: configure,
+  reset: reset,
+  isEnabled: isEnabled,
+  log: log,
+  forCategory: forCategory,
+  parseRemote: parseRemote,
+  forwardRemote: forwardRemote,
+  consoleSink: consoleSink,
+
+  codegen: forCategory('codegen'),
+  kernel: forCategory('kernel'),
+  remote: forCategory('remote')
+};
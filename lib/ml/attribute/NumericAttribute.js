@@ -19,7 +19,7 @@ module.exports = function(kernelP) {
 
     var Utils = require('../../utils.js');
 
-    var Attribute = require('./Attribute.js');
+    var Attribute = require('./Attribute.js')();
 
     var gKernelP = kernelP;
 
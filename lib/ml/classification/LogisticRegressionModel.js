@@ -166,7 +166,7 @@ module.exports = function(kernelP) {
      * @returns {LogisticRegressionSummary}
      */
     LogisticRegressionModel.prototype.evaluate = function(dataset) {
-      var LogisticRegressionSummary = require('../../ml/classification/LogisticRegressionSummary.js');
+      var LogisticRegressionSummary = require('../../ml/classification/LogisticRegressionSummary.js')();
       var args ={
         target: this,
         method: 'evaluate',
@@ -18,7 +18,7 @@ module.exports = function(kernelP) {
   return (function() {
     var Utils = require('../../utils.js');
 
-    var ClassificationModel = require('./ClassificationModel');
+    var ClassificationModel = require('./ClassificationModel')();
 
     /**
      * @classdesc
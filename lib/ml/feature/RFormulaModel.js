@@ -17,7 +17,7 @@
 module.exports = function(kernelP) {
   return (function() {
     var Utils = require('../../utils.js');
-    var Model = require('../Model.js');
+    var Model = require('../Model.js')();
 
     var gKernelP = kernelP;
 
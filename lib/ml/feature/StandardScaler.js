@@ -18,7 +18,7 @@ module.exports = function(kernelP) {
   return (function() {
 
     var Utils = require('../../utils.js');
-    var Estimator = require('../Estimator.js');
+    var Estimator = require('../Estimator.js')();
 
     var gKernelP = kernelP;
 
@@ -18,7 +18,7 @@ module.exports = function(kernelP) {
   return (function() {
 
     var Utils = require('../../utils.js');
-    var Transformer = require('../Transformer.js');
+    var Transformer = require('../Transformer.js')();
 
     var gKernelP = kernelP;
 
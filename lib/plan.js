@@ -0,0 +1,427 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var protocol = require('./kernel.js');
+var literal = require('./literal.js');
+
+/*
+ * The client side lineage plan of an instance created with EclairJS({lazy: true}).
+ *
+ * Every Spark object returned by a call gets a key that says how it was made:
+ *
+ *   #3@0.read():DataFrameReader@0.json("people.json"):DataFrame.filter(lambda(...)):DataFrame
+ *
+ * Calling a method again on the same input with the same arguments gives back the object made the first time, so
+ * its kernel variable is reused instead of generated again.  Only objects of the classes marked as lineage
+ * (Dataset, RDD, Column...), which Spark never changes once made, are reused.  The other objects only lend their key
+ * to what is made from them:
+ *
+ *   - objects that were not made by a call we could describe (constructed, or made with arguments we can not
+ *     compare, like promises or local Rows) have a key of their own, #3
+ *   - calls on objects that are not lineage include the epoch of the instance, @0, which every void call (a
+ *     createOrReplaceTempView(), a setting...) moves on, as we can not tell what it changed.  session.sql(...) made
+ *     after a view was replaced is a new Dataset.
+ *   - a builder (DataFrameReader, SparkConf...) whose method returns the builder itself is changed by that call, so
+ *     it gets a new key of its own.  Configure builders by chaining the calls.
+ *
+ * The calls that make objects are not sent until the object is needed: by an action, by an object that is needed,
+ * or by awaiting its refIdP.  Void calls keep their place though: the objects still waiting to be made from objects
+ * that are not lineage (session.sql(...), read().json(...)) are made before a void call, as it may change what they
+ * would make, and the calls on such objects made after it wait for it.
+ */
+
+// results that are different each time, or whose point is what they do to their input
+var NOT_REUSABLE = ['cache', 'persist', 'unpersist', 'checkpoint', 'localCheckpoint', 'sample', 'randomSplit',
+  'rand', 'randn', 'monotonically_increasing_id', 'monotonicallyIncreasingId', 'uuid'];
+
+// namespace -> {lazy, epoch, nodes: key -> WeakRef to the object, waiting: Set of refs to objects (see track()),
+// after: Promise of the last void call, see before()}
+var statesByNamespace = new WeakMap();
+
+// objects are only reused while something else holds them, so without WeakRef they are not
+var weakRefs = typeof WeakRef !== 'undefined';
+
+function ref(obj) {
+  return weakRefs ? new WeakRef(obj) : {deref: function() { return obj; }};
+}
+
+// object -> key
+var keys = new WeakMap();
+var lastId = 0;
+
+/**
+ * Sets the plan options of an EclairJS instance.
+ *
+ * @param {Namespace} namespace
+ * @param {object} options
+ * @param {boolean} [options.lazy]
+ * @ignore
+ */
+function bind(namespace, options) {
+  statesByNamespace.set(namespace, {
+    lazy: !!options.lazy,
+    epoch: 0,
+    nodes: new Map(),
+    waiting: new Set(),
+    after: Promise.resolve()
+  });
+}
+
+function stateFor(kernelP) {
+  var state = statesByNamespace.get(protocol.namespaceFor(kernelP));
+
+  return state && state.lazy ? state : null;
+}
+
+/**
+ * @param {Promise} kernelP
+ * @returns {boolean} Whether the instance kernelP belongs to has a lazy plan.
+ * @ignore
+ */
+function isLazy(kernelP) {
+  return stateFor(kernelP) !== null;
+}
+
+/**
+ * Forgets every object, once the kernel lost its variables.
+ *
+ * @param {Namespace} namespace
+ * @ignore
+ */
+function reset(namespace) {
+  var state = statesByNamespace.get(namespace);
+
+  if (state) {
+    state.nodes.clear();
+    state.waiting.clear();
+    state.epoch++;
+  }
+}
+
+function newKey(obj) {
+  var key = '#' + (++lastId);
+
+  keys.set(obj, key);
+
+  return key;
+}
+
+function keyOf(obj) {
+  return keys.get(obj) || newKey(obj);
+}
+
+function isLineage(type) {
+  return !!(type && type.lineage === true);
+}
+
+function valueKey(value) {
+  if (value && value.refIdP) {
+    return keyOf(value);
+  } else if (typeof value == 'function' && value.moduleLocation) {
+    // a class reference
+    return 'class(' + value.moduleLocation + ')';
+  } else if (value && value._eclairLocal) {
+    throw new TypeError('A local object can not be compared');
+  } else if (Array.isArray(value)) {
+    return '[' + value.map(valueKey).join(',') + ']';
+  }
+
+  // throws for anything that is not data
+  return literal(value);
+}
+
+function argumentKey(arg) {
+  var lambda = require('./lambda.js');
+
+  if (arg.type == 'lambda') {
+    return 'lambda(' + (typeof arg.value == 'function' ? lambda.serialize(arg.value) : arg.value) + ')';
+  } else if (arg.type == 'promise') {
+    throw new TypeError('A promise can not be compared');
+  }
+
+  return valueKey(arg.value);
+}
+
+function callKey(state, target, method, callArgs, returnType) {
+  try {
+    var key = keyOf(target);
+
+    if (!isLineage(target.constructor)) {
+      key += '@' + state.epoch;
+    }
+
+    return key + '.' + method + '(' + (callArgs || []).map(argumentKey).join(',') + '):' + returnType.name;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Plans a call that is about to be generated: for a call returning a Spark object, the object it made before if
+ * there is one.  Void calls move the epoch on.
+ *
+ * @param {Promise} kernelP
+ * @param {object} target Instance, or class for a static call.
+ * @param {string} method
+ * @param {object[]} callArgs Wrapped arguments.
+ * @param {function} [returnType] The class of the result, null for void calls.
+ * @returns {object} {key, instance}: instance is set when the result can be reused.
+ * @ignore
+ */
+function lookup(kernelP, target, method, callArgs, returnType) {
+  var state = stateFor(kernelP);
+
+  if (!state) {
+    return {key: null, instance: null};
+  }
+
+  if (!returnType) {
+    state.epoch++;
+
+    return {key: null, instance: null};
+  }
+
+  var key = NOT_REUSABLE.indexOf(method) >= 0 ? null : callKey(state, target, method, callArgs, returnType);
+
+  if (typeof target == 'object' && !isLineage(target.constructor) && target.constructor === returnType) {
+    // a builder changed by the call
+    newKey(target);
+  }
+
+  var ref = key ? state.nodes.get(key) : null;
+  var instance = ref ? ref.deref() : null;
+
+  if (ref && (!instance || instance._disposed)) {
+    state.nodes.delete(key);
+    instance = null;
+  }
+
+  return {key: key, instance: instance || null};
+}
+
+/**
+ * Records the object made by a call planned with lookup().
+ *
+ * @param {Promise} kernelP
+ * @param {string} key
+ * @param {object} instance
+ * @ignore
+ */
+function record(kernelP, key, instance) {
+  var state = stateFor(kernelP);
+
+  if (!state || !key) {
+    return;
+  }
+
+  keys.set(instance, key);
+
+  if (isLineage(instance.constructor) && weakRefs) {
+    var node = new WeakRef(instance);
+
+    state.nodes.set(key, node);
+
+    // an object that could not be made is made again by the next call, without waiting for it to be needed
+    settled(instance.refIdP).catch(function() {
+      if (state.nodes.get(key) === node) {
+        state.nodes.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Keeps an object that is not made yet until the next void call, if it is made from an object that is not lineage.
+ *
+ * @param {Promise} kernelP
+ * @param {object} target Instance, or class for a static call.
+ * @param {object} instance
+ * @ignore
+ */
+function track(kernelP, target, instance) {
+  var state = stateFor(kernelP);
+
+  if (state && !started(instance.refIdP) && !(typeof target == 'object' && isLineage(target.constructor))) {
+    state.waiting.add(ref(instance));
+  }
+}
+
+/**
+ * What a call has to wait for before it is sent, so that it sees what the void calls made before it did, and only
+ * that:
+ *
+ *   - a void call waits for the objects kept by track() to be made, and for the void call before it
+ *   - a call on an object that is not lineage (or a static call) waits for the last void call
+ *
+ * @param {Promise} kernelP
+ * @param {object} target Instance, or class for a static call.
+ * @param {boolean} isVoid
+ * @returns {Promise} null when there is nothing to wait for.
+ * @ignore
+ */
+function before(kernelP, target, isVoid) {
+  var state = stateFor(kernelP);
+
+  if (!state) {
+    return null;
+  }
+
+  if (!isVoid) {
+    // objects made by the library itself ({kernelP, refIdP}) are not waited for, they may be what a void call waits for
+    return typeof target == 'function' || (target.constructor !== Object && !isLineage(target.constructor)) ?
+      state.after : null;
+  }
+
+  var waiting = [state.after];
+
+  state.waiting.forEach(function(r) {
+    var instance = r.deref();
+
+    if (instance && !instance._disposed) {
+      waiting.push(instance.refIdP.then(function() {}, function() {}));
+    }
+  });
+
+  state.waiting.clear();
+
+  // their own users see the failures
+  return Promise.all(waiting);
+}
+
+/**
+ * Records the promise of a void call planned with before().
+ *
+ * @param {Promise} kernelP
+ * @param {Promise} promise
+ * @ignore
+ */
+function after(kernelP, promise) {
+  var state = stateFor(kernelP);
+
+  if (state) {
+    state.after = promise.then(function() {}, function() {});
+  }
+}
+
+/**
+ * Stops reusing an object, once it has been disposed.
+ *
+ * @param {object} obj
+ * @ignore
+ */
+function forget(obj) {
+  var state = stateFor(obj.kernelP);
+  var key = keys.get(obj);
+
+  if (state && key && state.nodes.has(key) && state.nodes.get(key).deref() === obj) {
+    state.nodes.delete(key);
+  }
+}
+
+/**
+ * A promise that only runs its executor once something waits for it with then() (or catch(), await,
+ * Promise.all()...).
+ *
+ * @constructor
+ * @ignore
+ */
+function LazyPromise() {
+  throw new Error('Use deferred()');
+}
+
+LazyPromise.prototype = Object.create(Promise.prototype);
+
+LazyPromise.prototype.constructor = LazyPromise;
+
+// what then() returns is a plain promise
+Object.defineProperty(LazyPromise, Symbol.species, {value: Promise});
+
+LazyPromise.prototype.then = function(onFulfilled, onRejected) {
+  this._start();
+
+  return Promise.prototype.then.call(this, onFulfilled, onRejected);
+};
+
+/**
+ * @param {function} executor function(resolve, reject), as for new Promise()
+ * @returns {Promise}
+ * @ignore
+ */
+function deferred(executor) {
+  var settle;
+  var started = false;
+
+  var promise = Reflect.construct(Promise, [function(resolve, reject) {
+    settle = {resolve: resolve, reject: reject};
+  }], LazyPromise);
+
+  promise._started = function() {
+    return started;
+  };
+
+  promise._start = function() {
+    if (!started) {
+      started = true;
+
+      try {
+        executor(settle.resolve, settle.reject);
+      } catch (e) {
+        settle.reject(e);
+      }
+    }
+  };
+
+  return promise;
+}
+
+/**
+ * @param {Promise} promise
+ * @returns {Promise} A promise settled with promise, that does not start it if it is deferred.
+ * @ignore
+ */
+function settled(promise) {
+  if (promise instanceof LazyPromise) {
+    return Promise.prototype.then.call(promise, function(value) {
+      return value;
+    });
+  }
+
+  return promise;
+}
+
+/**
+ * @param {Promise} promise
+ * @returns {boolean} false for a deferred promise nothing has waited for yet, true for any other promise.
+ * @ignore
+ */
+function started(promise) {
+  return !(promise instanceof LazyPromise) || promise._started();
+}
+
+module.exports = {
+  bind: bind,
+  isLazy: isLazy,
+  reset: reset,
+  lookup: lookup,
+  record: record,
+  track: track,
+  before: before,
+  after: after,
+  forget: forget,
+  deferred: deferred,
+  settled: settled,
+  started: started
+};
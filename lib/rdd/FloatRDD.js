@@ -412,6 +412,7 @@ module.exports = function(kernelP, server) {
     };
 
     FloatRDD.moduleLocation = '/FloatRDD';
+    FloatRDD.lineage = true;
 
     return FloatRDD;
   })();
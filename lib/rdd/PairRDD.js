@@ -15,6 +15,7 @@
  */
 
 var Utils = require('../utils.js');
+var ChunkedCollect = require('../collect.js');
 var FloatRDD = require('./FloatRDD.js')();
 
 /**
@@ -59,9 +60,20 @@ PairRDD.prototype.count = function() {
 /**
  * Asynchronously returns all elements of the PairRDD.
  *
+ * With options.chunkSize, the elements are transferred a chunk at a time instead of as a single result, for results
+ * too large to send at once: the returned {@link module:eclairjs.ChunkedCollect} is both a promise of the array
+ * and an async iterator of the elements.
+ *
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Elements per chunk.
+ * @param {number} [options.highWaterMark=2] Chunks requested ahead of the one being consumed.
  * @returns {Promise.<Array>} A Promise that resolves to an array containing all elements in the PairRDD.
  */
-PairRDD.prototype.collect = function() {
+PairRDD.prototype.collect = function(options) {
+  if (options && options.chunkSize) {
+    return new ChunkedCollect(this, options);
+  }
+
   var args = {
     target: this,
     method: 'collect',
@@ -489,5 +501,6 @@ PairRDD.prototype.values = function() {
 };
 
 PairRDD.moduleLocation = '/PairRDD';
+PairRDD.lineage = true;
 
 module.exports = PairRDD;
\ No newline at end of file
@@ -15,6 +15,7 @@
  */
 
 var Utils = require('./../utils.js');
+var ChunkedCollect = require('./../collect.js');
 
 var PairRDD = require('./PairRDD.js');
 
@@ -50,7 +51,7 @@ RDD.prototype.aggregate = function(zeroValue, func1, func2, bindArgs1, bindArgs2
     args: [
       {value: zeroValue, type: 'object'},
       {value: func1, type: 'lambda'},
-      {value: func2, type: 'lamda'},
+      {value: func2, type: 'lambda'},
       {value: Utils.wrapBindArgs(bindArgs1), optional: true},
       {value: Utils.wrapBindArgs(bindArgs2), optional: true}
     ],
@@ -92,9 +93,20 @@ RDD.prototype.count = function() {
 /**
  * Asynchronously returns all elements of the RDD.
  *
+ * With options.chunkSize, the elements are transferred a chunk at a time instead of as a single result, for results
+ * too large to send at once: the returned {@link module:eclairjs.ChunkedCollect} is both a promise of the array
+ * and an async iterator of the elements.
+ *
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Elements per chunk.
+ * @param {number} [options.highWaterMark=2] Chunks requested ahead of the one being consumed.
  * @returns {Promise.<Array>} A Promise that resolves to an array containing all elements in the RDD.
  */
-RDD.prototype.collect = function() {
+RDD.prototype.collect = function(options) {
+  if (options && options.chunkSize) {
+    return new ChunkedCollect(this, options);
+  }
+
   var args = {
     target: this,
     method: 'collect',
@@ -585,5 +597,6 @@ RDD.prototype.zipWithIndex = function() {
 };
 
 RDD.moduleLocation = '/RDD';
+RDD.lineage = true;
 
 module.exports = RDD;
\ No newline at end of file
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var logger = require('./logger.js');
+
+/**
+ * Keeps track of the variables we have created in the kernel so they can be released, either explicitly
+ * through dispose() or, with autoDispose, once the client object has been garbage collected.
+ *
+ * Only metadata is kept here, never the client objects themselves, so tracking does not keep them alive.
+ *
+ * @param {object} kernel
+ * @constructor
+ * @ignore
+ */
+function ObjectRegistry(kernel) {
+  this.kernel = kernel;
+  this.autoDispose = false;
+  this.objects = {};
+
+  var scope = this;
+
+  if (typeof FinalizationRegistry !== 'undefined') {
+    this.finalizer = new FinalizationRegistry(function(refId) {
+      if (scope.autoDispose && scope.objects[refId]) {
+        logger.codegen.debug('Client object for ' + refId + ' was garbage collected, releasing it', {refId: refId});
+        scope.release(refId).catch(function(e) {
+          logger.kernel.warn('Failed to release ' + refId, {refId: refId, error: e});
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Returns the registry for a kernel, creating it if needed.
+ *
+ * @param {object} kernel
+ * @returns {ObjectRegistry}
+ */
+ObjectRegistry.forKernel = function(kernel) {
+  if (!kernel.objectRegistry) {
+    kernel.objectRegistry = new ObjectRegistry(kernel);
+  }
+
+  return kernel.objectRegistry;
+};
+
+/**
+ * @param {object} obj The client object
+ * @param {string} refId
+ * @param {boolean} [persisted] true if the object is the result of cache()/persist()
+ */
+ObjectRegistry.prototype.add = function(obj, refId, persisted) {
+  this.objects[refId] = {
+    refId: refId,
+    className: obj.constructor ? obj.constructor.name : 'Object',
+    persisted: !!persisted,
+    created: new Date()
+  };
+
+  if (this.finalizer) {
+    this.finalizer.register(obj, refId);
+  }
+};
+
+/**
+ * Releases a variable in the kernel: unpersists it if it was persisted through the client, then sets it to null.
+ *
+ * @param {string} refId
+ * @param {object} [options]
+ * @param {boolean} [options.unpersist] Overrides whether unpersist() is called.
+ * @returns {Promise}
+ */
+ObjectRegistry.prototype.release = function(refId, options) {
+  var protocol = require('./kernel.js');
+
+  var entry = this.objects[refId];
+  var kernel = this.kernel;
+
+  delete this.objects[refId];
+
+  var unpersist = (options && typeof options.unpersist != 'undefined') ? options.unpersist : (entry && entry.persisted);
+
+  var code = '';
+
+  if (unpersist) {
+    code += 'if (' + refId + ' && typeof ' + refId + '.unpersist == "function") { ' + refId + '.unpersist(); }\n';
+  }
+
+  code += refId + ' = null;';
+
+  logger.codegen.debug('Executing: ' + code, {refId: refId, method: 'dispose'});
+
+  return new Promise(function(resolve, reject) {
+    var callInfo = {code: code, className: entry ? entry.className : null, method: 'dispose', refId: refId};
+
+    protocol.verifyKernelExecution(protocol.executeAssignment(kernel, code, callInfo), function() {
+      resolve();
+    }, reject, null, callInfo);
+  });
+};
+
+/**
+ * @returns {object[]} {refId, className, persisted, created} for each variable still alive in the kernel.
+ */
+ObjectRegistry.prototype.list = function() {
+  var scope = this;
+
+  return Object.keys(this.objects).map(function(refId) {
+    return scope.objects[refId];
+  });
+};
+
+module.exports = ObjectRegistry;
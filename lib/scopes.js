@@ -0,0 +1,665 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Block scoping, for the transpiler.  let and const become var, which belongs to the function rather than to the
+ * block, so before that happens every identifier of the lambda is resolved to work out:
+ *
+ *   - which block scoped bindings need a new name, because as a var they would clash with another binding of the
+ *     function or change what one of its identifiers refers to:
+ *
+ *       let y = 1; { let y = 2; } return y;    ->   var y = 1; { var y$1 = 2; } return y;
+ *
+ *   - which loops need a function per iteration, because a closure captures a binding made for each iteration,
+ *     the variable of a for (let i...) or a let inside the loop:
+ *
+ *       for (let i = 0; i < 3; i++) { fs.push(() => i); }
+ *       ->  for (var i = 0; i < 3; i++) { var _eclairjs1 = (function(i) { fs.push(...); }).call(this, i); }
+ *
+ *   - which break, continue and return statements end up inside such a function, and have to tell the loop what
+ *     to do instead
+ *
+ * What cannot be rewritten faithfully this way (a closure in the head of such a loop, assigning its loop
+ * variable, jumping out of it to a label, arguments inside it) is reported as unsupported.
+ */
+
+var LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+
+function isFunction(node) {
+  return node.type == 'FunctionDeclaration' || node.type == 'FunctionExpression' ||
+    node.type == 'ArrowFunctionExpression';
+}
+
+function isLexical(node) {
+  return node && node.type == 'VariableDeclaration' && node.kind != 'var';
+}
+
+function forEachChild(node, callback) {
+  Object.keys(node).forEach(function(key) {
+    var child = node[key];
+
+    if (Array.isArray(child)) {
+      child.forEach(function(c) {
+        if (c && typeof c.type == 'string') {
+          callback(c);
+        }
+      });
+    } else if (child && typeof child.type == 'string' && key != 'loc') {
+      callback(child);
+    }
+  });
+}
+
+function contains(outer, inner) {
+  return outer.start <= inner.start && inner.end <= outer.end;
+}
+
+// the identifiers a pattern declares
+function patternIds(pattern, ids) {
+  switch (pattern.type) {
+    case 'Identifier':
+      ids.push(pattern);
+      break;
+    case 'AssignmentPattern':
+      patternIds(pattern.left, ids);
+      break;
+    case 'RestElement':
+      patternIds(pattern.argument, ids);
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(function(e) {
+        if (e) {
+          patternIds(e, ids);
+        }
+      });
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(function(p) {
+        patternIds(p.type == 'RestElement' ? p.argument : p.value, ids);
+      });
+      break;
+  }
+
+  return ids;
+}
+
+/**
+ * A function or block scope.
+ *
+ * @constructor
+ * @ignore
+ */
+function Scope(parent, isFunction) {
+  this.parent = parent;
+  this.fn = isFunction ? this : parent.fn;
+  this.bindings = new Map();
+
+  if (isFunction) {
+    // names of the var, parameter and function bindings of the function, which keep their name
+    this.declared = new Set();
+    // name -> the bindings (null when global) identifiers with that name in or below the function refer to
+    this.refs = new Map();
+    this.lexical = [];
+  }
+}
+
+/**
+ * @param {object} root The function (or program) node.
+ * @param {string} source
+ * @param {function} unsupported (node, what), throws.
+ * @constructor
+ * @ignore
+ */
+function Analysis(root, source, unsupported) {
+  this.unsupported = unsupported;
+  this.functions = [];
+  this.loops = new Map();
+  this.jumps = [];
+  // arguments, var and function declarations, which would change meaning inside an iteration function
+  this.local = [];
+  this.names = new Set(source.match(/[A-Za-z_$][\w$]*/g) || []);
+
+  // the results, see analyze()
+  this.renames = new Map();
+  this.iterations = new Map();
+  this.rewrites = new Map();
+  this.initialize = new Set();
+
+  if (root.type == 'Program') {
+    var scope = new Scope(null, true);
+
+    this.functions.push(scope);
+    this.hoist(root, scope);
+    this.visitStatements(root.body, scope, {loops: [], targets: []});
+  } else {
+    this.visitFunction(root, null);
+  }
+}
+
+Analysis.prototype.declare = function(scope, id, kind, loop, headOf) {
+  var binding = scope.bindings.get(id.name);
+
+  if (binding) {
+    // a var declared again, or a var with the name of a parameter
+    binding.ids.push(id);
+    return binding;
+  }
+
+  binding = {name: id.name, kind: kind, scope: scope, ids: [id], refs: [], writes: [], closures: [], loop: loop,
+    headOf: headOf};
+
+  scope.bindings.set(id.name, binding);
+
+  if (kind == 'let' || kind == 'const') {
+    scope.fn.lexical.push(binding);
+  } else if (kind != 'catch') {
+    scope.fn.declared.add(id.name);
+  }
+
+  return binding;
+};
+
+// declares the vars and function declarations of a function body
+Analysis.prototype.hoist = function(node, fnScope) {
+  var scope = this;
+
+  forEachChild(node, function(child) {
+    if (child.type == 'FunctionDeclaration') {
+      scope.declare(fnScope, child.id, 'function');
+    } else if (!isFunction(child)) {
+      if (child.type == 'VariableDeclaration' && child.kind == 'var') {
+        child.declarations.forEach(function(d) {
+          patternIds(d.id, []).forEach(function(id) {
+            scope.declare(fnScope, id, 'var');
+          });
+        });
+      }
+
+      scope.hoist(child, fnScope);
+    }
+  });
+};
+
+Analysis.prototype.declareLexical = function(statements, scope, ctx) {
+  var analysis = this;
+
+  statements.forEach(function(s) {
+    if (isLexical(s)) {
+      s.declarations.forEach(function(d) {
+        patternIds(d.id, []).forEach(function(id) {
+          analysis.declare(scope, id, s.kind, ctx.loops[0] || null, null);
+        });
+      });
+    }
+  });
+};
+
+Analysis.prototype.reference = function(id, scope, ctx, write) {
+  var binding = null;
+
+  for (var s = scope; s && !binding; s = s.parent) {
+    binding = s.bindings.get(id.name) || null;
+  }
+
+  // every function the identifier is in, up to the one its binding belongs to
+  var stop = binding ? binding.scope.fn : null;
+
+  for (var f = scope.fn; f; f = f.parent ? f.parent.fn : null) {
+    if (!f.refs.has(id.name)) {
+      f.refs.set(id.name, new Set());
+    }
+
+    f.refs.get(id.name).add(binding);
+
+    if (f === stop) {
+      break;
+    }
+  }
+
+  if (binding) {
+    binding.refs.push(id);
+
+    if (write) {
+      binding.writes.push(id);
+    }
+
+    if (binding.scope.fn !== scope.fn) {
+      binding.closures.push(id);
+    }
+  } else if (id.name == 'arguments') {
+    this.local.push({node: id, what: 'arguments', loops: ctx.loops});
+  }
+};
+
+Analysis.prototype.visitFunction = function(node, parent) {
+  var analysis = this;
+  var scope = new Scope(parent, true);
+  var ctx = {loops: [], targets: []};
+
+  this.functions.push(scope);
+
+  if (node.type == 'FunctionExpression' && node.id) {
+    this.declare(scope, node.id, 'function');
+  }
+
+  node.params.forEach(function(p) {
+    patternIds(p, []).forEach(function(id) {
+      analysis.declare(scope, id, 'param');
+    });
+  });
+
+  this.hoist(node.body, scope);
+
+  node.params.forEach(function(p) {
+    analysis.visitPattern(p, scope, ctx, false);
+  });
+
+  if (node.body.type == 'BlockStatement') {
+    this.visitStatements(node.body.body, scope, ctx);
+  } else {
+    this.visit(node.body, scope, ctx);
+  }
+};
+
+Analysis.prototype.visitStatements = function(statements, scope, ctx) {
+  var analysis = this;
+
+  this.declareLexical(statements, scope, ctx);
+
+  statements.forEach(function(s) {
+    analysis.visit(s, scope, ctx);
+  });
+};
+
+/**
+ * @param {boolean} write Whether the identifiers are assigned (destructuring assignment) rather than declared.
+ */
+Analysis.prototype.visitPattern = function(pattern, scope, ctx, write) {
+  var analysis = this;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      if (write) {
+        this.reference(pattern, scope, ctx, true);
+      }
+      break;
+    case 'AssignmentPattern':
+      this.visitPattern(pattern.left, scope, ctx, write);
+      this.visit(pattern.right, scope, ctx);
+      break;
+    case 'RestElement':
+      this.visitPattern(pattern.argument, scope, ctx, write);
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(function(e) {
+        if (e) {
+          analysis.visitPattern(e, scope, ctx, write);
+        }
+      });
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(function(p) {
+        if (p.type == 'RestElement') {
+          analysis.visitPattern(p.argument, scope, ctx, write);
+        } else {
+          if (p.computed) {
+            analysis.visit(p.key, scope, ctx);
+          }
+
+          analysis.visitPattern(p.value, scope, ctx, write);
+        }
+      });
+      break;
+    default:
+      // a member expression being assigned
+      this.visit(pattern, scope, ctx);
+  }
+};
+
+Analysis.prototype.visitDeclaration = function(node, scope, ctx, head) {
+  var analysis = this;
+
+  if (node.kind == 'var') {
+    this.local.push({node: node, what: 'a var declaration', loops: ctx.loops});
+  }
+
+  node.declarations.forEach(function(d) {
+    analysis.visitPattern(d.id, scope, ctx, false);
+
+    if (d.init) {
+      analysis.visit(d.init, scope, ctx);
+    } else if (node.kind == 'let' && !head && ctx.loops.length > 0) {
+      // as a var it would keep the value of the last iteration
+      analysis.initialize.add(d);
+    }
+  });
+};
+
+Analysis.prototype.visitLoop = function(node, scope, ctx) {
+  var analysis = this;
+  var head = scope;
+  var declaration = node.type == 'ForStatement' ? node.init : node.left;
+
+  this.loops.set(node, {outer: ctx.loops, head: []});
+
+  if (isLexical(declaration)) {
+    head = new Scope(scope, false);
+
+    declaration.declarations.forEach(function(d) {
+      patternIds(d.id, []).forEach(function(id) {
+        analysis.loops.get(node).head.push(analysis.declare(head, id, declaration.kind, node, node));
+      });
+    });
+  }
+
+  if (node.type == 'ForStatement') {
+    ['init', 'test', 'update'].forEach(function(key) {
+      if (node[key] && node[key] === declaration) {
+        analysis.visitDeclaration(declaration, head, ctx, true);
+      } else if (node[key]) {
+        analysis.visit(node[key], head, ctx);
+      }
+    });
+  } else if (node.type == 'ForInStatement' || node.type == 'ForOfStatement') {
+    if (declaration.type == 'VariableDeclaration') {
+      this.visitDeclaration(declaration, head, ctx, true);
+    } else {
+      this.visitPattern(declaration, scope, ctx, true);
+    }
+
+    this.visit(node.right, scope, ctx);
+  } else {
+    this.visit(node.test, scope, ctx);
+  }
+
+  this.visit(node.body, head, {
+    loops: [node].concat(ctx.loops),
+    targets: ctx.targets.concat([{node: node, loop: true}])
+  });
+};
+
+Analysis.prototype.visitJump = function(node, ctx) {
+  var target = null;
+
+  for (var i = ctx.targets.length - 1; i >= 0 && !target; i--) {
+    var t = ctx.targets[i];
+
+    if (node.label ? t.label == node.label.name : (t.loop || (t.switch && node.type == 'BreakStatement'))) {
+      target = t.node;
+    }
+  }
+
+  this.jumps.push({node: node, target: target, loops: ctx.loops});
+};
+
+Analysis.prototype.visit = function(node, scope, ctx) {
+  var analysis = this;
+
+  if (isFunction(node)) {
+    if (node.type == 'FunctionDeclaration') {
+      this.local.push({node: node, what: 'a function declaration', loops: ctx.loops});
+    }
+
+    this.visitFunction(node, scope);
+    return;
+  } else if (LOOPS.indexOf(node.type) >= 0) {
+    this.visitLoop(node, scope, ctx);
+    return;
+  }
+
+  switch (node.type) {
+    case 'BlockStatement':
+      this.visitStatements(node.body, new Scope(scope, false), ctx);
+      break;
+    case 'SwitchStatement':
+      this.visit(node.discriminant, scope, ctx);
+
+      var cases = new Scope(scope, false);
+      var inner = {loops: ctx.loops, targets: ctx.targets.concat([{node: node, switch: true}])};
+
+      this.declareLexical([].concat.apply([], node.cases.map(function(c) {
+        return c.consequent;
+      })), cases, inner);
+
+      node.cases.forEach(function(c) {
+        if (c.test) {
+          analysis.visit(c.test, cases, inner);
+        }
+
+        c.consequent.forEach(function(s) {
+          analysis.visit(s, cases, inner);
+        });
+      });
+      break;
+    case 'LabeledStatement':
+      this.visit(node.body, scope, {
+        loops: ctx.loops,
+        targets: ctx.targets.concat([{node: node.body, label: node.label.name}])
+      });
+      break;
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      this.visitJump(node, ctx);
+      break;
+    case 'ReturnStatement':
+      this.jumps.push({node: node, loops: ctx.loops});
+
+      if (node.argument) {
+        this.visit(node.argument, scope, ctx);
+      }
+      break;
+    case 'CatchClause':
+      var param = new Scope(scope, false);
+
+      if (node.param) {
+        patternIds(node.param, []).forEach(function(id) {
+          analysis.declare(param, id, 'catch');
+        });
+
+        this.visitPattern(node.param, param, ctx, false);
+      }
+
+      this.visit(node.body, param, ctx);
+      break;
+    case 'VariableDeclaration':
+      this.visitDeclaration(node, scope, ctx, false);
+      break;
+    case 'MemberExpression':
+      this.visit(node.object, scope, ctx);
+
+      if (node.computed) {
+        this.visit(node.property, scope, ctx);
+      }
+      break;
+    case 'Property':
+      if (node.computed) {
+        this.visit(node.key, scope, ctx);
+      }
+
+      this.visit(node.value, scope, ctx);
+      break;
+    case 'AssignmentExpression':
+      this.visitPattern(node.left, scope, ctx, true);
+      this.visit(node.right, scope, ctx);
+      break;
+    case 'UpdateExpression':
+      if (node.argument.type == 'Identifier') {
+        this.reference(node.argument, scope, ctx, true);
+      } else {
+        this.visit(node.argument, scope, ctx);
+      }
+      break;
+    case 'Identifier':
+      this.reference(node, scope, ctx, false);
+      break;
+    default:
+      forEachChild(node, function(child) {
+        analysis.visit(child, scope, ctx);
+      });
+  }
+};
+
+Analysis.prototype.fresh = function(name) {
+  var n = 1;
+
+  while (this.names.has(name + '$' + n)) {
+    n++;
+  }
+
+  this.names.add(name + '$' + n);
+
+  return name + '$' + n;
+};
+
+/**
+ * Works out the renames, the loops that need a function per iteration and the jumps inside them.
+ */
+Analysis.prototype.resolve = function() {
+  var analysis = this;
+  var needed = new Set();
+
+  this.functions.forEach(function(fn) {
+    fn.lexical.forEach(function(binding) {
+      // a clash with another let or const of the function is settled by renaming one of them
+      var others = Array.from(fn.refs.get(binding.name) || []).some(function(b) {
+        return !b || (b !== binding && fn.lexical.indexOf(b) < 0);
+      });
+
+      if (others || fn.declared.has(binding.name)) {
+        var name = analysis.fresh(binding.name);
+
+        binding.ids.concat(binding.refs).forEach(function(id) {
+          analysis.renames.set(id, name);
+        });
+      } else {
+        // the first of its name keeps it
+        fn.declared.add(binding.name);
+      }
+
+      if (binding.loop && binding.closures.length > 0) {
+        needed.add(binding.loop);
+      }
+    });
+  });
+
+  needed.forEach(function(loop) {
+    var info = analysis.loops.get(loop);
+
+    info.head.forEach(function(binding) {
+      binding.closures.forEach(function(id) {
+        if (!contains(loop.body, id)) {
+          analysis.unsupported(id, 'a closure in the head of a loop that captures ' + binding.name);
+        }
+      });
+
+      if (loop.type == 'ForStatement') {
+        binding.writes.forEach(function(id) {
+          if (contains(loop.body, id)) {
+            analysis.unsupported(id, 'an assignment to ' + binding.name + ', whose iterations are captured by a closure');
+          }
+        });
+      }
+    });
+
+    analysis.iterations.set(loop.body, {
+      params: info.head.map(function(binding) {
+        return analysis.renames.get(binding.ids[0]) || binding.name;
+      }),
+      breaks: false,
+      returns: false,
+      nested: info.outer.some(function(outer) {
+        return needed.has(outer);
+      })
+    });
+  });
+
+  function iteration(loop) {
+    return analysis.iterations.get(loop.body);
+  }
+
+  this.jumps.forEach(function(jump) {
+    var node = jump.node;
+
+    if (node.type == 'ReturnStatement') {
+      // each iteration function it is in hands it on to the loop around it
+      jump.loops.forEach(function(l) {
+        if (needed.has(l)) {
+          analysis.rewrites.set(node, 'return');
+          iteration(l).returns = true;
+        }
+      });
+
+      return;
+    }
+
+    for (var i = 0; i < jump.loops.length; i++) {
+      var l = jump.loops[i];
+
+      if (l === jump.target) {
+        if (needed.has(l)) {
+          analysis.rewrites.set(node, node.type == 'BreakStatement' ? 'break' : 'continue');
+
+          if (node.type == 'BreakStatement') {
+            iteration(l).breaks = true;
+          }
+        }
+
+        return;
+      } else if (!jump.target || contains(jump.target, l)) {
+        if (needed.has(l)) {
+          analysis.unsupported(node, 'a jump out of a loop whose iterations are captured by a closure');
+        }
+      } else {
+        // the target is inside this loop
+        return;
+      }
+    }
+  });
+
+  this.local.forEach(function(use) {
+    if (use.loops.some(function(l) { return needed.has(l); })) {
+      analysis.unsupported(use.node, use.what + ' inside a loop whose iterations are captured by a closure');
+    }
+  });
+};
+
+/**
+ * @param {object} root The function or program node to analyze.
+ * @param {string} source The source root was parsed from.
+ * @param {function} unsupported (node, what), called for code that cannot be rewritten.  Throws.
+ * @returns {object} {renames, iterations, rewrites, initialize}:
+ *   - renames     Identifier node -> the name to use instead
+ *   - iterations  loop body node -> {params, breaks, returns, nested} for loops that need a function per iteration
+ *   - rewrites    break, continue or return node inside such a function -> 'break', 'continue' or 'return'
+ *   - initialize  let declarators without a value that need one, as they are inside a loop
+ * @ignore
+ */
+function analyze(root, source, unsupported) {
+  var analysis = new Analysis(root, source, unsupported);
+
+  analysis.resolve();
+
+  return {
+    renames: analysis.renames,
+    iterations: analysis.iterations,
+    rewrites: analysis.rewrites,
+    initialize: analysis.initialize
+  };
+}
+
+module.exports = {
+  analyze: analyze
+};
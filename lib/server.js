@@ -14,45 +14,500 @@
  * limitations under the License.
  */
 
-var Utils = require('./utils.js');
-var kernel = require('./kernel.js');
+var EventEmitter = require('events').EventEmitter;
+var crypto = require('crypto');
+var util = require('util');
+
+var logger = require('./logger.js');
+var protocol = require('./kernel.js');
+var transports = require('./transports/module.js');
+var BatchKernel = require('./transports/BatchKernel.js');
+var ReconnectingKernel = require('./transports/ReconnectingKernel.js');
+var ObjectRegistry = require('./registry.js');
+var Tracing = require('./tracing.js');
+var values = require('./sql/values.js');
+var plan = require('./plan.js');
 
 // our shared kernel promise
 // TODO: is there a better way to create a Promise and resolve it from the outside?
 var kernelPResolve;
 var kernelPReject;
 
-function Server() {
-  this.session = null;
+/**
+ * Owns the connection to EclairJS-nashorn for one EclairJS instance.
+ *
+ * @param {object} [options]
+ * @param {string|object} [options.transport] 'jupyter' (default), 'websocket', 'record', 'local' or an object
+ * implementing the transport interface (see module:eclairjs/transports).  The rest of options is handed to the
+ * transport.
+ * @param {boolean} [options.batch] Queue assignment statements and send them together when a result is needed.
+ * @param {boolean} [options.autoDispose] Release kernel variables once their client objects are garbage collected.
+ * @param {boolean} [options.reconnect] Reconnect when the kernel dies or restarts.
+ * @param {boolean} [options.replay] After reconnecting, replay the statements that created existing objects.
+ * @param {number} [options.reconnectRetries=5]
+ * @param {number} [options.reconnectDelay=1000] Delay in ms before the first retry, doubled on each retry.
+ * @param {string} [options.mode] 'record' to run without a kernel and capture the generated statements as a
+ * script (see exportScript()), 'local' to evaluate them in process with the local backend (see lib/local).
+ * @param {string} [options.output] In record mode, file the script is written to when the server is stopped.
+ * @param {object} [options.transcript] {mode: 'record' or 'replay', path, strict} to record the statements and
+ * replies of the kernel to a JSON fixture, or to replay one without a kernel (see TranscriptTransport).
+ * @param {boolean|object} [options.attach] Attach to a running session instead of starting a new one:
+ * {sessionId: id}, {path: path} or true for the session whose path is the application name.  When no session has
+ * the path, a new one is started with it so later processes can attach to it.
+ * @param {function|object} [options.tracer] Receives a span for every remote call (see metrics()): a function
+ * called when the call completes, or an object with onStart(span) and onEnd(span).
+ * @param {boolean} [options.bigint] Return LongType values as BigInt (see sql/values.js).
+ * @param {boolean} [options.lazy] Reuse the objects of calls made before and only make objects once they are
+ * needed (see plan.js).
+ * @param {number} [options.heartbeat] Ping the kernel every this many ms, see health().
+ * @param {number} [options.heartbeatTimeout] How long a ping may take before it counts as missed, defaults to the
+ * heartbeat interval.  Kernels without kernelInfo are pinged with a statement, which does not count as missed while
+ * the kernel is busy.
+ *
+ * Emits 'status' (status, previous) as the kernel goes 'starting', 'idle', 'busy', 'restarting' or 'dead',
+ * 'socketClosed' ({reconnecting}) and 'socketOpened' as its WebSocket drops and comes back, and 'heartbeat'
+ * ({latency}) or 'heartbeatMissed' ({error, missed}) for every ping.
+ *
+ * Emits 'disconnected', 'reconnected', 'replayed', 'replayFailed', 'stateLost' and 'reconnectFailed' when
+ * reconnect is enabled.
+ *
+ * @constructor
+ * @ignore
+ */
+function Server(options) {
+  EventEmitter.call(this);
+
+  this.options = options || {};
+  this.transport = transports.createTransport(options);
+  this.appName = null;
+  this.reconnectingKernel = null;
+
+  // whether we attached to a session that was already running
+  this.attached = false;
+
+  // kernel status, see health()
+  this.status = null;
+  this._statusKernel = null;
+  this._socketClosed = false;
+  this._heartbeat = {timer: null, pending: false, latency: null, last: null, missed: 0};
+
+  // variable names and required modules are tracked per instance
+  this.namespace = new protocol.Namespace();
+
+  if (this.options.attach) {
+    // other clients may be attached to the same kernel
+    this.namespace.prefix = 'e' + crypto.randomBytes(3).toString('hex') + '_';
+  }
 
   var scope = this;
 
   this.kernelP = new Promise(function(resolve, reject) {
-    scope.kernelPResolve = function(kernelSession) {
-      scope.session = kernelSession;
-      resolve(kernelSession.kernel)
+    scope.kernelPResolve = function(kernel) {
+      logger.forwardRemote(kernel);
+      scope._watchStatus(kernel);
+      scope._startHeartbeat();
+
+      var topKernel;
+
+      if (scope.options.reconnect) {
+        kernel = scope.reconnectingKernel = new ReconnectingKernel(kernel, {
+          transport: {
+            connect: function() {
+              return scope._connect();
+            }
+          },
+          appName: scope.appName,
+          replay: scope.options.replay,
+          retries: scope.options.reconnectRetries,
+          delay: scope.options.reconnectDelay,
+          onEvent: function(name, data) {
+            scope._onReconnectEvent(topKernel, name, data);
+          }
+        });
+      }
+
+      if (scope.options.batch) {
+        kernel = new BatchKernel(kernel, scope.namespace);
+      }
+
+      ObjectRegistry.forKernel(kernel).autoDispose = !!scope.options.autoDispose;
+
+      topKernel = kernel;
+      resolve(kernel)
     };
 
     scope.kernelPReject = function(e) {
+      scope._setStatus('dead');
       reject(e)
     };
   });
+
+  protocol.bindNamespace(this.kernelP, this.namespace);
+
+  this.tracing = new Tracing(this.options.tracer);
+  Tracing.bind(this.namespace, this.tracing);
+
+  values.bind(this.namespace, {bigint: this.options.bigint});
+  plan.bind(this.namespace, {lazy: this.options.lazy});
 }
 
+util.inherits(Server, EventEmitter);
+
+Server.prototype._onReconnectEvent = function(kernel, name, data) {
+  if (name == 'reconnected') {
+    logger.forwardRemote(data.kernel);
+    this._watchStatus(data.kernel);
+  } else if (name == 'stateLost') {
+    // nothing we generated before exists anymore
+    this.namespace.requireCache = {};
+    ObjectRegistry.forKernel(kernel).objects = {};
+    plan.reset(this.namespace);
+  }
+
+  logger.kernel.info('Kernel ' + name);
+
+  // 'error' would throw without a listener, so failures use their own event names
+  this.emit(name, data);
+};
+
 Server.prototype.getKernelPromise = function() {
   return this.kernelP;
 };
 
 Server.prototype.start = function(appName) {
-  kernel.createKernelSession(appName).then(this.kernelPResolve).catch(this.kernelPReject);
+  // a SparkSession built after the SparkContext (or the other way around) shares its session
+  if (this.appName !== null) {
+    return;
+  }
+
+  this.appName = appName;
+  this._setStatus('starting');
+  this._connect().then(this.kernelPResolve).catch(this.kernelPReject);
+};
+
+Server.prototype._setStatus = function(status) {
+  var previous = this.status;
+
+  if (status !== previous) {
+    this.status = status;
+    this.emit('status', status, previous);
+  }
+};
+
+/**
+ * Follows the status of the kernel the transport gave us.  Kernels without a statusChanged signal (local and
+ * record mode) are idle once connected.
+ *
+ * @param {object} kernel
+ */
+Server.prototype._watchStatus = function(kernel) {
+  if (this._statusKernel && this._statusKernel.statusChanged) {
+    this._statusKernel.statusChanged.disconnect(this._onKernelStatus, this);
+  }
+
+  this._statusKernel = kernel;
+  this._socketClosed = false;
+
+  if (kernel.statusChanged) {
+    kernel.statusChanged.connect(this._onKernelStatus, this);
+  }
+
+  this._onKernelStatus(kernel, kernel.status && kernel.status != 'unknown' ? kernel.status : 'idle');
+};
+
+Server.prototype._onKernelStatus = function(sender, status) {
+  if (sender !== this._statusKernel) {
+    return;
+  }
+
+  if (status == 'reconnecting' || status == 'disconnected') {
+    // the WebSocket dropped: jupyter-js-services opens a new one ('reconnecting'), ours do not
+    if (!this._socketClosed) {
+      this._socketClosed = true;
+      logger.kernel.warn('Kernel WebSocket closed');
+      this.emit('socketClosed', {reconnecting: status == 'reconnecting'});
+    }
+
+    return;
+  }
+
+  if (this._socketClosed && status != 'dead') {
+    this._socketClosed = false;
+    logger.kernel.info('Kernel WebSocket reopened');
+    this.emit('socketOpened');
+  }
+
+  this._setStatus(status);
+};
+
+Server.prototype._startHeartbeat = function() {
+  var scope = this;
+  var interval = this.options.heartbeat;
+
+  if (!interval || this._heartbeat.timer) {
+    return;
+  }
+
+  this._heartbeat.timer = setInterval(function() {
+    scope._beat();
+  }, interval);
+
+  // the heartbeat alone does not keep the process running
+  if (this._heartbeat.timer.unref) {
+    this._heartbeat.timer.unref();
+  }
+};
+
+Server.prototype._stopHeartbeat = function() {
+  clearInterval(this._heartbeat.timer);
+  this._heartbeat.timer = null;
+};
+
+/**
+ * Asks the kernel for its info, or runs a statement on kernels that can not give it, and reports how long the
+ * reply took.  The statement waits behind the cell that is running, so while the kernel is busy its ping is not
+ * missed, it is answered once the kernel gets to it.
+ */
+Server.prototype._beat = function() {
+  var scope = this;
+  var heartbeat = this._heartbeat;
+  var kernel = this._statusKernel;
+  var timeout = this.options.heartbeatTimeout || this.options.heartbeat;
+
+  if (heartbeat.pending || !kernel) {
+    // the last ping is still out, it counts once
+    return;
+  }
+
+  heartbeat.pending = true;
+
+  var started = Date.now();
+
+  var executes = typeof kernel.kernelInfo != 'function';
+
+  new Promise(function(resolve, reject) {
+    var timer = null;
+
+    function wait() {
+      timer = setTimeout(function() {
+        if (executes && scope.status == 'busy' && kernel === scope._statusKernel) {
+          wait();
+        } else {
+          reject(new Error('No heartbeat reply in ' + timeout + 'ms'));
+        }
+      }, timeout);
+
+      // like the heartbeat, a ping does not keep the process running
+      if (timer.unref) {
+        timer.unref();
+      }
+    }
+
+    wait();
+
+    var replyP = executes ? new Promise(function(resolve, reject) {
+      protocol.verifyKernelExecution(kernel.execute({code: 'true;', silent: true}), resolve, reject);
+    }) : kernel.kernelInfo();
+
+    replyP.then(function() {
+      clearTimeout(timer);
+      resolve();
+    }, function(e) {
+      clearTimeout(timer);
+      reject(e);
+    });
+  }).then(function() {
+    heartbeat.pending = false;
+    heartbeat.latency = Date.now() - started;
+    heartbeat.last = new Date();
+    heartbeat.missed = 0;
+
+    scope.emit('heartbeat', {latency: heartbeat.latency});
+  }, function(e) {
+    heartbeat.pending = false;
+    heartbeat.missed++;
+
+    logger.kernel.warn('Kernel missed a heartbeat', {error: e});
+    scope.emit('heartbeatMissed', {error: e, missed: heartbeat.missed});
+  });
+};
+
+/**
+ * The state of the connection to the kernel, for health checks.
+ *
+ * @returns {object} {status, connected, latency, lastHeartbeat, missedHeartbeats}: status is null before the
+ * session starts, connected is false while the kernel is dead or its WebSocket is closed, latency is the round
+ * trip of the last heartbeat in ms.
+ */
+Server.prototype.health = function() {
+  return {
+    status: this.status,
+    connected: this.status !== null && this.status != 'dead' && !this._socketClosed,
+    latency: this._heartbeat.latency,
+    lastHeartbeat: this._heartbeat.last,
+    missedHeartbeats: this._heartbeat.missed
+  };
+};
+
+/**
+ * Starts a new session, or attaches to a running one when options.attach is set.
+ *
+ * @returns {Promise} Resolves to the kernel
+ */
+Server.prototype._connect = function() {
+  var scope = this;
+  var transport = this.transport;
+  var target = this.options.attach;
+
+  if (!target) {
+    return transport.connect(this.appName);
+  }
+
+  if (typeof transport.attach != 'function') {
+    return Promise.reject(new Error('This transport cannot attach to running sessions'));
+  }
+
+  if (target === true) {
+    target = {path: this.appName};
+  }
+
+  var sessionIdP = target.sessionId ? Promise.resolve(target.sessionId) : this.listSessions().then(function(sessions) {
+    var session = sessions.filter(function(s) {
+      return s.path == target.path;
+    })[0];
+
+    return session ? session.id : null;
+  });
+
+  return sessionIdP.then(function(sessionId) {
+    if (sessionId) {
+      logger.kernel.info('Attaching to session ' + sessionId, {session: sessionId});
+      scope.attached = true;
+      return transport.attach(sessionId);
+    } else {
+      logger.kernel.info('No running session for ' + target.path + ', starting one');
+      scope.attached = false;
+      return transport.connect(target.path);
+    }
+  });
+};
+
+/**
+ * Lists the running sessions that can be attached to.
+ *
+ * @returns {Promise.<object[]>} {id, path, ...} for each session.
+ */
+Server.prototype.listSessions = function() {
+  if (typeof this.transport.listSessions != 'function') {
+    return Promise.reject(new Error('This transport cannot list running sessions'));
+  }
+
+  return this.transport.listSessions();
+};
+
+/**
+ * Sends any statements queued by batching to the kernel.
+ *
+ * @returns {Promise}
+ */
+Server.prototype.flush = function() {
+  return this.kernelP.then(function(kernel) {
+    return kernel.flush ? kernel.flush() : undefined;
+  });
+};
+
+/**
+ * Reports the Spark objects whose variables are still alive in the kernel.
+ *
+ * @returns {Promise.<object[]>} {refId, className, persisted, created} for each live object.
+ */
+Server.prototype.liveObjects = function() {
+  return this.kernelP.then(function(kernel) {
+    return ObjectRegistry.forKernel(kernel).list();
+  });
+};
+
+/**
+ * Latency and volume of the remote calls made so far, in total and per Class.method.
+ *
+ * @returns {object} {since, active, calls, errors, bytes, totalTime, avgTime, maxTime, phases, buckets, byMethod},
+ * times in ms.  phases splits the time into resolve (waiting for the target and arguments), codegen, queue and
+ * execute; buckets counts calls by duration.
+ */
+Server.prototype.metrics = function() {
+  return this.tracing.metrics();
+};
+
+/**
+ * Starts the counters of metrics() over.
+ */
+Server.prototype.resetMetrics = function() {
+  this.tracing.reset();
+};
+
+/**
+ * In record mode, returns the statements generated so far as a standalone EclairJS-nashorn script, and writes it
+ * to path if given.
+ *
+ * @param {string} [path]
+ * @returns {Promise.<string>} The script, or the path it was written to.
+ */
+Server.prototype.exportScript = function(path) {
+  var transport = this.transport;
+
+  if (typeof transport.script != 'function') {
+    return Promise.reject(new Error('exportScript() is only available in record mode'));
+  }
+
+  return this.flush().then(function() {
+    return path ? transport.writeScript(path) : transport.script();
+  });
+};
+
+/**
+ * Disconnects from the kernel but leaves its session, and the Spark driver, running so another process can
+ * attach to it.
+ *
+ * @returns {Promise}
+ */
+Server.prototype.detach = function() {
+  var scope = this;
+
+  if (typeof this.transport.detach != 'function') {
+    return Promise.reject(new Error('This transport cannot detach from sessions'));
+  }
+
+  this._stopHeartbeat();
+
+  return this.flush().then(function() {
+    if (scope.reconnectingKernel) {
+      scope.reconnectingKernel.stop();
+    }
+
+    return scope.transport.detach();
+  });
 };
 
 Server.prototype.stop = function() {
   var scope = this;
 
+  this._stopHeartbeat();
+
   return new Promise(function(resolve, reject) {
     scope.kernelP.then(function(kernel) {
-      scope.session.shutdown().then(resolve).catch(reject);
+      if (scope.reconnectingKernel) {
+        scope.reconnectingKernel.stop();
+      }
+
+      // in record mode, anything still queued by batching belongs in the script
+      var flushP = typeof scope.transport.script == 'function' && kernel.flush ? kernel.flush() : Promise.resolve();
+
+      flushP.then(function() {
+        return scope.transport.shutdown();
+      }).then(resolve).catch(reject);
+    }, function() {
+      // it never started, so there is nothing to shut down
+      resolve();
     });
   });
 };
@@ -731,5 +731,6 @@ Column.prototype.when = function(condition,value) {
 };
 
 Column.moduleLocation = '/sql/Column';
+Column.lineage = true;
 
 module.exports = Column;
\ No newline at end of file
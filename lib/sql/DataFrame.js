@@ -40,5 +40,6 @@ DataFrame.prototype = Object.create(DataSet.prototype);
 DataFrame.prototype.constructor = DataFrame;
 
 DataFrame.moduleLocation = '/sql/DataFrame';
+DataFrame.lineage = true;
 
 module.exports = DataFrame;
\ No newline at end of file
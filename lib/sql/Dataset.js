@@ -15,6 +15,9 @@
  */
 
 var Utils = require('../utils.js');
+var ChunkedCollect = require('../collect.js');
+var columnar = require('../columnar.js');
+var values = require('./values.js');
 
 /**
  * @classdesc
@@ -138,6 +141,25 @@ function _resolveRows(result, resolve, reject) {
   }
 }
 
+// the args of Utils.generate for a call whose rows come back in the columnar format
+function _columnarArgs(dataset, method, callArgs, options) {
+  var RowFactory = require('./RowFactory')(dataset.kernelP);
+
+  return {
+    target: dataset,
+    method: method,
+    args: callArgs,
+    returnType: String,
+    stringify: true,
+    encoder: columnar.ENCODER,
+    resolver: columnar.resolver(RowFactory, {
+      columns: options.columns,
+      single: options.single,
+      bigint: values.optionsFor(dataset.kernelP).bigint
+    })
+  };
+}
+
 function Dataset(kernelP, refIdP) {
   this.kernelP = kernelP;
   this.refIdP = refIdP;
@@ -1195,6 +1217,7 @@ Dataset.prototype.first = function() {
     method: 'first',
     returnType: String,
     stringify: true,
+    encoder: values.ENCODER,
     resolver: _resolveRows.bind(this)
   };
 
@@ -1361,15 +1384,23 @@ Dataset.prototype.foreachPartition = function(func, bindArgs) {
  *
  * @since EclairJS 0.7 Spark  1.6.0
  * @param {number} n
+ * @param {object} [options] See {@link module:eclairjs/sql.Dataset#collect}.
+ * @param {string} [options.format]
+ * @param {boolean} [options.columns]
  * @returns {Promise.<object[]>}
  */
-Dataset.prototype.take = function(n) {
+Dataset.prototype.take = function(n, options) {
+  if (options && options.format == 'columnar') {
+    return Utils.generate(_columnarArgs(this, 'take', Utils.wrapArguments([n]), options));
+  }
+
   var args = {
     target: this,
     method: 'take',
-    args: Utils.wrapArguments(arguments),
+    args: Utils.wrapArguments([n]),
     returnType: String,
     stringify: true,
+    encoder: values.ENCODER,
     resolver: _resolveRows.bind(this)
   };
 
@@ -1382,16 +1413,50 @@ Dataset.prototype.take = function(n) {
  * Running collect requires moving all the data into the application's driver process, and
  * doing so on a very large dataset can crash the driver process with OutOfMemoryError.
  *
+ * With options.chunkSize, the rows are transferred a chunk at a time instead of as a single result, for results
+ * too large to send at once: the returned {@link module:eclairjs.ChunkedCollect} is both a promise of the array
+ * and an async iterator of the rows.
+ *
+ * With options.format 'columnar', the rows are sent column by column, with the schema once and numeric and
+ * boolean columns as binary, instead of as one JSON object (values and schema) per row.  That is much smaller and
+ * faster to parse, and keeps the numeric types: the rows resolved to are the same, or with options.columns a
+ * {@link module:eclairjs/sql.ColumnarResult} holding each column as a typed array.
  *
  * @since EclairJS 0.7 Spark  1.6.0
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Rows per chunk.
+ * @param {number} [options.highWaterMark=2] Chunks requested ahead of the one being consumed.
+ * @param {string} [options.format='json'] 'json' or 'columnar', can not be used with chunkSize.
+ * @param {boolean} [options.columns] With format 'columnar', resolve to the columns instead of Rows.
  * @returns {Promise.<object[]>}
  */
-Dataset.prototype.collect = function() {
+Dataset.prototype.collect = function(options) {
+  if (options && options.format == 'columnar') {
+    if (options.chunkSize) {
+      return Promise.reject(new Error('A columnar collect can not be chunked'));
+    }
+
+    return Utils.generate(_columnarArgs(this, 'collect', null, options));
+  }
+
+  if (options && options.chunkSize) {
+    var RowFactory = require('./RowFactory')(this.kernelP);
+
+    return new ChunkedCollect(this, {
+      chunkSize: options.chunkSize,
+      highWaterMark: options.highWaterMark,
+      resolveValue: function(rowData) {
+        return rowData && rowData.values ? RowFactory.createLocal(rowData.values, rowData.schema) : rowData;
+      }
+    });
+  }
+
   var args = {
     target: this,
     method: 'collect',
     returnType: String,
     stringify: true,
+    encoder: values.ENCODER,
     resolver: _resolveRows.bind(this)
   };
 
@@ -1740,21 +1805,34 @@ Dataset.prototype.toRDD = function () {
 };
 
 /**
- * Returns the first row.
+ * Returns the first row, or the first n rows.
  * @function
  * @name module:eclairjs/sql.Dataset#head
  * @param {number} [n]
+ * @param {object} [options] See {@link module:eclairjs/sql.Dataset#collect}.
+ * @param {string} [options.format]
+ * @param {boolean} [options.columns]
  * @returns {module:eclairjs/sql.Row}
  */
-Dataset.prototype.head = function () {
+Dataset.prototype.head = function (n, options) {
   var Row = require('./Row')();
 
+  if (options && options.format == 'columnar') {
+    var single = n === undefined || n === null;
+
+    return Utils.generate(_columnarArgs(this, 'head', Utils.wrapArguments([single ? 1 : n]), {
+      columns: options.columns,
+      single: single && !options.columns
+    }));
+  }
+
   var args = {
     target: this,
     method: 'head',
-    args: Utils.wrapArguments(arguments),
+    args: Utils.wrapArguments(n === undefined ? [] : [n]),
     returnType: String,
     stringify: true,
+    encoder: values.ENCODER,
     resolver: _resolveRows.bind(this)
   };
 
@@ -1773,6 +1851,7 @@ Dataset.prototype.sqlContext = function() {
 };
 
 Dataset.moduleLocation = '/sql/Dataset';
+Dataset.lineage = true;
 module.exports = Dataset;
 //module.exports = function(kP) {
 //  if (kP) gKernelP = kP;
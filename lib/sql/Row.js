@@ -17,6 +17,7 @@ module.exports = function(kernelP) {
   return (function() {
 
     var Utils = require('../utils.js');
+    var values = require('./values.js');
 
     var gKernelP = kernelP;
 
@@ -36,12 +37,8 @@ module.exports = function(kernelP) {
      * scala.collection.Seq<java.lang.Object>  toSeq()
      * Return a Scala Seq representing the row.
      *
-     * NOTE: the following are being ignored as they also don't make sense for JavaScript (see ./types/DataTypes.js)
-     *
-     * byte getByte(int i)
-     * decimal getDecimal(int i)
-     * long getLong(int i)
-     * short getShort(int i)
+     * Values are returned as the JavaScript type their Spark type maps to (see ./values.js): a long is a number, or
+     * a BigInt with EclairJS({bigint: true}), a decimal a Decimal, a date or timestamp a Date and binary a Buffer.
      */
 
 // Local resolve functions to parse results of various types
@@ -112,8 +109,9 @@ module.exports = function(kernelP) {
 
       if (row._values) {
         if (index < row._values.length) {
-          obj.value = row._values[index];
-          obj.schema = row._schema.fields[index];
+          obj.schema = row._schema ? row._schema.fields[index] : null;
+          obj.value = obj.schema ? values.fromKernel(row._values[index], obj.schema.dataType, values.optionsFor(gKernelP)) :
+            row._values[index];
         } else {
           throw new Error('Index ' + index + ' is out of bounds');
         }
@@ -122,6 +120,16 @@ module.exports = function(kernelP) {
       return obj;
     }
 
+    function getOfType(row, index, test, typeName) {
+      var item = getByIndex(row, index);
+
+      if (item.schema && test(item.schema.dataType)) {
+        return item.value;
+      } else {
+        throw new Error('the type for index '+index+' is not a '+typeName);
+      }
+    }
+
     /**
      * @constructor
      * @memberof module:eclairjs/sql
@@ -242,17 +250,26 @@ module.exports = function(kernelP) {
     };
 
     /**
-     * Returns the value at position idex as a primitive byte.
+     * Returns the value at position index of type as Buffer.
      * @param {integer} index
-     * @returns {byte}
-     * @ignore
+     * @returns {Buffer}
      */
-    /* Not applicable to JavaScript
-     Row.prototype.getByte = function(index) {
+    Row.prototype.getBinary = function(index) {
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'binary';
+      }, 'Binary');
+    };
 
-     throw {name:'NotImplementedException', message:'The method is not implemented for JavaScript'};
-     };
+    /**
+     * Returns the value at position idex as a primitive byte.
+     * @param {integer} index
+     * @returns {byte}
      */
+    Row.prototype.getByte = function(index) {
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'byte';
+      }, 'Byte');
+    };
 
     /**
      * Returns the value at position index of type as Date.
@@ -260,27 +277,21 @@ module.exports = function(kernelP) {
      * @returns {Date}
      */
     Row.prototype.getDate = function(index) {
-      var item = getByIndex(this, index);
-
-      if (item.schema.dataType === 'date') {
-        return new Date(item.value);
-      } else {
-        throw new Error('the type for index '+index+' is not a Date');
-      }
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'date';
+      }, 'Date');
     };
 
     /**
-     * Returns the value at position index of type as decimal.
+     * Returns the value at position index of type as decimal, with all its digits.
      * @param {integer} index
-     * @returns {Promise.<decimal>}
-     * @ignore
-     */
-    /* Not applicable to JavaScript
-     Row.prototype.getDecimal = function(index) {
-
-     throw {name:'NotImplementedException', message:'The method is not implemented for JavaScript'};
-     };
+     * @returns {module:eclairjs/sql.Decimal}
      */
+    Row.prototype.getDecimal = function(index) {
+      return getOfType(this, index, function(dataType) {
+        return typeof dataType === 'string' && dataType.indexOf('decimal') === 0;
+      }, 'Decimal');
+    };
 
     /**
      * Returns the value at position index of type as double.
@@ -328,33 +339,27 @@ module.exports = function(kernelP) {
     };
 
     /**
-     * Returns the value at position index of type as long.
+     * Returns the value at position index of type as long: a number, or a BigInt with EclairJS({bigint: true}).
+     * Only collect({format: 'columnar'}) keeps all the digits of longs beyond 2^53.
      * @param {integer} index
-     * @returns {long}
-     * @ignore
+     * @returns {number|bigint}
      */
     Row.prototype.getLong = function(index) {
-      var item = getByIndex(this, index);
-
-      if (item.schema.dataType === 'long') {
-        return item.value;
-      } else {
-        throw new Error('the type for index '+index+' is not a Long');
-      }
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'long';
+      }, 'Long');
     };
 
     /**
      * Returns the value at position index of type as short.
      * @param {integer} index
      * @returns {short}
-     * @ignore
-     */
-    /* Not applicable to JavaScript
-     Row.prototype.getShort = function(index) {
-
-     throw {name:'NotImplementedException', message:'The method is not implemented for JavaScript'};
-     };
      */
+    Row.prototype.getShort = function(index) {
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'short';
+      }, 'Short');
+    };
 
     /**
      * Returns the value at position index of type as String.
@@ -396,13 +401,9 @@ module.exports = function(kernelP) {
      * @returns {Date}
      */
     Row.prototype.getTimestamp = function(index) {
-      var item = getByIndex(this, index);
-
-      if (item.schema.dataType === 'timestamp') {
-        return new Date(item.value);
-      } else {
-        throw new Error('the type for index '+index+' is not a Timestamp');
-      }
+      return getOfType(this, index, function(dataType) {
+        return dataType === 'timestamp';
+      }, 'Timestamp');
     };
 
     /**
@@ -474,10 +475,18 @@ module.exports = function(kernelP) {
 
         // TODO: make this easier, perhaps a method in datatypes?
         switch (field.dataType) {
+          case 'binary':
+            dt = DataTypes.BinaryType;
+            break;
+
           case 'boolean':
             dt = DataTypes.BooleanType;
             break;
 
+          case 'byte':
+            dt = DataTypes.ByteType;
+            break;
+
           case 'date':
             dt = DataTypes.DateType;
             break;
@@ -494,6 +503,14 @@ module.exports = function(kernelP) {
             dt = DataTypes.IntegerType;
             break;
 
+          case 'long':
+            dt = DataTypes.LongType;
+            break;
+
+          case 'short':
+            dt = DataTypes.ShortType;
+            break;
+
           case 'timestamp':
             dt = DataTypes.TimestampType;
             break;
@@ -501,6 +518,14 @@ module.exports = function(kernelP) {
           case 'string':
             dt = DataTypes.StringType;
             break;
+
+          default:
+            // decimal(10,2)
+            var decimal = /^decimal\((\d+),\s*(\d+)\)$/.exec(field.dataType);
+
+            if (decimal) {
+              dt = DataTypes.createDecimalType(parseInt(decimal[1]), parseInt(decimal[2]));
+            }
         }
 
         fields.push(new StructField(field.name, dt, field.nullable, Metadata.empty()));
@@ -533,8 +558,22 @@ module.exports = function(kernelP) {
 
     Row.prototype._generateRemote = function() {
       var RowFactory = require('./RowFactory')(gKernelP);
+      var schema = this._schema;
+
+      // sent back as the Spark type of their field, a date as a SqlDate rather than a SqlTimestamp for example
+      var remoteValues = this._values.map(function(value, i) {
+        var field = schema ? schema.fields[i] : null;
+
+        if (!field || value === null || value === undefined) {
+          return value;
+        }
+
+        var converted = values.fromKernel(value, field.dataType, {bigint: true});
+
+        return values.isTyped(converted) ? values.typed(converted, field.dataType) : converted;
+      });
 
-      return RowFactory.createRemote(this._values);
+      return RowFactory.createRemote(remoteValues);
     };
 
     Row.moduleLocation = '/sql/Row';
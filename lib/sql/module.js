@@ -22,6 +22,7 @@ module.exports = function(kernelP, server) {
   return {
     DataFrame: require('./DataFrame.js'),
     Dataset: require('./Dataset.js')(kernelP),
+    Decimal: require('./values.js').Decimal,
     Encoders: require('./Encoders.js')(kernelP),
     functions: require('./functions.js')(kernelP),
     RowFactory: require('./RowFactory.js')(kernelP),
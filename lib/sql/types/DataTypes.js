@@ -28,11 +28,21 @@ module.exports = function(kernelP) {
     function DataTypes() {
     }
 
+    /**
+     * Gets the BinaryType object, whose values are Buffers.
+     * @static
+     */
+    DataTypes.BinaryType = {_eclairSerialize: 'staticProperty', value: "BinaryType", ref: DataTypes};
     /**
      * Gets the BooleanType object.
      * @static
      */
     DataTypes.BooleanType = {_eclairSerialize: 'staticProperty', value: "BooleanType", ref: DataTypes};
+    /**
+     * Gets the ByteType object.
+     * @static
+     */
+    DataTypes.ByteType = {_eclairSerialize: 'staticProperty', value: "ByteType", ref: DataTypes};
     /**
      * Gets the DateType object.
      * @static
@@ -60,6 +70,16 @@ module.exports = function(kernelP) {
      * @static
      */
     DataTypes.IntegerType = {_eclairSerialize: 'staticProperty', value: "IntegerType", ref: DataTypes};
+    /**
+     * Gets the LongType object, whose values are numbers, or BigInts with EclairJS({bigint: true}).
+     * @static
+     */
+    DataTypes.LongType = {_eclairSerialize: 'staticProperty', value: "LongType", ref: DataTypes};
+    /**
+     * Gets the ShortType object.
+     * @static
+     */
+    DataTypes.ShortType = {_eclairSerialize: 'staticProperty', value: "ShortType", ref: DataTypes};
     /**
      * Gets the StringType object.
      * @static
@@ -76,15 +96,23 @@ module.exports = function(kernelP) {
      * the following types are not applicable to JavaScript so we are not implement them
      */
     /*
-    DataTypes.BinaryType = "org.apache.spark.sql.types.DataTypes.BinaryType";
-    DataTypes.ByteType = "org.apache.spark.sql.types.DataTypes.ByteType";
     DataTypes.CalendarIntervalType = "org.apache.spark.sql.types.DataTypes.CalendarIntervalType";
-    DataTypes.DecimalType = "org.apache.spark.sql.types.DataTypes.DecimalType";
-    DataTypes.LongType = "org.apache.spark.sql.types.DataTypes.LongType";
     DataTypes.NullType = "org.apache.spark.sql.types.DataTypes.NullType";
-    DataTypes.ShortType = "org.apache.spark.sql.types.DataTypes.ShortType";
     */
 
+    /**
+     * Creates a DecimalType, whose values are {@link module:eclairjs/sql.Decimal}s.
+     * @param {integer} [precision] Defaults to 10, with a scale of 0.
+     * @param {integer} [scale] Defaults to 0.
+     * @returns {module:eclairjs/sql/types.DataType}
+     */
+    DataTypes.createDecimalType = function(precision, scale) {
+      // Spark has no createDecimalType(precision)
+      var args = precision === undefined ? '' : parseInt(precision) + ', ' + (scale === undefined ? 0 : parseInt(scale));
+
+      return {_eclairSerialize: 'staticProperty', value: 'createDecimalType(' + args + ')', ref: DataTypes};
+    };
+
     /**
      * Creates a StructField with empty metadata.
      * @param {String} fieldName
@@ -0,0 +1,285 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * How SQL values map between Spark and JavaScript, both ways:
+ *
+ *   LongType          number, or BigInt with EclairJS({bigint: true})   java.lang.Long
+ *   DecimalType       Decimal                                          java.math.BigDecimal
+ *   DateType          Date                                             SqlDate
+ *   TimestampType     Date                                             SqlTimestamp
+ *   BinaryType        Buffer                                           byte[]
+ *
+ * BigInt, Decimal, Date and Buffer arguments are sent as the type on the right.  A Date is sent as a SqlTimestamp,
+ * unless it is in a Row whose schema says DateType.  Results come back with the longs a number can not hold and
+ * the decimals as strings (see encodeRows() and lib/columnar.js), so no digit is lost on the way.
+ */
+
+var protocol = require('../kernel.js');
+
+var DECIMAL_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+// namespace -> {bigint}
+var optionsByNamespace = new WeakMap();
+var defaultOptions = {bigint: false};
+
+/**
+ * A DecimalType value, kept as its decimal string so no digit is lost.  Arithmetic is left to a decimal library of
+ * your choice: new Big(decimal.toString()), for example.
+ *
+ * @constructor
+ * @memberof module:eclairjs/sql
+ * @param {string|number|bigint} value
+ */
+function Decimal(value) {
+  var text = String(value).trim();
+
+  if (!DECIMAL_PATTERN.test(text)) {
+    throw new Error('Not a decimal: ' + value);
+  }
+
+  this._value = text;
+}
+
+/**
+ * @returns {string}
+ */
+Decimal.prototype.toString = function() {
+  return this._value;
+};
+
+Decimal.prototype.toJSON = Decimal.prototype.toString;
+
+/**
+ * @returns {number} The nearest number, which may not be the same value.
+ */
+Decimal.prototype.toNumber = function() {
+  return parseFloat(this._value);
+};
+
+Decimal.prototype.valueOf = Decimal.prototype.toNumber;
+
+/**
+ * @param {module:eclairjs/sql.Decimal} other
+ * @returns {boolean}
+ */
+Decimal.prototype.equals = function(other) {
+  return other instanceof Decimal && other._value === this._value;
+};
+
+/**
+ * Sets the value options of an EclairJS instance.
+ *
+ * @param {Namespace} namespace
+ * @param {object} options
+ * @param {boolean} [options.bigint] Return LongType values as BigInt.
+ * @ignore
+ */
+function bind(namespace, options) {
+  optionsByNamespace.set(namespace, {bigint: !!options.bigint});
+}
+
+/**
+ * @param {Promise} kernelP
+ * @returns {object} The value options of the instance kernelP belongs to.
+ * @ignore
+ */
+function optionsFor(kernelP) {
+  return optionsByNamespace.get(protocol.namespaceFor(kernelP)) || defaultOptions;
+}
+
+function isDecimalType(dataType) {
+  return typeof dataType == 'string' && dataType.indexOf('decimal') === 0;
+}
+
+// SqlTimestamp.toJSON() gives "2016-10-19 10:00:00.0", a time in the JVM's time zone
+function parseDate(text) {
+  var match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d{1,3})?\d*$/.exec(text);
+
+  return new Date(match ? match[1] + 'T' + match[2] + (match[3] || '') : text);
+}
+
+/**
+ * Turns a value of a result (a collected Row for example) into the JavaScript type its Spark type maps to.
+ *
+ * @param {*} value
+ * @param {string} dataType The type name from the schema: 'long', 'decimal(10,2)', 'date'...
+ * @param {object} [options]
+ * @param {boolean} [options.bigint]
+ * @returns {*}
+ * @ignore
+ */
+function fromKernel(value, dataType, options) {
+  var opts = options || defaultOptions;
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (dataType == 'long') {
+    if (opts.bigint) {
+      if (typeof value == 'number' && !Number.isSafeInteger(value)) {
+        // the kernel sends these as strings (see encodeRows()), a number this large was rounded before it got here
+        throw new Error('Long ' + value + ' lost its precision');
+      }
+
+      return typeof value == 'bigint' ? value : BigInt(value);
+    }
+
+    return typeof value == 'number' ? value : Number(value);
+  } else if (isDecimalType(dataType)) {
+    return value instanceof Decimal ? value : new Decimal(value);
+  } else if (dataType == 'date' || dataType == 'timestamp') {
+    if (value instanceof Date) {
+      return value;
+    }
+
+    return typeof value == 'string' ? parseDate(value) : new Date(value);
+  } else if (dataType == 'binary') {
+    if (Buffer.isBuffer(value)) {
+      return value;
+    }
+
+    return typeof value == 'string' ? Buffer.from(value, 'base64') : Buffer.from(value.map(function(b) {
+      return b & 255;
+    }));
+  }
+
+  return value;
+}
+
+/**
+ * Marks value to be sent as dataType, rather than the type its JavaScript type maps to.
+ *
+ * @param {*} value
+ * @param {string} dataType
+ * @returns {object}
+ * @ignore
+ */
+function typed(value, dataType) {
+  return {_eclairTyped: true, value: value, dataType: dataType};
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is sent with literal().
+ * @ignore
+ */
+function isTyped(value) {
+  return typeof value == 'bigint' || value instanceof Date || value instanceof Decimal || Buffer.isBuffer(value) ||
+    (value !== null && typeof value == 'object' && value._eclairTyped === true);
+}
+
+/**
+ * The code of a BigInt, Decimal, Date or Buffer value in the kernel.
+ *
+ * @param {*} value
+ * @param {string} [dataType]
+ * @returns {string}
+ * @ignore
+ */
+function literal(value, dataType) {
+  if (value !== null && typeof value == 'object' && value._eclairTyped === true) {
+    return literal(value.value, value.dataType);
+  }
+
+  if (value === null || value === undefined) {
+    return 'null';
+  } else if (typeof value == 'bigint' || dataType == 'long') {
+    return 'java.lang.Long.valueOf("' + BigInt(value).toString() + '")';
+  } else if (value instanceof Decimal || isDecimalType(dataType)) {
+    return 'new java.math.BigDecimal("' + new Decimal(value).toString() + '")';
+  } else if (value instanceof Date) {
+    var module = dataType == 'date' ? '/sql/SqlDate' : '/sql/SqlTimestamp';
+
+    return 'new (require(EclairJS_Globals.NAMESPACE + \'' + module + '\'))(' + value.getTime() + ')';
+  } else if (Buffer.isBuffer(value)) {
+    var bytes = [];
+
+    for (var i = 0; i < value.length; i++) {
+      // Java bytes are signed
+      bytes.push(value[i] > 127 ? value[i] - 256 : value[i]);
+    }
+
+    return 'Java.to([' + bytes.join(',') + '], "byte[]")';
+  }
+
+  return require('../literal.js')(value);
+}
+
+/**
+ * Runs in the kernel (EclairJS-nashorn or the local backend), so it is plain ES5 with no Node APIs: JSON.stringify
+ * of what collect(), take(), head() or first() returned, except that the longs a number can not hold and all
+ * decimals are sent as strings, so fromKernel() gets every digit.
+ *
+ * @param {Array|object} rows
+ * @param {object} ds The Dataset, for the schema.
+ * @returns {string}
+ * @ignore
+ */
+function encodeRows(rows, ds) {
+  var MAX_SAFE = 9007199254740991;
+
+  var fields = JSON.parse(JSON.stringify(ds.schema())).fields;
+  var result = JSON.parse(JSON.stringify(rows));
+
+  var exact = fields.map(function(field) {
+    var type = typeof field.dataType == 'string' ? field.dataType : '';
+
+    return type == 'long' ? 'long' : type.indexOf('decimal') === 0 ? 'decimal' : null;
+  });
+
+  function encode(row, json) {
+    if (row === null || typeof row != 'object' || !('isNullAt' in row) || !json || !json.values) {
+      return;
+    }
+
+    for (var c = 0; c < exact.length; c++) {
+      var value = exact[c] ? row.get(c) : null;
+
+      if (value === null || value === undefined) {
+        continue;
+      }
+
+      var text = typeof value.toPlainString == 'function' ? String(value.toPlainString()) : String(value);
+
+      if (exact[c] == 'decimal' || Math.abs(Number(text)) > MAX_SAFE) {
+        json.values[c] = text;
+      }
+    }
+  }
+
+  if (rows && typeof rows.length == 'number' && typeof rows != 'string') {
+    for (var i = 0; i < rows.length; i++) {
+      encode(rows[i], result[i]);
+    }
+  } else {
+    encode(rows, result);
+  }
+
+  return JSON.stringify(result);
+}
+
+module.exports = {
+  ENCODER: encodeRows.toString(),
+  Decimal: Decimal,
+  bind: bind,
+  optionsFor: optionsFor,
+  fromKernel: fromKernel,
+  typed: typed,
+  isTyped: isTyped,
+  literal: literal
+};
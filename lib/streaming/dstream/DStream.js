@@ -18,6 +18,7 @@ module.exports = function(kernelP) {
   return (function() {
     var Utils = require('../../utils.js');
     var RDD = require('../../rdd/RDD.js');
+    var lambda = require('../../lambda.js');
 
     var gKernelP = kernelP;
 
@@ -104,7 +105,7 @@ module.exports = function(kernelP) {
 
     var foreachRDDCounter = 0;
 
-    function generateForeachRDDFunc(lambda, id) {
+    function generateForeachRDDFunc(remoteFunc, id) {
       // TODO: consider using template literals
       var func = "function() {\
         var res = {{lambda}}.apply(this, arguments);\
@@ -112,7 +113,11 @@ module.exports = function(kernelP) {
         comm.send('foreachrdd', JSON.stringify({response: res}));\
       }";
 
-      return func.replace('{{id}}', id).replace('{{lambda}}', lambda.toString());
+      var source = lambda.serialize(remoteFunc);
+
+      return func.replace('{{id}}', id).replace('{{lambda}}', function() {
+        return source;
+      });
     }
 
     /**
@@ -0,0 +1,292 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var protocol = require('./kernel.js');
+var logger = require('./logger.js').kernel;
+
+var PHASES = ['resolve', 'codegen', 'queue', 'execute'];
+
+// upper bounds in ms of the duration histogram, the last bucket is everything slower
+var BUCKETS = [10, 50, 100, 500, 1000, 5000, 30000];
+
+var spanCounter = 0;
+
+/**
+ * One remote call, from the moment it is made until its result (or error) is back.  Its phases are:
+ *
+ *   resolve   waiting for the kernel, the target object and the arguments (other calls, lambdas) to be ready
+ *   codegen   generating the JavaScript sent to the kernel
+ *   queue     waiting in the kernel before it starts running, when the kernel reports it (a Jupyter busy status)
+ *   execute   running on Spark and sending the result back
+ *
+ * @constructor
+ * @ignore
+ */
+function Span(tracing, info) {
+  spanCounter++;
+
+  this.tracing = tracing;
+
+  this.id = spanCounter;
+  this.name = info.className + '.' + info.method;
+  this.className = info.className;
+  this.method = info.method;
+  this.refId = info.refId;
+  this.target = undefined;
+
+  this.start = Date.now();
+  this.end = null;
+  this.duration = null;
+  this.marks = {};
+  this.phases = null;
+
+  this.bytes = 0;
+  this.success = null;
+  this.error = null;
+}
+
+/**
+ * Records when a point of the call was reached: resolved, sent or started.  Only the first time counts.
+ *
+ * @param {string} name
+ */
+Span.prototype.mark = function(name) {
+  if (this.marks[name] === undefined) {
+    this.marks[name] = Date.now();
+  }
+};
+
+/**
+ * @param {string} [data] Result text sent back by the kernel.
+ */
+Span.prototype.addResult = function(data) {
+  if (typeof data == 'string') {
+    this.bytes += Buffer.byteLength(data);
+  }
+};
+
+/**
+ * Ends the span, failed if error is given.
+ *
+ * @param {Error} [error]
+ */
+Span.prototype.finish = function(error) {
+  if (this.end !== null) {
+    return;
+  }
+
+  var marks = this.marks;
+
+  this.end = Date.now();
+  this.duration = this.end - this.start;
+  this.success = !error;
+  this.error = error ? (error.name || 'Error') + ': ' + (error.message || error) : null;
+
+  // without a busy status from the kernel, queueing can not be told apart from running
+  var started = marks.started !== undefined ? marks.started : marks.sent;
+
+  this.phases = {
+    resolve: marks.resolved !== undefined ? marks.resolved - this.start : this.duration,
+    codegen: marks.sent !== undefined ? marks.sent - marks.resolved : 0,
+    queue: marks.sent !== undefined ? started - marks.sent : 0,
+    execute: marks.sent !== undefined ? this.end - started : 0
+  };
+
+  this.tracing._finish(this);
+};
+
+/**
+ * What tracers and metrics see of a span.
+ *
+ * @returns {object}
+ */
+Span.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    className: this.className,
+    method: this.method,
+    refId: this.refId,
+    target: this.target,
+    start: this.start,
+    end: this.end,
+    duration: this.duration,
+    phases: this.phases,
+    bytes: this.bytes,
+    success: this.success,
+    error: this.error
+  };
+};
+
+function newAggregate() {
+  var aggregate = {calls: 0, errors: 0, bytes: 0, totalTime: 0, maxTime: 0, phases: {}, buckets: {}};
+
+  PHASES.forEach(function(phase) {
+    aggregate.phases[phase] = 0;
+  });
+
+  BUCKETS.concat(['+Inf']).forEach(function(bound) {
+    aggregate.buckets[bound] = 0;
+  });
+
+  return aggregate;
+}
+
+function addToAggregate(aggregate, span) {
+  aggregate.calls++;
+  aggregate.bytes += span.bytes;
+  aggregate.totalTime += span.duration;
+  aggregate.maxTime = Math.max(aggregate.maxTime, span.duration);
+
+  if (!span.success) {
+    aggregate.errors++;
+  }
+
+  PHASES.forEach(function(phase) {
+    aggregate.phases[phase] += span.phases[phase];
+  });
+
+  var bound = BUCKETS.filter(function(b) {
+    return span.duration <= b;
+  })[0];
+
+  aggregate.buckets[bound === undefined ? '+Inf' : bound]++;
+}
+
+function copyAggregate(aggregate) {
+  var copy = JSON.parse(JSON.stringify(aggregate));
+  copy.avgTime = aggregate.calls ? aggregate.totalTime / aggregate.calls : 0;
+
+  return copy;
+}
+
+/**
+ * Spans and metrics of one EclairJS instance.
+ *
+ * @param {function|object} [tracer] Called with each finished span, or an object with optional
+ * onStart(span) and onEnd(span).
+ * @constructor
+ * @ignore
+ */
+function Tracing(tracer) {
+  this.tracer = tracer || null;
+  this.reset();
+}
+
+/**
+ * @param {object} info {className, method, refId}
+ * @returns {Span}
+ */
+Tracing.prototype.startSpan = function(info) {
+  var span = new Span(this, info);
+
+  this.active++;
+
+  if (this.tracer && typeof this.tracer.onStart == 'function') {
+    this._call('onStart', span);
+  }
+
+  return span;
+};
+
+Tracing.prototype._finish = function(span) {
+  this.active--;
+
+  addToAggregate(this.total, span);
+
+  if (!this.byMethod[span.name]) {
+    this.byMethod[span.name] = newAggregate();
+  }
+
+  addToAggregate(this.byMethod[span.name], span);
+
+  if (typeof this.tracer == 'function') {
+    this._call(null, span);
+  } else if (this.tracer && typeof this.tracer.onEnd == 'function') {
+    this._call('onEnd', span);
+  }
+};
+
+Tracing.prototype._call = function(name, span) {
+  try {
+    if (name) {
+      this.tracer[name](span.toJSON());
+    } else {
+      this.tracer(span.toJSON());
+    }
+  } catch (e) {
+    // a broken tracer must not break Spark calls
+    logger.warn('Tracer failed', {error: e});
+  }
+};
+
+/**
+ * @returns {object} {since, active, calls, errors, bytes, totalTime, avgTime, maxTime, phases, buckets, byMethod}.
+ * phases has the total ms spent in resolve, codegen, queue and execute, buckets counts calls by duration
+ * (calls taking up to 10ms, 50ms... and +Inf), byMethod has the same counters per Class.method.
+ */
+Tracing.prototype.metrics = function() {
+  var scope = this;
+  var metrics = copyAggregate(this.total);
+
+  metrics.since = this.since;
+  metrics.active = this.active;
+  metrics.byMethod = {};
+
+  Object.keys(this.byMethod).forEach(function(name) {
+    metrics.byMethod[name] = copyAggregate(scope.byMethod[name]);
+  });
+
+  return metrics;
+};
+
+/**
+ * Clears the counters, calls still in flight stay counted as active.
+ */
+Tracing.prototype.reset = function() {
+  this.since = Date.now();
+  this.active = this.active || 0;
+  this.total = newAggregate();
+  this.byMethod = {};
+};
+
+Tracing.Span = Span;
+
+// Used for kernel promises that were never bound to a namespace
+var defaultTracing = new Tracing();
+
+// Namespace -> Tracing
+var tracings = new WeakMap();
+
+/**
+ * Binds the tracing of an instance to its namespace, so every kernel promise sharing the namespace finds it.
+ *
+ * @param {Namespace} namespace
+ * @param {Tracing} tracing
+ */
+Tracing.bind = function(namespace, tracing) {
+  tracings.set(namespace, tracing);
+};
+
+/**
+ * @param {Promise} kernelP
+ * @returns {Tracing}
+ */
+Tracing.forKernelP = function(kernelP) {
+  return tracings.get(protocol.namespaceFor(kernelP)) || defaultTracing;
+};
+
+module.exports = Tracing;
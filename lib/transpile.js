@@ -0,0 +1,657 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var acorn = require('acorn');
+
+var literal = require('./literal.js');
+var scopes = require('./scopes.js');
+
+/*
+ * Nashorn only runs ES5, so lambdas written in modern JavaScript are rewritten before being shipped:
+ *
+ *   - arrow functions become function expressions (bound to this when they use it)
+ *   - default, rest and destructured parameters are unpacked at the top of the body
+ *   - destructuring declarations, let and const become var declarations; block scoped bindings are renamed where
+ *     they would clash as vars, and loops whose closures capture them run each iteration in a function (scopes.js)
+ *   - template literals become string concatenation
+ *   - spread in calls and array literals becomes apply() and concat()
+ *   - shorthand properties and methods, ** and for...of are rewritten; for...of goes through ITERATE, so it runs over
+ *     arrays, strings, Java Iterables and, where the kernel has them (the local backend), Sets, Maps and other
+ *     iterables
+ *
+ * Code that is already ES5 comes back exactly as it was.  Anything else (classes, generators, async functions,
+ * optional chaining, object spread...) is reported with the line it is on, when the lambda is passed in.
+ */
+
+// source -> transpiled source
+var cache = new Map();
+
+var TEMP = '_eclairjs';
+
+// the iterator for...of loops over: ES5 code, for the kernel, with the same next() as a JavaScript iterator.  Symbol
+// is looked up on the global object, as Nashorn has none and lambdas may not use globals it does not have.
+var ITERATE = '(function(v) { ' +
+  'var S = Function("return this")().Symbol; ' +
+  'if (v !== null && v !== undefined && S && typeof v[S.iterator] == "function") { ' +
+    'return v[S.iterator](); ' +
+  '} ' +
+  'var i = 0; ' +
+  'if (v !== null && v !== undefined && typeof v.length == "number") { ' +
+    'return {next: function() { return i < v.length ? {done: false, value: v[i++]} : {done: true}; }}; ' +
+  '} ' +
+  'if (v !== null && v !== undefined && typeof v.iterator == "function") { ' +
+    'var it = v.iterator(); ' +
+    'return {next: function() { return it.hasNext() ? {done: false, value: it.next()} : {done: true}; }}; ' +
+  '} ' +
+  'throw new TypeError(v + " is not iterable"); ' +
+'})';
+
+function isFunction(node) {
+  return node.type == 'FunctionDeclaration' || node.type == 'FunctionExpression' ||
+    node.type == 'ArrowFunctionExpression';
+}
+
+function children(node) {
+  var result = [];
+
+  Object.keys(node).forEach(function(key) {
+    var child = node[key];
+
+    if (Array.isArray(child)) {
+      child.forEach(function(c) {
+        if (c && typeof c.type == 'string') {
+          result.push(c);
+        }
+      });
+    } else if (child && typeof child.type == 'string' && key != 'loc') {
+      result.push(child);
+    }
+  });
+
+  return result.sort(function(a, b) {
+    return a.start - b.start;
+  });
+}
+
+/**
+ * Whether an arrow function uses the this or arguments of its enclosing function.
+ */
+function usesLexical(node, type) {
+  if (node.type == type || (type == 'arguments' && node.type == 'Identifier' && node.name == 'arguments')) {
+    return true;
+  }
+
+  return children(node).some(function(child) {
+    return !(isFunction(child) && child.type != 'ArrowFunctionExpression') && usesLexical(child, type);
+  });
+}
+
+/**
+ * @param {string} source The code the nodes were parsed from
+ * @param {object} root The node that will be transpiled, analyzed for block scoping.
+ * @constructor
+ * @ignore
+ */
+function Transpiler(source, root) {
+  this.source = source;
+  this.temps = 0;
+  this.blocks = scopes.analyze(root, source, this.unsupported.bind(this));
+  // loop bodies being emitted as the body of their iteration function
+  this.iterating = new Set();
+}
+
+Transpiler.prototype.unsupported = function(node, what) {
+  var line = this.source.substr(0, node.start).split('\n').length;
+
+  throw new Error('Lambda uses ' + what + ' (line ' + line + '), which EclairJS-nashorn cannot run');
+};
+
+Transpiler.prototype.temp = function() {
+  this.temps++;
+
+  return TEMP + this.temps;
+};
+
+Transpiler.prototype.slice = function(node) {
+  return this.source.substring(node.start, node.end);
+};
+
+/**
+ * The source of node with each of its children transpiled.
+ */
+Transpiler.prototype.generic = function(node) {
+  var scope = this;
+  var out = '';
+  var pos = node.start;
+
+  children(node).forEach(function(child) {
+    if (child.start < pos) {
+      // shorthand properties share one node for key and value
+      return;
+    }
+
+    out += scope.source.substring(pos, child.start) + scope.emit(child);
+    pos = child.end;
+  });
+
+  return out + this.source.substring(pos, node.end);
+};
+
+Transpiler.prototype.emit = function(node, top) {
+  if (this.blocks.iterations.has(node) && !this.iterating.has(node)) {
+    return this.emitIteration(node);
+  }
+
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return this.emitFunction(node, top);
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return this.unsupported(node, 'a class');
+    case 'AwaitExpression':
+      return this.unsupported(node, 'await');
+    case 'YieldExpression':
+      return this.unsupported(node, 'yield');
+    case 'ChainExpression':
+      return this.unsupported(node, 'optional chaining');
+    case 'TaggedTemplateExpression':
+      return this.unsupported(node, 'a tagged template');
+    case 'MetaProperty':
+    case 'ImportExpression':
+    case 'Super':
+      return this.unsupported(node, this.slice(node));
+    case 'Literal':
+      if (node.bigint) {
+        return this.unsupported(node, 'a BigInt literal');
+      } else if (node.regex && /[^gim]/.test(node.regex.flags)) {
+        return this.unsupported(node, 'regular expression flags "' + node.regex.flags + '"');
+      } else if (typeof node.value == 'number' && node.raw.indexOf('_') >= 0) {
+        return String(node.value);
+      }
+
+      return this.slice(node);
+    case 'Identifier':
+      return this.blocks.renames.get(node) || node.name;
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'ReturnStatement':
+      return this.emitJump(node);
+    case 'TemplateLiteral':
+      return this.emitTemplate(node);
+    case 'VariableDeclaration':
+      return this.emitDeclaration(node);
+    case 'ForOfStatement':
+      return this.emitForOf(node);
+    case 'ObjectExpression':
+      return this.emitObject(node);
+    case 'ArrayExpression':
+      if (node.elements.some(function(e) { return e && e.type == 'SpreadElement'; })) {
+        return this.spreadArray(node.elements);
+      }
+
+      return this.generic(node);
+    case 'CallExpression':
+      return this.emitCall(node);
+    case 'NewExpression':
+      if (node.arguments.some(function(a) { return a.type == 'SpreadElement'; })) {
+        return this.unsupported(node, 'spread in new');
+      }
+
+      return this.generic(node);
+    case 'BinaryExpression':
+      if (node.operator == '**') {
+        return 'Math.pow(' + this.emit(node.left) + ', ' + this.emit(node.right) + ')';
+      }
+
+      return this.generic(node);
+    case 'LogicalExpression':
+      if (node.operator == '??') {
+        return this.unsupported(node, '??');
+      }
+
+      return this.generic(node);
+    case 'AssignmentExpression':
+      if (node.left.type == 'ObjectPattern' || node.left.type == 'ArrayPattern') {
+        return this.unsupported(node, 'a destructuring assignment');
+      } else if (['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '>>>=', '|=', '^=', '&='].indexOf(node.operator) < 0) {
+        return this.unsupported(node, node.operator);
+      }
+
+      return this.generic(node);
+    case 'CatchClause':
+      if (!node.param) {
+        return 'catch (' + this.temp() + ') ' + this.emit(node.body);
+      } else if (node.param.type != 'Identifier') {
+        return this.unsupported(node, 'destructuring in catch');
+      }
+
+      return this.generic(node);
+    default:
+      return this.generic(node);
+  }
+};
+
+/**
+ * @param {object} node
+ * @param {boolean} [top] Whether this is the lambda itself
+ * @param {boolean} [method] Whether node is the value of a method shorthand
+ */
+Transpiler.prototype.emitFunction = function(node, top, method) {
+  var scope = this;
+
+  if (node.async) {
+    this.unsupported(node, 'an async function');
+  } else if (node.generator) {
+    this.unsupported(node, 'a generator');
+  }
+
+  var arrow = node.type == 'ArrowFunctionExpression';
+  var simple = node.params.every(function(p) {
+    return p.type == 'Identifier';
+  });
+
+  if (!arrow && !method && simple) {
+    return this.generic(node);
+  }
+
+  if (arrow && usesLexical(node.body, 'arguments')) {
+    this.unsupported(node, 'arguments inside an arrow function');
+  }
+
+  var params = [];
+  var prelude = [];
+
+  node.params.forEach(function(p, i) {
+    if (p.type == 'Identifier') {
+      params.push(p.name);
+    } else if (p.type == 'AssignmentPattern' && p.left.type == 'Identifier') {
+      params.push(p.left.name);
+      prelude.push('if (' + p.left.name + ' === undefined) ' + p.left.name + ' = ' + scope.emit(p.right) + ';');
+    } else {
+      var pairs = [];
+
+      if (p.type == 'RestElement') {
+        scope.destructure(p.argument, 'Array.prototype.slice.call(arguments, ' + i + ')', pairs);
+      } else {
+        var tmp = scope.temp();
+        params.push(tmp);
+        scope.destructure(p, tmp, pairs);
+      }
+
+      prelude.push('var ' + pairs.join(', ') + ';');
+    }
+  });
+
+  var body;
+
+  if (node.body.type == 'BlockStatement') {
+    body = this.emit(node.body);
+    body = prelude.length > 0 ? '{\n' + prelude.join('\n') + '\n' + body.substr(1) : body;
+  } else {
+    body = '{\n' + prelude.map(function(s) { return s + '\n'; }).join('') + 'return ' + this.emit(node.body) + ';\n}';
+  }
+
+  var code = 'function' + (node.id ? ' ' + node.id.name : '') + '(' + params.join(', ') + ') ' + body;
+
+  if (arrow && !top && usesLexical(node.body, 'ThisExpression')) {
+    code = '(' + code + ').bind(this)';
+  }
+
+  return code;
+};
+
+/**
+ * Adds "name = value" pairs unpacking value into pattern.
+ */
+Transpiler.prototype.destructure = function(pattern, value, pairs) {
+  var scope = this;
+
+  if (pattern.type == 'Identifier') {
+    pairs.push(this.emit(pattern) + ' = ' + value);
+    return;
+  }
+
+  if (pattern.type == 'AssignmentPattern') {
+    var tmp = this.temp();
+    pairs.push(tmp + ' = ' + value);
+    this.destructure(pattern.left, '(' + tmp + ' === undefined ? ' + this.emit(pattern.right) + ' : ' + tmp + ')', pairs);
+    return;
+  }
+
+  if (pattern.type != 'ObjectPattern' && pattern.type != 'ArrayPattern') {
+    this.unsupported(pattern, 'destructuring into ' + this.slice(pattern));
+  }
+
+  // only evaluate value once
+  var ref = value;
+
+  if (!/^[\w$]+$/.test(value)) {
+    ref = this.temp();
+    pairs.push(ref + ' = ' + value);
+  }
+
+  if (pattern.type == 'ObjectPattern') {
+    pattern.properties.forEach(function(p) {
+      if (p.type == 'RestElement') {
+        scope.unsupported(p, 'object rest');
+      }
+
+      var access;
+
+      if (p.computed) {
+        access = '[' + scope.emit(p.key) + ']';
+      } else if (p.key.type == 'Identifier') {
+        access = '.' + p.key.name;
+      } else {
+        access = '[' + scope.slice(p.key) + ']';
+      }
+
+      scope.destructure(p.value, ref + access, pairs);
+    });
+  } else {
+    pattern.elements.forEach(function(e, i) {
+      if (!e) {
+        return;
+      }
+
+      if (e.type == 'RestElement') {
+        scope.destructure(e.argument, ref + '.slice(' + i + ')', pairs);
+      } else {
+        scope.destructure(e, ref + '[' + i + ']', pairs);
+      }
+    });
+  }
+};
+
+Transpiler.prototype.emitDeclaration = function(node) {
+  var scope = this;
+
+  var plain = node.kind == 'var' && node.declarations.every(function(d) {
+    return d.id.type == 'Identifier';
+  });
+
+  if (plain) {
+    return this.generic(node);
+  }
+
+  var declarations = node.declarations.map(function(d) {
+    if (d.id.type == 'Identifier') {
+      return scope.emit(d.id) + (d.init ? ' = ' + scope.emit(d.init) : scope.blocks.initialize.has(d) ? ' = void 0' : '');
+    } else if (!d.init) {
+      return scope.unsupported(d, 'destructuring without a value');
+    } else {
+      var pairs = [];
+      scope.destructure(d.id, scope.emit(d.init), pairs);
+      return pairs.join(', ');
+    }
+  });
+
+  var last = node.declarations[node.declarations.length - 1];
+
+  return 'var ' + declarations.join(', ') + this.source.substring(last.end, node.end);
+};
+
+Transpiler.prototype.emitForOf = function(node) {
+  if (node.await) {
+    this.unsupported(node, 'for await');
+  }
+
+  var iterator = this.temp();
+  var step = this.temp();
+  var item = step + '.value';
+  var assign;
+
+  if (node.left.type == 'VariableDeclaration') {
+    var pairs = [];
+    this.destructure(node.left.declarations[0].id, item, pairs);
+    assign = 'var ' + pairs.join(', ') + ';';
+  } else if (node.left.type == 'Identifier') {
+    assign = this.emit(node.left) + ' = ' + item + ';';
+  } else {
+    this.unsupported(node.left, 'for...of into ' + this.slice(node.left));
+  }
+
+  var body = this.emit(node.body);
+
+  if (node.body.type == 'BlockStatement') {
+    body = '{ ' + assign + body.substr(1);
+  } else {
+    body = '{ ' + assign + ' ' + body + ' }';
+  }
+
+  return 'for (var ' + iterator + ' = ' + ITERATE + '(' + this.emit(node.right) + '), ' + step + '; !(' + step + ' = ' +
+    iterator + '.next()).done;) ' + body;
+};
+
+Transpiler.prototype.emitTemplate = function(node) {
+  var scope = this;
+  var parts = [];
+
+  node.quasis.forEach(function(q, i) {
+    if (q.value.cooked) {
+      parts.push(literal.quote(q.value.cooked));
+    }
+
+    if (i < node.expressions.length) {
+      parts.push('(' + scope.emit(node.expressions[i]) + ')');
+    }
+  });
+
+  if (parts.length === 0 || parts[0].charAt(0) != '"') {
+    parts.unshift('""');
+  }
+
+  return '(' + parts.join(' + ') + ')';
+};
+
+Transpiler.prototype.emitObject = function(node) {
+  var scope = this;
+
+  var modern = node.properties.some(function(p) {
+    return p.type == 'SpreadElement' || p.computed || p.shorthand || p.method;
+  });
+
+  if (!modern) {
+    return this.generic(node);
+  }
+
+  var properties = node.properties.map(function(p) {
+    if (p.type == 'SpreadElement') {
+      return scope.unsupported(p, 'object spread');
+    } else if (p.computed) {
+      return scope.unsupported(p, 'a computed property name');
+    }
+
+    var key = scope.slice(p.key);
+
+    if (p.shorthand) {
+      return key + ': ' + scope.emit(p.value);
+    } else if (p.method) {
+      return key + ': ' + scope.emitFunction(p.value, false, true);
+    } else {
+      return scope.emit(p);
+    }
+  });
+
+  return '{' + properties.join(', ') + '}';
+};
+
+/**
+ * The body of a loop that needs a function per iteration, see scopes.js.  The function gets the loop variables
+ * as parameters; break, continue and return inside it come back as its result (see emitJump) for the loop to act
+ * on.
+ */
+Transpiler.prototype.emitIteration = function(node) {
+  var iteration = this.blocks.iterations.get(node);
+
+  this.iterating.add(node);
+  var body = this.emit(node);
+  this.iterating.delete(node);
+
+  if (node.type != 'BlockStatement') {
+    body = '{ ' + body + ' }';
+  }
+
+  var result = this.temp();
+  var code = '{ var ' + result + ' = (function(' + iteration.params.join(', ') + ') ' + body + ').call(' +
+    ['this'].concat(iteration.params).join(', ') + ');';
+
+  if (iteration.breaks) {
+    code += ' if (' + result + ' === false) break;';
+  }
+
+  if (iteration.returns) {
+    // an iteration function inside another one hands the result on
+    code += ' if (' + result + ') return ' + (iteration.nested ? result : result + '.v') + ';';
+  }
+
+  return code + ' }';
+};
+
+/**
+ * break, continue and return, as the result of an iteration function when they are inside one.
+ */
+Transpiler.prototype.emitJump = function(node) {
+  switch (this.blocks.rewrites.get(node)) {
+    case 'break':
+      return 'return false;';
+    case 'continue':
+      return 'return;';
+    case 'return':
+      return 'return {v: ' + (node.argument ? this.emit(node.argument) : 'void 0') + '};';
+    default:
+      return this.generic(node);
+  }
+};
+
+/**
+ * An array literal with spread elements, as concat() of its parts.
+ */
+Transpiler.prototype.spreadArray = function(elements) {
+  var scope = this;
+  var segments = [];
+  var current = [];
+
+  elements.forEach(function(e) {
+    if (!e) {
+      current.push('');
+    } else if (e.type == 'SpreadElement') {
+      if (current.length > 0) {
+        segments.push('[' + current.join(', ') + ']');
+        current = [];
+      }
+
+      segments.push('Array.prototype.slice.call(' + scope.emit(e.argument) + ')');
+    } else {
+      current.push(scope.emit(e));
+    }
+  });
+
+  if (current.length > 0) {
+    segments.push('[' + current.join(', ') + ']');
+  }
+
+  return segments.length == 1 ? segments[0] : segments[0] + '.concat(' + segments.slice(1).join(', ') + ')';
+};
+
+Transpiler.prototype.emitCall = function(node) {
+  if (!node.arguments.some(function(a) { return a.type == 'SpreadElement'; })) {
+    return this.generic(node);
+  }
+
+  var args = this.spreadArray(node.arguments);
+  var callee = node.callee;
+
+  if (callee.type == 'Identifier') {
+    return this.emit(callee) + '.apply(null, ' + args + ')';
+  } else if (callee.type == 'MemberExpression' && (callee.object.type == 'Identifier' || callee.object.type == 'ThisExpression')) {
+    return this.emit(callee) + '.apply(' + this.emit(callee.object) + ', ' + args + ')';
+  }
+
+  return this.unsupported(node, 'spread when calling ' + this.slice(callee));
+};
+
+/**
+ * Transpiles the source of a function to ES5.  Method shorthands ("foo(x) {...}") come back as function
+ * expressions.
+ *
+ * @param {string} source
+ * @returns {string}
+ * @ignore
+ */
+function transpileFunction(source) {
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  var candidates = [source, 'function ' + source];
+  var node, text;
+
+  for (var i = 0; i < candidates.length && !node; i++) {
+    text = '(' + candidates[i] + '\n)';
+
+    try {
+      var expression = acorn.parse(text, {ecmaVersion: 'latest'}).body[0].expression;
+
+      if (isFunction(expression)) {
+        node = expression;
+      } else if (expression.type == 'ClassExpression') {
+        throw new Error('Classes cannot be used as lambdas');
+      }
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) {
+        throw e;
+      }
+    }
+  }
+
+  if (!node) {
+    throw new Error('Could not parse lambda: ' + source);
+  }
+
+  var result = new Transpiler(text, node).emit(node, true);
+
+  cache.set(source, result);
+
+  return result;
+}
+
+/**
+ * Transpiles a script (the source of a bundled module) to ES5.
+ *
+ * @param {string} source
+ * @returns {string}
+ * @ignore
+ */
+function transpileScript(source) {
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  var ast = acorn.parse(source, {ecmaVersion: 'latest', allowReturnOutsideFunction: true});
+  var result = new Transpiler(source, ast).generic(ast);
+
+  cache.set(source, result);
+
+  return result;
+}
+
+module.exports = {
+  transpileFunction: transpileFunction,
+  transpileScript: transpileScript
+};
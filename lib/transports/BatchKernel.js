@@ -0,0 +1,239 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var logger = require('../logger.js').kernel;
+var EclairJSError = require('../EclairJSError.js');
+
+// Global in the kernel that tracks which statement of a batch is running, so a failure can be attributed.  Put
+// behind the namespace prefix like every other variable we generate.
+var STEP_VAR = 'eclairjsBatchStep';
+
+/**
+ * Minimal future with the same callbacks as a jupyter-js-services KernelFuture.
+ *
+ * @ignore
+ */
+function BatchFuture() {
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+}
+
+BatchFuture.prototype._emit = function(iopubMsgs, replyMsg) {
+  var scope = this;
+
+  iopubMsgs.forEach(function(msg) {
+    if (scope.onIOPub) {
+      scope.onIOPub(msg);
+    }
+  });
+
+  if (replyMsg && this.onReply) {
+    this.onReply(replyMsg);
+  }
+
+  if (this.onDone) {
+    this.onDone();
+  }
+};
+
+/**
+ * Wraps a kernel so that assignment statements are queued instead of executed, and sent as a single script
+ * the next time a result is needed (any execute) or flush() is called.
+ *
+ * A queued statement completes right away, since the variable it assigns is known up front; this is what lets
+ * a whole chain of transformations queue up.  If the batch fails, the statement that failed is reported
+ * (its position in the batch, code and the kernel error) by the execute or flush that sent it.
+ *
+ * @param {object} kernel The kernel returned by a transport.
+ * @param {Namespace} [namespace] The namespace of the variables generated for the kernel.
+ * @constructor
+ * @ignore
+ */
+function BatchKernel(kernel, namespace) {
+  this.kernel = kernel;
+  this.namespace = namespace || null;
+  this._queue = [];
+
+  // only the optional methods the wrapped kernel has, callers check for them
+  if (typeof kernel.interrupt == 'function') {
+    this.interrupt = function() {
+      return kernel.interrupt();
+    };
+  }
+
+  if (typeof kernel.kernelInfo == 'function') {
+    this.kernelInfo = function() {
+      return kernel.kernelInfo();
+    };
+  }
+}
+
+/**
+ * Queues an assignment statement.
+ *
+ * @param {object} content {code: string}
+ * @param {object} [callInfo] {className, method, refId} of the statement, reported if it fails.
+ * @returns {BatchFuture}
+ */
+BatchKernel.prototype.executeAssignment = function(content, callInfo) {
+  var future = new BatchFuture();
+  this._queue.push({code: content.code, callInfo: callInfo});
+
+  Promise.resolve().then(function() {
+    future._emit([{msg_type: 'execute_input', content: {code: content.code}}], {content: {status: 'ok'}});
+  });
+
+  return future;
+};
+
+/**
+ * Sends all queued statements to the kernel as one script.
+ *
+ * @returns {Promise} Resolves once the batch has run.  If a statement failed, rejects with an EclairJSError
+ * describing it; statements after it are not executed.
+ */
+BatchKernel.prototype.flush = function() {
+  var queue = this._queue;
+  var kernel = this.kernel;
+  var stepVar = (this.namespace ? this.namespace.prefix : '') + STEP_VAR;
+
+  if (queue.length === 0) {
+    return Promise.resolve();
+  }
+
+  this._queue = [];
+
+  var code = 'var ' + stepVar + ' = 0;\n';
+  queue.forEach(function(statement, i) {
+    if (i > 0) {
+      code += stepVar + ' = ' + i + ';\n';
+    }
+
+    code += statement.code + '\n';
+  });
+
+  logger.debug('Flushing batch of ' + queue.length + ' statements:\n' + code, {statements: queue.length});
+
+  return new Promise(function(resolve, reject) {
+    var error = null;
+    var statements = queue.map(function(statement) {
+      return statement.callInfo;
+    });
+
+    var batchFuture = kernel.executeAssignment ? kernel.executeAssignment({code: code, silent: false},
+      {statements: statements}) : kernel.execute({code: code, silent: false});
+
+    batchFuture.onReply = function(msg) {
+      if (msg.content.status === 'error') {
+        error = msg.content;
+      }
+    };
+
+    batchFuture.onIOPub = function(msg) {
+    };
+
+    batchFuture.onDone = function() {
+      if (!error) {
+        resolve();
+        return;
+      }
+
+      // find out which statement failed
+      var stepFuture = kernel.execute({code: stepVar + ';'});
+      var step = 0;
+
+      stepFuture.onReply = function(msg) {
+      };
+
+      stepFuture.onIOPub = function(msg) {
+        if (msg.content.data) {
+          step = parseInt(msg.content.data['text/plain']) || 0;
+        }
+      };
+
+      stepFuture.onDone = function() {
+        var statement = queue[step] || {};
+        var info = statement.callInfo || {};
+
+        var batchError = EclairJSError.fromReply({
+          ename: error.ename,
+          evalue: 'Batched statement ' + step + ' failed: ' + error.evalue,
+          traceback: error.traceback
+        }, {code: statement.code, className: info.className, method: info.method, refId: info.refId});
+
+        batchError.step = step;
+        batchError.reply = {
+          status: 'error',
+          ename: error.ename,
+          evalue: error.evalue,
+          traceback: error.traceback,
+          batch: {step: step, code: statement.code, callInfo: statement.callInfo}
+        };
+
+        reject(batchError);
+      };
+    };
+  });
+};
+
+/**
+ * Flushes any queued statements and executes content once they have run.  If the batch failed, content is not
+ * executed and the returned future reports the batch error instead.
+ *
+ * @param {object} content
+ * @returns {BatchFuture}
+ */
+BatchKernel.prototype.execute = function(content) {
+  if (this._queue.length === 0) {
+    return this.kernel.execute(content);
+  }
+
+  var kernel = this.kernel;
+  var future = new BatchFuture();
+
+  this.flush().then(function() {
+    var actionFuture = kernel.execute(content);
+
+    actionFuture.onIOPub = function(msg) {
+      if (future.onIOPub) {
+        future.onIOPub(msg);
+      }
+    };
+
+    actionFuture.onReply = function(msg) {
+      if (future.onReply) {
+        future.onReply(msg);
+      }
+    };
+
+    actionFuture.onDone = function(msg) {
+      if (future.onDone) {
+        future.onDone(msg);
+      }
+    };
+  }, function(batchError) {
+    future._emit([{msg_type: 'execute_input', content: {code: content.code}}], {content: batchError.reply});
+  });
+
+  return future;
+};
+
+BatchKernel.prototype.connectToComm = function(targetName, commId) {
+  return this.kernel.connectToComm(targetName, commId);
+};
+
+module.exports = BatchKernel;
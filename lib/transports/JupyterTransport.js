@@ -0,0 +1,250 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var crypto = require('crypto');
+var jjs = require('jupyter-js-services');
+var request = require('request');
+var NodeWebSocket = require('ws');
+
+var logger = require('../logger.js').kernel;
+
+// jupyter-js-services opens its WebSockets through the global WebSocket without any headers.  Each connection
+// passes its own client id, which ends up in the url of every socket it opens (session_id=...), so the socket
+// gets the headers of the connection it belongs to: client id -> headers.
+var connections = new Map();
+
+/**
+ * The WebSocket jupyter-js-services uses, a ws WebSocket with the headers of its connection.
+ *
+ * @ignore
+ */
+function JupyterWebSocket(url, protocols) {
+  var match = /[?&]session_id=([^&]*)/.exec(url);
+  var headers = match ? connections.get(decodeURIComponent(match[1])) : null;
+
+  return new NodeWebSocket(url, protocols, headers ? {headers: headers} : {});
+}
+
+Object.keys(NodeWebSocket).forEach(function(key) {
+  JupyterWebSocket[key] = NodeWebSocket[key];
+});
+
+/**
+ * Transport that talks to EclairJS-nashorn through a Jupyter notebook server running the Toree "eclair" kernel.
+ *
+ * This is the default transport.  Options that are not given fall back to the JUPYTER_HOST, JUPYTER_PORT and
+ * ECLAIRJS_HOST environment variables.
+ *
+ * @constructor
+ * @memberof module:eclairjs/transports
+ * @param {object} [options]
+ * @param {string} [options.host] Host of the notebook server, defaults to JUPYTER_HOST or 127.0.0.1.
+ * @param {number} [options.port] Defaults to JUPYTER_PORT or 8888.
+ * @param {string} [options.basePath] Path the notebook server is served under, for example /jupyter.
+ * @param {boolean} [options.secure] Connect over https and wss.
+ * @param {string} [options.token] Notebook server token, sent as an Authorization header.
+ * @param {string} [options.kernelName=eclair] Kernel to start.
+ * @param {object} [options.headers] Extra headers sent with every request, including WebSocket upgrades.
+ * @ignore
+ */
+function JupyterTransport(options) {
+  this.options = options || {};
+  this.session = null;
+  this.clientId = crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * @returns {object} The headers to send with every request.
+ */
+JupyterTransport.prototype._getHeaders = function() {
+  var headers = {};
+
+  var extra = this.options.headers || {};
+  Object.keys(extra).forEach(function(name) {
+    headers[name] = extra[name];
+  });
+
+  if (this.options.token) {
+    headers.Authorization = 'token ' + this.options.token;
+  }
+
+  return headers;
+};
+
+/**
+ * @returns {Promise.<string>} host:port/basePath of the notebook server.
+ */
+JupyterTransport.prototype._getURL = function() {
+  var options = this.options;
+  var headers = this._getHeaders();
+
+  var host = options.host || process.env.JUPYTER_HOST || "127.0.0.1";
+  var port = options.port || process.env.JUPYTER_PORT || 8888;
+  var basePath = (options.basePath || '').replace(/^\/*/, '/').replace(/\/*$/, '');
+
+  // special processing for eclairjs.cloudet.xyz to follow redirect to spawned kernel
+  var spawnHost = process.env.ECLAIRJS_HOST || "";
+
+  return new Promise(function(resolve, reject) {
+    if (host != spawnHost) {
+      resolve(host + ":" + port + basePath);
+    } else {
+      request({
+        followAllRedirects: true,
+        url: (options.secure ? "https://" : "http://") + spawnHost + "/spawn",
+        headers: headers
+      }, function(error, response, body) {
+        if (!error) {
+          var userPath = response.request.path.split('/').slice(0, 3).join('/');
+          resolve(spawnHost + userPath);
+        } else {
+          reject(error);
+        }
+      });
+    }
+  });
+};
+
+/**
+ * @returns {Promise.<object>} The options jupyter-js-services needs to reach the notebook server.
+ */
+JupyterTransport.prototype._getSessionOptions = function() {
+  var scope = this;
+  var headers = this._getHeaders();
+
+  return this._getURL().then(function(hostURL) {
+    if (Object.keys(headers).length > 0) {
+      connections.set(scope.clientId, headers);
+    }
+
+    return {
+      baseUrl: (scope.options.secure ? "https://" : "http://") + hostURL,
+      wsUrl: (scope.options.secure ? "wss://" : "ws://") + hostURL,
+      kernelName: scope.options.kernelName || "eclair",
+      clientId: scope.clientId,
+      ajaxSettings: {requestHeaders: headers}
+    };
+  }).catch(function(e) {
+    logger.error('Failed to connect to Jupyter instance', {error: e});
+    throw e;
+  });
+};
+
+/**
+ * Resolves to the session's kernel once it is ready.
+ */
+JupyterTransport.prototype._ready = function(session) {
+  this.session = session;
+
+  //when we have kernel info we know the spark kernel is ready.
+  return session.kernel.kernelInfo().then(function(info) {
+    return session.kernel;
+  });
+};
+
+/**
+ * Starts a new Jupyter session and resolves once the kernel is ready.
+ *
+ * @param {string} appName Used as the session path.
+ * @returns {Promise.<IKernel>}
+ */
+JupyterTransport.prototype.connect = function(appName) {
+  var scope = this;
+
+  // We build our Spark Kernel connection here and share it when any classes that need it
+  return this._getSessionOptions().then(function(options) {
+    options.path = appName;
+
+    return jjs.startNewSession(options).catch(function(e) {
+      logger.error('Failed to start Jupyter session', {error: e});
+      throw e;
+    });
+  }).then(function(session) {
+    return scope._ready(session);
+  });
+};
+
+/**
+ * Lists the running sessions of our kernel.
+ *
+ * @returns {Promise.<object[]>} {id, path, kernelId, kernelName} for each session.
+ */
+JupyterTransport.prototype.listSessions = function() {
+  return this._getSessionOptions().then(function(options) {
+    return jjs.listRunningSessions(options).then(function(models) {
+      return models.filter(function(model) {
+        return model.kernel.name == options.kernelName;
+      }).map(function(model) {
+        return {id: model.id, path: model.notebook.path, kernelId: model.kernel.id, kernelName: model.kernel.name};
+      });
+    });
+  });
+};
+
+/**
+ * Connects to a running session and resolves once its kernel is ready.  Everything defined in the kernel,
+ * including the SparkContext, is still there.
+ *
+ * @param {string} sessionId
+ * @returns {Promise.<IKernel>}
+ */
+JupyterTransport.prototype.attach = function(sessionId) {
+  var scope = this;
+
+  return this._getSessionOptions().then(function(options) {
+    return jjs.connectToSession(sessionId, options);
+  }).then(function(session) {
+    return scope._ready(session);
+  });
+};
+
+/**
+ * Disconnects from the session, leaving it (and the Spark driver) running.
+ *
+ * @returns {Promise}
+ */
+JupyterTransport.prototype.detach = function() {
+  if (this.session) {
+    this.session.dispose();
+    this.session = null;
+  }
+
+  connections.delete(this.clientId);
+
+  return Promise.resolve();
+};
+
+/**
+ * Shuts down the Jupyter session (and with it the Spark driver).
+ *
+ * @returns {Promise}
+ */
+JupyterTransport.prototype.shutdown = function() {
+  var clientId = this.clientId;
+
+  if (this.session) {
+    return this.session.shutdown().then(function() {
+      connections.delete(clientId);
+    });
+  } else {
+    connections.delete(clientId);
+    return Promise.resolve();
+  }
+};
+
+JupyterTransport.WebSocket = JupyterWebSocket;
+
+module.exports = JupyterTransport;
@@ -0,0 +1,187 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var vm = require('vm');
+
+var local = require('../local/module.js');
+
+var NAMESPACE = 'eclairjs';
+
+/**
+ * Reports the outcome of running code, asynchronously like a kernel would.
+ *
+ * @ignore
+ */
+function LocalFuture(code, run) {
+  var scope = this;
+
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+
+  Promise.resolve().then(function() {
+    var reply;
+
+    try {
+      var result = run();
+
+      if (result !== undefined && scope.onIOPub) {
+        scope.onIOPub({msg_type: 'execute_result', content: {data: {'text/plain': String(result)}, code: code}});
+      }
+
+      reply = {content: {status: 'ok'}};
+    } catch (e) {
+      var error = e instanceof Error ? e : new Error(String(e));
+
+      reply = {content: {
+        status: 'error',
+        ename: error.name || 'Error',
+        evalue: error.message,
+        traceback: (error.stack || '').split('\n').slice(1).map(function(line) {
+          return line.trim();
+        })
+      }};
+    }
+
+    if (scope.onReply) {
+      scope.onReply(reply);
+    }
+
+    if (scope.onDone) {
+      scope.onDone();
+    }
+  });
+}
+
+/**
+ * The client end of a comm.  Once open, code in the kernel reaches it with commMap.get(targetName + ':' + commId),
+ * as it does with EclairJS-nashorn.
+ *
+ * @ignore
+ */
+function LocalComm(kernel, targetName, commId) {
+  this.kernel = kernel;
+  this.key = targetName + ':' + commId;
+  this.onMsg = null;
+}
+
+LocalComm.prototype.open = function() {
+  var scope = this;
+
+  this.kernel.comms[this.key] = {
+    send: function(targetName, data) {
+      var parsed = typeof data == 'string' ? JSON.parse(data) : data;
+
+      // delivered asynchronously, like a message from a kernel
+      Promise.resolve().then(function() {
+        if (scope.onMsg) {
+          scope.onMsg({content: {data: parsed}});
+        }
+      });
+    }
+  };
+};
+
+LocalComm.prototype.send = function() {};
+
+LocalComm.prototype.close = function() {
+  delete this.kernel.comms[this.key];
+};
+
+/**
+ * Kernel that runs the generated code in a V8 context of its own, against the local backend (lib/local) instead
+ * of EclairJS-nashorn.
+ *
+ * @ignore
+ */
+function LocalKernel() {
+  var runtime = this.runtime = new local.Runtime();
+  var comms = this.comms = {};
+
+  this.context = vm.createContext({
+    EclairJS_Globals: {NAMESPACE: NAMESPACE},
+    require: function(modulePath) {
+      return runtime.require(NAMESPACE, modulePath);
+    },
+    org: {apache: {spark: {SparkContext: {
+      getOrCreate: function() {
+        return runtime.activeContext();
+      }
+    }}}},
+    java: local.java,
+    Java: local.Java,
+    commMap: {
+      get: function(key) {
+        return comms[key];
+      }
+    },
+    console: console
+  });
+}
+
+LocalKernel.prototype.execute = function(content) {
+  var context = this.context;
+
+  return new LocalFuture(content.code, function() {
+    return vm.runInContext(content.code, context);
+  });
+};
+
+LocalKernel.prototype.connectToComm = function(targetName, commId) {
+  return new LocalComm(this, targetName, commId);
+};
+
+// code runs synchronously, by the time an interrupt is handled there is nothing left running
+LocalKernel.prototype.interrupt = function() {
+  return Promise.resolve();
+};
+
+LocalKernel.prototype.kernelInfo = function() {
+  return Promise.resolve({implementation: 'eclairjs-local', language_info: {name: 'javascript'}});
+};
+
+/**
+ * Transport used by EclairJS({mode: 'local'}).  Spark calls are evaluated in process by a pure JavaScript
+ * implementation of a subset of the API (see lib/local), so programs can be unit tested without a JVM or kernel.
+ * Methods outside that subset fail with a clear "not supported by the EclairJS local backend" error.
+ *
+ * @constructor
+ * @memberof module:eclairjs/transports
+ * @param {object} [options]
+ * @ignore
+ */
+function LocalTransport(options) {
+  this.options = options || {};
+  this.kernel = null;
+}
+
+LocalTransport.prototype.connect = function() {
+  this.kernel = new LocalKernel();
+
+  return Promise.resolve(this.kernel);
+};
+
+LocalTransport.prototype.shutdown = function() {
+  if (this.kernel && this.kernel.runtime.sc) {
+    this.kernel.runtime.sc.stop();
+  }
+
+  return Promise.resolve();
+};
+
+LocalTransport.LocalKernel = LocalKernel;
+
+module.exports = LocalTransport;
@@ -0,0 +1,427 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var logger = require('../logger.js').kernel;
+
+// the statements codegen requires a module with, once per namespace (see codegen.requires())
+var REQUIRE = /^var [A-Za-z_$][\w$]* = require\(.*;$/;
+
+/**
+ * Future handed out while the kernel underneath may be swapped.  Utils attaches onIOPub/onReply/onDone to it;
+ * they are forwarded from whichever kernel ends up running the code.
+ *
+ * @ignore
+ */
+function ProxyFuture() {
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+}
+
+ProxyFuture.prototype._link = function(future, onSuccess) {
+  var scope = this;
+  var failed = false;
+
+  future.onIOPub = function(msg) {
+    if (scope.onIOPub) {
+      scope.onIOPub(msg);
+    }
+  };
+
+  future.onReply = function(msg) {
+    if (msg.content.status === 'error') {
+      failed = true;
+    }
+
+    if (scope.onReply) {
+      scope.onReply(msg);
+    }
+  };
+
+  future.onDone = function(msg) {
+    if (!failed && onSuccess) {
+      onSuccess();
+    }
+
+    if (scope.onDone) {
+      scope.onDone(msg);
+    }
+  };
+};
+
+ProxyFuture.prototype._fail = function(e) {
+  if (this.onReply) {
+    this.onReply({content: {status: 'error', ename: 'ReconnectFailed', evalue: e && e.message ? e.message : String(e), traceback: []}});
+  }
+
+  if (this.onDone) {
+    this.onDone();
+  }
+};
+
+/**
+ * Wraps a kernel so that, when the kernel dies or restarts, a new connection is made through the transport and,
+ * optionally, the recorded lineage of assignment statements is replayed so existing client objects point to
+ * valid kernel variables again.  Anything executed while recovering waits until recovery is done, and once the
+ * retries run out fails with the error of the last attempt.
+ *
+ * Only assignment statements (see Kernel.executeAssignment) are recorded.  Void calls and actions are not
+ * replayed, so for example temp table registrations are lost.  Once the variables a statement assigned have been
+ * disposed, it is dropped unless a statement we still replay uses them.  The modules required by any statement sent
+ * are always replayed, as codegen only requires each one once.
+ *
+ * @param {object} kernel The kernel returned by the transport.
+ * @param {object} options
+ * @param {object} options.transport The transport used to reconnect.
+ * @param {string} options.appName
+ * @param {boolean} [options.replay] Replay recorded statements after reconnecting.
+ * @param {number} [options.retries=5] How many times to try to reconnect.
+ * @param {number} [options.delay=1000] Delay in ms before the first retry, doubled on each retry.
+ * @param {function} [options.onEvent] Called with (eventName, data) for 'disconnected', 'reconnected',
+ * 'replayed', 'replayFailed', 'stateLost' and 'reconnectFailed'.
+ * @constructor
+ * @ignore
+ */
+function ReconnectingKernel(kernel, options) {
+  var scope = this;
+
+  this.options = options;
+  this.kernel = null;
+
+  this._lineage = [];
+  this._live = new Set();
+  this._requires = new Set();
+  this._recovering = false;
+  this._restarting = false;
+  this._stopped = false;
+  this._failed = null;
+  this._readyP = Promise.resolve();
+
+  this._attach(kernel);
+
+  // only the optional methods the wrapped kernel has, callers check for them.  A reconnect gets a kernel from the
+  // same transport, so it has the same ones.
+  if (typeof kernel.interrupt == 'function') {
+    this.interrupt = function() {
+      return scope.kernel.interrupt();
+    };
+  }
+
+  if (typeof kernel.kernelInfo == 'function') {
+    this.kernelInfo = function() {
+      return scope.kernel.kernelInfo();
+    };
+  }
+}
+
+ReconnectingKernel.prototype._emit = function(name, data) {
+  if (this.options.onEvent) {
+    this.options.onEvent(name, data);
+  }
+};
+
+ReconnectingKernel.prototype._attach = function(kernel) {
+  if (this.kernel && this.kernel.statusChanged) {
+    this.kernel.statusChanged.disconnect(this._onStatus, this);
+  }
+
+  this.kernel = kernel;
+
+  if (kernel.statusChanged) {
+    kernel.statusChanged.connect(this._onStatus, this);
+  }
+};
+
+ReconnectingKernel.prototype._onStatus = function(sender, status) {
+  if (sender !== this.kernel || this._stopped) {
+    return;
+  }
+
+  if (status == 'dead') {
+    this._recover(true);
+  } else if (status == 'restarting') {
+    this._restarting = true;
+  } else if (status == 'idle' && this._restarting) {
+    // the kernel came back in place, but everything we had defined in it is gone
+    this._restarting = false;
+    this._recover(false);
+  }
+};
+
+ReconnectingKernel.prototype._reconnect = function(attempt) {
+  var scope = this;
+  var retries = typeof this.options.retries == 'number' ? this.options.retries : 5;
+  var delay = (typeof this.options.delay == 'number' ? this.options.delay : 1000) * Math.pow(2, attempt);
+
+  return this.options.transport.connect(this.options.appName).catch(function(e) {
+    if (attempt + 1 >= retries || scope._stopped) {
+      throw e;
+    }
+
+    logger.warn('Reconnect attempt ' + (attempt + 1) + ' failed, retrying in ' + delay + 'ms', {error: e});
+
+    return new Promise(function(resolve) {
+      setTimeout(resolve, delay);
+    }).then(function() {
+      return scope._reconnect(attempt + 1);
+    });
+  });
+};
+
+ReconnectingKernel.prototype._replay = function() {
+  var protocol = require('../kernel.js');
+
+  var scope = this;
+  var lineage = this._lineage;
+
+  if (!this.options.replay) {
+    this._lineage = [];
+    this._live.clear();
+    this._requires.clear();
+    this._emit('stateLost', {statements: lineage.length});
+    return Promise.resolve();
+  }
+
+  if (lineage.length === 0) {
+    this._emit('replayed', {statements: 0});
+    return Promise.resolve();
+  }
+
+  var code = lineage.map(function(entry) {
+    return entry.code;
+  }).join('\n');
+
+  logger.info('Replaying ' + lineage.length + ' statements');
+
+  return new Promise(function(resolve) {
+    protocol.verifyKernelExecution(scope.kernel.execute({code: code, silent: false}), function() {
+      scope._emit('replayed', {statements: lineage.length});
+      resolve();
+    }, function(e) {
+      scope._emit('replayFailed', e);
+      resolve();
+    }, null, {code: code, method: 'replay'});
+  });
+};
+
+ReconnectingKernel.prototype._recover = function(newConnection) {
+  if (this._recovering) {
+    return;
+  }
+
+  var scope = this;
+  var readyResolve, readyReject;
+
+  this._recovering = true;
+  this._readyP = new Promise(function(resolve, reject) {
+    readyResolve = resolve;
+    readyReject = reject;
+  });
+
+  // nobody may be waiting
+  this._readyP.catch(function() {});
+
+  this._emit('disconnected', {reason: newConnection ? 'dead' : 'restarted'});
+
+  var kernelP;
+  if (newConnection) {
+    kernelP = this._reconnect(0).then(function(kernel) {
+      scope._attach(kernel);
+      scope._emit('reconnected', {kernel: kernel});
+    });
+  } else {
+    kernelP = Promise.resolve();
+  }
+
+  kernelP.then(function() {
+    return scope._replay();
+  }).then(function() {
+    scope._recovering = false;
+    readyResolve();
+  }).catch(function(e) {
+    // there is no kernel left to run anything on
+    scope._failed = e;
+    scope._recovering = false;
+    scope._emit('reconnectFailed', e);
+    readyReject(e);
+  });
+};
+
+ReconnectingKernel.prototype._whenReady = function(future, run) {
+  var scope = this;
+
+  if (this._failed) {
+    Promise.resolve().then(function() {
+      future._fail(scope._failed);
+    });
+  } else if (!this._recovering) {
+    // run right away so statements reach the kernel in the order they were generated
+    run(this.kernel);
+  } else {
+    this._readyP.then(function() {
+      run(scope.kernel);
+    }).catch(function(e) {
+      future._fail(e);
+    });
+  }
+
+  return future;
+};
+
+/**
+ * @param {object} content
+ * @returns {ProxyFuture}
+ */
+ReconnectingKernel.prototype.execute = function(content) {
+  var scope = this;
+  var future = new ProxyFuture();
+
+  return this._whenReady(future, function(kernel) {
+    scope._recordRequires(content.code);
+    future._link(kernel.execute(content));
+  });
+};
+
+/**
+ * Records the modules code requires, as statements that are never dropped.
+ *
+ * @param {string} code
+ */
+ReconnectingKernel.prototype._recordRequires = function(code) {
+  var scope = this;
+
+  code.split('\n').forEach(function(line) {
+    if (REQUIRE.test(line) && !scope._requires.has(line)) {
+      scope._requires.add(line);
+      scope._lineage.push({code: line, keep: true, refIds: [], uses: []});
+    }
+  });
+};
+
+/**
+ * Records a statement that succeeded, and forgets the ones only needed for variables it disposed.
+ *
+ * @param {string} code
+ * @param {object[]} statements The callInfo of each statement in code, {refId, method}.  A statement without a
+ * refId is always kept.
+ */
+ReconnectingKernel.prototype._record = function(code, statements) {
+  var scope = this;
+
+  var assigned = [];
+  var disposed = [];
+  var keep = false;
+
+  statements.forEach(function(info) {
+    if (!info || !info.refId) {
+      keep = true;
+    } else if (info.method == 'dispose') {
+      disposed.push(info.refId);
+    } else {
+      assigned.push(info.refId);
+    }
+  });
+
+  // recorded on their own by _recordRequires()
+  code = code.split('\n').filter(function(line) {
+    return !REQUIRE.test(line);
+  }).join('\n');
+
+  if (keep || assigned.length > 0) {
+    var identifiers = code.match(/[A-Za-z_$][\w$]*/g) || [];
+
+    this._lineage.push({
+      code: code,
+      keep: keep,
+      refIds: assigned,
+      uses: this._lineage.filter(function(entry) {
+        return entry.refIds.some(function(refId) {
+          return identifiers.indexOf(refId) >= 0;
+        });
+      })
+    });
+
+    assigned.forEach(function(refId) {
+      scope._live.add(refId);
+    });
+  }
+
+  if (disposed.length > 0) {
+    disposed.forEach(function(refId) {
+      scope._live.delete(refId);
+    });
+
+    this._trim();
+  }
+};
+
+ReconnectingKernel.prototype._trim = function() {
+  var live = this._live;
+  var needed = new Set();
+
+  // from the last statement back, as a statement only uses earlier ones
+  for (var i = this._lineage.length - 1; i >= 0; i--) {
+    var entry = this._lineage[i];
+
+    if (entry.keep || needed.has(entry) || entry.refIds.some(function(refId) { return live.has(refId); })) {
+      needed.add(entry);
+
+      entry.uses.forEach(function(used) {
+        needed.add(used);
+      });
+    }
+  }
+
+  this._lineage = this._lineage.filter(function(entry) {
+    return needed.has(entry);
+  });
+};
+
+/**
+ * Executes an assignment statement and records it for replay once it succeeds.
+ *
+ * @param {object} content
+ * @param {object} [callInfo] {refId, method} of the statement, or {statements: [callInfo]} for a batch.
+ * @returns {ProxyFuture}
+ */
+ReconnectingKernel.prototype.executeAssignment = function(content, callInfo) {
+  var scope = this;
+  var future = new ProxyFuture();
+
+  return this._whenReady(future, function(kernel) {
+    scope._recordRequires(content.code);
+    future._link(kernel.execute(content), function() {
+      scope._record(content.code, callInfo && callInfo.statements ? callInfo.statements : [callInfo]);
+    });
+  });
+};
+
+ReconnectingKernel.prototype.connectToComm = function(targetName, commId) {
+  return this.kernel.connectToComm(targetName, commId);
+};
+
+/**
+ * Stops watching the kernel, used before a deliberate shutdown.
+ */
+ReconnectingKernel.prototype.stop = function() {
+  this._stopped = true;
+
+  if (this.kernel && this.kernel.statusChanged) {
+    this.kernel.statusChanged.disconnect(this._onStatus, this);
+  }
+};
+
+module.exports = ReconnectingKernel;
@@ -0,0 +1,179 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+
+/**
+ * Completes right away with a placeholder result.
+ *
+ * @param {string} code
+ * @param {boolean} [assignment] Whether code is an assignment, which has no result.
+ * @ignore
+ */
+function RecordingFuture(code, assignment) {
+  var scope = this;
+
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+
+  Promise.resolve().then(function() {
+    var placeholder = assignment ? null : RecordingFuture.placeholder(code);
+
+    if (placeholder !== null && scope.onIOPub) {
+      scope.onIOPub({msg_type: 'execute_result', content: {data: {'text/plain': placeholder}}});
+    }
+
+    if (scope.onReply) {
+      scope.onReply({content: {status: 'ok'}});
+    }
+
+    if (scope.onDone) {
+      scope.onDone();
+    }
+  });
+}
+
+/**
+ * What an action resolves to in record mode: [] for anything stringified (collect, take...), 0 otherwise
+ * (count...).  Assignments have no result.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+RecordingFuture.placeholder = function(code) {
+  var lastLine = code.trim().split('\n').pop();
+
+  if (/^var [\w$]+ = /.test(lastLine)) {
+    return null;
+  } else if (code.indexOf('JSON.stringify(') >= 0) {
+    return '[]';
+  } else {
+    return '0';
+  }
+};
+
+/**
+ * @ignore
+ */
+function RecordingComm() {
+  this.onMsg = null;
+}
+
+RecordingComm.prototype.open = function() {};
+RecordingComm.prototype.send = function() {};
+RecordingComm.prototype.close = function() {};
+
+/**
+ * Kernel that runs nothing: it records every statement in order.
+ *
+ * @ignore
+ */
+function RecordingKernel() {
+  this.statements = [];
+}
+
+RecordingKernel.prototype.execute = function(content) {
+  this.statements.push(content.code);
+
+  return new RecordingFuture(content.code);
+};
+
+// the last line of an assignment is not always its var, the end of a lambda for example
+RecordingKernel.prototype.executeAssignment = function(content) {
+  this.statements.push(content.code);
+
+  return new RecordingFuture(content.code, true);
+};
+
+RecordingKernel.prototype.connectToComm = function() {
+  return new RecordingComm();
+};
+
+RecordingKernel.prototype.interrupt = function() {
+  return Promise.resolve();
+};
+
+RecordingKernel.prototype.kernelInfo = function() {
+  return Promise.resolve({});
+};
+
+/**
+ * Transport used by EclairJS({mode: 'record'}).  Nothing is sent anywhere: the generated statements are captured
+ * in order so they can be written out as a standalone EclairJS-nashorn script and run with spark-submit.
+ * Actions resolve to placeholders (0 or []), so the Node program must not depend on their results.
+ *
+ * @constructor
+ * @memberof module:eclairjs/transports
+ * @param {object} [options]
+ * @param {string} [options.output] File the script is written to on shutdown (sc.stop()).
+ * @ignore
+ */
+function RecordingTransport(options) {
+  this.options = options || {};
+  this.kernel = new RecordingKernel();
+  this.appName = null;
+}
+
+RecordingTransport.prototype.connect = function(appName) {
+  this.appName = appName;
+
+  return Promise.resolve(this.kernel);
+};
+
+/**
+ * @returns {string} The recorded statements as an EclairJS-nashorn script.
+ */
+RecordingTransport.prototype.script = function() {
+  var header = '/*\n' +
+    ' * ' + (this.appName || 'EclairJS application') + '\n' +
+    ' *\n' +
+    ' * Recorded by EclairJS Node on ' + new Date().toISOString() + '.  Run it with EclairJS-nashorn, for example:\n' +
+    ' *   spark-submit --class org.eclairjs.nashorn.SparkJS eclairjs-nashorn-jar-with-dependencies.jar <this file>\n' +
+    ' */\n\n';
+
+  return header + this.kernel.statements.join('\n') + '\n';
+};
+
+/**
+ * Writes the script to path.
+ *
+ * @param {string} path
+ * @returns {Promise}
+ */
+RecordingTransport.prototype.writeScript = function(path) {
+  var script = this.script();
+
+  return new Promise(function(resolve, reject) {
+    fs.writeFile(path, script, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(path);
+      }
+    });
+  });
+};
+
+RecordingTransport.prototype.shutdown = function() {
+  if (this.options.output) {
+    return this.writeScript(this.options.output);
+  } else {
+    return Promise.resolve();
+  }
+};
+
+module.exports = RecordingTransport;
@@ -0,0 +1,392 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+
+var logger = require('../logger.js').kernel;
+
+var VERSION = 1;
+
+/*
+ * A transcript is a JSON fixture:
+ *
+ *   {
+ *     version: 1,
+ *     appName: 'My App',
+ *     recorded: '2016-10-19T10:00:00.000Z',
+ *     entries: [
+ *       {code: 'var rdd1 = jsc.parallelize([1, 2]);', outputs: [], reply: {status: 'ok'}},
+ *       {code: 'rdd1.count();', outputs: [{'text/plain': '2'}], reply: {status: 'ok'}},
+ *       {code: 'rdd1.foo();', outputs: [], reply: {status: 'error', ename: '...', evalue: '...', traceback: [...]}}
+ *     ]
+ *   }
+ *
+ * outputs holds the data of each result message of the execute.  Comm traffic is not part of it, so what arrives
+ * over comms (chunked collects, foreachRDD...) can not be replayed.
+ */
+
+/**
+ * Future handed out by RecordingKernel, called back once the recording has seen each message.
+ *
+ * @ignore
+ */
+function RecordingFuture() {
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+}
+
+/**
+ * Kernel decorator that adds every execute, with its results and reply, to transcript.
+ *
+ * @ignore
+ */
+function RecordingKernel(kernel, transcript) {
+  this.kernel = kernel;
+  this.transcript = transcript;
+}
+
+RecordingKernel.prototype.execute = function(content) {
+  var kernelFuture = this.kernel.execute(content);
+  var future = new RecordingFuture();
+  var entry = {code: content.code, outputs: [], reply: null};
+
+  this.transcript.entries.push(entry);
+
+  kernelFuture.onIOPub = function(msg) {
+    if (msg.content && msg.content.data) {
+      entry.outputs.push(msg.content.data);
+    }
+
+    if (future.onIOPub) {
+      future.onIOPub(msg);
+    }
+  };
+
+  kernelFuture.onReply = function(msg) {
+    var reply = msg.content || {};
+
+    // some transports send an ok after the error, the error is the outcome
+    if (!entry.reply || entry.reply.status != 'error') {
+      entry.reply = reply.status == 'error' ?
+        {status: 'error', ename: reply.ename, evalue: reply.evalue, traceback: reply.traceback || []} :
+        {status: reply.status || 'ok'};
+    }
+
+    if (future.onReply) {
+      future.onReply(msg);
+    }
+  };
+
+  kernelFuture.onDone = function(msg) {
+    if (!entry.reply) {
+      entry.reply = {status: 'ok'};
+    }
+
+    if (future.onDone) {
+      future.onDone(msg);
+    }
+  };
+
+  return future;
+};
+
+RecordingKernel.prototype.connectToComm = function(targetName, commId) {
+  return this.kernel.connectToComm(targetName, commId);
+};
+
+RecordingKernel.prototype.interrupt = function() {
+  return this.kernel.interrupt();
+};
+
+RecordingKernel.prototype.kernelInfo = function() {
+  return this.kernel.kernelInfo ? this.kernel.kernelInfo() : Promise.resolve({});
+};
+
+/**
+ * Completes with a recorded reply.
+ *
+ * @ignore
+ */
+function ReplayFuture(code, entry) {
+  var scope = this;
+
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+
+  Promise.resolve().then(function() {
+    entry.outputs.forEach(function(data) {
+      if (scope.onIOPub) {
+        scope.onIOPub({msg_type: 'execute_result', content: {data: data, code: code}});
+      }
+    });
+
+    if (scope.onReply) {
+      scope.onReply({content: entry.reply});
+    }
+
+    if (scope.onDone) {
+      scope.onDone();
+    }
+  });
+}
+
+/**
+ * @ignore
+ */
+function ReplayComm() {
+  this.onMsg = null;
+}
+
+ReplayComm.prototype.open = function() {};
+ReplayComm.prototype.send = function() {};
+ReplayComm.prototype.close = function() {};
+
+function shorten(code) {
+  return code.length > 200 ? code.slice(0, 200) + '...' : code;
+}
+
+/**
+ * Kernel that answers each execute with the reply recorded for the same code.  Statements that do not depend on
+ * each other may be generated in a different order from one run to the next, so by default an execute takes the
+ * first unused entry with its code; with strict, it must be the next entry.  Code that has no entry left fails
+ * with a divergence error naming the statement expected next.
+ *
+ * @ignore
+ */
+function ReplayKernel(transcript, strict) {
+  this.entries = transcript.entries;
+  this.used = transcript.entries.map(function() {
+    return false;
+  });
+  this.strict = !!strict;
+  this.divergences = [];
+}
+
+ReplayKernel.prototype._next = function() {
+  return this.used.indexOf(false);
+};
+
+ReplayKernel.prototype.execute = function(content) {
+  var next = this._next();
+  var index = -1;
+
+  if (this.strict) {
+    index = next >= 0 && this.entries[next].code === content.code ? next : -1;
+  } else {
+    for (var i = next; i >= 0 && i < this.entries.length; i++) {
+      if (!this.used[i] && this.entries[i].code === content.code) {
+        index = i;
+        break;
+      }
+    }
+  }
+
+  if (index < 0) {
+    var expected = next >= 0 ? shorten(this.entries[next].code) : '(end of transcript)';
+    var evalue = 'Generated code diverges from the transcript: ' + shorten(content.code) + '\nExpected: ' + expected;
+
+    this.divergences.push(content.code);
+    logger.debug(evalue);
+
+    return new ReplayFuture(content.code, {
+      outputs: [],
+      reply: {status: 'error', ename: 'TranscriptDivergence', evalue: evalue, traceback: []}
+    });
+  }
+
+  this.used[index] = true;
+
+  return new ReplayFuture(content.code, this.entries[index]);
+};
+
+ReplayKernel.prototype.connectToComm = function() {
+  return new ReplayComm();
+};
+
+ReplayKernel.prototype.interrupt = function() {
+  return Promise.resolve();
+};
+
+ReplayKernel.prototype.kernelInfo = function() {
+  return Promise.resolve({implementation: 'eclairjs-replay'});
+};
+
+/**
+ * @returns {string[]} The code of the entries no execute has used.
+ */
+ReplayKernel.prototype.unused = function() {
+  var scope = this;
+
+  return this.entries.filter(function(entry, i) {
+    return !scope.used[i];
+  }).map(function(entry) {
+    return entry.code;
+  });
+};
+
+/**
+ * Records a transcript of every statement sent to the kernel and its reply, or replays one without a kernel.
+ * Selected with EclairJS({transcript: {mode, path}}).
+ *
+ * In record mode it wraps the transport that would otherwise be used, and writes the transcript to path when
+ * shut down (sc.stop()).  In replay mode nothing is started: each execute is answered from the transcript, and
+ * fails if the generated code is not in it.  Shutting down fails too if anything diverged or statements of the
+ * transcript were never generated, so a replayed test notices code that went missing as well as code that changed.
+ *
+ * @constructor
+ * @memberof module:eclairjs/transports
+ * @param {object} [transport] The transport to record, not used when replaying.
+ * @param {object} options
+ * @param {string} options.mode 'record' or 'replay'.
+ * @param {string} options.path The JSON fixture.
+ * @param {boolean} [options.strict] When replaying, require statements in the recorded order.
+ * @ignore
+ */
+function TranscriptTransport(transport, options) {
+  if (options.mode != 'record' && options.mode != 'replay') {
+    throw new Error('Unknown transcript mode: ' + options.mode);
+  }
+
+  if (!options.path) {
+    throw new Error('A transcript needs a path');
+  }
+
+  this.transport = transport;
+  this.options = options;
+  this.kernel = null;
+  this.transcript = {version: VERSION, appName: null, recorded: null, entries: []};
+
+  if (options.mode == 'record' && typeof transport.attach == 'function') {
+    this.attach = function(sessionId) {
+      var scope = this;
+
+      return this.transport.attach(sessionId).then(function(kernel) {
+        return scope._wrap(kernel);
+      });
+    };
+  }
+
+  if (options.mode == 'record' && typeof transport.detach == 'function') {
+    this.detach = function() {
+      var scope = this;
+
+      return this.transport.detach().then(function() {
+        return scope.save();
+      });
+    };
+  }
+
+  if (options.mode == 'record' && typeof transport.listSessions == 'function') {
+    this.listSessions = function() {
+      return this.transport.listSessions();
+    };
+  }
+}
+
+TranscriptTransport.prototype._wrap = function(kernel) {
+  this.kernel = new RecordingKernel(kernel, this.transcript);
+
+  return this.kernel;
+};
+
+TranscriptTransport.prototype.connect = function(appName) {
+  var scope = this;
+
+  this.transcript.appName = appName || null;
+
+  if (this.options.mode == 'record') {
+    this.transcript.recorded = new Date().toISOString();
+
+    return this.transport.connect(appName).then(function(kernel) {
+      return scope._wrap(kernel);
+    });
+  }
+
+  return new Promise(function(resolve, reject) {
+    fs.readFile(scope.options.path, 'utf8', function(err, text) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      try {
+        var transcript = JSON.parse(text);
+
+        if (transcript.version != VERSION) {
+          throw new Error('Unsupported transcript version ' + transcript.version + ' in ' + scope.options.path);
+        }
+
+        scope.transcript = transcript;
+        scope.kernel = new ReplayKernel(transcript, scope.options.strict);
+
+        logger.info('Replaying ' + transcript.entries.length + ' statements from ' + scope.options.path);
+        resolve(scope.kernel);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+};
+
+/**
+ * Writes what has been recorded so far to the fixture.
+ *
+ * @returns {Promise} Resolves to the path.
+ */
+TranscriptTransport.prototype.save = function() {
+  var path = this.options.path;
+  var text = JSON.stringify(this.transcript, null, 2) + '\n';
+
+  return new Promise(function(resolve, reject) {
+    fs.writeFile(path, text, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(path);
+      }
+    });
+  });
+};
+
+TranscriptTransport.prototype.shutdown = function() {
+  var scope = this;
+
+  if (this.options.mode == 'record') {
+    return this.transport.shutdown().then(function() {
+      return scope.save();
+    });
+  }
+
+  var divergences = this.kernel ? this.kernel.divergences : [];
+  var unused = this.kernel ? this.kernel.unused() : [];
+
+  if (divergences.length) {
+    return Promise.reject(new Error(divergences.length + ' generated statements were not in the transcript, first: ' +
+      shorten(divergences[0])));
+  } else if (unused.length) {
+    return Promise.reject(new Error(unused.length + ' statements of the transcript were not generated, first: ' +
+      shorten(unused[0])));
+  }
+
+  return Promise.resolve();
+};
+
+TranscriptTransport.RecordingKernel = RecordingKernel;
+TranscriptTransport.ReplayKernel = ReplayKernel;
+
+module.exports = TranscriptTransport;
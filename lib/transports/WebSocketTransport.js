@@ -0,0 +1,410 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var WebSocket = require('ws');
+var EclairJSError = require('../EclairJSError.js');
+var logger = require('../logger.js').kernel;
+
+/*
+ * Wire protocol, one JSON object per WebSocket message.
+ *
+ * Client to server:
+ *   {type: 'execute', id, code, silent}
+ *   {type: 'interrupt', id}
+ *   {type: 'shutdown', id}
+ *   {type: 'comm_open', comm_id, target_name, data}
+ *   {type: 'comm_msg', comm_id, data}
+ *   {type: 'comm_close', comm_id}
+ *
+ * Server to client:
+ *   {type: 'started', parent_id}                       an execute started running, the ones after it wait
+ *   {type: 'result', parent_id, data}                  text/plain result of an execute
+ *   {type: 'error', parent_id, ename, evalue, traceback}
+ *   {type: 'done', parent_id}                          request finished (always sent last)
+ *   {type: 'comm_msg', comm_id, data}
+ *   {type: 'comm_close', comm_id}
+ */
+
+var CLOSED = 'Connection to EclairJS server closed';
+
+var msgCounter = 0;
+
+function _msgId() {
+  msgCounter++;
+  return 'eclairjs-' + process.pid + '-' + msgCounter;
+}
+
+/**
+ * Mimics the jupyter-js-services KernelFuture callbacks (onIOPub, onReply, onDone) so that
+ * Kernel.verifyKernelExecution works the same for every transport.
+ *
+ * @ignore
+ */
+function WebSocketFuture(code) {
+  this.code = code;
+  this.onIOPub = null;
+  this.onReply = null;
+  this.onDone = null;
+}
+
+WebSocketFuture.prototype._handle = function(msg) {
+  if (msg.type == 'started') {
+    if (this.onIOPub) {
+      this.onIOPub({msg_type: 'execute_input', content: {code: this.code}});
+    }
+  } else if (msg.type == 'result') {
+    if (this.onIOPub) {
+      this.onIOPub({msg_type: 'execute_result', content: {data: {'text/plain': msg.data}, code: this.code}});
+    }
+  } else if (msg.type == 'error') {
+    if (this.onReply) {
+      this.onReply({content: {status: 'error', ename: msg.ename, evalue: msg.evalue, traceback: msg.traceback || []}});
+    }
+  } else if (msg.type == 'done') {
+    if (this.onReply) {
+      this.onReply({content: {status: 'ok'}});
+    }
+
+    if (this.onDone) {
+      this.onDone(msg);
+    }
+  }
+};
+
+WebSocketFuture.prototype._fail = function(evalue) {
+  this._handle({type: 'error', ename: 'ConnectionClosed', evalue: evalue});
+  this._handle({type: 'done'});
+};
+
+/**
+ * @ignore
+ */
+function WebSocketComm(kernel, targetName, commId) {
+  this.kernel = kernel;
+  this.targetName = targetName;
+  this.commId = commId;
+  this.onMsg = null;
+  this.onClose = null;
+}
+
+WebSocketComm.prototype.open = function(data) {
+  this.kernel._send({type: 'comm_open', comm_id: this.commId, target_name: this.targetName, data: data});
+};
+
+WebSocketComm.prototype.send = function(data) {
+  this.kernel._send({type: 'comm_msg', comm_id: this.commId, data: data});
+};
+
+WebSocketComm.prototype.close = function(data) {
+  this.kernel._send({type: 'comm_close', comm_id: this.commId, data: data});
+  delete this.kernel._comms[this.commId];
+};
+
+/**
+ * Same connect/disconnect shape as the phosphor signals jupyter-js-services uses for statusChanged.
+ *
+ * @ignore
+ */
+function StatusSignal(sender) {
+  this._sender = sender;
+  this._slots = [];
+}
+
+StatusSignal.prototype.connect = function(slot, thisArg) {
+  this._slots.push({slot: slot, thisArg: thisArg});
+};
+
+StatusSignal.prototype.disconnect = function(slot, thisArg) {
+  this._slots = this._slots.filter(function(s) {
+    return s.slot !== slot || s.thisArg !== thisArg;
+  });
+};
+
+StatusSignal.prototype.emit = function(status) {
+  var sender = this._sender;
+
+  this._slots.slice().forEach(function(s) {
+    s.slot.call(s.thisArg, sender, status);
+  });
+};
+
+/**
+ * The kernel handle returned by WebSocketTransport.connect.
+ *
+ * @ignore
+ */
+function WebSocketKernel(socket) {
+  this._socket = socket;
+  this._futures = {};
+  this._comms = {};
+  this._shutdown = false;
+
+  this.status = 'idle';
+  this.statusChanged = new StatusSignal(this);
+
+  var scope = this;
+
+  socket.on('message', function(data) {
+    var msg;
+
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      logger.warn('Invalid message from EclairJS server', {data: data});
+      return;
+    }
+
+    if (msg.type == 'comm_msg' || msg.type == 'comm_close') {
+      var comm = scope._comms[msg.comm_id];
+      if (comm) {
+        if (msg.type == 'comm_msg' && comm.onMsg) {
+          comm.onMsg({content: {comm_id: msg.comm_id, data: msg.data}});
+        } else if (msg.type == 'comm_close') {
+          delete scope._comms[msg.comm_id];
+          if (comm.onClose) {
+            comm.onClose({content: {comm_id: msg.comm_id, data: msg.data}});
+          }
+        }
+      }
+    } else if (msg.parent_id && scope._futures[msg.parent_id]) {
+      var future = scope._futures[msg.parent_id];
+
+      if (msg.type == 'done') {
+        delete scope._futures[msg.parent_id];
+      }
+
+      future._handle(msg);
+    }
+  });
+
+  socket.on('close', function() {
+    // fail anything still in flight
+    Object.keys(scope._futures).forEach(function(id) {
+      var future = scope._futures[id];
+      delete scope._futures[id];
+
+      future._fail(CLOSED);
+    });
+
+    if (!scope._shutdown) {
+      // the socket is gone for good, we do not reconnect it
+      scope.statusChanged.emit('disconnected');
+
+      scope.status = 'dead';
+      scope.statusChanged.emit('dead');
+    }
+  });
+}
+
+WebSocketKernel.prototype._send = function(msg) {
+  this._socket.send(JSON.stringify(msg));
+};
+
+// sends a request and keeps its future for the replies, or fails the future if the socket can not take the request
+WebSocketKernel.prototype._sendRequest = function(future, msg) {
+  var evalue = CLOSED;
+
+  if (this._socket.readyState === WebSocket.OPEN) {
+    this._futures[msg.id] = future;
+
+    try {
+      this._send(msg);
+      return;
+    } catch (e) {
+      delete this._futures[msg.id];
+      evalue = e.message;
+    }
+  }
+
+  // like the requests in flight when the socket closes, once the caller has set the callbacks
+  setTimeout(function() {
+    future._fail(evalue);
+  }, 0);
+};
+
+WebSocketKernel.prototype._request = function(type) {
+  var scope = this;
+  var id = _msgId();
+
+  return new Promise(function(resolve, reject) {
+    var future = new WebSocketFuture();
+    var error;
+
+    future.onReply = function(msg) {
+      if (msg.content.status === 'error') {
+        error = EclairJSError.fromReply(msg.content, {method: type});
+      }
+    };
+
+    future.onDone = function() {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    scope._sendRequest(future, {type: type, id: id});
+  });
+};
+
+/**
+ * @param {object} content {code: string, silent: boolean}
+ * @returns {WebSocketFuture}
+ */
+WebSocketKernel.prototype.execute = function(content) {
+  var future = new WebSocketFuture(content.code);
+
+  this._sendRequest(future, {type: 'execute', id: _msgId(), code: content.code, silent: !!content.silent});
+
+  return future;
+};
+
+/**
+ * @param {string} targetName
+ * @param {string} [commId]
+ * @returns {WebSocketComm}
+ */
+WebSocketKernel.prototype.connectToComm = function(targetName, commId) {
+  var id = commId || _msgId();
+
+  var comm = new WebSocketComm(this, targetName, id);
+  this._comms[id] = comm;
+
+  return comm;
+};
+
+/**
+ * @returns {Promise}
+ */
+WebSocketKernel.prototype.interrupt = function() {
+  return this._request('interrupt');
+};
+
+/**
+ * @returns {Promise}
+ */
+WebSocketKernel.prototype.shutdown = function() {
+  var scope = this;
+
+  this._shutdown = true;
+
+  return this._request('shutdown').then(function() {
+    scope._socket.close();
+  });
+};
+
+/**
+ * Transport that talks to an EclairJS-nashorn server directly over a plain WebSocket, without a
+ * Jupyter notebook server in between.
+ *
+ * @constructor
+ * @memberof module:eclairjs/transports
+ * @param {object} options
+ * @param {string} [options.url] WebSocket url of the EclairJS server, for example ws://sparkhost:8080/eclairjs.
+ * Defaults to ECLAIRJS_URL, or to a url built from host, port, basePath and secure.
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {string} [options.basePath]
+ * @param {boolean} [options.secure] Connect over wss.
+ * @param {string} [options.token] Sent as an Authorization header.
+ * @param {object} [options.headers] Extra headers sent with the WebSocket upgrade request
+ * @ignore
+ */
+function WebSocketTransport(options) {
+  this.options = options || {};
+  this.kernel = null;
+}
+
+/**
+ * Opens the WebSocket and resolves once it is connected.
+ *
+ * @param {string} appName
+ * @returns {Promise.<WebSocketKernel>}
+ */
+WebSocketTransport.prototype.connect = function(appName) {
+  var scope = this;
+  var options = this.options;
+  var url = options.url || process.env.ECLAIRJS_URL;
+
+  if (!url && options.host) {
+    url = (options.secure ? 'wss://' : 'ws://') + options.host + (options.port ? ':' + options.port : '') +
+      (options.basePath || '').replace(/^\/*/, '/');
+  }
+
+  var headers = {};
+
+  Object.keys(options.headers || {}).forEach(function(name) {
+    headers[name] = options.headers[name];
+  });
+
+  if (options.token) {
+    headers.Authorization = 'token ' + options.token;
+  }
+
+  return new Promise(function(resolve, reject) {
+    if (!url) {
+      reject(new Error('WebSocketTransport requires a url'));
+      return;
+    }
+
+    var socket = scope._open(url, {headers: headers});
+
+    // each attempt settles on its own, a reconnect comes after a kernel that did connect
+    var opened = false;
+
+    socket.on('open', function() {
+      opened = true;
+      scope.kernel = new WebSocketKernel(socket);
+      resolve(scope.kernel);
+    });
+
+    socket.on('error', function(e) {
+      if (!opened) {
+        logger.error('Failed to connect to EclairJS server', {error: e});
+        reject(e);
+      }
+    });
+
+    socket.on('close', function() {
+      if (!opened) {
+        reject(new Error('Connection to EclairJS server closed before it opened'));
+      }
+    });
+  });
+};
+
+/**
+ * @param {string} url
+ * @param {object} options Passed to the ws WebSocket.
+ * @returns {WebSocket}
+ */
+WebSocketTransport.prototype._open = function(url, options) {
+  return new WebSocket(url, options);
+};
+
+/**
+ * @returns {Promise}
+ */
+WebSocketTransport.prototype.shutdown = function() {
+  if (this.kernel) {
+    return this.kernel.shutdown();
+  } else {
+    return Promise.resolve();
+  }
+};
+
+module.exports = WebSocketTransport;
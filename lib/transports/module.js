@@ -0,0 +1,94 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Backend transports.  A transport is how the generated code reaches EclairJS-nashorn.
+ *
+ * A transport is any object with:
+ *   - connect(appName)  Returns a Promise that resolves to a kernel once the backend is ready.
+ *   - shutdown()        Returns a Promise that resolves once the backend has been shut down.
+ *
+ * and optionally, to reuse running sessions:
+ *   - listSessions()    Returns a Promise that resolves to [{id, path, ...}].
+ *   - attach(sessionId) Like connect(), but to a running session.
+ *   - detach()          Disconnects, leaving the session running.
+ *
+ * The kernel it resolves to must provide:
+ *   - execute({code, silent})             Returns a future with onIOPub, onReply and onDone callbacks,
+ *                                         the same as a jupyter-js-services KernelFuture.
+ *   - connectToComm(targetName, commId)   Returns a comm with open(data), send(data), close() and onMsg.
+ *   - interrupt()                         Returns a Promise.
+ *
+ * @module eclairjs/transports
+ */
+
+var JupyterTransport = require('./JupyterTransport.js');
+var WebSocketTransport = require('./WebSocketTransport.js');
+var RecordingTransport = require('./RecordingTransport.js');
+var LocalTransport = require('./LocalTransport.js');
+var TranscriptTransport = require('./TranscriptTransport.js');
+
+var transports = {
+  jupyter: JupyterTransport,
+  websocket: WebSocketTransport,
+  record: RecordingTransport,
+  local: LocalTransport
+};
+
+/**
+ * Creates the transport described by options.transport, which can be either the name of a built in
+ * transport ('jupyter', 'websocket', 'record' or 'local') or an object implementing the transport interface.
+ * options.mode 'record' or 'local' selects the transport of the same name.
+ *
+ * With options.transcript ({mode: 'record' or 'replay', path}), the transport is wrapped to record a transcript of
+ * its statements and replies, or replaced to replay one.
+ *
+ * @param {object} [options]
+ * @returns {object}
+ * @ignore
+ */
+function createTransport(options) {
+  var opts = options || {};
+
+  if (opts.transcript) {
+    var recorded = opts.transcript.mode == 'replay' ? null : createTransport(Object.assign({}, opts, {transcript: null}));
+
+    return new TranscriptTransport(recorded, opts.transcript);
+  }
+
+  var transport = opts.transport || (opts.mode == 'record' || opts.mode == 'local' ? opts.mode : 'jupyter');
+
+  if (typeof transport == 'string') {
+    var Transport = transports[transport];
+
+    if (!Transport) {
+      throw new Error('Unknown EclairJS transport: ' + transport);
+    }
+
+    return new Transport(opts);
+  } else {
+    return transport;
+  }
+}
+
+module.exports = {
+  JupyterTransport: JupyterTransport,
+  WebSocketTransport: WebSocketTransport,
+  RecordingTransport: RecordingTransport,
+  LocalTransport: LocalTransport,
+  TranscriptTransport: TranscriptTransport,
+  createTransport: createTransport
+};
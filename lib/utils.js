@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+var logger = require('./logger.js');
+
 var Utils = {};
 
 Utils.processTemplate = function(templateStr, replacements) {
@@ -36,18 +38,18 @@ Utils.processTemplate = function(templateStr, replacements) {
  * Prepares a variable to be used as a template replacement.  Null safe.
  *
  * - If its a Spark object, will return its refIdP (promise that resolves to the id of the object onces its been generated in the kernel
- * - If its a string, returns "stringvalue"
  * - If its an array, returns '[x,y,x]'.  Applies prepForReplacement on each array item.
  *   - If skipArrayCreation is set, returns 'x,y,z' instead.
+ * - Anything else is returned as a literal (see literal.js): "stringvalue" for a string for example.
  *
  * @param {object} obj
  * @returns {object}
  */
 Utils.prepForReplacement = function(obj, skipArrayCreation) {
+  var literal = require('./literal.js');
+
   if (obj && obj.refIdP) {
     return obj.refIdP;
-  } else if (typeof(obj) == "string") {
-    return '"' + obj.replace(/"/g, '\\\"') + '"';
   } else if (Array.isArray(obj)) {
     var newArr = [];
 
@@ -64,15 +66,11 @@ Utils.prepForReplacement = function(obj, skipArrayCreation) {
         return '[' + newArr.join(',') + ']';
       }
     }
-  } else if (typeof(obj) == "object") {
-    if (obj._eclairLocal) {
-      // a local copy of data, for example Row
-      return obj._generateRemote().refIdP;
-    } else {
-      return JSON.stringify(obj);
-    }
+  } else if (obj && obj._eclairLocal) {
+    // a local copy of data, for example Row
+    return obj._generateRemote().refIdP;
   } else {
-    return obj;
+    return literal(obj);
   }
 };
 
@@ -81,31 +79,37 @@ function serializeLambda(func) {
   return (typeof func === 'function') ? serializeFunction(func) : Promise.resolve(func);
 }
 
-//var bs = require('browserify-string');
-
 function serializeFunction(func, opts) {
-  /*
-
+  var lambda = require('./lambda.js');
 
-   var funcStr = "EXPORTEDFUNCTION=" + func.toString();
-
-   var bsOpts = {};
-
-   if (opts && opts.baseDir) {
-   bsOpts.basedir = opts.baseDir;
-   }
+  try {
+    return Promise.resolve(lambda.serialize(func, opts));
+  } catch (e) {
+    return Promise.reject(e);
+  }
+}
 
-   bs(funcStr, bsOpts).bundle(function(err, src) {
-   if (err) {
-   reject(err);
-   } else {
-   var finalStr = src + '';
-   resolve(JSON.stringify(finalStr));
-   }
-   });
-   });
-   */
-  return Promise.resolve(func.toString());
+/**
+ * Serializes the lambda arguments of a call up front so one that cannot be shipped fails when the method is
+ * called.
+ *
+ * @param {object[]} callArgs
+ * @param {string} context Class.method, for the error message
+ */
+function checkLambdas(callArgs, context) {
+  var lambda = require('./lambda.js');
+
+  if (callArgs) {
+    callArgs.forEach(function(arg) {
+      if (arg.type == 'lambda' && typeof arg.value === 'function') {
+        try {
+          lambda.serialize(arg.value);
+        } catch (e) {
+          throw new Error(context + ': ' + e.message);
+        }
+      }
+    });
+  }
 }
 
 function isNativeType(obj) {
@@ -118,37 +122,41 @@ function generateVarName(name) {
   return name.substr(0, upperCaseCount).toLowerCase() + name.substr(upperCaseCount);
 }
 
-function generateRequires(requires, kernel) {
-  var code = '';
+/**
+ * The Require statements a call needs: the target class for static calls and constructors, then the classes used
+ * by the arguments.
+ *
+ * @param {object} target
+ * @param {object[]} callArgs
+ * @param {object} resolvedArgs {args, requires} from handleArguments
+ * @param {Namespace} namespace
+ * @returns {object[]}
+ */
+function requireStatements(target, callArgs, resolvedArgs, namespace) {
+  var codegen = require('./codegen.js');
 
-  requires.forEach(function(r) {
-    var loc = r.moduleLocation;
+  var statements = [];
 
-    if (!kernel.moduleRequireCache) {
-      kernel.moduleRequireCache = {};
-    }
+  if (target) {
+    var moduleLocation = target.moduleLocation ? target.moduleLocation : target.constructor ? target.constructor.moduleLocation : null;
+    if (moduleLocation) {
+      var targetClassName = typeof target == 'object' ? target.constructor.name : target.name;
 
-    if (!kernel.moduleRequireCache[loc]) {
-      kernel.moduleRequireCache[loc] = true;
+      statements = codegen.requires([{name: targetClassName, moduleLocation: moduleLocation}], namespace);
+    }
+  }
 
-      var subExport = null;
+  if (callArgs) {
+    statements = statements.concat(codegen.requires(resolvedArgs.requires, namespace));
+  }
 
-      // A file can export multiple modules, denoted by Foo/Bar#Baz
-      var subModuleLoc = loc.indexOf('#');
-      if (subModuleLoc >= 0) {
-        subExport = loc.substr(subModuleLoc + 1);
-        loc = loc.substr(0, subModuleLoc);
-      }
+  return statements;
+}
 
-      if (subExport) {
-        code += 'var ' + r.name + ' = require(EclairJS_Globals.NAMESPACE + \'' + loc + '\').' + subExport + ';\n';
-      } else {
-        code += 'var ' + r.name + ' = require(EclairJS_Globals.NAMESPACE + \'' + loc + '\');\n';
-      }
-    }
-  });
+function argumentExpressions(callArgs, resolvedArgs) {
+  var codegen = require('./codegen.js');
 
-  return code;
+  return callArgs ? resolvedArgs.args.map(codegen.raw) : [];
 }
 
 /**
@@ -169,9 +177,21 @@ function generateRequires(requires, kernel) {
  *         - [optional] {boolean}
  *
  *     - [resolver]  {function} A resolver function
+ *     - [encoder]   {string}   With stringify, the source of a function(result, target) run in the kernel to turn
+ *                              the result into a string instead of JSON.stringify (see lib/columnar.js)
+ *     - [timeout]   {number}   Cancel the call if it has not completed after this many ms
+ *     - [signal]    {AbortSignal} Cancel the call when the signal aborts
+ *
+ * Promises returned for calls that do not return a Spark object also have cancel(), withTimeout(ms) and
+ * withSignal(signal), see Cancellation.decorate.  A cancelled call rejects with a CancellationError and, once
+ * sent, interrupts its cell and cancels its Spark jobs.
  */
 Utils.generate = function(args) {
+  var codegen = require('./codegen.js');
+  var plan = require('./plan.js');
   var protocol = require('./kernel.js');
+  var Cancellation = require('./cancellation.js');
+  var Tracing = require('./tracing.js');
 
   var target = args.target;
   var method = args.method;
@@ -238,23 +258,78 @@ Utils.generate = function(args) {
     kernelP = target.kernelP;
   }
 
-  promises.push(handleArguments(callArgs));
+  checkLambdas(callArgs, (args.static ? target.name : target.constructor.name) + '.' + method);
+
+  // with a lazy plan, the object this call made before (see plan.js)
+  var planned = {key: null, instance: null};
+
+  if (executionType == EXECUTION.ASSIGNMENT_TYPE) {
+    planned = plan.lookup(kernelP, target, method, callArgs, returnType);
+  } else if (executionType == EXECUTION.VOID_TYPE) {
+    plan.lookup(kernelP, target, method, callArgs, null);
+  }
+
+  // with a lazy plan, the void calls this call must come after (see plan.js)
+  var beforeP = plan.before(kernelP, target, executionType == EXECUTION.VOID_TYPE);
+
+  if (beforeP) {
+    promises.push(beforeP);
+  }
+
+  if (planned.instance) {
+    logger.codegen.debug('Reusing ' + planned.key, {method: method});
+
+    return planned.instance;
+  }
+
+  var namespace = protocol.namespaceFor(kernelP);
 
   var refId;
 
   // Generate the variable id before we go into promise land to make sure we create them in the order of definition.
   if (executionType == EXECUTION.ASSIGNMENT_TYPE) {
-    refId = protocol.genVariable(generateVarName(returnType.name));
+    refId = namespace.genVariable(generateVarName(returnType.name));
   } else if (executionType == EXECUTION.RESULT_ARRAY_TYPE) {
-    refId = protocol.genVariable(generateVarName(returnType[0].name)+"Array");
+    refId = namespace.genVariable(generateVarName(returnType[0].name)+"Array");
+  }
+
+  var cancellation = new Cancellation();
+
+  if (args.timeout) {
+    cancellation.setTimeout(args.timeout);
   }
 
+  if (args.signal) {
+    cancellation.setSignal(args.signal);
+  }
+
+  // started with the call, which for an object of a lazy plan may be never
+  var span = null;
+
   // This is our main promise that handles generating and executing code remotely on Toree.
-  var refIdP = new Promise(function(resolve, reject) {
-    Promise.all(promises).then(function(values) {
+  var execute = function(resolve, reject) {
+    var className = type == 'staticMethodCall' ? target.name : target.constructor.name;
+
+    span = Tracing.forKernelP(kernelP).startSpan({className: className, method: method, refId: refId});
+
+    cancellation.onCancel(function(e) {
+      e.className = className;
+      e.method = method;
+      reject(e);
+    });
+
+    Promise.all(promises.concat([handleArguments(callArgs)])).then(function(values) {
       // Kernel is always there
       var kernel = values[0];
 
+      span.target = type == 'methodCall' ? values[1] : undefined;
+      span.mark('resolved');
+
+      if (cancellation.error) {
+        // cancelled before we got to send anything
+        return;
+      }
+
       function _resultTypeResolver(result) {
         if (customResolver) {
           // custom resolver
@@ -287,6 +362,8 @@ Utils.generate = function(args) {
 
           var resultArr = [];
 
+          Utils.addRemoteMethods(returnType[0]);
+
           for (var i = 0; i < count; i++) {
             // we know the refId is going to be called refId[i]
             var clazz = new returnType[0](kernelP, Promise.resolve(refId+"["+i+"]"));
@@ -300,77 +377,112 @@ Utils.generate = function(args) {
         protocol.verifyKernelExecution(kernel.execute({code: refId+".length;"}), _countResolve, reject);
       }
 
-      var code = '';
-
       // For static calls, we need to make sure we generate the require for the class.
-      if (type == 'staticMethodCall') {
-        var moduleLocation = target.moduleLocation ? target.moduleLocation : target.constructor ? target.constructor.moduleLocation : null;
-        if (moduleLocation) {
-          var targetClassName = typeof target == 'object' ? target.constructor.name : target.name;
+      var resolvedArgs = values[values.length - 1];
+      var body = requireStatements(type == 'staticMethodCall' ? target : null, callArgs, resolvedArgs, namespace);
 
-          code += generateRequires([{name: targetClassName, moduleLocation: moduleLocation}], kernel);
-        }
-      }
+      // we had a refId promise resolved, or call the static method on the class
+      var targetExpression = codegen.raw(type == 'methodCall' ? values[1] : target.name);
 
-      if (callArgs) {
-        var requires = values[values.length - 1].requires;
+      var expression = codegen.call(codegen.member(targetExpression, method), argumentExpressions(callArgs, resolvedArgs));
 
-        code += generateRequires(requires, kernel);
+      if (shouldStringify) {
+        expression = codegen.stringify(expression, args.encoder, targetExpression);
       }
 
+      var callStatement;
+
       if (executionType == EXECUTION.ASSIGNMENT_TYPE || executionType == EXECUTION.RESULT_ARRAY_TYPE) {
-        code += 'var ' + refId + ' = ';
+        callStatement = codegen.declare(refId, expression);
+      } else {
+        callStatement = codegen.statement(expression);
       }
 
-      if (shouldStringify) {
-        code += 'JSON.stringify(';
-      }
+      if (cancellation.armed && executionType != EXECUTION.ASSIGNMENT_TYPE) {
+        // run in our own job group so the Spark jobs can be cancelled
+        cancellation.groupId = namespace.genVariable('eclairjsJob');
 
-      // we had a refId promise resolved
-      if (type == 'methodCall') {
-        code += values[1] + '.';
-      } else if (type == 'staticMethodCall') {
-        // Static method call
-        code += target.name + '.';
+        var returnsResult = executionType == EXECUTION.RESULT_TYPE || executionType == EXECUTION.RESULT_NATIVE_ARRAY_TYPE;
+        body = body.concat(cancellation.wrap(callStatement, 'EclairJS ' + className + '.' + method, returnsResult));
+      } else {
+        body.push(callStatement);
       }
 
-      // method name
-      code += method + '(';
+      var code = codegen.print(codegen.program(body));
 
-      // arguments
-      if (callArgs) {
-        var finalArgs = values[values.length-1].args;
+      logger.codegen.debug('Executing: ' + code, {
+        refId: refId,
+        target: type == 'methodCall' ? values[1] : undefined,
+        className: className,
+        method: method
+      });
 
-        code += finalArgs.join(', ')
-      }
+      var callInfo = {
+        code: code,
+        className: className,
+        method: method,
+        refId: refId,
+        span: span
+      };
 
-      // close the method call
-      if (shouldStringify) {
-        code += '));';
-      } else {
-        code += ');';
-      }
+      span.mark('sent');
 
-      Utils.log('Executing: ' + code);
+      var future;
 
       if (executionType == EXECUTION.RESULT_TYPE || executionType == EXECUTION.RESULT_NATIVE_ARRAY_TYPE) {
-        protocol.verifyKernelExecution(kernel.execute({code: code}), _resultTypeResolver, reject);
+        future = kernel.execute({code: code});
+        protocol.verifyKernelExecution(future, _resultTypeResolver, reject, null, callInfo);
       } else if (executionType == EXECUTION.RESULT_ARRAY_TYPE) {
-        protocol.verifyKernelExecution(kernel.execute({code: code}), _resultArrayResolver, reject);
+        future = kernel.execute({code: code});
+        protocol.verifyKernelExecution(future, _resultArrayResolver, reject, null, callInfo);
       } else if (executionType == EXECUTION.VOID_TYPE) {
-        protocol.verifyKernelExecution(kernel.execute({code: code}), resolve, reject);
+        future = kernel.execute({code: code});
+        protocol.verifyKernelExecution(future, resolve, reject, null, callInfo);
       } else if (executionType == EXECUTION.ASSIGNMENT_TYPE) {
-        protocol.verifyKernelExecution(kernel.execute({code: code, silent: false}), resolve, reject, [refId]);
+        protocol.verifyKernelExecution(protocol.executeAssignment(kernel, code, callInfo), resolve, reject, [refId], callInfo);
+      }
+
+      if (future) {
+        // a cancel from now on stops our cell, and the Spark jobs of our job group
+        cancellation.watch(future, kernel, className + '.' + method);
       }
     }).catch(reject);
+  };
+
+  // with a lazy plan, objects are only made once they are needed
+  var refIdP = executionType == EXECUTION.ASSIGNMENT_TYPE && plan.isLazy(kernelP) ? plan.deferred(execute) :
+    new Promise(execute);
+
+  if (executionType == EXECUTION.VOID_TYPE) {
+    plan.after(kernelP, refIdP);
+  }
+
+  plan.settled(refIdP).then(function() {
+    span.finish();
+  }, function(e) {
+    span.finish(e);
   });
 
   // handle target
   if (executionType == EXECUTION.RESULT_TYPE || executionType == EXECUTION.RESULT_NATIVE_ARRAY_TYPE || executionType == EXECUTION.RESULT_ARRAY_TYPE || executionType == EXECUTION.VOID_TYPE) {
-    return refIdP;
+    refIdP.then(function() {
+      cancellation.dispose();
+    }, function() {
+      cancellation.dispose();
+    });
+
+    return Cancellation.decorate(refIdP, cancellation);
   } else if (executionType == EXECUTION.ASSIGNMENT_TYPE) {
     // we have a class reference
-    return new returnType(kernelP, refIdP);
+    Utils.addRemoteMethods(returnType);
+
+    var instance = new returnType(kernelP, refIdP);
+
+    Utils.trackObject(instance, method == 'cache' || method == 'persist');
+    plan.record(kernelP, planned.key, instance);
+    plan.track(kernelP, target, instance);
+
+    return instance;
   }
 };
 
@@ -387,7 +499,9 @@ Utils.handleAbstractConstructor = function(context, callArgs) {
 };
 
 Utils.handleConstructor = function(context, callArgs, kernelP) {
+  var codegen = require('./codegen.js');
   var protocol = require('./kernel.js');
+  var Tracing = require('./tracing.js');
 
   if (callArgs && callArgs.length == 2 && callArgs[0] instanceof Promise && callArgs[1] instanceof Promise) {
     // Someone created an instance of this class for us
@@ -401,107 +515,109 @@ Utils.handleConstructor = function(context, callArgs, kernelP) {
 
     var targetClassName = typeof context == 'object' ? context.constructor.name : context.name;
 
+    var namespace = protocol.namespaceFor(kernelP);
+
     var varName = generateVarName(targetClassName);
-    var refId = protocol.genVariable(varName);
+    var refId = namespace.genVariable(varName);
+
+    var span = Tracing.forKernelP(kernelP).startSpan({className: targetClassName, method: 'constructor', refId: refId});
 
     var refIdP = new Promise(function(resolve, reject) {
       Promise.all(promises).then(function(values) {
         var kernel = values[0];
-        var code = '';
 
-        // get the class name of the target
-        var moduleLocation = context.moduleLocation ? context.moduleLocation : context.constructor ? context.constructor.moduleLocation : null;
-        if (moduleLocation) {
-          code += generateRequires([{name: targetClassName, moduleLocation: moduleLocation}], kernel);
-        }
+        span.mark('resolved');
 
-        // requires from arguments
-        if (callArgs) {
-          var requires = values[values.length - 1].requires;
+        var resolvedArgs = values[values.length - 1];
+        var body = requireStatements(context, callArgs, resolvedArgs, namespace);
 
-          code += generateRequires(requires, kernel);
-        }
+        body.push(codegen.declare(refId, codegen.construct(codegen.raw(targetClassName),
+          argumentExpressions(callArgs, resolvedArgs))));
 
-        code += 'var ' + refId + ' = new ' + targetClassName + '(';
+        var code = codegen.print(codegen.program(body));
 
-        // arguments
-        if (callArgs) {
-          var finalArgs = values[values.length-1].args;
-
-          code += finalArgs.join(', ')
-        }
+        logger.codegen.debug('Executing: ' + code, {refId: refId, className: targetClassName, method: 'constructor'});
 
-        code += ');';
+        var callInfo = {code: code, className: targetClassName, method: 'constructor', refId: refId, span: span};
 
-        Utils.log('Executing: ' + code);
+        span.mark('sent');
 
-        protocol.verifyKernelExecution(kernel.execute({code: code, silent: false}), resolve, reject, [refId]);
+        protocol.verifyKernelExecution(protocol.executeAssignment(kernel, code, callInfo), resolve, reject, [refId], callInfo);
       }).catch(reject);
     });
 
+    refIdP.then(function() {
+      span.finish();
+    }, function(e) {
+      span.finish(e);
+    });
+
     context.kernelP = kernelP;
     context.refIdP = refIdP;
+
+    Utils.trackObject(context);
   }
 };
 
 Utils.generateConstructor = function(args) {
+  var codegen = require('./codegen.js');
   var protocol = require('./kernel.js');
+  var Tracing = require('./tracing.js');
 
   var target = args.target;
   var callArgs = args.args ? args.args : null;
   var kernelP = args.kernelP;
 
+  checkLambdas(callArgs, target.name + '.constructor');
+
   var promises = [];
   promises.push(kernelP);
 
   promises.push(handleArguments(callArgs));
 
+  var namespace = protocol.namespaceFor(kernelP);
+
   var refId;
 
   if (args.refId) {
     refId = args.refId
   } else {
     var varName = generateVarName(target.name);
-    refId = protocol.genVariable(varName);
+    refId = namespace.genVariable(varName);
   }
 
+  var span = Tracing.forKernelP(kernelP).startSpan({className: target.name, method: 'constructor', refId: refId});
+
   var refIdP = new Promise(function(resolve, reject) {
     Promise.all(promises).then(function(values) {
       var kernel = values[0];
-      var code = '';
 
-      // get the class name of the target
-      var moduleLocation = target.moduleLocation ? target.moduleLocation : target.constructor ? target.constructor.moduleLocation : null;
-      if (moduleLocation) {
-        var targetClassName = typeof target == 'object' ? target.constructor.name : target.name;
+      span.mark('resolved');
 
-        code += generateRequires([{name: targetClassName, moduleLocation: moduleLocation}], kernel);
-      }
-
-      // requires from arguments
-      if (callArgs) {
-        var requires = values[values.length - 1].requires;
-
-        code += generateRequires(requires, kernel);
-      }
+      var resolvedArgs = values[values.length - 1];
+      var body = requireStatements(target, callArgs, resolvedArgs, namespace);
 
-      code += 'var ' + refId + ' = new ' + target.name + '(';
+      body.push(codegen.declare(refId, codegen.construct(codegen.raw(target.name),
+        argumentExpressions(callArgs, resolvedArgs))));
 
-      // arguments
-      if (callArgs) {
-        var finalArgs = values[values.length-1].args;
+      var code = codegen.print(codegen.program(body));
 
-        code += finalArgs.join(', ')
-      }
+      logger.codegen.debug('Executing: ' + code, {refId: refId, className: target.name, method: 'constructor'});
 
-      code += ');';
+      var callInfo = {code: code, className: target.name, method: 'constructor', refId: refId, span: span};
 
-      Utils.log('Executing: ' + code);
+      span.mark('sent');
 
-      protocol.verifyKernelExecution(kernel.execute({code: code, silent: false}), resolve, reject, [refId]);
+      protocol.verifyKernelExecution(protocol.executeAssignment(kernel, code, callInfo), resolve, reject, [refId], callInfo);
     }).catch(reject);
   });
 
+  refIdP.then(function() {
+    span.finish();
+  }, function(e) {
+    span.finish(e);
+  });
+
   return refIdP;
 };
 
@@ -509,6 +625,8 @@ Utils.generateConstructor = function(args) {
  * Returns a promise that resolves once all the arguments have been resolved.
  */
 function handleArguments(args) {
+  var literal = require('./literal.js');
+
   return new Promise(function(resolve, reject) {
     var requires = [];
     var promises = [];
@@ -525,8 +643,7 @@ function handleArguments(args) {
         }
 
         if (arg.type == 'string') {
-          var s = '"' + arg.value.replace(/"/g, '\\\"') + '"';
-          promises.push(Promise.resolve(s));
+          promises.push(Promise.resolve(literal.quote(arg.value)));
         } else if (arg.type == 'lambda') {
           promises.push(serializeLambda(arg.value));
         } else if (arg.type == 'lambdaArgs') {
@@ -536,22 +653,17 @@ function handleArguments(args) {
             }).catch(reject);
           }));
         } else if (arg.type == 'map') {
-          promises.push(Promise.resolve(JSON.stringify(arg.value)));
+          promises.push(Promise.resolve(literal(arg.value)));
         } else if (arg.type == 'promise') {
           promises.push(new Promise(function(resolve, reject) {
             arg.value.then(function(val) {
               if (typeof(val) == 'string') {
-                if (isNaN(val)) {
-                  // a string
-                  var s = '"' + val.replace(/"/g, '\\\"') + '"';
-                  resolve(s);
-                } else {
-                  resolve(parseFloat(val));
-                }
+                // a string, unless it is the text of a number
+                resolve(isNaN(val) ? literal.quote(val) : literal(parseFloat(val)));
               } else {
-                resolve(val);
+                resolve(literal(val));
               }
-            });
+            }).catch(reject);
           }));
         } else if (arg.value.refIdP) {
           promises.push(arg.value.refIdP);
@@ -580,11 +692,10 @@ function handleArguments(args) {
             }).catch(reject);
           }));
         } else if (arg.type == '_eclairForceFloat') {
-          var val = arg.value.value;
-          if (val.toString().indexOf('.') === -1) {
-            val = val.toFixed(1);
-          }
-          promises.push(Promise.resolve(val));
+          var val = Number(arg.value.value);
+          promises.push(Promise.resolve(Number.isInteger(val) ? val.toFixed(1) : literal(val)));
+        } else if (arg.type == '_eclairTyped') {
+          promises.push(Promise.resolve(literal(arg.value)));
         } else if (arg.type == '_eclairLocal') {
           promises.push(Promise.resolve(arg.value._generateRemote().refIdP));
         } else if (arg.type == 'sparkclassref') {
@@ -593,7 +704,7 @@ function handleArguments(args) {
           // add the class to the requires list
           requires.push({name: arg.value.name, moduleLocation: arg.value.moduleLocation});
         } else {
-          promises.push(Promise.resolve(arg.value));
+          promises.push(Promise.resolve(literal(arg.value)));
         }
 
         return false;
@@ -604,7 +715,7 @@ function handleArguments(args) {
       resolve({args: finalArgs, requires: requires});
       //resolve(finalArgs);
     }).catch(function(e) {
-      console.log(e);
+      logger.codegen.debug('Failed to resolve arguments', {error: e});
       reject(e)
     });
   });
@@ -633,6 +744,8 @@ function handleArrayArgument(arg) {
 }
 
 Utils.wrapArray = function(arr, sparkType) {
+  var values = require('./sql/values.js');
+
   var wrapArr = [];
 
   if (arr && arr.length > 0) {
@@ -642,6 +755,9 @@ Utils.wrapArray = function(arr, sparkType) {
       if (sparkType && item instanceof sparkType) {
         type = sparkType;
       } else if (item === null) {
+      } else if (values.isTyped(item)) {
+        // BigInt, Decimal, Date or Buffer
+        type = '_eclairTyped';
       } else {
         if (item.refIdP) {
           // spark class instance
@@ -696,6 +812,123 @@ Utils.wrapBindArgs = function(bindArgs) {
   return Utils.wrapArray(bindArgs);
 };
 
+/**
+ * Releases the kernel variable behind a Spark object.  Added to the prototype of every Spark class, see
+ * Utils.addRemoteMethods.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.unpersist] Whether to unpersist the object first.  Defaults to true only for objects
+ * returned by cache() or persist().
+ * @returns {Promise} Resolves once the variable has been released.
+ */
+function dispose(options) {
+  var ObjectRegistry = require('./registry.js');
+  var plan = require('./plan.js');
+
+  var obj = this;
+
+  if (!this.refIdP) {
+    // a plain value, like a collected Row, there is nothing in the kernel
+    return Promise.resolve();
+  }
+
+  plan.forget(obj);
+
+  if (!plan.started(this.refIdP)) {
+    // never sent, there is no variable to release
+    obj._disposed = true;
+
+    return Promise.resolve();
+  }
+
+  return Promise.all([this.kernelP, this.refIdP]).then(function(values) {
+    if (obj._disposed) {
+      return;
+    }
+
+    obj._disposed = true;
+
+    return ObjectRegistry.forKernel(values[0]).release(values[1], options);
+  });
+}
+
+/**
+ * Gives a Spark class dispose() and invoke(), unless it has methods of its own by those names.
+ *
+ * @param {function} Class
+ * @ignore
+ */
+Utils.addRemoteMethods = function(Class) {
+  var proto = Class && Class.prototype;
+
+  if (!proto) {
+    return;
+  }
+
+  if (!proto.dispose) {
+    proto.dispose = dispose;
+  }
+
+  if (!proto.invoke) {
+    proto.invoke = Utils.invoke;
+  }
+};
+
+/**
+ * Adds dispose() and invoke() to every class of a module (spark.sql, spark.ml...) and its submodules, once the
+ * module is loaded.  Classes the modules do not expose get them when generate() first makes one.
+ *
+ * @param {object} module
+ * @ignore
+ */
+Utils.addRemoteMethodsToModule = function(module) {
+  var seen = new Set();
+
+  function visit(value) {
+    if (!value || seen.has(value)) {
+      return;
+    }
+
+    seen.add(value);
+
+    if (typeof value == 'function') {
+      Utils.addRemoteMethods(value);
+
+      // and the abstract classes it extends, which the modules do not always expose
+      var base = value.prototype && Object.getPrototypeOf(value.prototype);
+
+      if (base && base !== Object.prototype) {
+        visit(base.constructor);
+      }
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+      Object.keys(value).forEach(function(key) {
+        visit(value[key]);
+      });
+    }
+  }
+
+  visit(module);
+};
+
+/**
+ * Tracks a Spark object created in the kernel, so it shows up in liveObjects().
+ *
+ * @param {object} obj
+ * @param {boolean} [persisted] true if the object is the result of cache()/persist()
+ * @ignore
+ */
+Utils.trackObject = function(obj, persisted) {
+  var ObjectRegistry = require('./registry.js');
+  var plan = require('./plan.js');
+
+  // once the object is made, without making it
+  Promise.all([obj.kernelP, plan.settled(obj.refIdP)]).then(function(values) {
+    ObjectRegistry.forKernel(values[0]).add(obj, values[1], persisted);
+  }).catch(function(e) {
+    // failures are reported through the object's own promises
+  });
+};
+
 // Executes js code on Toree, use for testing only!
 Utils.execute = function(args) {
   var protocol = require('./kernel.js');
@@ -711,7 +944,7 @@ Utils.execute = function(args) {
     Promise.all(promises).then(function(values) {
       var kernel = values[0];
 
-      protocol.verifyKernelExecution(kernel.execute({code: code}), resolve, reject);
+      protocol.verifyKernelExecution(kernel.execute({code: code}), resolve, reject, null, {code: code});
     }).catch(reject);
   });
 
@@ -728,27 +961,90 @@ Utils.forceFloat = function(value) {
   return {_eclairForceFloat: true, value: value}
 };
 
-Utils.remoteLog = function(kernel) {
-  var logLevels=  process.env.ECLAIRJS_LOG || "";
-  var comm = kernel.connectToComm('logger', "ID1");
+var IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+var MODULE_PATH = /^(\/[A-Za-z_$][\w$]*)+(#[A-Za-z_$][\w$]*)?$/;
 
-  comm.onMsg = (msg) => {
-    console.log(msg.content.data.log)
-  };
+function invokeArgs(target, method, callArgs, options) {
+  var RemoteObject = require('./RemoteObject.js');
 
-  comm.open(logLevels);
-};
+  var opts = options || {};
 
-Utils.log = function(msg) {
-  if (process.env.ECLAIRJS_VERBOSE) {
-    console.log('\n'+msg);
+  if (typeof method != 'string' || !IDENTIFIER.test(method)) {
+    throw new Error('Not a method name: ' + method);
   }
+
+  var wrapped = Utils.wrapArray(callArgs || []).map(function(arg) {
+    // a function that is not a Spark class reference is a lambda
+    if (typeof arg.value == 'function' && !arg.value.moduleLocation) {
+      return {value: arg.value, type: 'lambda'};
+    }
+
+    return arg;
+  });
+
+  var returnType = opts.returnType === undefined ? RemoteObject : opts.returnType;
+
+  return {
+    target: target,
+    method: method,
+    args: wrapped.length ? wrapped : undefined,
+    returnType: returnType,
+    stringify: returnType === Object,
+    timeout: opts.timeout,
+    signal: opts.signal
+  };
+}
+
+/**
+ * Calls any method of a Spark object, including those EclairJS has no wrapper for (or whose wrapper throws "not
+ * implemented").  Added to the prototype of every Spark class, as obj.invoke(method, args, options).
+ *
+ * @example
+ * df.invoke('show', [5], {returnType: null});
+ * sc.invoke('statusTracker').invoke('getActiveJobIds', [], {returnType: [Number]});
+ *
+ * @param {string} method
+ * @param {Array} [args] Arguments, as they would be passed to a wrapper method.  Functions are sent as lambdas.
+ * @param {object} [options]
+ * @param {*} [options.returnType] A wrapper class (RDD for example), Number, String, Boolean, Object (any JSON),
+ * an array of one of those, or null for a method that returns nothing.  Defaults to a
+ * {@link module:eclairjs.RemoteObject}, a generic handle to what the method returned.
+ * @param {number} [options.timeout] Cancel the call if it has not completed after this many ms.
+ * @param {AbortSignal} [options.signal] Cancel the call when the signal aborts.
+ * @returns {object|Promise} An instance of returnType, or a promise of the result.
+ */
+Utils.invoke = function(method, args, options) {
+  return Utils.generate(invokeArgs(this, method, args, options));
 };
 
-Utils.error = function(msg, e) {
-  if (process.env.ECLAIRJS_VERBOSE) {
-    console.error('\n'+msg, e);
+/**
+ * Calls a static method of any EclairJS-nashorn module, see Utils.invoke.
+ *
+ * @param {Promise} kernelP
+ * @param {string} modulePath Path of the module, like '/sql/functions' or '/mllib/linalg/Vectors'.
+ * @param {string} method
+ * @param {Array} [args]
+ * @param {object} [options]
+ * @returns {object|Promise}
+ */
+Utils.invokeStatic = function(kernelP, modulePath, method, args, options) {
+  if (typeof modulePath != 'string' || !MODULE_PATH.test(modulePath)) {
+    throw new Error('Not a module path: ' + modulePath);
   }
+
+  // the module is required into a variable named after it
+  var className = modulePath.split(/[\/#]/).pop();
+  var target = function() {};
+
+  Object.defineProperty(target, 'name', {value: className});
+  target.moduleLocation = modulePath;
+
+  var generateArgs = invokeArgs(target, method, args, options);
+
+  generateArgs.static = true;
+  generateArgs.kernelP = kernelP;
+
+  return Utils.generate(generateArgs);
 };
 
 module.exports = Utils;
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+function FakeKernel() {
+  this.executed = [];
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  this.executed.push(msg.code);
+
+  setTimeout(function() {
+    if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '0'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+// A transport with one running session, at path "warm"
+function FakeTransport() {
+  this.kernel = new FakeKernel();
+  this.calls = [];
+}
+
+FakeTransport.prototype.listSessions = function() {
+  return Promise.resolve([{id: 's1', path: 'warm'}]);
+};
+
+FakeTransport.prototype.attach = function(sessionId) {
+  this.calls.push('attach ' + sessionId);
+  return Promise.resolve(this.kernel);
+};
+
+FakeTransport.prototype.connect = function(appName) {
+  this.calls.push('connect ' + appName);
+  return Promise.resolve(this.kernel);
+};
+
+FakeTransport.prototype.detach = function() {
+  this.calls.push('detach');
+  return Promise.resolve();
+};
+
+describe('Attach Test', function() {
+  it("should reuse the SparkContext of the session it attaches to", function(done) {
+    var transport = new FakeTransport();
+    var spark = new eclairjs({transport: transport, attach: true});
+    var sc = new spark.SparkContext("local[*]", "warm");
+
+    sc.parallelize([1, 2]).count().then(function() {
+      var prefix = spark.server.namespace.prefix;
+
+      expect(transport.calls).deep.equals(['attach s1']);
+      expect(prefix).match(/^e[0-9a-f]{6}_$/);
+      expect(transport.kernel.executed.join('\n')).equals(
+        'jsc.version();\nvar ' + prefix + 'rdd1 = jsc.parallelize([1, 2]);\n' + prefix + 'rdd1.count();');
+
+      return spark.detach();
+    }).then(function() {
+      expect(transport.calls).deep.equals(['attach s1', 'detach']);
+      done();
+    }).catch(done);
+  });
+
+  it("should start a session when none has the path", function(done) {
+    var transport = new FakeTransport();
+    var spark = new eclairjs({transport: transport, attach: {path: 'cold'}});
+    var sc = new spark.SparkContext("local[*]", "cold");
+
+    sc.kernelP.then(function() {
+      expect(transport.calls).deep.equals(['connect cold']);
+      expect(transport.kernel.executed[0]).contains('var jsc = new SparkContext("local[*]", "cold");');
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var BatchKernel = require('../lib/transports/BatchKernel.js');
+var EclairJSError = require('../lib/EclairJSError.js');
+var Utils = require('../lib/utils.js');
+
+function TestClass(kernelP, refIdP) {
+  this.kernelP = kernelP;
+  this.refIdP = refIdP;
+}
+
+TestClass.prototype.map = function(s) {
+  return Utils.generate({target: this, method: 'map', args: Utils.wrapArguments(arguments), returnType: TestClass});
+};
+
+TestClass.prototype.count = function() {
+  return Utils.generate({target: this, method: 'count', returnType: Number});
+};
+
+// Runs code after the callbacks have been attached.  failOn makes any code containing it fail.
+function ScriptedKernel(failOn) {
+  this.executed = [];
+  this.failOn = failOn;
+}
+
+ScriptedKernel.prototype.execute = function(msg) {
+  var self = this;
+  var future = {};
+
+  this.executed.push(msg.code);
+
+  setTimeout(function() {
+    if (self.failOn && msg.code.indexOf(self.failOn) >= 0) {
+      future.onReply({content: {status: 'error', evalue: 'boom', traceback: []}});
+    } else if (/^\w*eclairjsBatchStep;$/.test(msg.code)) {
+      future.onIOPub({content: {data: {'text/plain': '1'}}});
+    } else if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '3'}}});
+    }
+
+    future.onDone();
+  }, 5);
+
+  return future;
+};
+
+describe('Batch Test', function() {
+  before(function() {
+    var protocol = require('../lib/kernel.js');
+    protocol.resetVariables();
+  });
+
+  it("should send queued assignments as one script when a result is needed", function(done) {
+    var kernel = new ScriptedKernel();
+    var batch = new BatchKernel(kernel);
+    var tc = new TestClass(Promise.resolve(batch), Promise.resolve('tc'));
+
+    tc.map("a").map("b").count().then(function(count) {
+      expect(count).equals(3);
+      expect(kernel.executed.length).equals(2);
+      expect(kernel.executed[0]).equals('var eclairjsBatchStep = 0;\nvar testClass1 = tc.map("a");\neclairjsBatchStep = 1;\nvar testClass2 = testClass1.map("b");\n');
+      expect(kernel.executed[1]).equals('testClass2.count();');
+      done();
+    }).catch(done);
+  });
+
+  it("should attribute a failure to the statement that caused it", function(done) {
+    var kernel = new ScriptedKernel('"bad"');
+    var batch = new BatchKernel(kernel);
+    var tc = new TestClass(Promise.resolve(batch), Promise.resolve('tc'));
+
+    tc.map("good").map("bad").count().then(function() {
+      done(new Error('should have failed'));
+    }).catch(function(e) {
+      try {
+        expect(e).to.be.an.instanceof(EclairJSError);
+        expect(e.message).equals('TestClass.map: Batched statement 1 failed: boom');
+        expect(e.code).equals('var testClass4 = testClass3.map("bad");');
+        expect(e.method).equals('map');
+        expect(e.refId).equals('testClass4');
+
+        // the batch and the query for the failed step, not the count
+        expect(kernel.executed.length).equals(2);
+        expect(kernel.executed[1]).equals('eclairjsBatchStep;');
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should put the step variable behind the namespace prefix", function(done) {
+    var protocol = require('../lib/kernel.js');
+
+    var namespace = new protocol.Namespace();
+    namespace.prefix = 'e1a2b3_';
+
+    var kernel = new ScriptedKernel('"bad"');
+    var batch = new BatchKernel(kernel, namespace);
+    var tc = new TestClass(Promise.resolve(batch), Promise.resolve('tc'));
+
+    tc.map("good").map("bad").count().then(function() {
+      done(new Error('should have failed'));
+    }).catch(function(e) {
+      try {
+        expect(e.message).equals('TestClass.map: Batched statement 1 failed: boom');
+        expect(kernel.executed[0]).match(/^var e1a2b3_eclairjsBatchStep = 0;\n.*\ne1a2b3_eclairjsBatchStep = 1;\n/);
+        expect(kernel.executed[0]).not.match(/(^|[^_])eclairjsBatchStep/);
+        expect(kernel.executed[1]).equals('e1a2b3_eclairjsBatchStep;');
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it("should only forward the optional methods the kernel has", function() {
+    var plain = new BatchKernel(new ScriptedKernel());
+    expect(plain.kernelInfo).equals(undefined);
+    expect(plain.interrupt).equals(undefined);
+
+    var kernel = new ScriptedKernel();
+    kernel.kernelInfo = function() {
+      return Promise.resolve({status: 'ok'});
+    };
+
+    return new BatchKernel(kernel).kernelInfo().then(function(info) {
+      expect(info.status).equals('ok');
+    });
+  });
+
+  it("should do nothing on flush when nothing is queued", function(done) {
+    var kernel = new ScriptedKernel();
+    var batch = new BatchKernel(kernel);
+
+    batch.flush().then(function() {
+      expect(kernel.executed.length).equals(0);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var codegen = require('../lib/codegen.js');
+var protocol = require('../lib/kernel.js');
+
+describe('Codegen Test', function() {
+  it("should print programs", function() {
+    var namespace = new protocol.Namespace();
+
+    var modules = [
+      {name: 'functions', moduleLocation: '/sql/functions'},
+      {name: 'col', moduleLocation: '/sql/functions#col'}
+    ];
+
+    var body = codegen.requires(modules, namespace);
+
+    // already required
+    body = body.concat(codegen.requires(modules, namespace));
+
+    var df = codegen.raw('dataFrame1');
+
+    body.push(codegen.declare('dataFrame2', codegen.call(codegen.member(df, 'select'), [
+      codegen.call(codegen.raw('col'), [codegen.value('name')]),
+      codegen.value(1)
+    ])));
+
+    body.push(codegen.tryFinally([
+      codegen.statement(codegen.stringify(codegen.call(codegen.member(df, 'count'))))
+    ], [
+      codegen.statement(codegen.construct(codegen.raw('Done'), [codegen.value([null])]))
+    ]));
+
+    expect(codegen.print(codegen.program(body))).equals(
+      'var functions = require(EclairJS_Globals.NAMESPACE + \'/sql/functions\');\n' +
+      'var col = require(EclairJS_Globals.NAMESPACE + \'/sql/functions\').col;\n' +
+      'var dataFrame2 = dataFrame1.select(col("name"), 1);\n' +
+      'try {\n' +
+      '  JSON.stringify(dataFrame1.count());\n' +
+      '} finally {\n' +
+      '  new Done([null]);\n' +
+      '}'
+    );
+  });
+
+  it("should pass the target to an encoder", function() {
+    var df = codegen.raw('dataFrame1');
+
+    expect(codegen.print(codegen.stringify(codegen.call(codegen.member(df, 'collect')), 'function(r, t) {}', df)))
+      .equals('(function(r, t) {})(dataFrame1.collect(), dataFrame1)');
+  });
+});
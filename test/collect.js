@@ -0,0 +1,206 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+describe('Chunked Collect Test', function() {
+  var spark = new eclairjs({mode: 'local'});
+  var sc = new spark.SparkContext("local[*]", "Chunked Collect Test");
+
+  var numbers = [];
+  for (var i = 0; i < 25; i++) {
+    numbers.push(i);
+  }
+
+  it("should resolve to the whole array", function(done) {
+    sc.parallelize(numbers).collect({chunkSize: 10}).then(function(result) {
+      expect(result).deep.equals(numbers);
+      done();
+    }).catch(done);
+  });
+
+  it("should read the elements with an iterator, up to the last chunk", function(done) {
+    var codes = [];
+
+    sc.kernelP.then(function(kernel) {
+      var execute = kernel.execute;
+
+      kernel.execute = function(content) {
+        codes.push(content.code);
+
+        return execute.apply(kernel, arguments);
+      };
+
+      return sc.parallelize(numbers.slice(0, 20)).collect({chunkSize: 10, highWaterMark: 0}).then(function(result) {
+        expect(result).deep.equals(numbers.slice(0, 20));
+
+        var code = codes.join('\n');
+        expect(code).match(/var \w*eclairjsCollect\d+ = \w+\.toLocalIterator\(\);/);
+        expect(code).not.contains('.collect()');
+        // the second chunk of twenty elements is the last, nothing is requested after it
+        expect(code).contains('chunk: 1');
+        expect(code).not.contains('chunk: 2');
+
+        return sc.parallelize([]).collect({chunkSize: 10});
+      }).then(function(result) {
+        kernel.execute = execute;
+
+        expect(result).deep.equals([]);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it("should request chunks only as they are consumed", function(done) {
+    var chunks = [];
+
+    sc.kernelP.then(function(kernel) {
+      var execute = kernel.execute;
+
+      kernel.execute = function(content) {
+        var match = /chunk: (\d+)/.exec(content.code);
+
+        if (match) {
+          chunks.push(parseInt(match[1]));
+        }
+
+        return execute.apply(kernel, arguments);
+      };
+
+      var iterator = sc.parallelize(numbers).collect({chunkSize: 5, highWaterMark: 1})[Symbol.asyncIterator]();
+      var seen = [];
+
+      function next() {
+        return iterator.next().then(function(item) {
+          if (item.done || seen.length == 7) {
+            return;
+          }
+
+          seen.push(item.value);
+          return next();
+        });
+      }
+
+      return next().then(function() {
+        return iterator.return();
+      }).then(function() {
+        kernel.execute = execute;
+
+        expect(seen).deep.equals([0, 1, 2, 3, 4, 5, 6]);
+        // the chunk being read and one ahead of it, never the whole result
+        expect(chunks).deep.equals([0, 1, 2]);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it("should return Rows for Datasets", function(done) {
+    var session = spark.sql.SparkSession.builder().appName('Chunked Collect Test').getOrCreate();
+    var DataTypes = spark.sql.types.DataTypes;
+    var schema = DataTypes.createStructType([DataTypes.createStructField('n', DataTypes.IntegerType, true)]);
+
+    session.createDataFrame(numbers.map(function(n) {
+      return [n];
+    }), schema).collect({chunkSize: 7}).then(function(rows) {
+      expect(rows.length).equals(25);
+      expect(rows[24].getInt(0)).equals(24);
+      done();
+    }).catch(done);
+  });
+
+  it("should fail when a chunk request fails, without leaving the chunks fetched ahead unhandled", function(done) {
+    var unhandled = [];
+
+    function onUnhandled(e) {
+      unhandled.push(e);
+    }
+
+    process.on('unhandledRejection', onUnhandled);
+
+    sc.kernelP.then(function(kernel) {
+      var execute = kernel.execute;
+
+      kernel.execute = function(content) {
+        if (/chunk: [12]\b/.test(content.code)) {
+          content = {code: 'throw new Error("chunk lost");'};
+        }
+
+        return execute.call(kernel, content);
+      };
+
+      return sc.parallelize(numbers).collect({chunkSize: 5}).then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        kernel.execute = execute;
+        expect(e.message).contains('chunk lost');
+      });
+    }).then(function() {
+      // unhandled rejections are reported after the microtasks
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 10);
+      });
+    }).then(function() {
+      process.removeListener('unhandledRejection', onUnhandled);
+      expect(unhandled).deep.equals([]);
+      done();
+    }).catch(function(e) {
+      process.removeListener('unhandledRejection', onUnhandled);
+      done(e);
+    });
+  });
+
+  it("should fail when a chunk request completes without the chunk", function(done) {
+    sc.kernelP.then(function(kernel) {
+      var execute = kernel.execute;
+
+      kernel.execute = function(content) {
+        // what replaying a transcript does: the request succeeds, nothing comes over the comm
+        return execute.call(kernel, /chunk: 0\b/.test(content.code) ? {code: 'undefined;'} : content);
+      };
+
+      return sc.parallelize(numbers).collect({chunkSize: 10}).then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        kernel.execute = execute;
+        expect(e.message).equals('Chunk 0 of the collect never arrived');
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should fail clearly on a kernel without the collect comm target", function(done) {
+    sc.kernelP.then(function(kernel) {
+      var connectToComm = kernel.connectToComm;
+
+      // what a kernel that never registered the target does: the comm is never opened on its side
+      kernel.connectToComm = function() {
+        return {open: function() {}, send: function() {}, close: function() {}};
+      };
+
+      return sc.parallelize(numbers).collect({chunkSize: 10}).then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        kernel.connectToComm = connectToComm;
+        expect(e.message).contains('The kernel has no "collect" comm target, which collect({chunkSize}) needs');
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+var columnar = require('../lib/columnar.js');
+
+describe('Columnar Result Test', function() {
+  var spark = new eclairjs({mode: 'local'});
+  var sc = new spark.SparkContext("local[*]", "Columnar Test");
+  var session = spark.sql.SparkSession.builder().appName('Columnar Test').getOrCreate();
+  var DataTypes = spark.sql.types.DataTypes;
+
+  var schema = DataTypes.createStructType([
+    DataTypes.createStructField('name', DataTypes.StringType, true),
+    DataTypes.createStructField('age', DataTypes.IntegerType, true),
+    DataTypes.createStructField('score', DataTypes.DoubleType, true),
+    DataTypes.createStructField('active', DataTypes.BooleanType, true)
+  ]);
+
+  var rows = sc.parallelize(['ann,31,1.5,true', 'bob,,2.25,false', ',25,,true']).map(function(line, RowFactory) {
+    var parts = line.split(',');
+    return RowFactory.create([parts[0] || null, parts[1] ? parseInt(parts[1]) : null,
+      parts[2] ? parseFloat(parts[2]) : null, parts[3] == 'true']);
+  }, [spark.sql.RowFactory]);
+
+  var df = session.createDataFrame(rows, schema);
+
+  it("should collect the same rows as the JSON format", function(done) {
+    Promise.all([df.collect(), df.collect({format: 'columnar'})]).then(function(results) {
+      function json(row) {
+        return row.toJSON();
+      }
+
+      expect(results[1].map(json)).deep.equals(results[0].map(json));
+      expect(results[1][1].get(1)).equals(null);
+      expect(results[1][0].getBoolean(3)).equals(true);
+
+      return Promise.all([df.take(2, {format: 'columnar'}), df.head(undefined, {format: 'columnar'})]);
+    }).then(function(results) {
+      expect(results[0].length).equals(2);
+      expect(results[1].getString(0)).equals('ann');
+      done();
+    }).catch(done);
+  });
+
+  it("should resolve to typed columns", function(done) {
+    df.collect({format: 'columnar', columns: true}).then(function(result) {
+      expect(result.length).equals(3);
+      expect(result.column('age')).instanceof(Int32Array);
+      expect(Array.prototype.slice.call(result.column('score'))).deep.equals([1.5, 2.25, 0]);
+      expect(result.isNull('score', 2)).equals(true);
+      expect(result.isNull('age', 0)).equals(false);
+      expect(result.get(2, 'active')).equals(true);
+      expect(result.column('name')).deep.equals(['ann', 'bob', null]);
+      expect(result.values(1)).deep.equals(['bob', null, 2.25, false]);
+      done();
+    }).catch(done);
+  });
+
+  it("should reject a chunked columnar collect", function(done) {
+    df.collect({format: 'columnar', chunkSize: 2}).then(function() {
+      done(new Error('should have failed'));
+    }, function(e) {
+      expect(e.message).equals('A columnar collect can not be chunked');
+      done();
+    }).catch(done);
+  });
+
+  it("should reject results that are not columnar", function() {
+    expect(function() {
+      columnar.decode('{"values": [1]}');
+    }).to.throw('Not a columnar result');
+  });
+});
@@ -0,0 +1,190 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+// Records the code it is sent, and gives 3 as the result of anything that is not an assignment
+function FakeKernel() {
+  this.executed = [];
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  this.executed.push(msg.code);
+
+  setTimeout(function() {
+    if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '3'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+describe('Invoke Test', function() {
+  var spark = new eclairjs({mode: 'local'});
+  var sc = new spark.SparkContext("local[*]", "Invoke Test");
+
+  it("should call methods and return generic handles", function(done) {
+    var rdd = sc.invoke('parallelize', [[1, 2, 3]]);
+
+    expect(rdd).instanceof(spark.RemoteObject);
+
+    var doubled = rdd.invoke('map', [function(x) {
+      return x * 2;
+    }]);
+
+    doubled.invoke('collect', [], {returnType: [Number]}).then(function(result) {
+      expect(result).deep.equals([2, 4, 6]);
+
+      return rdd.invoke('count', [], {returnType: Number});
+    }).then(function(count) {
+      expect(count).equals(3);
+
+      // wrapper classes get invoke() too
+      return sc.parallelize([3, 1, 2]).invoke('filter', [function(x) {
+        return x > 1;
+      }], {returnType: spark.rdd.RDD}).collect();
+    }).then(function(result) {
+      expect(result).deep.equals([3, 2]);
+      done();
+    }).catch(done);
+  });
+
+  it("should call static methods of any module", function(done) {
+    var session = spark.sql.SparkSession.builder().appName('Invoke Test').getOrCreate();
+
+    // SparkSession.range() has no wrapper yet
+    var df = session.invoke('range', [3]);
+
+    var column = spark.invokeStatic('/sql/functions', 'col', ['id']).invoke('plus', [1]).invoke('as', ['next']);
+
+    df.invoke('select', [column]).invoke('columns', [], {returnType: Object}).then(function(columns) {
+      expect(columns).deep.equals(['next']);
+      done();
+    }).catch(done);
+  });
+
+  it("should give the classes no instance of which is tracked dispose() and invoke()", function(done) {
+    var recorded = new eclairjs({mode: 'record'});
+    var ssc = new recorded.SparkContext("local[*]", "Invoke Test");
+    var kernelP = ssc.kernelP;
+
+    var Model = recorded.ml.classification.LogisticRegressionModel;
+
+    // Transformer, an abstract class the ml module does not expose, has them before any instance is made
+    var proto = Model.prototype;
+    while (proto.constructor.name != 'Transformer') {
+      proto = Object.getPrototypeOf(proto);
+    }
+
+    expect(proto.hasOwnProperty('dispose')).equals(true);
+    expect(proto.hasOwnProperty('invoke')).equals(true);
+    expect(recorded.streaming.dstream.InputDStream.prototype.invoke).a('function');
+
+    // abstract classes only wrap objects made by someone else
+    var model = new Model(kernelP, Promise.resolve('lrModel'));
+    var stream = new recorded.streaming.dstream.InputDStream(kernelP, Promise.resolve('lines'));
+    var summary = model.evaluate(new recorded.RemoteObject(kernelP, Promise.resolve('test')));
+
+    summary.invoke('accuracy', [], {returnType: Number}).then(function() {
+      return Promise.all([summary.dispose(), stream.invoke('count').dispose()]);
+    }).then(function() {
+      return recorded.exportScript();
+    }).then(function(script) {
+      expect(script).match(/var (\w+) = lrModel\.evaluate\(test\);\n\1\.accuracy\(\);\n/);
+      expect(script).match(/var (\w+) = lines\.count\(\);\n/);
+      expect(script.match(/\w+ = null;\n/g).length).equals(2);
+      done();
+    }).catch(done);
+  });
+
+  it("should refuse names that are not identifiers", function() {
+    expect(function() {
+      sc.invoke('count(); evil');
+    }).to.throw('Not a method name');
+
+    expect(function() {
+      spark.invokeStatic('/sql/functions"); evil("', 'col');
+    }).to.throw('Not a module path');
+  });
+
+  describe('with a fake kernel', function() {
+    var kernel = new FakeKernel();
+    var fake = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}});
+    var fsc = new fake.SparkContext("local[*]", "Invoke Fake Test");
+
+    it("should generate method and static calls", function() {
+      var rdd = fsc.invoke('parallelize', [[1, 2, 3]]);
+      var doubled = rdd.invoke('map', [function(x) { return x * 2; }]);
+      var column = fake.invokeStatic('/sql/functions', 'col', ['id']).invoke('plus', [1]);
+      var vector = fake.invokeStatic('/mllib/linalg/Vectors#Vectors', 'dense', [[1, 2]]);
+
+      return Promise.all([
+        fsc.invoke('setLocalProperty', ['pool', 'fair'], {returnType: null}),
+        doubled.invoke('count', [], {returnType: Number}),
+        column.refIdP,
+        vector.refIdP
+      ]).then(function(results) {
+        expect(results.slice(2)).deep.equals(['remoteObject4', 'remoteObject5']);
+        expect(results[1]).equals(3);
+
+        var code = kernel.executed.join('\n');
+
+        expect(code).contains('var remoteObject1 = jsc.parallelize([1, 2, 3]);');
+        expect(code).contains('var remoteObject2 = remoteObject1.map(function(x) { return x * 2; });');
+        expect(code).contains('remoteObject2.count();');
+        expect(code).contains('jsc.setLocalProperty("pool", "fair");');
+        expect(code).contains('var functions = require(EclairJS_Globals.NAMESPACE + \'/sql/functions\');\n' +
+          'var remoteObject3 = functions.col("id");');
+        expect(code).contains('var remoteObject4 = remoteObject3.plus(1);');
+        expect(code).contains('var Vectors = require(EclairJS_Globals.NAMESPACE + \'/mllib/linalg/Vectors\').Vectors;\n' +
+          'var remoteObject5 = Vectors.dense([1, 2]);');
+      });
+    });
+
+    it("should reject method names and module paths that are not identifiers before sending anything", function() {
+      var sent = kernel.executed.length;
+
+      ['count(); evil', 'count()', 'a.b', '', '1st', 42, null].forEach(function(method) {
+        expect(function() {
+          fsc.invoke(method);
+        }).to.throw('Not a method name: ' + method);
+
+        expect(function() {
+          fake.invokeStatic('/sql/functions', method);
+        }).to.throw('Not a method name: ' + method);
+      });
+
+      ['sql/functions', '/sql/functions/', '/sql/../functions', '/sql/functions"); evil("', '/sql/functions#',
+        '/sql/functions#a#b', '/sql functions', '', null].forEach(function(modulePath) {
+        expect(function() {
+          fake.invokeStatic(modulePath, 'col', ['id']);
+        }).to.throw('Not a module path: ' + modulePath);
+      });
+
+      return fsc.invoke('version', [], {returnType: String}).then(function() {
+        // only the last call went out
+        expect(kernel.executed.slice(sent)).deep.equals(['jsc.version();']);
+      });
+    });
+  });
+});
@@ -14,7 +14,9 @@
  * limitations under the License.
  */
 
-// This is an Integration test and requires a running Notebook/Spark Kernel/EclairJS-nashorn setup
+// This is an Integration test and requires a running Notebook/Spark Kernel/EclairJS-nashorn setup.
+// ECLAIRJS_TRANSCRIPT=record saves the run to transcript.json, ECLAIRJS_TRANSCRIPT=replay runs it again from there
+// without any kernel.
 
 var assert = require('assert');
 var expect = require('chai').expect;
@@ -22,7 +24,9 @@ var path = require('path');
 var TestUtils = require('../lib/utils.js');
 
 var eclairjs = require('../../lib/index.js');
-var spark = new eclairjs();
+var spark = new eclairjs(process.env.ECLAIRJS_TRANSCRIPT ? {
+  transcript: {mode: process.env.ECLAIRJS_TRANSCRIPT, path: path.join(__dirname, 'transcript.json')}
+} : undefined);
 
 var sparkSession = spark.sql.SparkSession
   .builder()
@@ -0,0 +1,203 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var lambda = require('../lib/lambda.js');
+
+describe('Lambda Test', function() {
+  it("should ship a self contained lambda as is", function() {
+    var func = function(word, Tuple2) {
+      var parts = word.split(" ");
+      return new Tuple2(parts[0], Math.max(parts.length, 1));
+    };
+
+    expect(lambda.serialize(func)).equals(func.toString());
+  });
+
+  it("should bundle declared functions and data", function() {
+    var suffix = "!";
+
+    function shout(s) {
+      return s.toUpperCase() + suffix;
+    }
+
+    var src = lambda.serialize(lambda.lambda(function(word) {
+      return shout(word);
+    }, {shout: shout, suffix: suffix}));
+
+    expect(src).contains('var suffix = "!";\nvar shout = function shout(s) {');
+    expect(eval('(' + src + ')')("hi")).equals("HI!");
+  });
+
+  it("should fail on closure variables it cannot ship", function() {
+    var factor = 2;
+
+    expect(function() {
+      lambda.serialize(function(x) {
+        return x * factor;
+      });
+    }).to.throw(/uses "factor".*bindArgs/);
+  });
+
+  it("should transpile modern syntax to ES5", function() {
+    var src = lambda.serialize(({a, b}) => `${a}-${b}`);
+
+    expect(src).equals('function(_eclairjs1) {\nvar a = _eclairjs1.a, b = _eclairjs1.b;\nreturn ("" + (a) + "-" + (b));\n}');
+    expect(eval('(' + src + ')')({a: 1, b: 2})).equals('1-2');
+  });
+
+  it("should keep a per-iteration binding for closures in a loop", function() {
+    var src = lambda.serialize(() => {
+      const fs = [];
+      for (let i = 0; i < 3; i++) {
+        fs.push(() => i);
+      }
+      return fs.map((f) => f());
+    });
+
+    expect(eval('(' + src + ')')()).deep.equals([0, 1, 2]);
+
+    src = lambda.serialize((values) => {
+      const fs = [];
+      for (const v of values) {
+        if (v == 2) continue;
+        if (v == 4) break;
+        let w = v * 10;
+        fs.push(() => v + w);
+      }
+      return fs.map((f) => f());
+    });
+
+    expect(eval('(' + src + ')')([1, 2, 3, 4, 5])).deep.equals([11, 33]);
+  });
+
+  it("should return from a loop that runs its iterations in functions", function() {
+    var src = lambda.serialize(() => {
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          const f = () => i * 10 + j;
+          if (f() == 12) return f;
+        }
+      }
+    });
+
+    expect(eval('(' + src + ')')()()).equals(12);
+  });
+
+  it("should not let a block scoped binding replace another", function() {
+    var src = lambda.serialize(() => {
+      let y = 1;
+      {
+        let y = 2;
+      }
+      return y;
+    });
+
+    expect(eval('(' + src + ')')()).equals(1);
+
+    src = lambda.serialize((x) => {
+      const c = 1;
+      if (x) {
+        const c = 5;
+        x = c;
+      }
+      return c + ':' + x;
+    });
+
+    expect(src).contains('var c$1 = 5');
+    expect(eval('(' + src + ')')(true)).equals('1:5');
+  });
+
+  it("should start each iteration with an undefined let", function() {
+    var src = lambda.serialize((values) => {
+      const seen = [];
+      for (const v of values) {
+        let last;
+        if (v > 1) last = v;
+        seen.push(last);
+      }
+      return seen;
+    });
+
+    expect(eval('(' + src + ')')([2, 1])).deep.equals([2, undefined]);
+  });
+
+  it("should loop over Sets, Maps and Java Iterables with for...of", function() {
+    var src = lambda.serialize((values) => {
+      const seen = [];
+      for (const v of values) {
+        seen.push(v);
+      }
+      return seen;
+    });
+
+    var entries = lambda.serialize((map) => {
+      const seen = [];
+      for (const [k, v] of map) {
+        seen.push(k + '=' + v);
+      }
+      return seen;
+    });
+
+    var func = eval('(' + src + ')');
+
+    expect(func(new Set([1, 2, 2, 3]))).deep.equals([1, 2, 3]);
+    expect(eval('(' + entries + ')')(new Map([['a', 1], ['b', 2]]))).deep.equals(['a=1', 'b=2']);
+    expect(func('ab')).deep.equals(['a', 'b']);
+
+    // a java.lang.Iterable as Nashorn shows it
+    var list = ['x', 'y'];
+    expect(func({iterator: function() {
+      var i = 0;
+      return {hasNext: function() { return i < list.length; }, next: function() { return list[i++]; }};
+    }})).deep.equals(['x', 'y']);
+
+    expect(function() {
+      func({size: 2});
+    }).to.throw(TypeError, 'is not iterable');
+  });
+
+  it("should report block scoping it cannot keep", function() {
+    expect(function() {
+      lambda.serialize(() => {
+        for (let i = 0; i < 3; i++) {
+          i++;
+          setTimeout(() => i);
+        }
+      });
+    }).to.throw(/Lambda uses an assignment to i, whose iterations are captured by a closure \(line 3\)/);
+
+    expect(function() {
+      lambda.serialize(() => {
+        outer: while (true) {
+          for (let i = 0; i < 3; i++) {
+            setTimeout(() => i);
+            break outer;
+          }
+        }
+      });
+    }).to.throw(/Lambda uses a jump out of a loop whose iterations are captured by a closure \(line 5\)/);
+  });
+
+  it("should report syntax Nashorn cannot run", function() {
+    expect(function() {
+      lambda.serialize(function(row) {
+        return row?.name;
+      });
+    }).to.throw('Lambda uses optional chaining (line 2), which EclairJS-nashorn cannot run');
+  });
+});
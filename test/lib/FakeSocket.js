@@ -0,0 +1,103 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// Stands in for a ws WebSocket: records what is sent, and the test plays the server.
+function FakeSocket(url, options) {
+  EventEmitter.call(this);
+
+  this.url = url;
+  this.options = options;
+  this.sent = [];
+  this.closed = false;
+  this.readyState = 0;
+}
+
+util.inherits(FakeSocket, EventEmitter);
+
+FakeSocket.prototype.send = function(data) {
+  var msg = JSON.parse(data);
+  var scope = this;
+
+  if (this.closed) {
+    // as ws does
+    throw new Error('not opened');
+  }
+
+  this.sent.push(msg);
+
+  if (this.autoReply && msg.type == 'execute') {
+    // a server that runs everything: statements have no result
+    setTimeout(function() {
+      if (msg.code.indexOf('var ') !== 0) {
+        scope.receive({type: 'result', parent_id: msg.id, data: '0'});
+      }
+
+      scope.receive({type: 'done', parent_id: msg.id});
+    }, 0);
+  }
+};
+
+FakeSocket.prototype.close = function() {
+  if (!this.closed) {
+    this.closed = true;
+    this.readyState = 3;
+    this.emit('close');
+  }
+};
+
+FakeSocket.prototype.receive = function(msg) {
+  this.emit('message', JSON.stringify(msg));
+};
+
+/*
+ * A WebSocketTransport whose sockets are FakeSockets.
+ *
+ * fake.fail(n) says whether the nth socket fails to connect, fake.autoReply whether the sockets answer executes.
+ */
+FakeSocket.transport = function(WebSocketTransport, options, fake) {
+  var transport = new WebSocketTransport(options);
+  var fail = fake && fake.fail;
+
+  transport.sockets = [];
+
+  transport._open = function(url, socketOptions) {
+    var socket = new FakeSocket(url, socketOptions);
+
+    socket.autoReply = !!(fake && fake.autoReply);
+    transport.sockets.push(socket);
+
+    setTimeout(function() {
+      if (fail && fail(transport.sockets.length)) {
+        socket.emit('error', new Error('connect ECONNREFUSED'));
+        socket.closed = true;
+        socket.readyState = 3;
+        socket.emit('close');
+      } else {
+        socket.readyState = 1;
+        socket.emit('open');
+      }
+    }, 0);
+
+    return socket;
+  };
+
+  return transport;
+};
+
+module.exports = FakeSocket;
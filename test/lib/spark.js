@@ -71,9 +71,14 @@ FakeKernel.prototype.execute = function(msg) {
 };
 
 function FakeServer() {
+  var protocol = require('../../lib/kernel.js');
+
   this.kernelP = new Promise(function(resolve, reject) {
     resolve(new FakeKernel());
   });
+
+  this.namespace = new protocol.Namespace();
+  protocol.bindNamespace(this.kernelP, this.namespace);
 }
 
 FakeServer.prototype.getKernelPromise = function() {
@@ -0,0 +1,165 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+var vm = require('vm');
+
+var eclairjs = require('../lib/index.js');
+var literal = require('../lib/literal.js');
+var Utils = require('../lib/utils.js');
+
+// characters that break out of strings, comments or lines when written carelessly
+var HOSTILE = ['"', '\'', '\\', '`', '\n', '\r', ' ', ' ', '\u0000', '\ud800', '\udc00', '</script>', '${x}',
+  '*/', '//', '");evil("', '\\"', 'a', ' ', 'é', '😀'];
+
+var NUMBERS = [0, -0, 1, -1, 0.1, 1e21, 1e-7, Number.MAX_VALUE, Number.MIN_VALUE, Number.MAX_SAFE_INTEGER + 2, NaN,
+  Infinity, -Infinity];
+
+// a seeded generator, so a failure can be reproduced
+function random(seed) {
+  return function(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+}
+
+function randomString(next) {
+  var text = '';
+  var length = next(8);
+
+  for (var i = 0; i < length; i++) {
+    text += next(3) ? HOSTILE[next(HOSTILE.length)] : String.fromCharCode(next(65536));
+  }
+
+  return text;
+}
+
+function randomValue(next, depth) {
+  switch (next(depth > 2 ? 5 : 7)) {
+    case 0: return null;
+    case 1: return undefined;
+    case 2: return next(2) === 0;
+    case 3: return NUMBERS[next(NUMBERS.length)];
+    case 4: return randomString(next);
+    case 5:
+      var array = [];
+      for (var i = next(4); i > 0; i--) {
+        array.push(randomValue(next, depth + 1));
+      }
+      return array;
+    default:
+      var map = {};
+      for (var j = next(4); j > 0; j--) {
+        map[next(4) === 0 ? '__proto__' : randomString(next)] = randomValue(next, depth + 1);
+      }
+      return map;
+  }
+}
+
+// evaluates code the way the kernel does, with nothing else in scope
+function evaluate(code) {
+  var context = {touched: false};
+
+  var value = vm.runInNewContext('(' + code + '\n)', context);
+
+  expect(context.touched).equals(false);
+
+  return value;
+}
+
+function same(actual, expected) {
+  if (typeof expected == 'number') {
+    expect(Object.is(actual, expected), actual + ' is ' + expected).equals(true);
+  } else if (expected !== null && typeof expected == 'object') {
+    expect(Array.isArray(actual)).equals(Array.isArray(expected));
+    expect(Object.keys(actual)).deep.equals(Object.keys(expected));
+
+    Object.keys(expected).forEach(function(key) {
+      same(actual[key], expected[key]);
+    });
+  } else {
+    expect(actual).equals(expected);
+  }
+}
+
+describe('Literal Test', function() {
+  it("should evaluate to the same value for any generated value", function() {
+    var next = random(19);
+
+    for (var i = 0; i < 2000; i++) {
+      var value = randomValue(next, 0);
+      var code = literal(value);
+
+      try {
+        same(evaluate(code), value);
+      } catch (e) {
+        e.message = code + ': ' + e.message;
+        throw e;
+      }
+    }
+  });
+
+  it("should keep strings inside their literal", function() {
+    HOSTILE.forEach(function(a) {
+      HOSTILE.forEach(function(b) {
+        var text = a + 'touched = true' + b;
+
+        expect(evaluate(literal(text))).equals(text);
+        expect(evaluate(literal({key: [text]}))).deep.equals({key: [text]});
+        expect(evaluate('{' + literal(text) + ': 1}')[text]).equals(1);
+      });
+    });
+  });
+
+  it("should refuse values that are not data", function() {
+    var cycle = {};
+    cycle.self = [cycle];
+
+    expect(function() {
+      literal(function() {});
+    }).to.throw('function can not be sent');
+
+    expect(function() {
+      literal(cycle);
+    }).to.throw('circular');
+
+    expect(function() {
+      literal({df: {refIdP: Promise.resolve('df1')}});
+    }).to.throw('not inside a map');
+
+    // shared, but not circular
+    var shared = [1];
+    expect(evaluate(literal([shared, shared]))).deep.equals([[1], [1]]);
+  });
+
+  it("should encode arguments of generated calls", function(done) {
+    var spark = new eclairjs({mode: 'local'});
+    var sc = new spark.SparkContext("local[*]", "Literal Test");
+    var text = '"); touched = true; ("\\';
+
+    // a computed key is an own property, '__proto__': would set the prototype
+    var args = [text, NaN, {['__proto__']: [undefined]}, [-0, Infinity]];
+
+    same(evaluate(Utils.prepForReplacement(args)), args);
+
+    sc.parallelize([text, 'other']).filter(function(x, text) {
+      return x === text;
+    }, [text]).collect().then(function(result) {
+      expect(result).deep.equals([text]);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,357 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+describe('Local Mode Test', function() {
+  var spark = new eclairjs({mode: 'local'});
+  var sc = new spark.SparkContext("local[*]", "Local Test");
+
+  it("should run RDD and pair RDD operations", function(done) {
+    var words = sc.parallelize(['to be', 'or not', 'to be']).flatMap(function(line) {
+      return line.split(' ');
+    });
+
+    var counts = words.mapToPair(function(word, Tuple2) {
+      return new Tuple2(word, 1);
+    }, [spark.Tuple2]).reduceByKey(function(a, b) {
+      return a + b;
+    });
+
+    counts.collect().then(function(result) {
+      expect(result.map(function(t) {
+        return [t[0], t[1]];
+      })).deep.equals([['to', 2], ['be', 2], ['or', 1], ['not', 1]]);
+
+      return words.filter(function(word) {
+        return word.length > 2;
+      }).count();
+    }).then(function(count) {
+      expect(count).equals(1);
+      done();
+    }).catch(done);
+  });
+
+  it("should select, filter and aggregate Datasets", function(done) {
+    var session = spark.sql.SparkSession.builder().appName('Local Test').getOrCreate();
+    var DataTypes = spark.sql.types.DataTypes;
+    var functions = spark.sql.functions;
+
+    var schema = DataTypes.createStructType([
+      DataTypes.createStructField('name', DataTypes.StringType, true),
+      DataTypes.createStructField('age', DataTypes.IntegerType, true)
+    ]);
+
+    var rows = sc.parallelize(['ann,31', 'bob,17', 'ann,25']).map(function(line, RowFactory) {
+      var parts = line.split(',');
+      return RowFactory.create([parts[0], parseInt(parts[1])]);
+    }, [spark.sql.RowFactory]);
+
+    var df = session.createDataFrame(rows, schema);
+
+    df.filter('age >= 18').select('name').collect().then(function(result) {
+      expect(result.map(function(row) {
+        return row.getString(0);
+      })).deep.equals(['ann', 'ann']);
+
+      return df.groupBy('name').agg(functions.sum('age'), functions.avg('age').as('avgAge')).orderBy('name').collect();
+    }).then(function(result) {
+      expect(result.map(function(row) {
+        return row.toJSON();
+      })).deep.equals([{name: 'ann', 'sum(age)': 56, avgAge: 28}, {name: 'bob', 'sum(age)': 17, avgAge: 17}]);
+
+      return df.where(functions.col('age').lt(20)).count();
+    }).then(function(count) {
+      expect(count).equals(1);
+      done();
+    }).catch(done);
+  });
+
+  function pairs(result) {
+    return result.map(function(t) {
+      return [t[0], t[1]];
+    });
+  }
+
+  function values(rows) {
+    return rows.map(function(row) {
+      return row.toJSON();
+    });
+  }
+
+  var ages = sc.parallelize(['ann 31', 'bob 17', 'ann 25']).mapToPair(function(line, Tuple2) {
+    var parts = line.split(' ');
+    return new Tuple2(parts[0], parseInt(parts[1]));
+  }, [spark.Tuple2]);
+
+  it("should join pair RDDs", function(done) {
+    var cities = sc.parallelize(['ann Rome', 'bob Oslo', 'cid Lima']).mapToPair(function(line, Tuple2) {
+      var parts = line.split(' ');
+      return new Tuple2(parts[0], parts[1]);
+    }, [spark.Tuple2]);
+
+    ages.join(cities).collect().then(function(result) {
+      expect(result.map(function(t) {
+        return [t[0], t[1][0], t[1][1]];
+      })).deep.equals([['ann', 31, 'Rome'], ['bob', 17, 'Oslo'], ['ann', 25, 'Rome']]);
+      done();
+    }).catch(done);
+  });
+
+  it("should group, sort and reduce pair RDDs", function(done) {
+    ages.groupByKey().mapValues(function(values) {
+      return values.length;
+    }).collect().then(function(result) {
+      expect(pairs(result)).deep.equals([['ann', 2], ['bob', 1]]);
+
+      return ages.sortByKey(false).collect();
+    }).then(function(result) {
+      expect(pairs(result)).deep.equals([['bob', 17], ['ann', 31], ['ann', 25]]);
+
+      return ages.values().reduce(function(a, b) {
+        return a + b;
+      });
+    }).then(function(sum) {
+      expect(JSON.parse(sum)).equals(73);
+      done();
+    }).catch(done);
+  });
+
+  it("should take, order and index RDD elements", function(done) {
+    var numbers = sc.parallelize([5, 3, 1, 4]);
+
+    Promise.all([
+      numbers.take(2),
+      numbers.takeOrdered(2),
+      numbers.takeOrdered(2, function(a, b) {
+        return b - a;
+      }),
+      numbers.zipWithIndex().collect(),
+      numbers.union(sc.parallelize([9])).subtract(sc.parallelize([3, 4])).collect(),
+      numbers.aggregate(0, function(acc, x) {
+        return acc + x;
+      }, function(a, b) {
+        return a + b;
+      })
+    ]).then(function(results) {
+      expect(results[0]).deep.equals([5, 3]);
+      expect(results[1]).deep.equals([1, 3]);
+      expect(results[2]).deep.equals([5, 4]);
+      expect(pairs(results[3])).deep.equals([[5, 0], [3, 1], [1, 2], [4, 3]]);
+      expect(results[4]).deep.equals([5, 1, 9]);
+      expect(JSON.parse(results[5])).equals(13);
+      done();
+    }).catch(done);
+  });
+
+  it("should sample the same elements for the same seed", function(done) {
+    var numbers = sc.parallelize([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    Promise.all([
+      numbers.sample(false, 0.5, 7).collect(),
+      numbers.sample(false, 0.5, 7).collect(),
+      numbers.takeSample(false, 3, 7)
+    ]).then(function(results) {
+      expect(results[0]).deep.equals(results[1]);
+      expect(results[0].length).below(10);
+      expect(results[2].length).equals(3);
+      expect(new Set(results[2]).size).equals(3);
+      done();
+    }).catch(done);
+  });
+
+  describe('Datasets', function() {
+    var session = spark.sql.SparkSession.builder().appName('Local Test').getOrCreate();
+    var DataTypes = spark.sql.types.DataTypes;
+    var functions = spark.sql.functions;
+
+    var schema = DataTypes.createStructType([
+      DataTypes.createStructField('name', DataTypes.StringType, true),
+      DataTypes.createStructField('age', DataTypes.IntegerType, true)
+    ]);
+
+    function dataFrame(lines) {
+      return session.createDataFrame(sc.parallelize(lines).map(function(line, RowFactory) {
+        var parts = line.split(',');
+        return RowFactory.create([parts[0], parts[1] ? parseInt(parts[1]) : null]);
+      }, [spark.sql.RowFactory]), schema);
+    }
+
+    var people = dataFrame(['ann,31', 'bob,17', 'cid,', 'dan,25']);
+
+    it("should join Datasets on column names", function(done) {
+      var cities = session.createDataFrame(sc.parallelize(['ann,Rome', 'bob,Oslo', 'eve,Lima']).map(function(line, RowFactory) {
+        return RowFactory.create(line.split(','));
+      }, [spark.sql.RowFactory]), DataTypes.createStructType([
+        DataTypes.createStructField('name', DataTypes.StringType, true),
+        DataTypes.createStructField('city', DataTypes.StringType, true)
+      ]));
+
+      people.join(cities, 'name').collect().then(function(rows) {
+        expect(values(rows)).deep.equals([{name: 'ann', age: 31, city: 'Rome'}, {name: 'bob', age: 17, city: 'Oslo'}]);
+
+        return people.join(cities, 'name', 'left_outer').count().then(function() {
+          throw new Error('a left outer join should have failed');
+        }, function(e) {
+          expect(e.message).contains('Dataset.join() of type left_outer is not supported by the EclairJS local backend');
+        });
+      }).then(function() {
+        done();
+      }).catch(done);
+    });
+
+    it("should add, rename and drop columns", function(done) {
+      people.withColumn('double', functions.col('age').multiply(2)).withColumnRenamed('name', 'who').drop('age').collect()
+        .then(function(rows) {
+          expect(values(rows)).deep.equals([
+            {who: 'ann', double: 62}, {who: 'bob', double: 34}, {who: 'cid', double: null}, {who: 'dan', double: 50}
+          ]);
+
+          return people.toDF('n', 'a').columns();
+        }).then(function(columns) {
+          expect(columns).deep.equals(['n', 'a']);
+          done();
+        }).catch(done);
+    });
+
+    it("should order descending with nulls last and ascending with nulls first", function(done) {
+      function names(rows) {
+        return rows.map(function(row) {
+          return row.getString(0);
+        });
+      }
+
+      Promise.all([
+        people.orderBy(functions.col('age').desc()).collect(),
+        people.orderBy('age').collect(),
+        people.orderBy(functions.desc('name')).limit(2).collect()
+      ]).then(function(results) {
+        expect(names(results[0])).deep.equals(['ann', 'dan', 'bob', 'cid']);
+        expect(names(results[1])).deep.equals(['cid', 'bob', 'dan', 'ann']);
+        expect(names(results[2])).deep.equals(['dan', 'cid']);
+        done();
+      }).catch(done);
+    });
+
+    it("should handle nulls in filters and aggregates", function(done) {
+      Promise.all([
+        people.filter('age IS NULL').count(),
+        people.where(functions.col('age').isNotNull()).count(),
+        people.filter('age > 20').count(),
+        people.agg(functions.count('*'), functions.count('age'), functions.avg('age'), functions.max('age')).collect()
+      ]).then(function(results) {
+        expect(results[0]).equals(1);
+        expect(results[1]).equals(3);
+        // null > 20 is not true
+        expect(results[2]).equals(2);
+        expect(values(results[3])).deep.equals([{'count(1)': 4, 'count(age)': 3, 'avg(age)': 73 / 3, 'max(age)': 31}]);
+        done();
+      }).catch(done);
+    });
+
+    it("should remove duplicates and combine Datasets", function(done) {
+      var more = dataFrame(['ann,31', 'eve,40', 'eve,40']);
+
+      function names(rows) {
+        return rows.map(function(row) {
+          return row.getString(0);
+        });
+      }
+
+      Promise.all([
+        more.distinct().collect(),
+        people.union(more).dropDuplicates('name').collect(),
+        people.intersect(more).collect(),
+        more.except(people).collect()
+      ]).then(function(results) {
+        expect(names(results[0])).deep.equals(['ann', 'eve']);
+        expect(names(results[1])).deep.equals(['ann', 'bob', 'cid', 'dan', 'eve']);
+        expect(names(results[2])).deep.equals(['ann']);
+        expect(names(results[3])).deep.equals(['eve']);
+        done();
+      }).catch(done);
+    });
+
+    it("should give the first rows", function(done) {
+      Promise.all([people.head(), people.first(), people.take(2), people.head(3)]).then(function(results) {
+        expect(results[0].getString(0)).equals('ann');
+        expect(results[1].getString(0)).equals('ann');
+        expect(values(results[2])).deep.equals([{name: 'ann', age: 31}, {name: 'bob', age: 17}]);
+        expect(results[3].length).equals(3);
+        done();
+      }).catch(done);
+    });
+
+    it("should group with the shorthand aggregates", function(done) {
+      var more = people.union(dataFrame(['ann,29']));
+
+      Promise.all([
+        more.groupBy('name').count().orderBy('name').collect(),
+        more.groupBy('name').max('age').orderBy('name').collect(),
+        more.groupBy('name').agg({age: 'min'}).orderBy('name').collect()
+      ]).then(function(results) {
+        expect(values(results[0])[0]).deep.equals({name: 'ann', count: 2});
+        expect(values(results[1])[0]).deep.equals({name: 'ann', 'max(age)': 31});
+        expect(values(results[2])[0]).deep.equals({name: 'ann', 'min(age)': 29});
+        expect(values(results[2])[2]).deep.equals({name: 'cid', 'min(age)': null});
+        done();
+      }).catch(done);
+    });
+
+    it("should read json and csv files", function(done) {
+      var json = session.read().json(__dirname + '/data/test.json');
+      var csv = session.read().format('csv').option('inferSchema', 'true')
+        .load(__dirname + '/data/duplicatePeople.txt');
+
+      Promise.all([
+        json.filter("first = 'Darth'").count(),
+        json.columns(),
+        csv.select('_c2').distinct().count()
+      ]).then(function(results) {
+        expect(results[0]).equals(3);
+        expect(results[1]).deep.equals(['first', 'last']);
+        expect(results[2]).equals(2);
+        done();
+      }).catch(done);
+    });
+
+    it("should fail clearly on Dataset methods the local backend does not implement", function(done) {
+      people.repartition(2).count().then(function() {
+        done(new Error('repartition() should have failed'));
+      }, function(e) {
+        expect(e.message).contains('Dataset.repartition() is not supported by the EclairJS local backend');
+
+        return people.join(people, functions.col('name')).count();
+      }).then(function() {
+        done(new Error('a join on an expression should have failed'));
+      }, function(e) {
+        expect(e.message).contains('join on column names instead');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it("should fail clearly on methods the local backend does not implement", function(done) {
+    sc.parallelize([1, 2, 3]).saveAsObjectFile('/tmp/objects').then(function() {
+      done(new Error('saveAsObjectFile() should have failed'));
+    }).catch(function(e) {
+      expect(e.message).contains('RDD.saveAsObjectFile() is not supported by the EclairJS local backend');
+      done();
+    }).catch(done);
+  });
+});
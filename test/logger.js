@@ -0,0 +1,159 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+var logger = eclairjs.logger;
+
+function FakeKernel() {
+  this.comms = [];
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  setTimeout(function() {
+    if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '0'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+FakeKernel.prototype.connectToComm = function(targetName) {
+  var comm = {targetName: targetName, open: function() {}};
+  this.comms.push(comm);
+  return comm;
+};
+
+describe('Logger Test', function() {
+  var entries;
+
+  beforeEach(function() {
+    entries = [];
+
+    logger.configure({
+      level: 'warn',
+      categories: {codegen: 'debug', remote: 'info'},
+      sink: function(entry) {
+        entries.push(entry);
+      }
+    });
+  });
+
+  afterEach(function() {
+    logger.reset();
+  });
+
+  it("should parse the driver's log lines", function() {
+    expect(logger.parseRemote('16/10/19 10:00:00 INFO SparkContext: Running Spark version 2.0.0')).deep.equals(
+      {level: 'info', logger: 'SparkContext', message: 'Running Spark version 2.0.0'});
+    expect(logger.parseRemote('[WARN] org.apache.spark.util.Utils - Set SPARK_LOCAL_IP\n')).deep.equals(
+      {level: 'warn', logger: 'org.apache.spark.util.Utils', message: 'Set SPARK_LOCAL_IP'});
+    expect(logger.parseRemote('just some text')).deep.equals({level: 'info', logger: null, message: 'just some text'});
+  });
+
+  it("should route generated code and the driver log to the sink by category", function() {
+    var kernel = new FakeKernel();
+    var spark = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}});
+    var sc = new spark.SparkContext("local[*]", "logging");
+
+    return sc.parallelize([1, 2]).count().then(function() {
+      var remote = kernel.comms[0];
+      expect(remote.targetName).equals('logger');
+
+      remote.onMsg({content: {data: {log: '16/10/19 10:00:00 DEBUG BlockManager: ignored'}}});
+      remote.onMsg({content: {data: {log: '16/10/19 10:00:00 ERROR Executor: Exception in task 0.0'}}});
+
+      var count = entries.filter(function(entry) {
+        return entry.category == 'codegen' && entry.method == 'count';
+      })[0];
+
+      expect(count.level).equals('debug');
+      expect(count.className).equals('RDD');
+      expect(count.target).equals('rdd1');
+
+      // kernel is at the default warn level
+      expect(entries.filter(function(entry) {
+        return entry.category == 'kernel';
+      })).deep.equals([]);
+
+      var remoteEntries = entries.filter(function(entry) {
+        return entry.category == 'remote';
+      });
+
+      expect(remoteEntries.length).equals(1);
+      expect(remoteEntries[0].level).equals('error');
+      expect(remoteEntries[0].logger).equals('Executor');
+    });
+  });
+
+  it("should leave kernel errors to the caller unless asked for debug", function() {
+    var kernel = new FakeKernel();
+    var spark = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}});
+    var sc = new spark.SparkContext("local[*]", "logging");
+
+    kernel.execute = function(msg) {
+      var future = {};
+
+      setTimeout(function() {
+        if (msg.code.indexOf('count') >= 0) {
+          future.onReply({content: {status: 'error', ename: 'SparkException', evalue: 'Job aborted', traceback: []}});
+        }
+
+        future.onDone();
+      }, 0);
+
+      return future;
+    };
+
+    var rdd = sc.parallelize([1, 2]);
+
+    function kernelEntries() {
+      return entries.filter(function(entry) {
+        return entry.category == 'kernel';
+      });
+    }
+
+    return rdd.count().then(function() {
+      throw new Error('should have failed');
+    }, function(e) {
+      expect(e.message).contains('Job aborted');
+
+      // kernel is at the default warn level
+      expect(kernelEntries()).deep.equals([]);
+
+      logger.configure({categories: {kernel: 'debug'}});
+
+      return rdd.count();
+    }).then(function() {
+      throw new Error('should have failed');
+    }, function() {
+      var errors = kernelEntries().filter(function(entry) {
+        return entry.error;
+      });
+
+      expect(errors.length).equals(1);
+      expect(errors[0].level).equals('debug');
+      expect(errors[0].method).equals('count');
+      expect(errors[0].error.message).contains('Job aborted');
+    });
+  });
+});
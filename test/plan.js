@@ -0,0 +1,192 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+describe('Lazy Plan Test', function() {
+  function isPositive(x) {
+    return x > 0;
+  }
+
+  function double(x) {
+    return x * 2;
+  }
+
+  it("should reuse the objects of a chain built again and only make them for an action", function(done) {
+    var spark = new eclairjs({mode: 'record', lazy: true});
+    var sc = new spark.SparkContext("local[*]", "Plan Test");
+    var session = spark.sql.SparkSession.builder().appName('Plan Test').getOrCreate();
+
+    var rdd = sc.parallelize([1, 2, 3]);
+    var doubled = rdd.filter(isPositive).map(double);
+
+    expect(rdd.filter(isPositive).map(double)).equals(doubled);
+    expect(rdd.filter(double)).not.equals(rdd.filter(isPositive));
+
+    var people = session.read().format('json').load('people.json');
+    expect(session.read().format('json').load('people.json')).equals(people);
+
+    // a reader changed without chaining is a different reader
+    var reader = session.read();
+    reader.format('csv');
+    expect(reader.load('people.json')).not.equals(people);
+
+    var adults = session.sql('SELECT * FROM people');
+    expect(session.sql('SELECT * FROM people')).equals(adults);
+
+    spark.exportScript().then(function(script) {
+      expect(script).not.contains('parallelize');
+
+      people.createOrReplaceTempView('people');
+
+      // the view changed
+      expect(session.sql('SELECT * FROM people')).not.equals(adults);
+
+      return doubled.count();
+    }).then(function() {
+      return spark.exportScript();
+    }).then(function(script) {
+      expect(script.match(/\.filter\(/g).length).equals(1);
+      expect(script).contains('var rdd3 = rdd2.map(function double(x) {');
+
+      // made before the view changed, so it saw the view as it was
+      expect(script.indexOf('SELECT')).above(-1);
+      expect(script.indexOf('SELECT')).below(script.indexOf('createOrReplaceTempView'));
+      done();
+    }).catch(done);
+  });
+
+  it("should send the calls on a session made after a void call after it", function(done) {
+    var spark = new eclairjs({mode: 'record', lazy: true});
+    var session = spark.sql.SparkSession.builder().appName('Plan Test').getOrCreate();
+
+    session.read().json('people.json').createOrReplaceTempView('people');
+
+    session.sql('SELECT * FROM people').count().then(function() {
+      return spark.exportScript();
+    }).then(function(script) {
+      expect(script.indexOf('SELECT')).above(script.indexOf('createOrReplaceTempView'));
+      done();
+    }).catch(done);
+  });
+
+  it("should not count the objects that are never made as active calls", function(done) {
+    var spark = new eclairjs({mode: 'record', lazy: true});
+    var sc = new spark.SparkContext("local[*]", "Plan Test");
+
+    var rdd = sc.parallelize([1, 2, 3]);
+    rdd.filter(isPositive).map(double);
+
+    rdd.count().then(function() {
+      expect(spark.server.metrics().active).equals(0);
+      done();
+    }).catch(done);
+  });
+
+  it("should not send an object that is disposed before it is needed", function(done) {
+    var spark = new eclairjs({mode: 'record', lazy: true});
+    var sc = new spark.SparkContext("local[*]", "Plan Test");
+
+    var unused = sc.parallelize([1, 2, 3]).map(double);
+
+    unused.dispose().then(function() {
+      expect(unused._disposed).equals(true);
+
+      return spark.exportScript();
+    }).then(function(script) {
+      expect(script).not.contains('parallelize');
+      expect(script).not.contains('null');
+      done();
+    }).catch(done);
+  });
+
+  it("should make an object whose creation failed again", function(done) {
+    var executed = [];
+    var failures = 1;
+
+    // fails the first filter() it is sent
+    var kernel = {
+      execute: function(msg) {
+        var future = {};
+
+        executed.push(msg.code);
+
+        setTimeout(function() {
+          if (msg.code.indexOf('.filter(') >= 0 && failures-- > 0) {
+            future.onReply({content: {status: 'error', ename: 'Error', evalue: 'no executors', traceback: []}});
+          } else if (msg.code.indexOf('var ') !== 0) {
+            future.onIOPub({content: {data: {'text/plain': '2'}}});
+          }
+
+          future.onDone();
+        }, 0);
+
+        return future;
+      }
+    };
+
+    var spark = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}, lazy: true});
+    var sc = new spark.SparkContext("local[*]", "Plan Test");
+
+    var rdd = sc.parallelize([-1, 1, 2]);
+    var positive = rdd.filter(isPositive);
+
+    positive.count().then(function() {
+      throw new Error('should have failed');
+    }, function(e) {
+      expect(e.message).contains('no executors');
+
+      var again = rdd.filter(isPositive);
+
+      expect(again).not.equals(positive);
+      expect(rdd.filter(isPositive)).equals(again);
+
+      return again.count();
+    }).then(function(count) {
+      expect(count).equals(2);
+      expect(executed.filter(function(code) {
+        return code.indexOf('.filter(') >= 0;
+      }).length).equals(2);
+      done();
+    }).catch(done);
+  });
+
+  it("should compute the same results", function(done) {
+    var spark = new eclairjs({mode: 'local', lazy: true});
+    var sc = new spark.SparkContext("local[*]", "Plan Test");
+
+    var rdd = sc.parallelize([-1, 1, 2]);
+    var doubled = rdd.filter(isPositive).map(double);
+
+    doubled.collect().then(function(result) {
+      expect(result).deep.equals([2, 4]);
+
+      return doubled.dispose();
+    }).then(function() {
+      var again = rdd.filter(isPositive).map(double);
+
+      // a disposed object is made again
+      expect(again).not.equals(doubled);
+
+      return again.collect();
+    }).then(function(result) {
+      expect(result).deep.equals([2, 4]);
+      done();
+    }).catch(done);
+  });
+});
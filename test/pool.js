@@ -0,0 +1,244 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+function FakeKernel() {
+  this.executed = [];
+  this.alive = true;
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  this.executed.push(msg.code);
+
+  setTimeout(function() {
+    if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '0'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+FakeKernel.prototype.kernelInfo = function() {
+  return this.alive ? Promise.resolve({}) : Promise.reject(new Error('kernel is dead'));
+};
+
+function FakeTransport(id) {
+  this.id = id;
+  this.kernel = new FakeKernel();
+  this.stopped = false;
+}
+
+FakeTransport.prototype.connect = function() {
+  return Promise.resolve(this.kernel);
+};
+
+FakeTransport.prototype.shutdown = function() {
+  this.stopped = true;
+  return Promise.resolve();
+};
+
+describe('Session Pool Test', function() {
+  var transports;
+  var pool;
+
+  beforeEach(function() {
+    transports = [];
+
+    pool = new eclairjs.SessionPool({
+      size: 2,
+      appName: 'pooled',
+      healthInterval: 0,
+      transport: function(id) {
+        var transport = new FakeTransport(id);
+        transports.push(transport);
+        return transport;
+      }
+    });
+  });
+
+  afterEach(function() {
+    eclairjs.logger.reset();
+
+    return pool.shutdown();
+  });
+
+  it("should pre-start sessions with a ready SparkContext", function() {
+    return pool.start().then(function() {
+      expect(transports.length).equals(2);
+      expect(transports[0].kernel.executed.join('\n')).contains('new SparkContext("local[*]", "pooled-1")');
+      expect(pool.stats().map(function(s) {
+        return s.state;
+      })).deep.equals(['idle', 'idle']);
+    });
+  });
+
+  it("should keep a tenant on its session and isolate tenants", function() {
+    var first;
+
+    return pool.lease('acme').then(function(lease) {
+      first = lease;
+
+      return lease.sparkContext.parallelize([1, 2]).count().then(function() {
+        lease.release();
+        return pool.lease('acme');
+      });
+    }).then(function(lease) {
+      expect(lease.id).equals(first.id);
+
+      return pool.lease('globex').then(function(other) {
+        expect(other.id).not.equals(lease.id);
+        expect(transports[other.id - 1].kernel.executed.join('\n')).not.contains('parallelize');
+
+        lease.release();
+        other.release();
+      });
+    });
+  });
+
+  it("should recycle a one-off session once it is released", function() {
+    var recycled = [];
+
+    pool.on('recycled', function(session, reason) {
+      recycled.push(session.id + ' ' + reason);
+    });
+
+    return pool.lease().then(function(lease) {
+      lease.release();
+
+      expect(recycled).deep.equals([lease.id + ' released']);
+      expect(pool.stats().map(function(s) {
+        return s.id;
+      })).not.contains(lease.id);
+      expect(pool.stats().length).equals(2);
+    });
+  });
+
+  it("should replace sessions that fail their health check", function() {
+    return pool.start().then(function() {
+      transports[0].kernel.alive = false;
+
+      return pool.checkHealth();
+    }).then(function() {
+      expect(transports[0].stopped).equals(true);
+      expect(pool.stats().map(function(s) {
+        return s.id;
+      })).deep.equals([2, 3]);
+    });
+  });
+
+  it("should make waiting leases wait for a free session", function() {
+    var order = [];
+
+    return Promise.all([pool.lease('a'), pool.lease('b')]).then(function(leases) {
+      var third = pool.lease('c').then(function(lease) {
+        order.push('c');
+        lease.release();
+      });
+
+      setTimeout(function() {
+        order.push('release');
+        leases[0].release();
+        leases[1].release();
+      }, 10);
+
+      return third;
+    }).then(function() {
+      expect(order).deep.equals(['release', 'c']);
+    });
+  });
+
+  it("should health-check kernels without kernelInfo through batching and reconnecting", function() {
+    return pool.shutdown().then(function() {
+      pool = new eclairjs.SessionPool({
+        size: 1,
+        appName: 'wrapped',
+        healthInterval: 0,
+        batch: true,
+        reconnect: true,
+        transport: function(id) {
+          var transport = new FakeTransport(id);
+          transport.kernel.kernelInfo = null;
+          transports.push(transport);
+          return transport;
+        }
+      });
+
+      return pool.start();
+    }).then(function() {
+      return pool.checkHealth();
+    }).then(function() {
+      expect(pool.stats().map(function(s) {
+        return s.id;
+      })).deep.equals([1]);
+      expect(transports[transports.length - 1].kernel.executed.join('\n')).contains('.version()');
+    });
+  });
+
+  it("should stop a session whose start fails", function() {
+    var entries = [];
+
+    eclairjs.logger.configure({
+      sink: function(entry) {
+        entries.push(entry);
+      }
+    });
+
+    return pool.shutdown().then(function() {
+      pool = new eclairjs.SessionPool({
+        size: 1,
+        appName: 'failing',
+        healthInterval: 0,
+        transport: function(id) {
+          var transport = new FakeTransport(id);
+
+          transport.connect = function() {
+            return new Promise(function(resolve, reject) {
+              setTimeout(function() {
+                reject(new Error('no Spark today'));
+              }, 10);
+            });
+          };
+
+          return transport;
+        }
+      });
+
+      var failedP = new Promise(function(resolve) {
+        pool.once('sessionFailed', resolve);
+      });
+
+      pool.start().catch(function() {});
+
+      return Promise.all([failedP, pool.shutdown()]);
+    }).then(function() {
+      var failed = entries.filter(function(entry) {
+        return entry.category == 'kernel' && entry.message == 'Session failing-1 failed to start';
+      });
+
+      expect(failed.length).equals(1);
+      expect(failed[0].level).equals('warn');
+      expect(failed[0].error.message).equals('no Spark today');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+var WebSocketTransport = require('../lib/transports/WebSocketTransport.js');
+var FakeSocket = require('./lib/FakeSocket.js');
+
+function double(x) {
+  return x * 2;
+}
+
+// an instance on a WebSocket server whose nth connection fails when fail(n) is true
+function connect(fail, options) {
+  var transport = FakeSocket.transport(WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'},
+    {fail: fail, autoReply: true});
+
+  var spark = new eclairjs(Object.assign({transport: transport, reconnect: true, reconnectDelay: 1}, options));
+  var events = [];
+
+  ['disconnected', 'reconnected', 'replayed', 'replayFailed', 'stateLost', 'reconnectFailed'].forEach(function(name) {
+    spark.server.on(name, function(data) {
+      events.push({name: name, data: data});
+    });
+  });
+
+  return {spark: spark, transport: transport, events: events};
+}
+
+function once(emitter, name) {
+  return new Promise(function(resolve) {
+    emitter.once(name, resolve);
+  });
+}
+
+describe('Reconnect Test', function() {
+  it("should reject a connection attempt that fails after one that worked", function(done) {
+    var transport = FakeSocket.transport(WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'}, {
+      fail: function(n) {
+        return n > 1;
+      }
+    });
+
+    transport.connect('Reconnect Test').then(function(kernel) {
+      expect(kernel).to.be.an('object');
+
+      return transport.connect('Reconnect Test');
+    }).then(function() {
+      done(new Error('should have failed'));
+    }, function(e) {
+      expect(e.message).contains('ECONNREFUSED');
+      done();
+    }).catch(done);
+  });
+
+  it("should retry, then replay what is still alive once the kernel is back", function(done) {
+    // the 2nd and 3rd connections fail
+    var test = connect(function(n) {
+      return n == 2 || n == 3;
+    }, {replay: true, reconnectRetries: 4});
+
+    var spark = test.spark;
+    var sc = new spark.SparkContext("local[*]", "Reconnect Test");
+
+    var rdd = sc.parallelize([1, 2, 3]);
+    var doubled = rdd.map(double);
+    var unused = sc.parallelize([4]);
+
+    Promise.all([doubled.refIdP, unused.refIdP]).then(function() {
+      // rdd is still needed to replay doubled
+      return Promise.all([rdd.dispose(), unused.dispose()]);
+    }).then(function() {
+      var replayedP = once(spark.server, 'replayed');
+
+      test.transport.sockets[0].close();
+
+      return replayedP;
+    }).then(function(replayed) {
+      var sockets = test.transport.sockets;
+
+      expect(sockets.length).equals(4);
+      expect(test.events.map(function(e) {
+        return e.name;
+      })).deep.equals(['disconnected', 'reconnected', 'replayed']);
+
+      var script = sockets[3].sent[0].code;
+
+      expect(script).contains('.parallelize([1, 2, 3])');
+      expect(script).contains('.map(');
+      expect(script).not.contains('[4]');
+      expect(script).not.contains('null');
+
+      return doubled.count();
+    }).then(function() {
+      var sent = test.transport.sockets[3].sent;
+
+      expect(sent[sent.length - 1].code).contains('.count()');
+      done();
+    }).catch(done);
+  });
+
+  it("should replay the modules required by a statement that was disposed", function(done) {
+    var test = connect(function() {
+      return false;
+    }, {replay: true});
+
+    var spark = test.spark;
+    var sc = new spark.SparkContext("local[*]", "Reconnect Test");
+    var functions = spark.sql.functions;
+
+    // the statement that makes it is the first to use functions, so it comes with its require
+    var age = functions.col('age');
+
+    Promise.all([sc.refIdP, age.refIdP]).then(function() {
+      return age.dispose();
+    }).then(function() {
+      var replayedP = once(spark.server, 'replayed');
+
+      test.transport.sockets[0].close();
+
+      return replayedP;
+    }).then(function() {
+      var script = test.transport.sockets[1].sent[0].code;
+
+      expect(script).contains("require(EclairJS_Globals.NAMESPACE + '/sql/functions')");
+      expect(script).not.contains('"age"');
+
+      return functions.col('name').refIdP;
+    }).then(function() {
+      var sent = test.transport.sockets[1].sent;
+
+      // already required by the replay
+      expect(sent[sent.length - 1].code).not.contains('require(');
+      expect(sent[sent.length - 1].code).contains('functions.col("name")');
+      done();
+    }).catch(done);
+  });
+
+  it("should give up once the retries run out", function(done) {
+    var test = connect(function(n) {
+      return n > 1;
+    }, {reconnectRetries: 3});
+
+    var spark = test.spark;
+    var sc = new spark.SparkContext("local[*]", "Reconnect Test");
+    var rdd = sc.parallelize([1, 2, 3]);
+
+    rdd.refIdP.then(function() {
+      var failedP = once(spark.server, 'reconnectFailed');
+
+      test.transport.sockets[0].close();
+
+      return failedP;
+    }).then(function(e) {
+      expect(e.message).contains('ECONNREFUSED');
+      expect(test.transport.sockets.length).equals(4);
+
+      return rdd.count().then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        expect(e.message).contains('ECONNREFUSED');
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var eclairjs = require('../lib/index.js');
+var transports = require('../lib/transports/module.js');
+var protocol = require('../lib/kernel.js');
+
+describe('Record Mode Test', function() {
+  it("should capture the generated statements and resolve actions to placeholders", function(done) {
+    var spark = new eclairjs({mode: 'record'});
+    var sc = new spark.SparkContext("local[*]", "Record Test");
+
+    var rdd = sc.parallelize([1, 2, 3]);
+
+    rdd.count().then(function(count) {
+      expect(count).equals(0);
+
+      return rdd.collect();
+    }).then(function(result) {
+      expect(result).deep.equals([]);
+
+      return spark.exportScript();
+    }).then(function(script) {
+      expect(script).contains('var jsc = new SparkContext("local[*]", "Record Test");\n');
+      expect(script).contains('var rdd1 = jsc.parallelize([1, 2, 3]);\nrdd1.count();\nJSON.stringify(rdd1.collect());\n');
+      done();
+    }).catch(done);
+  });
+
+  it("should resolve every kind of action to a placeholder", function() {
+    var spark = new eclairjs({mode: 'record'});
+    var sc = new spark.SparkContext("local[*]", "Record Test");
+    var session = spark.sql.SparkSession.builder().appName('Record Test').getOrCreate();
+
+    var rdd = sc.parallelize([1, 2, 3]).map(function(x) {
+      return x * 2;
+    });
+
+    var df = session.read().json('people.json');
+
+    return Promise.all([
+      rdd.count(),
+      rdd.collect(),
+      rdd.take(2),
+      df.count(),
+      df.collect(),
+      df.columns(),
+      df.createOrReplaceTempView('people')
+    ]).then(function(results) {
+      // whatever the data, which is never read
+      expect(results).deep.equals([0, [], [], 0, [], [], '0']);
+    });
+  });
+
+  it("should write the script to the output file when the SparkContext is stopped", function() {
+    var output = path.join(os.tmpdir(), 'eclairjs-record-' + process.pid + '.js');
+
+    var spark = new eclairjs({mode: 'record', output: output});
+    var sc = new spark.SparkContext("local[*]", "Record Output Test");
+
+    var rdd = sc.parallelize([1, 2, 3]);
+    var written;
+
+    return rdd.count().then(function() {
+      expect(fs.existsSync(output)).equals(false);
+
+      return sc.stop();
+    }).then(function() {
+      written = fs.readFileSync(output, 'utf8');
+
+      fs.unlinkSync(output);
+
+      expect(written.indexOf('/*\n * Record Output Test\n *\n * Recorded by EclairJS Node on ')).equals(0);
+      expect(written).contains('spark-submit');
+      expect(written).contains('var jsc = new SparkContext("local[*]", "Record Output Test");\n');
+      expect(written).match(/var rdd1 = jsc\.parallelize\(\[1, 2, 3\]\);\nrdd1\.count\(\);\n$/);
+
+      return spark.exportScript();
+    }).then(function(script) {
+      function body(s) {
+        return s.replace(/Recorded by EclairJS Node on \S+/, '');
+      }
+
+      // what is written is what exportScript() gives
+      expect(body(written)).equals(body(script));
+    });
+  });
+
+  it("should record a script that runs on its own", function() {
+    var spark = new eclairjs({mode: 'record'});
+    var sc = new spark.SparkContext("local[*]", "Record Replay Test");
+    var session = spark.sql.SparkSession.builder().appName('Record Replay Test').getOrCreate();
+
+    var even = sc.parallelize([1, 2, 3, 4]).filter(function(x) {
+      return x % 2 == 0;
+    });
+
+    var people = session.read().json(__dirname + '/data/test.json');
+
+    // in sequence, so the collect is the last statement
+    return people.filter("first = 'Darth'").count().then(function() {
+      return even.map(function(x) {
+        return x * 10;
+      }).collect();
+    }).then(function() {
+      return spark.exportScript();
+    }).then(function(script) {
+      // what spark-submit would do with it, with the local backend standing in for EclairJS-nashorn
+      return new transports.LocalTransport().connect().then(function(kernel) {
+        return new Promise(function(resolve, reject) {
+          protocol.verifyKernelExecution(kernel.execute({code: script}), resolve, reject, null, {code: script});
+        });
+      });
+    }).then(function(result) {
+      expect(JSON.parse(result)).deep.equals([20, 40]);
+    });
+  });
+});
@@ -150,11 +150,11 @@ describe('SQL Test', function() {
       executeTest(
         function() {
           // Convert records of the RDD (people) to Rows.
-          rowRDD = people.map(function(person){
+          rowRDD = people.map(function(person, RowFactory){
             return RowFactory.create([person.name, person.age]);
-          });
+          }, [spark.sql.RowFactory]);
         }, function(msg) {
-          expect(msg.code).equals('var rdd3 = rdd2.map(function (person){\n            return RowFactory.create([person.name, person.age]);\n          });');
+          expect(msg.code).equals('var RowFactory = require(EclairJS_Globals.NAMESPACE + \'/sql/RowFactory\');\nvar rdd3 = rdd2.map(function (person, RowFactory){\n            return RowFactory.create([person.name, person.age]);\n          }, [RowFactory]);');
         },
         done
       );
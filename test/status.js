@@ -0,0 +1,221 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+// A kernel with the statusChanged signal of jupyter-js-services
+function FakeKernel() {
+  this.status = 'starting';
+  this.slots = [];
+  this.answer = true;
+
+  var scope = this;
+
+  this.statusChanged = {
+    connect: function(slot, thisArg) {
+      scope.slots.push({slot: slot, thisArg: thisArg});
+    },
+    disconnect: function() {}
+  };
+}
+
+FakeKernel.prototype.setStatus = function(status) {
+  var scope = this;
+
+  this.status = status;
+  this.slots.forEach(function(s) {
+    s.slot.call(s.thisArg, scope, status);
+  });
+};
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  setTimeout(function() {
+    if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '0'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+FakeKernel.prototype.kernelInfo = function() {
+  // a kernel that stopped answering never replies
+  return this.answer ? Promise.resolve({}) : new Promise(function() {});
+};
+
+function FakeTransport() {
+  this.kernel = new FakeKernel();
+}
+
+FakeTransport.prototype.connect = function() {
+  return Promise.resolve(this.kernel);
+};
+
+FakeTransport.prototype.shutdown = function() {
+  return Promise.resolve();
+};
+
+describe('Kernel Status Test', function() {
+  it("should report the status of the kernel and its WebSocket", function(done) {
+    var transport = new FakeTransport();
+    var spark = new eclairjs({transport: transport});
+    var server = spark.server;
+    var events = [];
+
+    server.on('status', function(status, previous) {
+      events.push(previous + '>' + status);
+    });
+
+    server.on('socketClosed', function(data) {
+      events.push('socketClosed ' + data.reconnecting);
+    });
+
+    server.on('socketOpened', function() {
+      events.push('socketOpened');
+    });
+
+    expect(server.health().connected).equals(false);
+
+    var sc = new spark.SparkContext("local[*]", "Status Test");
+
+    server.getKernelPromise().then(function() {
+      var kernel = transport.kernel;
+
+      kernel.setStatus('idle');
+      kernel.setStatus('busy');
+      kernel.setStatus('idle');
+      kernel.setStatus('reconnecting');
+
+      expect(server.health()).include({status: 'idle', connected: false});
+
+      kernel.setStatus('idle');
+      kernel.setStatus('restarting');
+      kernel.setStatus('dead');
+
+      expect(events).deep.equals([
+        'null>starting',
+        'starting>idle',
+        'idle>busy',
+        'busy>idle',
+        'socketClosed true',
+        'socketOpened',
+        'idle>restarting',
+        'restarting>dead'
+      ]);
+
+      expect(server.health()).include({status: 'dead', connected: false});
+
+      return sc.stop();
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should measure heartbeats and report missed ones", function(done) {
+    var transport = new FakeTransport();
+    var spark = new eclairjs({transport: transport, heartbeat: 10, heartbeatTimeout: 30});
+    var server = spark.server;
+    var sc = new spark.SparkContext("local[*]", "Heartbeat Test");
+
+    server.once('heartbeat', function(beat) {
+      expect(beat.latency).to.be.a('number');
+      expect(server.health().lastHeartbeat).instanceof(Date);
+
+      transport.kernel.answer = false;
+
+      server.once('heartbeatMissed', function(miss) {
+        expect(miss.error.message).contains('No heartbeat reply in 30ms');
+        expect(miss.missed).equals(1);
+        expect(server.health().missedHeartbeats).equals(1);
+
+        sc.stop().then(function() {
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
+  it("should not miss the heartbeats of a busy kernel without kernelInfo", function(done) {
+    var transport = new FakeTransport();
+    var kernel = transport.kernel;
+    var execute = kernel.execute;
+    var queued = [];
+
+    kernel.kernelInfo = null;
+
+    // cells wait while a long job runs
+    kernel.execute = function(msg) {
+      if (kernel.status != 'busy') {
+        return execute.call(kernel, msg);
+      }
+
+      var future = {};
+
+      queued.push(function() {
+        var reply = execute.call(kernel, msg);
+
+        reply.onIOPub = function(m) {
+          future.onIOPub(m);
+        };
+
+        reply.onDone = function(m) {
+          future.onDone(m);
+        };
+      });
+
+      return future;
+    };
+
+    var spark = new eclairjs({transport: transport, heartbeat: 10, heartbeatTimeout: 20});
+    var server = spark.server;
+    var sc = new spark.SparkContext("local[*]", "Heartbeat Test");
+
+    server.once('heartbeat', function() {
+      server.on('heartbeatMissed', function(miss) {
+        done(miss.error);
+      });
+
+      kernel.setStatus('busy');
+
+      setTimeout(function() {
+        expect(queued.length).equals(1);
+        expect(server.health().missedHeartbeats).equals(0);
+
+        server.once('heartbeat', function(beat) {
+          expect(beat.latency).above(50);
+          server.removeAllListeners('heartbeatMissed');
+
+          sc.stop().then(function() {
+            done();
+          }).catch(done);
+        });
+
+        kernel.setStatus('idle');
+        queued.shift()();
+      }, 100);
+    });
+
+    server.getKernelPromise().then(function() {
+      kernel.setStatus('idle');
+    }).catch(done);
+  });
+});
@@ -0,0 +1,247 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+
+// Reports busy before running, like a Jupyter kernel, and fails any count()
+function FakeKernel() {
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+
+  setTimeout(function() {
+    future.onIOPub({content: {execution_state: 'busy'}});
+
+    if (msg.code.indexOf('.count()') >= 0) {
+      future.onReply({content: {status: 'error', ename: 'Error', evalue: 'boom', traceback: []}});
+    } else if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '[1,2,3]'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+// Waits queued ms before reporting busy (never, if null), then running ms before the reply, and fails any code
+// containing fail
+function TimedKernel(queued, running, fail) {
+  this.queued = queued;
+  this.running = running;
+  this.fail = fail;
+}
+
+TimedKernel.prototype.execute = function(msg) {
+  var scope = this;
+  var future = {};
+
+  setTimeout(function() {
+    if (scope.queued !== null) {
+      future.onIOPub({content: {execution_state: 'busy'}});
+    }
+
+    setTimeout(function() {
+      if (scope.fail && msg.code.indexOf(scope.fail) >= 0) {
+        future.onReply({content: {status: 'error', ename: 'SparkException', evalue: 'Job aborted', traceback: []}});
+      } else if (msg.code.indexOf('var ') !== 0) {
+        future.onIOPub({content: {data: {'text/plain': '3'}}});
+      }
+
+      future.onDone();
+    }, scope.running);
+  }, scope.queued || 0);
+
+  return future;
+};
+
+function tracedSpark(kernel, tracer) {
+  return new eclairjs({
+    transport: {connect: function() { return Promise.resolve(kernel); }},
+    tracer: tracer
+  });
+}
+
+describe('Tracing Test', function() {
+  it("should report a span for every call and aggregate them", function() {
+    var spans = [];
+
+    var spark = new eclairjs({
+      transport: {connect: function() { return Promise.resolve(new FakeKernel()); }},
+      tracer: function(span) {
+        spans.push(span);
+      }
+    });
+
+    var sc = new spark.SparkContext("local[*]", "tracing");
+    var rdd = sc.parallelize([1, 2, 3]);
+
+    return rdd.collect().then(function() {
+      return rdd.count().then(function() {
+        throw new Error('count should have failed');
+      }, function() {
+      });
+    }).then(function() {
+      var collect = spans.filter(function(span) {
+        return span.name == 'RDD.collect';
+      })[0];
+
+      expect(collect.target).equals('rdd1');
+      expect(collect.success).equals(true);
+      expect(collect.bytes).equals(7);
+      expect(Object.keys(collect.phases)).deep.equals(['resolve', 'codegen', 'queue', 'execute']);
+      expect(collect.duration).equals(collect.phases.resolve + collect.phases.codegen + collect.phases.queue +
+        collect.phases.execute);
+
+      var metrics = spark.server.metrics();
+
+      expect(metrics.calls).equals(spans.length);
+      expect(metrics.active).equals(0);
+      expect(metrics.byMethod['SparkContext.parallelize'].calls).equals(1);
+      expect(metrics.byMethod['RDD.count'].errors).equals(1);
+      expect(metrics.byMethod['RDD.collect'].bytes).equals(7);
+    });
+  });
+
+  it("should end the span of a failed call with its error", function() {
+    var started = [];
+    var ended = [];
+
+    var spark = tracedSpark(new TimedKernel(0, 0, '.count()'), {
+      onStart: function(span) {
+        started.push(span);
+      },
+      onEnd: function(span) {
+        ended.push(span);
+      }
+    });
+
+    var sc = new spark.SparkContext("local[*]", "tracing");
+
+    return sc.parallelize([1, 2, 3]).count().then(function() {
+      throw new Error('count should have failed');
+    }, function(e) {
+      var count = ended.filter(function(span) {
+        return span.name == 'RDD.count';
+      })[0];
+
+      expect(started.map(function(span) {
+        return span.name;
+      })).contains('RDD.count');
+      expect(started[0].end).equals(null);
+
+      expect(count.success).equals(false);
+      expect(count.error).equals(e.name + ': ' + e.message);
+      expect(count.error).contains('Job aborted');
+      expect(count.bytes).equals(0);
+
+      var parallelize = ended.filter(function(span) {
+        return span.name == 'SparkContext.parallelize';
+      })[0];
+
+      expect(parallelize.success).equals(true);
+      expect(parallelize.error).equals(null);
+    });
+  });
+
+  it("should tell the time queued in the kernel from the time running from the busy status", function() {
+    var spans = [];
+
+    var spark = tracedSpark(new TimedKernel(40, 40), function(span) {
+      spans.push(span);
+    });
+
+    var sc = new spark.SparkContext("local[*]", "tracing");
+
+    return sc.parallelize([1, 2, 3]).count().then(function() {
+      var count = spans.filter(function(span) {
+        return span.name == 'RDD.count';
+      })[0];
+
+      // the busy status came 40ms after the call was sent, the result 40ms after that
+      expect(count.phases.queue).within(30, 200);
+      expect(count.phases.execute).within(30, 200);
+
+      var silent = [];
+
+      spark = tracedSpark(new TimedKernel(null, 40), function(span) {
+        silent.push(span);
+      });
+
+      sc = new spark.SparkContext("local[*]", "tracing");
+
+      return sc.parallelize([1, 2, 3]).count().then(function() {
+        var count = silent.filter(function(span) {
+          return span.name == 'RDD.count';
+        })[0];
+
+        // without a busy status, all of it is running
+        expect(count.phases.queue).equals(0);
+        expect(count.phases.execute).within(30, 200);
+      });
+    });
+  });
+
+  it("should sum the phases of the calls into the metrics", function() {
+    var spans = [];
+
+    var spark = tracedSpark(new TimedKernel(5, 5), function(span) {
+      spans.push(span);
+    });
+
+    var sc = new spark.SparkContext("local[*]", "tracing");
+    var rdd = sc.parallelize([1, 2, 3]);
+
+    return Promise.all([rdd.count(), rdd.count()]).then(function() {
+      var metrics = spark.server.metrics();
+
+      function sum(list, phase) {
+        return list.reduce(function(total, span) {
+          return total + span.phases[phase];
+        }, 0);
+      }
+
+      var counts = spans.filter(function(span) {
+        return span.name == 'RDD.count';
+      });
+
+      ['resolve', 'codegen', 'queue', 'execute'].forEach(function(phase) {
+        expect(metrics.phases[phase]).equals(sum(spans, phase));
+        expect(metrics.byMethod['RDD.count'].phases[phase]).equals(sum(counts, phase));
+      });
+
+      expect(metrics.phases.queue).above(0);
+      expect(metrics.byMethod['RDD.count'].calls).equals(2);
+      expect(metrics.byMethod['RDD.count'].avgTime).equals((counts[0].duration + counts[1].duration) / 2);
+
+      var buckets = metrics.buckets;
+      expect(Object.keys(buckets)).deep.equals(['10', '50', '100', '500', '1000', '5000', '30000', '+Inf']);
+      expect(Object.keys(buckets).reduce(function(total, bound) {
+        return total + buckets[bound];
+      }, 0)).equals(spans.length);
+
+      spark.server.resetMetrics();
+
+      metrics = spark.server.metrics();
+      expect(metrics.calls).equals(0);
+      expect(metrics.phases).deep.equals({resolve: 0, codegen: 0, queue: 0, execute: 0});
+      expect(metrics.byMethod).deep.equals({});
+    });
+  });
+});
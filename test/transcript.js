@@ -0,0 +1,84 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var eclairjs = require('../lib/index.js');
+
+describe('Transcript Test', function() {
+  var fixture = path.join(os.tmpdir(), 'eclairjs-transcript-' + process.pid + '.json');
+
+  function run(spark) {
+    var sc = new spark.SparkContext("local[*]", "Transcript Test");
+    var rdd = sc.parallelize([1, 2, 3, 4]).filter(function(n) {
+      return n % 2 === 0;
+    });
+
+    return {sc: sc, resultsP: Promise.all([rdd.collect(), rdd.count()])};
+  }
+
+  after(function() {
+    if (fs.existsSync(fixture)) {
+      fs.unlinkSync(fixture);
+    }
+  });
+
+  it("should replay the replies recorded from a kernel", function(done) {
+    var recorded = run(new eclairjs({mode: 'local', transcript: {mode: 'record', path: fixture}}));
+
+    recorded.resultsP.then(function(results) {
+      expect(results).deep.equals([[2, 4], 2]);
+
+      return recorded.sc.stop();
+    }).then(function() {
+      var transcript = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+      expect(transcript.entries.map(function(entry) {
+        return entry.code;
+      })).contains('rdd2.count();');
+
+      var replayed = run(new eclairjs({transcript: {mode: 'replay', path: fixture}}));
+
+      return replayed.resultsP.then(function(results) {
+        expect(results).deep.equals([[2, 4], 2]);
+
+        return replayed.sc.stop();
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should fail when the generated code diverges", function(done) {
+    var spark = new eclairjs({transcript: {mode: 'replay', path: fixture}});
+    var sc = new spark.SparkContext("local[*]", "Transcript Test");
+
+    sc.parallelize([1, 2, 3, 5]).count().then(function() {
+      done(new Error('count() should have failed'));
+    }).catch(function(e) {
+      expect(e.message).contains('Generated code diverges from the transcript: var rdd1 = jsc.parallelize([1, 2, 3, 5]);');
+
+      return sc.stop().then(function() {
+        done(new Error('stop() should have failed'));
+      }, function(e) {
+        expect(e.message).contains('not in the transcript');
+        done();
+      });
+    }).catch(done);
+  });
+});
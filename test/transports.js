@@ -0,0 +1,298 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require('http');
+var expect = require('chai').expect;
+
+var transports = require('../lib/transports/module.js');
+var protocol = require('../lib/kernel.js');
+var EclairJSError = require('../lib/EclairJSError.js');
+var FakeSocket = require('./lib/FakeSocket.js');
+
+// the headers of the WebSocket upgrade request a socket of jupyter-js-services sends
+function upgradeHeaders(server, url) {
+  return new Promise(function(resolve) {
+    server.once('upgrade', function(req, socket) {
+      resolve(req.headers);
+      socket.destroy();
+    });
+
+    new transports.JupyterTransport.WebSocket(url).on('error', function() {});
+  });
+}
+
+function execute(kernel, code) {
+  return new Promise(function(resolve, reject) {
+    protocol.verifyKernelExecution(kernel.execute({code: code, silent: false}), resolve, reject, [], {code: code});
+  });
+}
+
+describe('Transport Test', function() {
+  it("should pick the transport from the options", function() {
+    expect(transports.createTransport()).instanceof(transports.JupyterTransport);
+    expect(transports.createTransport({transport: 'jupyter'})).instanceof(transports.JupyterTransport);
+    expect(transports.createTransport({transport: 'websocket'})).instanceof(transports.WebSocketTransport);
+    expect(transports.createTransport({mode: 'record'})).instanceof(transports.RecordingTransport);
+    expect(transports.createTransport({mode: 'local'})).instanceof(transports.LocalTransport);
+
+    var custom = {connect: function() {}, shutdown: function() {}};
+    expect(transports.createTransport({transport: custom})).equals(custom);
+
+    var replay = transports.createTransport({transcript: {mode: 'replay', path: 'unused.json'}});
+    expect(replay).instanceof(transports.TranscriptTransport);
+    expect(replay.transport).equals(null);
+
+    expect(function() {
+      transports.createTransport({transport: 'carrier-pigeon'});
+    }).to.throw('Unknown EclairJS transport: carrier-pigeon');
+  });
+
+  it("should frame requests and replies as JSON messages", function(done) {
+    var transport = FakeSocket.transport(transports.WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'});
+
+    transport.connect('Transport Test').then(function(kernel) {
+      var socket = transport.sockets[0];
+
+      expect(socket.url).equals('ws://sparkhost:8080/eclairjs');
+
+      var resultP = execute(kernel, 'JSON.stringify(rdd1.count())');
+      var request = socket.sent[0];
+
+      expect(request).include({type: 'execute', code: 'JSON.stringify(rdd1.count())', silent: false});
+      expect(request.id).to.be.a('string');
+
+      // replies to other requests are not ours
+      socket.receive({type: 'result', parent_id: 'other', data: '"1"'});
+      socket.receive({type: 'result', parent_id: request.id, data: '3'});
+      socket.receive({type: 'done', parent_id: request.id});
+
+      return resultP.then(function(result) {
+        expect(result).equals('3');
+
+        var failedP = execute(kernel, 'rdd1.oops()');
+        var failed = socket.sent[1];
+
+        socket.receive({type: 'error', parent_id: failed.id, ename: 'TypeError', evalue: 'oops is not a function',
+          traceback: []});
+        socket.receive({type: 'done', parent_id: failed.id});
+
+        return failedP.then(function() {
+          throw new Error('should have failed');
+        }, function(e) {
+          expect(e).instanceof(EclairJSError);
+          expect(e.message).contains('oops is not a function');
+
+          var comm = kernel.connectToComm('collect', 'comm-1');
+          var received = [];
+
+          comm.onMsg = function(msg) {
+            received.push(msg.content.data);
+          };
+
+          comm.open({chunk: 0});
+          socket.receive({type: 'comm_msg', comm_id: 'comm-1', data: {rows: [1]}});
+          socket.receive({type: 'comm_msg', comm_id: 'unknown', data: {rows: [2]}});
+          comm.close();
+
+          expect(socket.sent.slice(2)).deep.equals([
+            {type: 'comm_open', comm_id: 'comm-1', target_name: 'collect', data: {chunk: 0}},
+            {type: 'comm_close', comm_id: 'comm-1'}
+          ]);
+          expect(received).deep.equals([{rows: [1]}]);
+
+          var interruptP = kernel.interrupt();
+          var interrupt = socket.sent[4];
+
+          expect(interrupt.type).equals('interrupt');
+          socket.receive({type: 'done', parent_id: interrupt.id});
+
+          return interruptP;
+        });
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should signal the status and fail requests in flight when the socket closes", function(done) {
+    var transport = FakeSocket.transport(transports.WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'});
+
+    transport.connect('Transport Test').then(function(kernel) {
+      var statuses = [];
+
+      kernel.statusChanged.connect(function(sender, status) {
+        expect(sender).equals(kernel);
+        statuses.push(status);
+      });
+
+      var pendingP = execute(kernel, 'rdd1.count()');
+
+      // not valid JSON, ignored
+      transport.sockets[0].emit('message', '{');
+      transport.sockets[0].close();
+
+      return pendingP.then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        expect(e.message).contains('Connection to EclairJS server closed');
+        expect(statuses).deep.equals(['disconnected', 'dead']);
+        expect(kernel.status).equals('dead');
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should fail the requests made once the socket is closed without throwing", function(done) {
+    var transport = FakeSocket.transport(transports.WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'});
+
+    transport.connect('Transport Test').then(function(kernel) {
+      var socket = transport.sockets[0];
+
+      socket.close();
+
+      var closedP = execute(kernel, 'rdd1.count()');
+
+      // a socket that still says it is open, but fails to send
+      socket.readyState = 1;
+      socket.send = function() {
+        throw new Error('not opened');
+      };
+
+      var failedP = execute(kernel, 'rdd1.collect()');
+
+      return Promise.all([closedP.then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        expect(e.message).contains('Connection to EclairJS server closed');
+      }), failedP.then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        expect(e.message).contains('not opened');
+      }), kernel.interrupt().then(function() {
+        throw new Error('should have failed');
+      }, function(e) {
+        expect(e.message).contains('not opened');
+      })]).then(function() {
+        expect(kernel._futures).deep.equals({});
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should not signal a shutdown as a lost connection", function(done) {
+    var transport = FakeSocket.transport(transports.WebSocketTransport, {url: 'ws://sparkhost:8080/eclairjs'});
+
+    transport.connect('Transport Test').then(function(kernel) {
+      var statuses = [];
+      var socket = transport.sockets[0];
+
+      kernel.statusChanged.connect(function(sender, status) {
+        statuses.push(status);
+      });
+
+      var shutdownP = transport.shutdown();
+      var request = socket.sent[0];
+
+      expect(request.type).equals('shutdown');
+      socket.receive({type: 'done', parent_id: request.id});
+
+      return shutdownP.then(function() {
+        expect(socket.closed).equals(true);
+        expect(statuses).deep.equals([]);
+      });
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it("should build the Jupyter urls and headers from the options", function(done) {
+    var env = {JUPYTER_HOST: process.env.JUPYTER_HOST, JUPYTER_PORT: process.env.JUPYTER_PORT};
+
+    function restore() {
+      Object.keys(env).forEach(function(name) {
+        if (env[name] !== undefined) {
+          process.env[name] = env[name];
+        }
+      });
+    }
+
+    delete process.env.JUPYTER_HOST;
+    delete process.env.JUPYTER_PORT;
+
+    var transport = new transports.JupyterTransport({host: 'sparkhost', port: 443, basePath: 'jupyter/', secure: true,
+      token: 'secret', headers: {'X-Team': 'data'}, kernelName: 'eclair-2'});
+
+    Promise.all([transport._getSessionOptions(), new transports.JupyterTransport()._getSessionOptions()]).then(function(options) {
+      expect(options[0]).deep.equals({
+        baseUrl: 'https://sparkhost:443/jupyter',
+        wsUrl: 'wss://sparkhost:443/jupyter',
+        kernelName: 'eclair-2',
+        clientId: transport.clientId,
+        ajaxSettings: {requestHeaders: {'X-Team': 'data', Authorization: 'token secret'}}
+      });
+
+      expect(options[1].baseUrl).equals('http://127.0.0.1:8888');
+      expect(options[1].wsUrl).equals('ws://127.0.0.1:8888');
+      expect(options[1].kernelName).equals('eclair');
+      expect(options[1].ajaxSettings).deep.equals({requestHeaders: {}});
+    }).then(function() {
+      restore();
+      done();
+    }).catch(function(e) {
+      restore();
+      done(e);
+    });
+  });
+
+  it("should send each Jupyter WebSocket with the headers of its own connection", function(done) {
+    var server = http.createServer();
+
+    server.listen(0, '127.0.0.1', function() {
+      var port = server.address().port;
+      var first = new transports.JupyterTransport({host: '127.0.0.1', port: port, token: 'first'});
+      var second = new transports.JupyterTransport({host: '127.0.0.1', port: port, headers: {'X-Team': 'second'}});
+
+      function socketUrl(options) {
+        return options.wsUrl + '/api/kernels/1/channels?session_id=' + options.clientId;
+      }
+
+      Promise.all([first._getSessionOptions(), second._getSessionOptions()]).then(function(options) {
+        return upgradeHeaders(server, socketUrl(options[0])).then(function(headers) {
+          expect(headers.authorization).equals('token first');
+          expect(headers['x-team']).equals(undefined);
+
+          return upgradeHeaders(server, socketUrl(options[1]));
+        }).then(function(headers) {
+          expect(headers.authorization).equals(undefined);
+          expect(headers['x-team']).equals('second');
+
+          return first.detach();
+        }).then(function() {
+          return upgradeHeaders(server, socketUrl(options[0]));
+        });
+      }).then(function(headers) {
+        expect(headers.authorization).equals(undefined);
+        server.close();
+        done();
+      }).catch(function(e) {
+        server.close();
+        done(e);
+      });
+    });
+  });
+});
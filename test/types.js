@@ -0,0 +1,175 @@
+/*
+ * Copyright 2016 IBM Corp.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var expect = require('chai').expect;
+
+var eclairjs = require('../lib/index.js');
+var values = require('../lib/sql/values.js');
+
+// Answers every execute, and collect() with the rows it is given encoded the way the kernel would encode them
+function FakeKernel(rows, schema) {
+  this.code = [];
+  this.rows = rows;
+  this.schema = schema;
+}
+
+FakeKernel.prototype.execute = function(msg) {
+  var future = {};
+  var scope = this;
+
+  this.code.push(msg.code);
+
+  setTimeout(function() {
+    if (msg.code.indexOf('.collect()') >= 0) {
+      var encode = eval('(' + values.ENCODER + ')');
+      var result = encode(scope.rows, {schema: function() { return scope.schema; }});
+
+      future.onIOPub({content: {data: {'text/plain': result}}});
+    } else if (msg.code.indexOf('var ') !== 0) {
+      future.onIOPub({content: {data: {'text/plain': '0'}}});
+    }
+
+    future.onDone();
+  }, 0);
+
+  return future;
+};
+
+// a Row of the kernel, whose longs hold every digit but whose JSON does not
+function KernelRow(values, schema) {
+  this.values = values;
+  this.schema = schema;
+}
+
+KernelRow.prototype.isNullAt = function(i) {
+  return this.values[i] === null;
+};
+
+KernelRow.prototype.get = function(i) {
+  return this.values[i];
+};
+
+KernelRow.prototype.toJSON = function() {
+  return {values: this.values.map(function(value) {
+    return typeof value == 'bigint' ? Number(value) : value;
+  }), schema: this.schema};
+};
+
+describe('Type Mapping Test', function() {
+  var spark = new eclairjs({mode: 'local', bigint: true});
+  var sc = new spark.SparkContext("local[*]", "Type Test");
+  var session = spark.sql.SparkSession.builder().appName('Type Test').getOrCreate();
+  var DataTypes = spark.sql.types.DataTypes;
+
+  var schema = DataTypes.createStructType([
+    DataTypes.createStructField('id', DataTypes.LongType, false),
+    DataTypes.createStructField('amount', DataTypes.createDecimalType(38, 3), true),
+    DataTypes.createStructField('time', DataTypes.TimestampType, true),
+    DataTypes.createStructField('data', DataTypes.BinaryType, true)
+  ]);
+
+  var time = new Date(2016, 9, 19, 10, 30, 15, 250);
+
+  var df = session.createDataFrame([
+    spark.sql.RowFactory.create([BigInt(42), new spark.sql.Decimal('12345678901234567890.125'), time, Buffer.from([1, 200, 255])]),
+    spark.sql.RowFactory.create([BigInt(7), null, null, null])
+  ], schema);
+
+  function check(rows) {
+    expect(rows[0].getLong(0)).equals(BigInt(42));
+    expect(rows[0].getDecimal(1).toString()).equals('12345678901234567890.125');
+    expect(rows[0].getTimestamp(2).getTime()).equals(time.getTime());
+    expect(rows[0].get(3)).deep.equals(Buffer.from([1, 200, 255]));
+    expect(rows[1].getDecimal(1)).equals(null);
+  }
+
+  it("should map collected values to BigInt, Decimal, Date and Buffer", function(done) {
+    df.collect().then(function(rows) {
+      check(rows);
+
+      return df.collect({format: 'columnar'});
+    }).then(function(rows) {
+      check(rows);
+
+      return df.collect({format: 'columnar', columns: true});
+    }).then(function(result) {
+      expect(result.column('id')).instanceof(BigInt64Array);
+      expect(result.get(0, 'time').getTime()).equals(time.getTime());
+      expect(result.get(0, 'data')).deep.equals(Buffer.from([1, 200, 255]));
+      done();
+    }).catch(done);
+  });
+
+  it("should generate Spark values for BigInt, Decimal, Date and Buffer arguments", function() {
+    expect(values.literal(BigInt('9007199254740993'))).equals('java.lang.Long.valueOf("9007199254740993")');
+    expect(values.literal(new values.Decimal('-0.10'))).equals('new java.math.BigDecimal("-0.10")');
+    expect(values.literal(new Date(0))).equals('new (require(EclairJS_Globals.NAMESPACE + \'/sql/SqlTimestamp\'))(0)');
+    expect(values.literal(values.typed(new Date(0), 'date'))).contains('/sql/SqlDate');
+    expect(values.literal(Buffer.from([1, 255]))).equals('Java.to([1,-1], "byte[]")');
+
+    expect(function() {
+      new values.Decimal('1; evil()');
+    }).to.throw('Not a decimal');
+  });
+
+  it("should generate a decimal type with a precision only", function(done) {
+    var kernel = new FakeKernel();
+    var fake = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}});
+    var types = fake.sql.types.DataTypes;
+
+    fake.sql.SparkSession.builder().appName('Type Test').getOrCreate();
+
+    types.createStructField('amount', types.createDecimalType(12), true).refIdP.then(function() {
+      var code = kernel.code.join('\n');
+
+      expect(code).contains('createDecimalType(12, 0)');
+      expect(code).not.contains('NaN');
+      done();
+    }).catch(done);
+  });
+
+  it("should collect the longs a number can not hold without losing digits", function(done) {
+    var schema = {fields: [{name: 'id', dataType: 'long', nullable: false},
+      {name: 'amount', dataType: 'decimal(38,3)', nullable: true}]};
+
+    var kernel = new FakeKernel([
+      new KernelRow([BigInt('9007199254740993'), new values.Decimal('12345678901234567890.125')], schema),
+      new KernelRow([BigInt(7), null], schema)
+    ], schema);
+
+    var fake = new eclairjs({transport: {connect: function() { return Promise.resolve(kernel); }}, bigint: true});
+    var fakeSession = fake.sql.SparkSession.builder().appName('Type Test').getOrCreate();
+
+    fakeSession.sql('SELECT * FROM amounts').collect().then(function(rows) {
+      expect(rows[0].getLong(0)).equals(BigInt('9007199254740993'));
+      expect(rows[0].getDecimal(1).toString()).equals('12345678901234567890.125');
+      expect(rows[1].getLong(0)).equals(BigInt(7));
+      done();
+    }).catch(done);
+  });
+
+  it("should not make a BigInt of a long that was already rounded", function() {
+    expect(function() {
+      values.fromKernel(9007199254740993, 'long', {bigint: true});
+    }).to.throw('lost its precision');
+  });
+
+  it("should keep longs as numbers unless BigInt is asked for", function() {
+    expect(values.fromKernel('9007199254740993', 'long', {bigint: true})).equals(BigInt('9007199254740993'));
+    expect(values.fromKernel(12, 'long')).equals(12);
+    expect(values.fromKernel('2016-10-19 10:30:15.250', 'timestamp').getTime()).equals(time.getTime());
+  });
+});
@@ -85,6 +85,80 @@ TestClass.moduleLocation = 'test/TestClass';
 
 var testClassInstance = new TestClass(sc.kernelP, Promise.resolve('tci'));
 
+// Runs one cell at a time, in order, like a Jupyter kernel.  Cells run until finish() or interrupt().
+function QueueKernel() {
+  this.cells = [];
+  this.running = null;
+  this.executed = [];
+  this.interrupted = [];
+}
+
+QueueKernel.prototype.execute = function(msg) {
+  var scope = this;
+  var cell = {code: msg.code, future: {}};
+
+  this.executed.push(msg.code);
+  this.cells.push(cell);
+
+  setTimeout(function() {
+    scope._next();
+  }, 0);
+
+  return cell.future;
+};
+
+QueueKernel.prototype._next = function() {
+  if (!this.running && this.cells.length > 0) {
+    var cell = this.running = this.cells.shift();
+
+    cell.future.onIOPub({msg_type: 'execute_input', content: {code: cell.code}});
+
+    if (cell.code.indexOf('cancelJobGroup') >= 0) {
+      this.finish();
+    }
+  }
+};
+
+QueueKernel.prototype.finish = function(result) {
+  var scope = this;
+  var cell = this.running;
+
+  this.running = null;
+
+  if (typeof result != 'undefined') {
+    cell.future.onIOPub({content: {data: {'text/plain': result}}});
+  }
+
+  cell.future.onDone();
+
+  setTimeout(function() {
+    scope._next();
+  }, 0);
+};
+
+QueueKernel.prototype.interrupt = function() {
+  this.interrupted.push(this.running ? this.running.code : null);
+
+  if (this.running) {
+    this.running.future.onReply({content: {status: 'error', ename: 'Interrupted', evalue: 'interrupted', traceback: []}});
+    this.finish();
+  }
+
+  return Promise.resolve();
+};
+
+function waitFor(check) {
+  return new Promise(function(resolve) {
+    (function poll() {
+      if (check()) {
+        resolve();
+      } else {
+        setTimeout(poll, 1);
+      }
+    })();
+  });
+}
+
 describe('Utils Test', function() {
   before(function() {
     var protocol = require('../lib/kernel.js');
@@ -350,6 +424,184 @@ describe('Utils Test', function() {
     });
   });
 
+  describe("dispose of a cached object", function() {
+    it("should generate the correct output", function(done) {
+      executeTest(
+        function(callback, error) {
+          var args = {
+            target: testClassInstance,
+            method: 'cache',
+            returnType: TestClass
+          };
+
+          var obj = Utils.generate(args);
+
+          onceDone(obj).then(function() {
+            return obj.dispose();
+          }).then(callback).catch(error);
+        }, function(result) {
+          expect(result).deep.equals([
+            'var testClass9 = tci.cache();',
+            'if (testClass9 && typeof testClass9.unpersist == "function") { testClass9.unpersist(); }\ntestClass9 = null;'
+          ]);
+        },
+        done
+      );
+    });
+  });
+
+  describe("Method call with a timeout", function() {
+    it("should run in its own job group", function(done) {
+      executeTest(
+        function(callback, error) {
+          var args = {
+            target: testClassInstance,
+            method: 'count',
+            returnType: Number
+          };
+
+          Utils.generate(args).withTimeout(60000).then(callback).catch(error);
+        }, function(result) {
+          expect(result).equals(
+            'org.apache.spark.SparkContext.getOrCreate().setJobGroup("eclairjsJob1", "EclairJS TestClass.count", true);\n' +
+            'try {\n' +
+            '  var eclairjsCancellableResult = tci.count();\n' +
+            '} finally {\n' +
+            '  org.apache.spark.SparkContext.getOrCreate().clearJobGroup();\n' +
+            '}\n' +
+            'eclairjsCancellableResult;'
+          );
+        },
+        done
+      );
+    });
+  });
+
+  describe("Cancelled method call", function() {
+    it("should reject with a CancellationError", function(done) {
+      var CancellationError = require('../lib/CancellationError.js');
+
+      var args = {
+        target: testClassInstance,
+        method: 'count',
+        returnType: Number
+      };
+
+      Utils.generate(args).cancel().then(function() {
+        done(new Error('should have been cancelled'));
+      }).catch(function(e) {
+        try {
+          expect(e).to.be.an.instanceof(CancellationError);
+          expect(e.reason).equals('cancelled');
+          expect(e.method).equals('count');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+    });
+  });
+
+  describe("Cancelled running method call", function() {
+    it("should only interrupt its own cell", function(done) {
+      var CancellationError = require('../lib/CancellationError.js');
+
+      var kernel = new QueueKernel();
+      var kernelP = Promise.resolve(kernel);
+
+      var otherP = Utils.generate({target: new TestClass(kernelP, Promise.resolve('other')), method: 'count', returnType: Number});
+      var mineP = Utils.generate({target: new TestClass(kernelP, Promise.resolve('mine')), method: 'count', returnType: Number});
+
+      var cancelledP = mineP.then(function() {
+        throw new Error('should have been cancelled');
+      }, function(e) {
+        expect(e).to.be.an.instanceof(CancellationError);
+      });
+
+      waitFor(function() {
+        return kernel.running && kernel.cells.length == 1;
+      }).then(function() {
+        expect(kernel.running.code).equals('other.count();');
+
+        // ours still waits behind the other call
+        mineP.cancel();
+
+        return cancelledP;
+      }).then(function() {
+        expect(kernel.interrupted).deep.equals([]);
+
+        kernel.finish('3');
+
+        return otherP;
+      }).then(function(count) {
+        expect(count).equals(3);
+
+        // and is interrupted once it starts
+        return waitFor(function() {
+          return kernel.interrupted.length > 0;
+        });
+      }).then(function() {
+        expect(kernel.interrupted).deep.equals(['mine.count();']);
+        done();
+      }).catch(done);
+    });
+
+    it("should interrupt it and cancel its job group on timeout", function(done) {
+      var kernel = new QueueKernel();
+      var target = new TestClass(Promise.resolve(kernel), Promise.resolve('slow'));
+
+      Utils.generate({target: target, method: 'count', returnType: Number, timeout: 20}).then(function() {
+        done(new Error('should have timed out'));
+      }, function(e) {
+        expect(e.reason).equals('timeout');
+
+        return waitFor(function() {
+          return kernel.executed.length == 2 && !kernel.running;
+        }).then(function() {
+          expect(kernel.interrupted.length).equals(1);
+          expect(kernel.interrupted[0]).contains('slow.count()');
+          expect(kernel.executed[1]).match(/^org\.apache\.spark\.SparkContext\.getOrCreate\(\)\.cancelJobGroup\("eclairjsJob\d+"\);$/);
+          done();
+        });
+      }).catch(done);
+    });
+  });
+
+  describe("Separate EclairJS instances", function() {
+    it("should name their variables independently", function(done) {
+      var sc1 = new (new eclairjs()).SparkContext("local[*]", "foo");
+      var sc2 = new (new eclairjs()).SparkContext("local[*]", "foo");
+
+      var a = Utils.generate({target: new TestClass(sc1.kernelP, Promise.resolve('a')), method: 'agg', returnType: TestClass});
+      var b = Utils.generate({target: new TestClass(sc2.kernelP, Promise.resolve('b')), method: 'agg', returnType: TestClass});
+
+      Promise.all([a.refIdP, b.refIdP]).then(function(refIds) {
+        expect(refIds).deep.equals(['testClass1', 'testClass1']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe("EclairJSError.fromReply", function() {
+    it("should pick out the Spark exception class", function() {
+      var EclairJSError = require('../lib/EclairJSError.js');
+
+      var e = EclairJSError.fromReply({
+        ename: 'javax.script.ScriptException',
+        evalue: 'javax.script.ScriptException: org.apache.spark.sql.AnalysisException: cannot resolve \'foo\'',
+        traceback: ['at Dataset.select']
+      }, {code: 'var dataset1 = df.select("foo");', className: 'Dataset', method: 'select', refId: 'dataset1'});
+
+      expect(e).to.be.an.instanceof(Error);
+      expect(e.exceptionClass).equals('org.apache.spark.sql.AnalysisException');
+      expect(e.exceptionName).equals('AnalysisException');
+      expect(e.message).equals('Dataset.select: cannot resolve \'foo\'');
+      expect(e.remoteStack).deep.equals(['at Dataset.select']);
+      expect(e.code).equals('var dataset1 = df.select("foo");');
+      expect(e.refId).equals('dataset1');
+    });
+  });
+
   /*
    Tests: resolver, wrapArray
    */